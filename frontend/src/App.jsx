@@ -19,6 +19,7 @@ const InstancePage = lazy(() => import('./pages/InstancePage'));
 const ContainerPage = lazy(() => import('./pages/ContainerPage'));
 const FriendsPage = lazy(() => import('./pages/FriendsPage'));
 const ProfilePage = lazy(() => import('./pages/ProfilePage'));
+const StudyDecksPage = lazy(() => import('./pages/StudyDecksPage'));
 const ShareLinkAccessPage = lazy(() => import('./pages/ShareLinkAccessPage'));
 
 /**
@@ -144,6 +145,22 @@ export default function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/decks"
+                element={
+                  <ProtectedRoute>
+                    <StudyDecksPage />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/decks/:deckId"
+                element={
+                  <ProtectedRoute>
+                    <StudyDecksPage />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/profile"
                 element={
@@ -1,4 +1,109 @@
 import axiosInstance from './axiosInstance';
+import { USE_MOCK_BACKEND, handleMockStream } from '../dummy/mockApiInterceptor';
+
+/**
+ * Read one server-sent event
+ * @param {string} block - Lines of the event
+ * @returns {{event: string, data: string}} Event name ('message' if not set) and data
+ */
+const parseServerEvent = (block) => {
+  let event = 'message';
+  const data = [];
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+
+  return { event, data: data.join('\n') };
+};
+
+/**
+ * Stream an AI response
+ * The server answers with server-sent events: `data: {"text": "..."}` for every chunk,
+ * `data: [DONE]` at the end and `event: error` with `data: {"message": "..."}` on failure.
+ * Aborting the signal stops the request and keeps the text received so far.
+ * @param {string} path - Endpoint path
+ * @param {Object} body - Request body
+ * @param {Object} options - Stream options
+ * @param {Function} options.onChunk - Called with each chunk and the full text so far
+ * @param {AbortSignal} options.signal - Signal to stop the request (optional)
+ * @returns {Promise<{text: string, stopped: boolean}>} Full text and whether it was stopped
+ */
+const streamRequest = async (path, body, { onChunk, signal } = {}) => {
+  let text = '';
+  const push = (chunk) => {
+    text += chunk;
+    onChunk?.(chunk, text);
+  };
+
+  try {
+    if (USE_MOCK_BACKEND) {
+      for await (const chunk of handleMockStream(path, body, { signal })) {
+        push(chunk);
+      }
+      return { text, stopped: Boolean(signal?.aborted) };
+    }
+
+    const token = localStorage.getItem('auth_token');
+    const response = await fetch(`${axiosInstance.defaults.baseURL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Request failed with status ${response.status}`);
+      error.response = { status: response.status, data: await response.json().catch(() => ({})) };
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const { event, data } = parseServerEvent(block);
+        if (data === '[DONE]') {
+          return { text, stopped: false };
+        }
+
+        const payload = data ? JSON.parse(data) : {};
+        if (event === 'error') {
+          const error = new Error(payload.message || 'AI request failed');
+          error.response = { status: 500, data: payload };
+          throw error;
+        }
+        if (payload.text) {
+          push(payload.text);
+        }
+      }
+    }
+
+    return { text, stopped: false };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { text, stopped: true };
+    }
+    throw error;
+  }
+};
 
 /**
  * AI API endpoints for summarization and assistance
@@ -41,6 +146,101 @@ const aiApi = {
    */
   generateContent: (title, context = '') =>
     axiosInstance.post('/api/ai/generate', { title, context }),
+
+  /**
+   * Apply an AI action to a piece of text, e.g. the selection in the editor
+   * @param {string} action - One of AI_TEXT_ACTIONS
+   * @param {string} text - Text to change
+   * @param {Object} options - Extra input (optional)
+   * @param {string} options.context - The whole note, for context
+   * @param {string} options.language - Target language, for translate
+   * @returns {Promise} { success, content } with the changed text (the explanation, for explain)
+   */
+  transform: (action, text, { context = '', language } = {}) =>
+    axiosInstance.post('/api/ai/transform', { action, text, context, language }),
+
+  /**
+   * Apply an AI action to a snapshot of the whiteboard
+   * Positions in the request and the answer are in image pixels.
+   * @param {string} action - One of AI_WHITEBOARD_ACTIONS
+   * @param {string} image - PNG data URL of the board
+   * @param {Array} strokes - Freehand strokes in the image ({ id, left, top, width, height })
+   * @returns {Promise} { success, text } for transcribe and describe; { success, shapes } for
+   *   clean-up, each shape with its type (one of AI_WHITEBOARD.SHAPES), the strokeIds it
+   *   replaces, and { left, top, width, height } or, for arrows, { x1, y1, x2, y2 }
+   */
+  analyzeWhiteboard: (action, image, strokes = []) =>
+    axiosInstance.post('/api/ai/whiteboard', { action, image, strokes }),
+
+  /**
+   * Ask the study assistant; the server keeps the conversation's history and answers
+   * from the notes in the user's instances
+   * @param {string} message - User message
+   * @param {string|null} conversationId - Conversation to continue (null starts a new one)
+   * @returns {Promise} { conversation, message, reply }; reply.sources lists the notes used
+   */
+  chat: (message, conversationId = null) =>
+    axiosInstance.post('/api/ai/chat', { message, conversationId }),
+
+  /**
+   * Get the current user's conversations with the study assistant, latest first
+   * @returns {Promise} List of conversations without their messages
+   */
+  getConversations: () => axiosInstance.get('/api/ai/conversations'),
+
+  /**
+   * Get a conversation with its messages
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise} Conversation with messages
+   */
+  getConversation: (conversationId) => axiosInstance.get(`/api/ai/conversations/${conversationId}`),
+
+  /**
+   * Delete a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise} Response
+   */
+  deleteConversation: (conversationId) =>
+    axiosInstance.delete(`/api/ai/conversations/${conversationId}`),
+
+  /**
+   * Summarize note content, streaming the summary as it's written
+   * @param {string} content - Note content to summarize
+   * @param {Object} options - { onChunk, signal }, see streamRequest
+   * @returns {Promise} Full summary and whether it was stopped ({ text, stopped })
+   */
+  streamSummarize: (content, options) =>
+    streamRequest('/api/ai/summary/stream', { content }, options),
+
+  /**
+   * Get AI assistance, streaming the answer as it's written
+   * @param {string} prompt - User prompt for AI
+   * @param {string} context - Context from current note (optional)
+   * @param {Object} options - { onChunk, signal }, see streamRequest
+   * @returns {Promise} Full answer and whether it was stopped ({ text, stopped })
+   */
+  streamAssist: (prompt, context = '', options) =>
+    streamRequest('/api/ai/assist/stream', { prompt, context }, options),
+
+  /**
+   * Apply an AI action to a piece of text, streaming the result as it's written
+   * @param {string} action - One of AI_TEXT_ACTIONS
+   * @param {string} text - Text to change
+   * @param {Object} input - { context, language }, see transform
+   * @param {Object} options - { onChunk, signal }, see streamRequest
+   * @returns {Promise} Full result and whether it was stopped ({ text, stopped })
+   */
+  streamTransform: (action, text, { context = '', language } = {}, options) =>
+    streamRequest('/api/ai/transform/stream', { action, text, context, language }, options),
+
+  /**
+   * Summarize all notes in an instance, streaming the summary as it's written
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - { onChunk, signal }, see streamRequest
+   * @returns {Promise} Full summary and whether it was stopped ({ text, stopped })
+   */
+  streamInstanceSummary: (instanceId, options) =>
+    streamRequest('/api/ai/summary/instance/stream', { instanceId }, options),
 };
 
 export default aiApi;
@@ -0,0 +1,48 @@
+import axiosInstance from './axiosInstance';
+
+/**
+ * Containers API endpoints
+ */
+const containersApi = {
+  /**
+   * Get the containers of an instance, in their saved order
+   * @param {string} instanceId - Instance ID
+   * @returns {Promise} List of containers
+   */
+  getByInstance: (instanceId) => axiosInstance.get(`/api/instances/${instanceId}/containers`),
+
+  /**
+   * Create a container at the end of an instance
+   * @param {Object} containerData - Container data
+   * @param {string} containerData.instanceId - Instance ID
+   * @param {string} containerData.name - Container name
+   * @returns {Promise} Created container
+   */
+  create: (containerData) => axiosInstance.post('/api/containers', containerData),
+
+  /**
+   * Update a container
+   * @param {string} id - Container ID
+   * @param {Object} updates - Fields to update (e.g. name)
+   * @returns {Promise} Updated container
+   */
+  update: (id, updates) => axiosInstance.put(`/api/containers/${id}`, updates),
+
+  /**
+   * Delete a container
+   * @param {string} id - Container ID
+   * @returns {Promise} Deletion response
+   */
+  delete: (id) => axiosInstance.delete(`/api/containers/${id}`),
+
+  /**
+   * Save the order of an instance's containers
+   * @param {string} instanceId - Instance ID
+   * @param {Array<string>} containerIds - Every container ID of the instance, in the new order
+   * @returns {Promise} Reordered containers
+   */
+  reorder: (instanceId, containerIds) =>
+    axiosInstance.put(`/api/instances/${instanceId}/containers/order`, { containerIds }),
+};
+
+export default containersApi;
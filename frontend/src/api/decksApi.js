@@ -0,0 +1,75 @@
+import axiosInstance from './axiosInstance';
+
+/**
+ * Study decks API endpoints
+ * Decks hold flashcards and multiple-choice questions generated from notes. Review
+ * progress is kept per user, so each card comes with the current user's progress.
+ */
+const decksApi = {
+  /**
+   * Get the decks the current user owns or that were shared with them
+   * @returns {Promise} List of decks
+   */
+  getAll: () => axiosInstance.get('/api/decks'),
+
+  /**
+   * Get a deck with its cards
+   * @param {string} id - Deck ID
+   * @returns {Promise} Deck
+   */
+  getById: (id) => axiosInstance.get(`/api/decks/${id}`),
+
+  /**
+   * Generate a deck from a note or from every note of a container
+   * @param {Object} source - What to generate from; give one of the two
+   * @param {string} source.noteId - Note ID (optional)
+   * @param {string} source.containerId - Container ID (optional)
+   * @returns {Promise} Created deck
+   */
+  generate: (source) => axiosInstance.post('/api/decks/generate', source),
+
+  /**
+   * Update a deck
+   * @param {string} id - Deck ID
+   * @param {Object} updates - Fields to update
+   * @param {string} updates.title - New title (optional)
+   * @returns {Promise} Updated deck
+   */
+  update: (id, updates) => axiosInstance.put(`/api/decks/${id}`, updates),
+
+  /**
+   * Delete a deck
+   * @param {string} id - Deck ID
+   * @returns {Promise} Deletion response
+   */
+  delete: (id) => axiosInstance.delete(`/api/decks/${id}`),
+
+  /**
+   * Record an answer to a card and schedule its next review
+   * @param {string} id - Deck ID
+   * @param {string} cardId - Card ID
+   * @param {boolean} correct - Whether the answer was correct
+   * @returns {Promise} { cardId, progress } with the card's new progress
+   */
+  review: (id, cardId, correct) =>
+    axiosInstance.post(`/api/decks/${id}/cards/${cardId}/review`, { correct }),
+
+  /**
+   * Share a deck with a user, or change their role
+   * @param {string} id - Deck ID
+   * @param {string} userId - User to share with
+   * @param {string} role - Editor or Viewer
+   * @returns {Promise} Updated deck
+   */
+  share: (id, userId, role) => axiosInstance.post(`/api/decks/${id}/share`, { userId, role }),
+
+  /**
+   * Stop sharing a deck with a user
+   * @param {string} id - Deck ID
+   * @param {string} userId - User to stop sharing with
+   * @returns {Promise} Updated deck
+   */
+  unshare: (id, userId) => axiosInstance.delete(`/api/decks/${id}/share/${userId}`),
+};
+
+export default decksApi;
@@ -0,0 +1,43 @@
+import axiosInstance from './axiosInstance';
+
+/**
+ * Folders API endpoints for the folder tree inside containers
+ */
+const foldersApi = {
+  /**
+   * Get every folder of a container, at all depths
+   * @param {string} containerId - Container ID
+   * @returns {Promise} List of folders (parentId is null for top-level folders)
+   */
+  getByContainer: (containerId) => axiosInstance.get(`/api/containers/${containerId}/folders`),
+
+  /**
+   * Create a folder
+   * @param {Object} folderData - Folder data
+   * @param {string} folderData.containerId - Container ID
+   * @param {string|null} folderData.parentId - Parent folder ID (null for the top level)
+   * @param {string} folderData.name - Folder name
+   * @returns {Promise} Created folder
+   */
+  create: (folderData) => axiosInstance.post('/api/folders', folderData),
+
+  /**
+   * Update a folder
+   * @param {string} id - Folder ID
+   * @param {Object} updates - Fields to update
+   * @param {string} updates.name - New name (optional)
+   * @param {string|null} updates.parentId - New parent folder, to move it (optional)
+   * @param {Array} updates.permissions - Roles set for members, as { userId, role } (optional)
+   * @returns {Promise} Updated folder
+   */
+  update: (id, updates) => axiosInstance.put(`/api/folders/${id}`, updates),
+
+  /**
+   * Delete a folder; its notes and folders move up to its parent
+   * @param {string} id - Folder ID
+   * @returns {Promise} Deletion response
+   */
+  delete: (id) => axiosInstance.delete(`/api/folders/${id}`),
+};
+
+export default foldersApi;
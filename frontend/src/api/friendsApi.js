@@ -0,0 +1,74 @@
+import axiosInstance from './axiosInstance';
+
+/**
+ * Friends API endpoints
+ */
+const friendsApi = {
+  /**
+   * Get the current user's friends
+   * @returns {Promise} List of friend profiles
+   */
+  getAll: () => axiosInstance.get('/api/friends'),
+
+  /**
+   * Get pending friend requests sent to the current user
+   * @returns {Promise} List of friend requests with the sender's profile
+   */
+  getRequests: () => axiosInstance.get('/api/friends/requests'),
+
+  /**
+   * Send a friend request; if that user already asked, their request is accepted instead
+   * @param {string} email - Email of user to add as friend
+   * @returns {Promise} Friend request (status 'accepted' with a friend profile if accepted)
+   */
+  sendRequest: (email) => axiosInstance.post('/api/friends/request', { email }),
+
+  /**
+   * Accept a friend request
+   * @param {string} requestId - Friend request ID
+   * @returns {Promise} Profile of the new friend
+   */
+  acceptRequest: (requestId) => axiosInstance.post(`/api/friends/accept/${requestId}`),
+
+  /**
+   * Reject a friend request
+   * @param {string} requestId - Friend request ID
+   * @returns {Promise} Response
+   */
+  rejectRequest: (requestId) => axiosInstance.post(`/api/friends/reject/${requestId}`),
+
+  /**
+   * Remove a friend
+   * @param {string} friendId - Friend user ID
+   * @returns {Promise} Response
+   */
+  remove: (friendId) => axiosInstance.delete(`/api/friends/${friendId}`),
+
+  /**
+   * Block a user; drops any friendship or request between you
+   * @param {string} userId - User ID
+   * @returns {Promise} Profile of the blocked user
+   */
+  block: (userId) => axiosInstance.post(`/api/friends/block/${userId}`),
+
+  /**
+   * Unblock a user
+   * @param {string} userId - User ID
+   * @returns {Promise} Response
+   */
+  unblock: (userId) => axiosInstance.delete(`/api/friends/block/${userId}`),
+
+  /**
+   * Get the users the current user blocked
+   * @returns {Promise} List of user profiles
+   */
+  getBlocked: () => axiosInstance.get('/api/friends/blocked'),
+
+  /**
+   * Get people the current user may know (friends of friends, instance members)
+   * @returns {Promise} List of user profiles with mutualFriends and sharedInstances counts
+   */
+  getSuggestions: () => axiosInstance.get('/api/friends/suggestions'),
+};
+
+export default friendsApi;
@@ -7,3 +7,9 @@ export { default as notesApi } from './notesApi';
 export { default as usersApi } from './usersApi';
 export { default as aiApi } from './aiApi';
 export { default as shareApi } from './shareApi';
+export { default as instancesApi } from './instancesApi';
+export { default as containersApi } from './containersApi';
+export { default as friendsApi } from './friendsApi';
+export { default as foldersApi } from './foldersApi';
+export { default as decksApi } from './decksApi';
+export { default as searchApi } from './searchApi';
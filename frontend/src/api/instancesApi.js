@@ -0,0 +1,44 @@
+import axiosInstance from './axiosInstance';
+
+/**
+ * Instances API endpoints
+ */
+const instancesApi = {
+  /**
+   * Get the instances the current user is a member of
+   * @returns {Promise} List of instances, each with the user's role and member count
+   */
+  getAll: () => axiosInstance.get('/api/instances'),
+
+  /**
+   * Get an instance
+   * @param {string} id - Instance ID
+   * @returns {Promise} Instance data
+   */
+  getById: (id) => axiosInstance.get(`/api/instances/${id}`),
+
+  /**
+   * Create an instance owned by the current user
+   * @param {Object} instanceData - Instance data
+   * @param {string} instanceData.name - Instance name
+   * @returns {Promise} Created instance
+   */
+  create: (instanceData) => axiosInstance.post('/api/instances', instanceData),
+
+  /**
+   * Update an instance
+   * @param {string} id - Instance ID
+   * @param {Object} updates - Fields to update (e.g. name)
+   * @returns {Promise} Updated instance
+   */
+  update: (id, updates) => axiosInstance.put(`/api/instances/${id}`, updates),
+
+  /**
+   * Delete an instance (Owner only)
+   * @param {string} id - Instance ID
+   * @returns {Promise} Deletion response
+   */
+  delete: (id) => axiosInstance.delete(`/api/instances/${id}`),
+};
+
+export default instancesApi;
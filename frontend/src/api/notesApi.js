@@ -1,4 +1,5 @@
 import axiosInstance from './axiosInstance';
+import { ATTACHMENT_UPLOAD_TIMEOUT } from '../utils/constants';
 
 /**
  * Notes API endpoints for CRUD operations
@@ -11,11 +12,11 @@ const notesApi = {
   getAll: () => axiosInstance.get('/api/notes/get'),
 
   /**
-   * Get note by title
-   * @param {string} title - Note title
+   * Get a note
+   * @param {string} id - Note ID
    * @returns {Promise} Note data
    */
-  getByTitle: (title) => axiosInstance.get(`/api/notes/get/title/${encodeURIComponent(title)}`),
+  getById: (id) => axiosInstance.get(`/api/notes/${id}`),
 
   /**
    * Create a new note
@@ -23,28 +24,30 @@ const notesApi = {
    * @param {string} noteData.title - Note title
    * @param {string} noteData.content - Note content
    * @param {string} noteData.containerId - Container ID
+   * @param {string} noteData.folderId - Folder in the container (optional)
    * @param {Object} noteData.whiteboardData - Whiteboard data (optional)
    * @returns {Promise} Created note
    */
   create: (noteData) => axiosInstance.post('/api/notes/add', noteData),
 
   /**
-   * Update an existing note
-   * @param {string} title - Note title
+   * Update an existing note, including renaming it (whiteboard drawings are saved per
+   * page, see updateWhiteboardPage)
+   * @param {string} id - Note ID
    * @param {Object} updates - Fields to update
    * @param {string} updates.content - Updated content (optional)
-   * @param {Object} updates.whiteboardData - Updated whiteboard data (optional)
+   * @param {string} updates.title - New title (optional)
+   * @param {string|null} updates.folderId - Folder to move it to, null for the top level (optional)
    * @returns {Promise} Updated note
    */
-  update: (title, updates) =>
-    axiosInstance.put(`/api/notes/update/${encodeURIComponent(title)}`, updates),
+  update: (id, updates) => axiosInstance.put(`/api/notes/${id}`, updates),
 
   /**
    * Delete a note
-   * @param {string} title - Note title
+   * @param {string} id - Note ID
    * @returns {Promise} Deletion response
    */
-  delete: (title) => axiosInstance.delete('/api/notes/delete', { data: { title } }),
+  delete: (id) => axiosInstance.delete(`/api/notes/${id}`),
 
   /**
    * Get notes by container ID
@@ -63,6 +66,106 @@ const notesApi = {
   share: (noteId, userId, role) =>
     axiosInstance.post(`/api/notes/${noteId}/share`, { userId, role }),
 
+  /**
+   * Get the version history of a note
+   * @param {string} noteId - Note ID
+   * @returns {Promise} Versions, newest first ({ id, title, content, authorId, authorName, createdAt })
+   */
+  getVersions: (noteId) => axiosInstance.get(`/api/notes/${noteId}/versions`),
+
+  /**
+   * Get a single version of a note
+   * @param {string} noteId - Note ID
+   * @param {string} versionId - Version ID
+   * @returns {Promise} Version data
+   */
+  getVersion: (noteId, versionId) =>
+    axiosInstance.get(`/api/notes/${noteId}/versions/${versionId}`),
+
+  /**
+   * Upload a file attached to a note (e.g. an image or PDF page on its whiteboard)
+   * @param {string} noteId - Note ID
+   * @param {File|Blob} file - File to upload, sent as multipart field `file`
+   * @returns {Promise} Attachment ({ id, noteId, name, type, size, url, createdAt }); `url`
+   *   must load without the auth header and allow cross-origin use, so it can be drawn on
+   *   and exported from the canvas
+   */
+  uploadAttachment: (noteId, file) => {
+    const formData = new FormData();
+    formData.append('file', file, file.name);
+    return axiosInstance.post(`/api/notes/${noteId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: ATTACHMENT_UPLOAD_TIMEOUT,
+    });
+  },
+
+  /**
+   * Get the files attached to a note
+   * @param {string} noteId - Note ID
+   * @returns {Promise} List of attachments
+   */
+  getAttachments: (noteId) => axiosInstance.get(`/api/notes/${noteId}/attachments`),
+
+  /**
+   * Delete an attachment
+   * @param {string} noteId - Note ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise} Deletion response
+   */
+  deleteAttachment: (noteId, attachmentId) =>
+    axiosInstance.delete(`/api/notes/${noteId}/attachments/${attachmentId}`),
+
+  /**
+   * Get one whiteboard page of a note, with its drawing
+   * Notes saved before pages existed have a single page, LEGACY_PAGE_ID (see
+   * utils/whiteboardPages.js), holding their old `whiteboardData`
+   * @param {string} noteId - Note ID
+   * @param {string} pageId - Page ID
+   * @returns {Promise} Page ({ id, name, data })
+   */
+  getWhiteboardPage: (noteId, pageId) => axiosInstance.get(`/api/notes/${noteId}/pages/${pageId}`),
+
+  /**
+   * Add a whiteboard page to a note
+   * @param {string} noteId - Note ID
+   * @param {Object} page - New page
+   * @param {string} page.name - Page name
+   * @param {Object} page.data - Serialized canvas to start from (optional, e.g. a copy)
+   * @param {number} page.index - Position in the page list (optional, defaults to the end)
+   * @returns {Promise} Created page ({ id, name, data })
+   */
+  createWhiteboardPage: (noteId, page) => axiosInstance.post(`/api/notes/${noteId}/pages`, page),
+
+  /**
+   * Update a whiteboard page
+   * @param {string} noteId - Note ID
+   * @param {string} pageId - Page ID
+   * @param {Object} updates - Fields to update
+   * @param {string} updates.name - New name (optional)
+   * @param {Object} updates.data - Serialized canvas (optional)
+   * @returns {Promise} Updated page
+   */
+  updateWhiteboardPage: (noteId, pageId, updates) =>
+    axiosInstance.patch(`/api/notes/${noteId}/pages/${pageId}`, updates),
+
+  /**
+   * Delete a whiteboard page; the last page of a note can't be deleted
+   * @param {string} noteId - Note ID
+   * @param {string} pageId - Page ID
+   * @returns {Promise} Deletion response
+   */
+  deleteWhiteboardPage: (noteId, pageId) =>
+    axiosInstance.delete(`/api/notes/${noteId}/pages/${pageId}`),
+
+  /**
+   * Put a note's whiteboard pages in a new order
+   * @param {string} noteId - Note ID
+   * @param {Array} pageIds - Every page ID, in the new order
+   * @returns {Promise} Pages in the new order ({ id, name })
+   */
+  reorderWhiteboardPages: (noteId, pageIds) =>
+    axiosInstance.put(`/api/notes/${noteId}/pages/order`, { pageIds }),
+
   /**
    * Get notes shared with current user
    * @returns {Promise} List of shared notes
@@ -0,0 +1,33 @@
+import axiosInstance from './axiosInstance';
+
+/**
+ * Global search API endpoints
+ * Searches the notes of every instance the current user can access.
+ */
+const searchApi = {
+  /**
+   * Search notes
+   * Filters left empty are not sent.
+   * @param {string} query - Search text
+   * @param {Object} options - Ranking and filters (optional)
+   * @param {string} options.mode - One of SEARCH_MODES
+   * @param {string} options.instanceId - Only notes of this instance
+   * @param {string} options.containerId - Only notes of this container
+   * @param {string} options.authorId - Only notes written by this user
+   * @param {string} options.from - Only notes updated on or after this day (YYYY-MM-DD)
+   * @param {string} options.to - Only notes updated on or before this day (YYYY-MM-DD)
+   * @param {number} options.limit - Most results to return
+   * @returns {Promise} { results, total, mode, facets }: results best first, each with a
+   *   snippet and the [start, end) ranges of the matches in its title and snippet
+   *   (`highlights.title`, `highlights.snippet`); mode is the ranking that was used;
+   *   facets lists the containers and authors the filters can pick from
+   */
+  search: (query, options = {}) => {
+    const params = Object.fromEntries(
+      Object.entries({ q: query, ...options }).filter(([, value]) => value)
+    );
+    return axiosInstance.get('/api/search', { params });
+  },
+};
+
+export default searchApi;
@@ -34,48 +34,6 @@ const usersApi = {
    */
   getOnlineStatus: (userIds) => axiosInstance.post('/api/users/online-status', { userIds }),
 
-  /**
-   * Send friend request
-   * @param {string} email - Email of user to add as friend
-   * @returns {Promise} Friend request response
-   */
-  sendFriendRequest: (email) => axiosInstance.post('/api/users/friends/request', { email }),
-
-  /**
-   * Get friend requests
-   * @returns {Promise} List of pending friend requests
-   */
-  getFriendRequests: () => axiosInstance.get('/api/users/friends/requests'),
-
-  /**
-   * Accept friend request
-   * @param {string} requestId - Friend request ID
-   * @returns {Promise} Response
-   */
-  acceptFriendRequest: (requestId) =>
-    axiosInstance.post(`/api/users/friends/requests/${requestId}/accept`),
-
-  /**
-   * Reject friend request
-   * @param {string} requestId - Friend request ID
-   * @returns {Promise} Response
-   */
-  rejectFriendRequest: (requestId) =>
-    axiosInstance.post(`/api/users/friends/requests/${requestId}/reject`),
-
-  /**
-   * Get list of friends
-   * @returns {Promise} List of friends
-   */
-  getFriends: () => axiosInstance.get('/api/users/friends'),
-
-  /**
-   * Remove friend
-   * @param {string} friendId - Friend user ID
-   * @returns {Promise} Response
-   */
-  removeFriend: (friendId) => axiosInstance.delete(`/api/users/friends/${friendId}`),
-
   /**
    * Get user notifications
    * @returns {Promise} List of notifications
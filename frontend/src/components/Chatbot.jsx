@@ -1,62 +1,91 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import useChatStore from '../store/useChatStore';
+import useAuthStore from '../store/useAuthStore';
 import './Chatbot.css';
 
+/**
+ * Greeting shown at the start of a new conversation (not saved)
+ */
+const WELCOME_TEXT =
+  "Hello! I'm your study assistant. Ask me about anything in your notes and I'll point you to where it's written.";
+
+/**
+ * Chatbot Component
+ * Study assistant that answers from the notes in the user's instances. Answers cite
+ * the notes they used, linking to them, and conversations are saved per user.
+ */
 export default function Chatbot({ isOpen, onToggle }) {
-  if (!isOpen) return null;
-  const [messages, setMessages] = useState([
-    {
-      id: 1,
-      text: "Hello! I'm your study assistant. How can I help you today?",
-      sender: 'bot',
-      timestamp: new Date().toLocaleTimeString(),
-    },
-  ]);
+  const {
+    conversations,
+    activeConversationId,
+    messages,
+    isLoading,
+    isSending,
+    error,
+    fetchConversations,
+    openConversation,
+    startConversation,
+    sendMessage,
+    deleteConversation,
+  } = useChatStore();
+  const { user } = useAuthStore();
   const [inputMessage, setInputMessage] = useState('');
-  const [isTyping, setIsTyping] = useState(false);
+  const messagesEndRef = useRef(null);
 
-  const handleSendMessage = (e) => {
-    e.preventDefault();
-    if (!inputMessage.trim()) return;
+  // Start fresh when someone else signs in
+  useEffect(() => {
+    startConversation();
+  }, [user?.id, startConversation]);
+
+  // Load saved conversations whenever the assistant opens
+  useEffect(() => {
+    if (isOpen) {
+      fetchConversations();
+    }
+  }, [isOpen, fetchConversations]);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView?.({ behavior: 'smooth' });
+  }, [messages, isSending]);
+
+  if (!isOpen) return null;
 
-    // Add user message
-    const userMessage = {
-      id: Date.now(),
-      text: inputMessage,
-      sender: 'user',
-      timestamp: new Date().toLocaleTimeString(),
-    };
+  const handleSendMessage = async (e) => {
+    e.preventDefault();
+    if (!inputMessage.trim() || isSending) return;
 
-    setMessages((prev) => [...prev, userMessage]);
+    const text = inputMessage;
     setInputMessage('');
-    setIsTyping(true);
-
-    // Simulate bot response
-    setTimeout(() => {
-      const botMessage = {
-        id: Date.now() + 1,
-        text: getBotResponse(inputMessage),
-        sender: 'bot',
-        timestamp: new Date().toLocaleTimeString(),
-      };
-      setMessages((prev) => [...prev, botMessage]);
-      setIsTyping(false);
-    }, 1500);
+
+    const result = await sendMessage(text);
+    if (!result.success) {
+      // Give the message back so it can be sent again
+      setInputMessage(text);
+    }
   };
 
-  const getBotResponse = (message) => {
-    const responses = [
-      "That's an interesting question! Let me help you with that.",
-      'I can help you find study materials related to that topic.',
-      'Would you like me to search for notes on this subject?',
-      'Great question! Here are some resources that might help.',
-      'I can connect you with classmates who are studying similar topics.',
-    ];
-    return responses[Math.floor(Math.random() * responses.length)];
+  const handleConversationChange = (e) => {
+    if (e.target.value) {
+      openConversation(e.target.value);
+    } else {
+      startConversation();
+    }
   };
 
+  const handleDeleteConversation = () => {
+    const confirmed = window.confirm('Delete this conversation?');
+    if (confirmed) {
+      deleteConversation(activeConversationId);
+    }
+  };
+
+  const formatTime = (dateString) => new Date(dateString).toLocaleTimeString();
+
   return (
-    <div className="chatbot-container">
-      <button className="chatbot-close" onClick={onToggle}>
+    <div className="chatbot-container" role="dialog" aria-label="Study assistant">
+      <button className="chatbot-close" onClick={onToggle} aria-label="Close study assistant">
         ×
       </button>
       <div className="chatbot-header">
@@ -64,22 +93,83 @@ export default function Chatbot({ isOpen, onToggle }) {
           <div className="bot-avatar">🤖</div>
           <div className="bot-details">
             <h3>Study Assistant</h3>
-            <span className="status">Online</span>
+            <span className="status">Answers from your notes</span>
           </div>
         </div>
+
+        <div className="chatbot-toolbar">
+          <select
+            value={activeConversationId || ''}
+            onChange={handleConversationChange}
+            className="conversation-select"
+            aria-label="Conversation"
+          >
+            <option value="">New conversation</option>
+            {conversations.map((conversation) => (
+              <option key={conversation.id} value={conversation.id}>
+                {conversation.title}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={startConversation}
+            className="chatbot-toolbar-button"
+            disabled={!activeConversationId}
+          >
+            New
+          </button>
+          {activeConversationId && (
+            <button
+              type="button"
+              onClick={handleDeleteConversation}
+              className="chatbot-toolbar-button"
+              aria-label="Delete conversation"
+              title="Delete conversation"
+            >
+              🗑
+            </button>
+          )}
+        </div>
       </div>
 
-      <div className="chatbot-messages">
+      <div className="chatbot-messages" aria-live="polite">
+        {!activeConversationId && (
+          <div className="message bot">
+            <div className="message-content">
+              <p>{WELCOME_TEXT}</p>
+            </div>
+          </div>
+        )}
+
+        {isLoading && messages.length === 0 && activeConversationId && (
+          <p className="chatbot-notice">Loading conversation...</p>
+        )}
+
         {messages.map((message) => (
-          <div key={message.id} className={`message ${message.sender}`}>
+          <div key={message.id} className={`message ${message.role === 'user' ? 'user' : 'bot'}`}>
             <div className="message-content">
-              <p>{message.text}</p>
-              <span className="timestamp">{message.timestamp}</span>
+              <p>{message.content}</p>
+              {message.sources?.length > 0 && (
+                <ol className="message-sources" aria-label="Sources">
+                  {message.sources.map((source) => (
+                    <li key={source.noteId}>
+                      <Link
+                        to={`/instance/${source.instanceId}/container/${source.containerId}/note/${source.noteId}`}
+                        className="source-link"
+                      >
+                        {source.title}
+                      </Link>
+                    </li>
+                  ))}
+                </ol>
+              )}
+              <span className="timestamp">{formatTime(message.createdAt)}</span>
             </div>
           </div>
         ))}
 
-        {isTyping && (
+        {isSending && (
           <div className="message bot">
             <div className="message-content">
               <div className="typing-indicator">
@@ -90,6 +180,9 @@ export default function Chatbot({ isOpen, onToggle }) {
             </div>
           </div>
         )}
+
+        {error && <p className="chatbot-error">{error}</p>}
+        <div ref={messagesEndRef} />
       </div>
 
       <form className="chatbot-input" onSubmit={handleSendMessage}>
@@ -97,10 +190,11 @@ export default function Chatbot({ isOpen, onToggle }) {
           type="text"
           value={inputMessage}
           onChange={(e) => setInputMessage(e.target.value)}
-          placeholder="Ask me anything about your studies..."
+          placeholder="Ask me anything about your notes..."
           className="message-input"
+          aria-label="Message"
         />
-        <button type="submit" className="send-button">
+        <button type="submit" className="send-button" disabled={isSending || !inputMessage.trim()}>
           Send
         </button>
       </form>
@@ -0,0 +1,420 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
+import { Modal, ModalHeader, ModalBody, ModalFooter } from '../Modal';
+import GlassButton from '../GlassButton';
+import useInstanceStore from '../../store/useInstanceStore';
+import useNoteTransfer from '../../hooks/useNoteTransfer';
+import { planImport } from '../../utils/noteImport';
+import { IMPORT_CONFLICT_POLICIES, IMPORT_SOURCES, NOTE_TRANSFER } from '../../utils/constants';
+import styles from './ImportWizardModal.module.css';
+
+const SOURCE_OPTIONS = [
+  {
+    value: IMPORT_SOURCES.OBSIDIAN,
+    label: 'Obsidian vault',
+    description:
+      'Pick the vault folder. Folders become containers; wiki links and embeds are kept.',
+    directory: true,
+  },
+  {
+    value: IMPORT_SOURCES.NOTION,
+    label: 'Notion',
+    description: 'The ZIP from Export with "Markdown & CSV". Databases become tables.',
+    accept: '.zip',
+  },
+  {
+    value: IMPORT_SOURCES.DOCX,
+    label: 'Word or Google Docs',
+    description: '.docx files (in Google Docs: File, Download, Microsoft Word).',
+    accept: '.docx',
+  },
+  {
+    value: IMPORT_SOURCES.MARKDOWN,
+    label: 'Markdown',
+    description: 'Markdown files and ZIP bundles made with Export.',
+    accept: '.md,.markdown,.zip',
+  },
+];
+
+const STATUS_LABELS = {
+  new: 'New',
+  renamed: 'Renamed',
+  skipped: 'Skipped',
+};
+
+// Picked as the target for a new instance
+const NEW_INSTANCE = 'new';
+
+/**
+ * Import Wizard Modal Component
+ * Imports notes from other tools into an instance: pick a source, check a dry run of
+ * where every note goes and what happens to taken titles, then import
+ */
+export default function ImportWizardModal({ isOpen, onClose }) {
+  const navigate = useNavigate();
+  const { instances, createInstance } = useInstanceStore();
+  const { isBusy, error, clearError, previewImport, runImport } = useNoteTransfer();
+
+  // 'source', 'preview', 'importing' or 'done'
+  const [step, setStep] = useState('source');
+  const [source, setSource] = useState(IMPORT_SOURCES.OBSIDIAN);
+  const [files, setFiles] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [policy, setPolicy] = useState(IMPORT_CONFLICT_POLICIES.RENAME);
+  const [defaultContainerName, setDefaultContainerName] = useState(
+    NOTE_TRANSFER.DEFAULT_CONTAINER_NAME
+  );
+  const [targetId, setTargetId] = useState(NEW_INSTANCE);
+  const [instanceName, setInstanceName] = useState('');
+  const [targetError, setTargetError] = useState('');
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState(null);
+
+  // Start over every time the wizard opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setStep('source');
+    setFiles([]);
+    setPreview(null);
+    setResult(null);
+    setTargetError('');
+    clearError();
+  }, [isOpen, clearError]);
+
+  const sourceOption = SOURCE_OPTIONS.find((option) => option.value === source);
+
+  const plan = useMemo(
+    () => (preview ? planImport(preview.notes, preview.existingNotes, policy) : []),
+    [preview, policy]
+  );
+
+  // Preview of the notes by the container they go into
+  const groups = useMemo(() => {
+    const byContainer = new Map();
+    plan.forEach((note) => {
+      const name = note.containerName || defaultContainerName.trim() || '(no name)';
+      if (!byContainer.has(name)) byContainer.set(name, []);
+      byContainer.get(name).push(note);
+    });
+    return [...byContainer.entries()];
+  }, [plan, defaultContainerName]);
+
+  const counts = useMemo(
+    () =>
+      plan.reduce((totals, note) => ({ ...totals, [note.status]: totals[note.status] + 1 }), {
+        new: 0,
+        renamed: 0,
+        skipped: 0,
+      }),
+    [plan]
+  );
+
+  const hasLooseNotes = plan.some((note) => !note.containerName);
+
+  const handleClose = () => {
+    if (step !== 'importing') {
+      onClose();
+    }
+  };
+
+  const handleSourceChange = (value) => {
+    setSource(value);
+    setFiles([]);
+    clearError();
+  };
+
+  const handleFilesChange = (e) => {
+    setFiles(Array.from(e.target.files || []));
+    clearError();
+  };
+
+  const handlePreview = async () => {
+    const response = await previewImport(source, files);
+    if (!response.success) return;
+
+    setPreview(response);
+    setTargetId(NEW_INSTANCE);
+    setInstanceName(response.name || `${sourceOption.label} import`);
+    setStep('preview');
+  };
+
+  const handleImport = async () => {
+    setTargetError('');
+
+    let instanceId = targetId;
+    if (targetId === NEW_INSTANCE) {
+      const name = instanceName.trim();
+      if (name.length < 3 || name.length > 50) {
+        setTargetError('Instance name must be between 3 and 50 characters');
+        return;
+      }
+
+      const created = await createInstance(name);
+      if (!created.success) {
+        setTargetError(created.error || 'Failed to create instance');
+        return;
+      }
+      instanceId = created.instance.id;
+      setTargetId(instanceId);
+    }
+
+    setProgress({ done: 0, total: counts.new + counts.renamed });
+    setStep('importing');
+
+    const response = await runImport(instanceId, plan, {
+      files: preview.files,
+      defaultContainerName: defaultContainerName.trim() || NOTE_TRANSFER.DEFAULT_CONTAINER_NAME,
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+
+    if (response.success) {
+      setResult({ ...response, instanceId });
+      setStep('done');
+    } else {
+      setStep('preview');
+    }
+  };
+
+  const handleOpenInstance = () => {
+    onClose();
+    navigate(`/instance/${result.instanceId}`);
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      className={styles.modal}
+      closeOnOverlayClick={step !== 'importing'}
+    >
+      <ModalHeader onClose={handleClose}>Import Notes</ModalHeader>
+
+      <ModalBody className={styles.body}>
+        {error && <p className={styles.error}>{error}</p>}
+
+        {step === 'source' && (
+          <>
+            <fieldset className={styles.sources}>
+              <legend className={styles.legend}>Import from</legend>
+              {SOURCE_OPTIONS.map((option) => (
+                <label
+                  key={option.value}
+                  className={`${styles.sourceOption} ${
+                    option.value === source ? styles.selected : ''
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="import-source"
+                    value={option.value}
+                    checked={option.value === source}
+                    onChange={() => handleSourceChange(option.value)}
+                  />
+                  <span>
+                    <span className={styles.sourceLabel}>{option.label}</span>
+                    <span className={styles.hint}>{option.description}</span>
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+
+            <label className={styles.field}>
+              {sourceOption.directory ? 'Vault folder' : 'Files'}
+              {/* Re-created per source so the picked files are cleared */}
+              <input
+                key={source}
+                type="file"
+                onChange={handleFilesChange}
+                accept={sourceOption.accept}
+                multiple
+                {...(sourceOption.directory ? { webkitdirectory: '' } : {})}
+                className={styles.fileInput}
+              />
+            </label>
+          </>
+        )}
+
+        {step === 'preview' && (
+          <>
+            <p className={styles.summary}>
+              {plan.length} {plan.length === 1 ? 'note' : 'notes'} in {groups.length}{' '}
+              {groups.length === 1 ? 'container' : 'containers'}: {counts.new} new, {counts.renamed}{' '}
+              renamed, {counts.skipped} skipped. Nothing has been imported yet.
+            </p>
+
+            <div className={styles.options}>
+              <label className={styles.field}>
+                Import into
+                <select
+                  value={targetId}
+                  onChange={(e) => setTargetId(e.target.value)}
+                  className={styles.select}
+                >
+                  <option value={NEW_INSTANCE}>A new instance</option>
+                  {instances.map((instance) => (
+                    <option key={instance.id} value={instance.id}>
+                      {instance.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {targetId === NEW_INSTANCE && (
+                <label className={styles.field}>
+                  Instance name
+                  <input
+                    type="text"
+                    value={instanceName}
+                    onChange={(e) => setInstanceName(e.target.value)}
+                    className={styles.input}
+                  />
+                </label>
+              )}
+
+              <label className={styles.field}>
+                Titles that are taken
+                <select
+                  value={policy}
+                  onChange={(e) => setPolicy(e.target.value)}
+                  className={styles.select}
+                >
+                  <option value={IMPORT_CONFLICT_POLICIES.RENAME}>Import with a new title</option>
+                  <option value={IMPORT_CONFLICT_POLICIES.SKIP}>Skip the note</option>
+                </select>
+              </label>
+
+              {hasLooseNotes && (
+                <label className={styles.field}>
+                  Container for notes outside folders
+                  <input
+                    type="text"
+                    value={defaultContainerName}
+                    onChange={(e) => setDefaultContainerName(e.target.value)}
+                    className={styles.input}
+                  />
+                </label>
+              )}
+            </div>
+
+            {targetError && <p className={styles.error}>{targetError}</p>}
+
+            <div className={styles.preview}>
+              {groups.map(([containerName, notes]) => (
+                <section key={containerName} className={styles.group}>
+                  <h3 className={styles.groupTitle}>
+                    {containerName} <span className={styles.count}>{notes.length}</span>
+                  </h3>
+                  <ul className={styles.noteList}>
+                    {notes.map((note) => (
+                      <li key={note.key} className={styles.note}>
+                        <span className={styles.noteTitle}>
+                          {note.status === 'renamed'
+                            ? `${note.originalTitle} → ${note.title}`
+                            : note.title}
+                        </span>
+                        <span className={`${styles.badge} ${styles[note.status]}`}>
+                          {STATUS_LABELS[note.status]}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              ))}
+            </div>
+          </>
+        )}
+
+        {step === 'importing' && (
+          <div className={styles.progress}>
+            <p>
+              Importing {progress.done} of {progress.total} notes...
+            </p>
+            <progress value={progress.done} max={progress.total || 1} className={styles.bar} />
+          </div>
+        )}
+
+        {step === 'done' && result && (
+          <div className={styles.result}>
+            <p className={styles.summary}>
+              Imported {result.imported.length} {result.imported.length === 1 ? 'note' : 'notes'}
+              {result.skipped.length > 0 && `, skipped ${result.skipped.length}`}.
+            </p>
+            {result.failed.length > 0 && (
+              <>
+                <p className={styles.error}>
+                  {result.failed.length} {result.failed.length === 1 ? 'note' : 'notes'} had
+                  problems:
+                </p>
+                <ul className={styles.noteList}>
+                  {result.failed.map((failure, index) => (
+                    <li key={index} className={styles.note}>
+                      <span className={styles.noteTitle}>{failure.title}</span>
+                      <span className={styles.hint}>{failure.error}</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+      </ModalBody>
+
+      <ModalFooter>
+        {step === 'source' && (
+          <>
+            <GlassButton variant="ghost" onClick={handleClose} disabled={isBusy}>
+              Cancel
+            </GlassButton>
+            <GlassButton
+              variant="primary"
+              onClick={handlePreview}
+              loading={isBusy}
+              disabled={files.length === 0 || isBusy}
+            >
+              Preview
+            </GlassButton>
+          </>
+        )}
+        {step === 'preview' && (
+          <>
+            <GlassButton variant="ghost" onClick={() => setStep('source')}>
+              Back
+            </GlassButton>
+            <GlassButton
+              variant="primary"
+              onClick={handleImport}
+              disabled={counts.new + counts.renamed === 0}
+            >
+              Import {counts.new + counts.renamed}{' '}
+              {counts.new + counts.renamed === 1 ? 'note' : 'notes'}
+            </GlassButton>
+          </>
+        )}
+        {step === 'importing' && (
+          <GlassButton variant="primary" loading disabled>
+            Importing
+          </GlassButton>
+        )}
+        {step === 'done' && (
+          <>
+            <GlassButton variant="ghost" onClick={handleClose}>
+              Close
+            </GlassButton>
+            <GlassButton variant="primary" onClick={handleOpenInstance}>
+              Open instance
+            </GlassButton>
+          </>
+        )}
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+ImportWizardModal.propTypes = {
+  /** Whether the modal is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when modal should close */
+  onClose: PropTypes.func.isRequired,
+};
@@ -2,6 +2,7 @@ import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import useInstanceStore from '../../store/useInstanceStore';
 import InstanceCard from './InstanceCard';
 import CreateInstanceModal from './CreateInstanceModal';
+import ImportWizardModal from './ImportWizardModal';
 import LoadingSpinner, { CardSkeleton } from '../LoadingSpinner';
 import styles from './InstancesGrid.module.css';
 
@@ -19,6 +20,7 @@ export default function InstancesGrid({ searchQuery = '' }) {
     isLoading,
   } = useInstanceStore();
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
 
   // Fetch instances on mount
   useEffect(() => {
@@ -84,26 +86,48 @@ export default function InstancesGrid({ searchQuery = '' }) {
               {searchQuery && ' found'}
             </p>
           </div>
-          <button
-            onClick={() => setIsCreateModalOpen(true)}
-            className={styles.createButton}
-            aria-label="Create new instance"
-          >
-            <svg
-              className={styles.createButtonIcon}
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
+          <div className={styles.headerActions}>
+            <button
+              onClick={() => setIsImportModalOpen(true)}
+              className={styles.importButton}
+              aria-label="Import notes from other apps"
             >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M12 4v16m8-8H4"
-              />
-            </svg>
-            <span>New Instance</span>
-          </button>
+              <svg
+                className={styles.createButtonIcon}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4 4m0 0l-4-4m4 4V4"
+                />
+              </svg>
+              <span>Import</span>
+            </button>
+            <button
+              onClick={() => setIsCreateModalOpen(true)}
+              className={styles.createButton}
+              aria-label="Create new instance"
+            >
+              <svg
+                className={styles.createButtonIcon}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M12 4v16m8-8H4"
+                />
+              </svg>
+              <span>New Instance</span>
+            </button>
+          </div>
         </div>
       </div>
 
@@ -214,6 +238,9 @@ export default function InstancesGrid({ searchQuery = '' }) {
           onSuccess={handleCreateSuccess}
         />
       )}
+
+      {/* Import Wizard Modal */}
+      <ImportWizardModal isOpen={isImportModalOpen} onClose={() => setIsImportModalOpen(false)} />
     </div>
   );
 }
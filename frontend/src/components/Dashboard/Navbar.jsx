@@ -3,11 +3,14 @@ import { useNavigate } from 'react-router-dom';
 import useAuthStore from '../../store/useAuthStore';
 import useNotificationStore from '../../store/useNotificationStore';
 import NotificationDropdown from '../NotificationDropdown';
+import { SearchPalette } from '../Search';
+import useKeyboardShortcuts from '../../hooks/useKeyboardShortcuts';
 import styles from './Navbar.module.css';
 
 /**
  * Dashboard Navbar Component
- * Displays navigation bar with logo, search, profile, and notifications
+ * Displays navigation bar with logo, search, profile, and notifications. Ctrl+K (or the
+ * search button) opens the palette searching the notes of all instances.
  * Requirements: 4.4, 19.1, 19.3, 20.4
  */
 export default function DashboardNavbar({ onSearch, showSearch = true, hideProfile = false }) {
@@ -19,6 +22,12 @@ export default function DashboardNavbar({ onSearch, showSearch = true, hideProfi
   const [isProfileOpen, setIsProfileOpen] = useState(false);
   const [isNotificationsOpen, setIsNotificationsOpen] = useState(false);
   const [isScrolled, setIsScrolled] = useState(false);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+
+  // Search all notes from anywhere on the page
+  useKeyboardShortcuts({
+    'ctrl+k': () => setIsSearchOpen(true),
+  });
 
   // Track scroll position for shadow effect
   useEffect(() => {
@@ -141,6 +150,29 @@ export default function DashboardNavbar({ onSearch, showSearch = true, hideProfi
 
           {/* Action Icons */}
           <div className={styles.actions}>
+            {/* Search all notes */}
+            <button
+              onClick={() => setIsSearchOpen(true)}
+              className={styles.actionButton}
+              aria-label="Search all notes"
+              aria-keyshortcuts="Control+K"
+              title="Search all notes (Ctrl+K)"
+            >
+              <svg
+                className={styles.actionButtonIcon}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M9 12h6m-6 4h3m5 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V11m-1 9l2 2m-5-3.5a2.5 2.5 0 105 0 2.5 2.5 0 00-5 0z"
+                />
+              </svg>
+            </button>
+
             {/* Friends */}
             <button
               onClick={() => navigate('/friends')}
@@ -163,6 +195,28 @@ export default function DashboardNavbar({ onSearch, showSearch = true, hideProfi
               </svg>
             </button>
 
+            {/* Study Decks */}
+            <button
+              onClick={() => navigate('/decks')}
+              className={styles.actionButton}
+              aria-label="Study decks"
+              title="Study decks"
+            >
+              <svg
+                className={styles.actionButtonIcon}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253"
+                />
+              </svg>
+            </button>
+
             {/* Settings */}
             <button
               onClick={() => navigate('/settings')}
@@ -252,78 +306,80 @@ export default function DashboardNavbar({ onSearch, showSearch = true, hideProfi
         </div>
       </nav>
 
+      <SearchPalette isOpen={isSearchOpen} onClose={() => setIsSearchOpen(false)} />
+
       {/* Profile Section - Outside navbar */}
       {!hideProfile && (
         <div className={`profile-dropdown-container ${styles.profileWrapper}`}>
-        <button
-          onClick={toggleProfileDropdown}
-          className={styles.profileButton}
-          aria-label="User menu"
-          aria-expanded={isProfileOpen}
-          title="Profile menu"
-        >
-          <img
-            src={
-              user?.avatar ||
-              `https://ui-avatars.com/api/?name=${encodeURIComponent(user?.name || 'User')}&background=B3E5FC&color=355C7D`
-            }
-            alt={user?.name || 'User'}
-            className={styles.profileAvatar}
-          />
-          <span className={styles.profileName}>{user?.name || 'User'}</span>
-        </button>
+          <button
+            onClick={toggleProfileDropdown}
+            className={styles.profileButton}
+            aria-label="User menu"
+            aria-expanded={isProfileOpen}
+            title="Profile menu"
+          >
+            <img
+              src={
+                user?.avatar ||
+                `https://ui-avatars.com/api/?name=${encodeURIComponent(user?.name || 'User')}&background=B3E5FC&color=355C7D`
+              }
+              alt={user?.name || 'User'}
+              className={styles.profileAvatar}
+            />
+            <span className={styles.profileName}>{user?.name || 'User'}</span>
+          </button>
 
-        {isProfileOpen && (
-          <div className={styles.profileDropdown}>
-            <div className={styles.profileInfo}>
-              <p className={styles.profileInfoName}>{user?.name}</p>
-              <p className={styles.profileInfoEmail}>{user?.email}</p>
-            </div>
-            <div className={styles.profileMenu}>
-              <button
-                onClick={() => {
-                  navigate('/profile');
-                  setIsProfileOpen(false);
-                }}
-                className={styles.profileMenuItem}
-              >
-                <svg
-                  className={styles.profileMenuItemIcon}
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
+          {isProfileOpen && (
+            <div className={styles.profileDropdown}>
+              <div className={styles.profileInfo}>
+                <p className={styles.profileInfoName}>{user?.name}</p>
+                <p className={styles.profileInfoEmail}>{user?.email}</p>
+              </div>
+              <div className={styles.profileMenu}>
+                <button
+                  onClick={() => {
+                    navigate('/profile');
+                    setIsProfileOpen(false);
+                  }}
+                  className={styles.profileMenuItem}
                 >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"
-                  />
-                </svg>
-                Profile Settings
-              </button>
-              <button
-                onClick={handleLogout}
-                className={`${styles.profileMenuItem} ${styles.profileMenuItemLogout}`}
-              >
-                <svg
-                  className={styles.profileMenuItemIcon}
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
+                  <svg
+                    className={styles.profileMenuItemIcon}
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"
+                    />
+                  </svg>
+                  Profile Settings
+                </button>
+                <button
+                  onClick={handleLogout}
+                  className={`${styles.profileMenuItem} ${styles.profileMenuItemLogout}`}
                 >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1"
-                  />
-                </svg>
-                Sign Out
-              </button>
+                  <svg
+                    className={styles.profileMenuItemIcon}
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1"
+                    />
+                  </svg>
+                  Sign Out
+                </button>
+              </div>
             </div>
-          </div>
-        )}
+          )}
         </div>
       )}
     </>
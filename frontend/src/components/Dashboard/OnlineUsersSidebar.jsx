@@ -8,9 +8,14 @@ import { useSwipeGesture } from '../../hooks';
  * Requirements: 4.5, 15.3, 15.4, 16.3
  */
 export default function OnlineUsersSidebar({ isCollapsed = false, onToggle }) {
-  const { friends, onlineStatuses, isUserOnline } = useFriendStore();
+  const { friends, onlineStatuses, isUserOnline, syncFriends } = useFriendStore();
   const [isMobileCollapsed, setIsMobileCollapsed] = useState(true);
 
+  // Load friends from the server
+  useEffect(() => {
+    syncFriends();
+  }, [syncFriends]);
+
   // Swipe gesture support for mobile
   const swipeRef = useSwipeGesture({
     onSwipeRight: () => {
@@ -21,7 +26,7 @@ export default function OnlineUsersSidebar({ isCollapsed = false, onToggle }) {
   });
 
   // Get online friends
-  const onlineFriends = friends.filter((friend) => isUserOnline(friend.friendId || friend.userId));
+  const onlineFriends = friends.filter((friend) => isUserOnline(friend.friendId || friend.id));
 
   // Handle mobile responsiveness
   useEffect(() => {
@@ -149,7 +154,7 @@ export default function OnlineUsersSidebar({ isCollapsed = false, onToggle }) {
             ) : (
               <ul className="space-y-2" role="list">
                 {onlineFriends.map((friend) => {
-                  const status = onlineStatuses.get(friend.friendId || friend.userId);
+                  const status = onlineStatuses.get(friend.friendId || friend.id);
                   return (
                     <li key={friend.id}>
                       <div
@@ -4,3 +4,4 @@ export { default as InstanceCard } from './InstanceCard';
 export { default as CreateInstanceModal } from './CreateInstanceModal';
 export { default as InstancesGrid } from './InstancesGrid';
 export { default as ProductivityToolbar } from './ProductivityToolbar';
+export { default as ImportWizardModal } from './ImportWizardModal';
@@ -7,7 +7,7 @@ import styles from './FriendCard.module.css';
  * Displays friend information with online status and action buttons
  * Requirements: 11.5, 15.3, 15.4
  */
-const FriendCard = memo(function FriendCard({ friend, onShareNote, onRemove }) {
+const FriendCard = memo(function FriendCard({ friend, onShareNote, onRemove, onBlock }) {
   const { isUserOnline } = useFriendStore();
 
   const { id, name, email, avatar, friendId } = friend;
@@ -30,6 +30,17 @@ const FriendCard = memo(function FriendCard({ friend, onShareNote, onRemove }) {
     }
   }, [onRemove, id, name, email]);
 
+  const handleBlock = useCallback(() => {
+    if (onBlock) {
+      const confirmed = window.confirm(
+        `Block ${name || email}? This also removes them from your friends.`
+      );
+      if (confirmed) {
+        onBlock(id);
+      }
+    }
+  }, [onBlock, id, name, email]);
+
   // Get initials for avatar fallback - memoized
   const initials = useMemo(() => {
     if (name) {
@@ -119,6 +130,31 @@ const FriendCard = memo(function FriendCard({ friend, onShareNote, onRemove }) {
               />
             </svg>
           </button>
+
+          {/* Block Button */}
+          {onBlock && (
+            <button
+              onClick={handleBlock}
+              className={`${styles.actionButton} ${styles.removeButton}`}
+              aria-label="Block user"
+              title="Block"
+            >
+              <svg
+                className={styles.actionIcon}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+                aria-hidden="true"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636"
+                />
+              </svg>
+            </button>
+          )}
         </div>
       </div>
     </div>
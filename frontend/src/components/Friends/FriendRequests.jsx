@@ -5,7 +5,8 @@ import styles from './FriendRequests.module.css';
 
 /**
  * Friend Requests Component
- * Displays pending friend requests with accept/reject actions
+ * Displays pending friend requests with accept/reject/block actions, and the users
+ * you blocked so they can be unblocked
  * Requirements: 11.2, 11.3, 11.4
  */
 export default function FriendRequests() {
@@ -14,6 +15,10 @@ export default function FriendRequests() {
     fetchFriendRequests,
     acceptFriendRequest,
     rejectFriendRequest,
+    blockedUsers,
+    fetchBlockedUsers,
+    blockUser,
+    unblockUser,
     isLoading,
     error,
   } = useFriendStore();
@@ -21,10 +26,11 @@ export default function FriendRequests() {
 
   useEffect(() => {
     fetchFriendRequests();
+    fetchBlockedUsers();
 
     // Listen for new friend requests via WebSocket
     const handleFriendAdded = (data) => {
-      useFriendStore.getState().handleFriendRequest(data);
+      useFriendStore.getState().handleFriendAdded(data);
     };
 
     on('friend:added', handleFriendAdded);
@@ -32,7 +38,7 @@ export default function FriendRequests() {
     return () => {
       off('friend:added', handleFriendAdded);
     };
-  }, [fetchFriendRequests, on, off]);
+  }, [fetchFriendRequests, fetchBlockedUsers, on, off]);
 
   const handleAccept = async (requestId) => {
     const result = await acceptFriendRequest(requestId);
@@ -48,6 +54,15 @@ export default function FriendRequests() {
     }
   };
 
+  const handleBlock = async (request) => {
+    const confirmed = window.confirm(
+      `Block ${request.name || request.email}? They won't be able to send you friend requests.`
+    );
+    if (confirmed) {
+      await blockUser(request.userId);
+    }
+  };
+
   // Get initials for avatar fallback
   const getInitials = (name, email) => {
     if (name) {
@@ -174,12 +189,56 @@ export default function FriendRequests() {
                   >
                     Reject
                   </button>
+
+                  {/* Block Button */}
+                  <button
+                    onClick={() => handleBlock(request)}
+                    className={styles.blockButton}
+                    aria-label="Block user"
+                  >
+                    Block
+                  </button>
                 </div>
               </div>
             </div>
           ))}
         </div>
       )}
+
+      {/* Blocked Users */}
+      {blockedUsers.length > 0 && (
+        <section className={styles.blocked}>
+          <h3 className={styles.blockedTitle}>Blocked</h3>
+          <div className={styles.list}>
+            {blockedUsers.map((user) => (
+              <div key={user.id} className={styles.requestCard}>
+                <div className={styles.requestContent}>
+                  <div className={styles.requestInfo}>
+                    <div className={styles.avatarWrapper}>
+                      <div className={styles.avatarFallback}>
+                        {getInitials(user.name, user.email)}
+                      </div>
+                    </div>
+                    <div className={styles.userInfo}>
+                      <h3 className={styles.userName}>{user.name || 'Unknown User'}</h3>
+                      <p className={styles.userEmail}>{user.email}</p>
+                    </div>
+                  </div>
+                  <div className={styles.actions}>
+                    <button
+                      onClick={() => unblockUser(user.id)}
+                      className={styles.rejectButton}
+                      aria-label={`Unblock ${user.name || user.email}`}
+                    >
+                      Unblock
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
     </div>
   );
 }
@@ -0,0 +1,117 @@
+import { useEffect, useState } from 'react';
+import useFriendStore from '../../store/useFriendStore';
+import styles from './FriendSuggestions.module.css';
+
+/**
+ * Friend Suggestions Component
+ * Lists people you may know (friends of friends and members of your instances)
+ * with a button to send each a friend request
+ */
+export default function FriendSuggestions() {
+  const { suggestions, fetchSuggestions, sendFriendRequest, isLoadingSuggestions } =
+    useFriendStore();
+  const [pendingId, setPendingId] = useState(null);
+  const [sentIds, setSentIds] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, [fetchSuggestions]);
+
+  const handleAdd = async (user) => {
+    setPendingId(user.id);
+    setError(null);
+
+    const result = await sendFriendRequest(user.email);
+
+    setPendingId(null);
+    if (result.success) {
+      setSentIds((ids) => [...ids, user.id]);
+    } else {
+      setError(result.error || 'Failed to send friend request');
+    }
+  };
+
+  // Why a suggestion is shown, e.g. "2 mutual friends · 1 shared instance"
+  const getReason = ({ mutualFriends, sharedInstances }) =>
+    [
+      mutualFriends > 0 && `${mutualFriends} mutual ${mutualFriends === 1 ? 'friend' : 'friends'}`,
+      sharedInstances > 0 &&
+        `${sharedInstances} shared ${sharedInstances === 1 ? 'instance' : 'instances'}`,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+
+  // Get initials for avatar fallback
+  const getInitials = (name, email) => {
+    if (name) {
+      return name
+        .split(' ')
+        .map((n) => n[0])
+        .join('')
+        .toUpperCase()
+        .slice(0, 2);
+    }
+    return email ? email[0].toUpperCase() : '?';
+  };
+
+  if (isLoadingSuggestions && suggestions.length === 0) {
+    return (
+      <div className={styles.loading}>
+        <div className={styles.spinner}></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      {error && (
+        <div className={styles.error}>
+          <p className={styles.errorText}>{error}</p>
+        </div>
+      )}
+
+      {suggestions.length === 0 ? (
+        <div className={styles.empty}>
+          <h3 className={styles.emptyTitle}>No suggestions right now</h3>
+          <p className={styles.emptyDescription}>
+            People your friends know and members of your instances show up here
+          </p>
+        </div>
+      ) : (
+        <div className={styles.list}>
+          {suggestions.map((user) => (
+            <div key={user.id} className={styles.card}>
+              <div className={styles.avatarWrapper}>
+                {user.avatar ? (
+                  <img src={user.avatar} alt={user.name || user.email} className={styles.avatar} />
+                ) : (
+                  <div className={styles.avatarFallback}>{getInitials(user.name, user.email)}</div>
+                )}
+              </div>
+
+              <div className={styles.userInfo}>
+                <h3 className={styles.userName}>{user.name || 'Unknown User'}</h3>
+                <p className={styles.userEmail}>{user.email}</p>
+                <p className={styles.reason}>{getReason(user)}</p>
+              </div>
+
+              <button
+                onClick={() => handleAdd(user)}
+                className={styles.addButton}
+                disabled={pendingId === user.id || sentIds.includes(user.id)}
+                aria-label={`Send friend request to ${user.name || user.email}`}
+              >
+                {sentIds.includes(user.id)
+                  ? 'Request sent'
+                  : pendingId === user.id
+                    ? 'Sending...'
+                    : 'Add friend'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
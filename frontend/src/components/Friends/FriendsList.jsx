@@ -10,7 +10,7 @@ import styles from './FriendsList.module.css';
  * Requirements: 11.1, 11.5
  */
 export default function FriendsList({ onShareNote }) {
-  const { friends, fetchFriends, removeFriend, isLoading, error } = useFriendStore();
+  const { friends, fetchFriends, removeFriend, blockUser, isLoading, error } = useFriendStore();
   const [searchQuery, setSearchQuery] = useState('');
   const containerRef = useRef(null);
   const [containerWidth, setContainerWidth] = useState(0);
@@ -42,6 +42,13 @@ export default function FriendsList({ onShareNote }) {
     [removeFriend]
   );
 
+  const handleBlockFriend = useCallback(
+    async (friendId) => {
+      await blockUser(friendId);
+    },
+    [blockUser]
+  );
+
   // Filter and sort friends - memoized
   const sortedFriends = useMemo(() => {
     const filtered = friends.filter((friend) => {
@@ -90,6 +97,7 @@ export default function FriendsList({ onShareNote }) {
                   friend={leftFriend}
                   onShareNote={onShareNote}
                   onRemove={handleRemoveFriend}
+                  onBlock={handleBlockFriend}
                 />
               </div>
             )}
@@ -99,6 +107,7 @@ export default function FriendsList({ onShareNote }) {
                   friend={rightFriend}
                   onShareNote={onShareNote}
                   onRemove={handleRemoveFriend}
+                  onBlock={handleBlockFriend}
                 />
               </div>
             )}
@@ -108,12 +117,17 @@ export default function FriendsList({ onShareNote }) {
         const friend = sortedFriends[index];
         return (
           <div style={style} className={styles.virtualRowSingle}>
-            <FriendCard friend={friend} onShareNote={onShareNote} onRemove={handleRemoveFriend} />
+            <FriendCard
+              friend={friend}
+              onShareNote={onShareNote}
+              onRemove={handleRemoveFriend}
+              onBlock={handleBlockFriend}
+            />
           </div>
         );
       }
     },
-    [sortedFriends, useDoubleColumn, onShareNote, handleRemoveFriend]
+    [sortedFriends, useDoubleColumn, onShareNote, handleRemoveFriend, handleBlockFriend]
   );
 
   if (isLoading) {
@@ -216,6 +230,7 @@ export default function FriendsList({ onShareNote }) {
                   friend={friend}
                   onShareNote={onShareNote}
                   onRemove={handleRemoveFriend}
+                  onBlock={handleBlockFriend}
                 />
               ))}
             </div>
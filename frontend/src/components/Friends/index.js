@@ -6,5 +6,6 @@
 export { default as FriendCard } from './FriendCard';
 export { default as FriendsList } from './FriendsList';
 export { default as FriendRequests } from './FriendRequests';
+export { default as FriendSuggestions } from './FriendSuggestions';
 export { default as SharedWithMe } from './SharedWithMe';
 export { default as ShareNoteModal } from './ShareNoteModal';
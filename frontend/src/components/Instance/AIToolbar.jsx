@@ -1,18 +1,28 @@
 import { useState } from 'react';
+import clsx from 'clsx';
 import aiApi from '../../api/aiApi';
 import useInstanceStore from '../../store/useInstanceStore';
+import useAIStream from '../../hooks/useAIStream';
 import styles from './AIToolbar.module.css';
 
 /**
  * AI Toolbar Component
- * Provides AI-powered tools for instance-level summarization and assistance
+ * Provides AI-powered tools for instance-level summarization and assistance.
+ * Answers are shown as they stream in and can be stopped, keeping the partial text.
  * Requirements: 14.3, 14.4
  */
 export default function AIToolbar({ instanceId }) {
   const { currentInstance, instances } = useInstanceStore();
-  const [isLoading, setIsLoading] = useState(false);
+  const {
+    text: aiResult,
+    isStreaming: isLoading,
+    error: streamError,
+    stopped,
+    start,
+    stop,
+    reset,
+  } = useAIStream();
   const [showPanel, setShowPanel] = useState(false);
-  const [aiResult, setAiResult] = useState(null);
   const [aiResultType, setAiResultType] = useState(null); // 'summary' or 'assist'
   const [assistPrompt, setAssistPrompt] = useState('');
   const [showAssistInput, setShowAssistInput] = useState(false);
@@ -33,21 +43,11 @@ export default function AIToolbar({ instanceId }) {
       return;
     }
 
-    setIsLoading(true);
     setError(null);
     setShowPanel(true);
     setAiResultType('summary');
-    setAiResult(null);
 
-    try {
-      const response = await aiApi.summarizeInstance(instance.id);
-      setAiResult(response.data.summary || response.data);
-    } catch (err) {
-      console.error('Error summarizing instance:', err);
-      setError(err.response?.data?.message || 'Failed to generate summary. Please try again.');
-    } finally {
-      setIsLoading(false);
-    }
+    await start((options) => aiApi.streamInstanceSummary(instance.id, options));
   };
 
   /**
@@ -60,24 +60,16 @@ export default function AIToolbar({ instanceId }) {
       return;
     }
 
-    setIsLoading(true);
     setError(null);
     setShowPanel(true);
     setAiResultType('assist');
-    setAiResult(null);
 
-    try {
-      // Use instance context for better AI responses
-      const context = instance?.name ? `Instance: ${instance.name}` : '';
-      const response = await aiApi.assist(assistPrompt, context);
-      setAiResult(response.data.content || response.data);
+    // Use instance context for better AI responses
+    const context = instance?.name ? `Instance: ${instance.name}` : '';
+    const result = await start((options) => aiApi.streamAssist(assistPrompt, context, options));
+    if (result.success) {
       setAssistPrompt('');
       setShowAssistInput(false);
-    } catch (err) {
-      console.error('Error getting AI assistance:', err);
-      setError(err.response?.data?.message || 'Failed to generate content. Please try again.');
-    } finally {
-      setIsLoading(false);
     }
   };
 
@@ -93,8 +85,8 @@ export default function AIToolbar({ instanceId }) {
    * Close the AI results panel
    */
   const closePanel = () => {
+    reset();
     setShowPanel(false);
-    setAiResult(null);
     setError(null);
     setAiResultType(null);
   };
@@ -104,10 +96,8 @@ export default function AIToolbar({ instanceId }) {
    */
   const copyToClipboard = () => {
     if (aiResult) {
-      const textToCopy =
-        typeof aiResult === 'string' ? aiResult : JSON.stringify(aiResult, null, 2);
       navigator.clipboard
-        .writeText(textToCopy)
+        .writeText(aiResult)
         .then(() => {
           // Show temporary success feedback
           const button = document.getElementById('copy-button');
@@ -263,7 +253,20 @@ export default function AIToolbar({ instanceId }) {
                 <h3 className={styles.resultsTitle}>
                   {aiResultType === 'summary' ? 'Instance Summary' : 'AI Generated Content'}
                 </h3>
-                {aiResult && (
+                {isLoading && (
+                  <button onClick={stop} className={styles.copyButton} aria-label="Stop generating">
+                    <svg
+                      className={styles.copyIcon}
+                      fill="currentColor"
+                      viewBox="0 0 24 24"
+                      aria-hidden="true"
+                    >
+                      <rect x="6" y="6" width="12" height="12" rx="2" />
+                    </svg>
+                    Stop
+                  </button>
+                )}
+                {aiResult && !isLoading && (
                   <button
                     id="copy-button"
                     onClick={copyToClipboard}
@@ -289,8 +292,8 @@ export default function AIToolbar({ instanceId }) {
                 )}
               </div>
 
-              {/* Loading State */}
-              {isLoading && (
+              {/* Loading State - until the first words arrive */}
+              {isLoading && !aiResult && (
                 <div className={styles.loadingState}>
                   <div className={styles.loadingContent}>
                     <div className={styles.loadingSpinner} />
@@ -302,7 +305,7 @@ export default function AIToolbar({ instanceId }) {
               )}
 
               {/* Error State */}
-              {error && !isLoading && (
+              {(error || streamError) && !isLoading && (
                 <div className={styles.errorState}>
                   <div className={styles.errorContent}>
                     <svg
@@ -319,17 +322,18 @@ export default function AIToolbar({ instanceId }) {
                         d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                       />
                     </svg>
-                    <p className={styles.errorText}>{error}</p>
+                    <p className={styles.errorText}>{error || streamError}</p>
                   </div>
                 </div>
               )}
 
               {/* AI Result */}
-              {aiResult && !isLoading && (
-                <div className={styles.resultContent}>
-                  <div className={styles.resultText}>
-                    {typeof aiResult === 'string' ? aiResult : JSON.stringify(aiResult, null, 2)}
+              {aiResult && (
+                <div className={styles.resultContent} aria-live="polite" aria-busy={isLoading}>
+                  <div className={clsx(styles.resultText, isLoading && styles.streaming)}>
+                    {aiResult}
                   </div>
+                  {stopped && <p className={styles.stoppedNote}>Stopped before finishing.</p>}
                 </div>
               )}
             </div>
@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react';
 import useSocketStore from '../../store/useSocketStore';
 import useAuthStore from '../../store/useAuthStore';
+import useNoteStore from '../../store/useNoteStore';
 import { SOCKET_EVENTS } from '../../utils/constants';
+import { generateColorFromString } from '../../utils/helpers';
 import styles from './ActiveUsersPanel.module.css';
 
 /**
@@ -12,11 +14,14 @@ import styles from './ActiveUsersPanel.module.css';
  *
  * @param {Object} props
  * @param {string} props.noteId - ID of the note being edited
+ * @param {boolean} props.canFollow - Show "Follow" buttons that lock the whiteboard
+ *   viewport to another user's pan and zoom (default: false)
  */
-export default function ActiveUsersPanel({ noteId }) {
+export default function ActiveUsersPanel({ noteId, canFollow = false }) {
   const [activeUsers, setActiveUsers] = useState([]);
   const { isConnected, on, off, joinRoom, leaveRoom } = useSocketStore();
   const { user } = useAuthStore();
+  const { followingUserId, followUser } = useNoteStore();
 
   // Join note room and listen for user join/leave events
   useEffect(() => {
@@ -103,7 +108,11 @@ export default function ActiveUsersPanel({ noteId }) {
               {activeUser.avatar ? (
                 <img src={activeUser.avatar} alt={activeUser.name} className={styles.avatar} />
               ) : (
-                <div className={styles.avatarPlaceholder}>
+                // Same color as the user's cursor in the editor
+                <div
+                  className={styles.avatarPlaceholder}
+                  style={{ background: generateColorFromString(activeUser.id) }}
+                >
                   {activeUser.name?.charAt(0).toUpperCase() || 'U'}
                 </div>
               )}
@@ -116,6 +125,23 @@ export default function ActiveUsersPanel({ noteId }) {
               <p className={styles.userName}>{activeUser.name || 'Anonymous User'}</p>
               <p className={styles.userEmail}>{activeUser.email || 'Editing...'}</p>
             </div>
+
+            {/* Follow their whiteboard viewport */}
+            {canFollow && (
+              <button
+                type="button"
+                className={`${styles.followButton} ${
+                  followingUserId === activeUser.id ? styles.following : ''
+                }`}
+                onClick={() => followUser(followingUserId === activeUser.id ? null : activeUser.id)}
+                aria-pressed={followingUserId === activeUser.id}
+                aria-label={`${followingUserId === activeUser.id ? 'Stop following' : 'Follow'} ${
+                  activeUser.name || 'user'
+                }`}
+              >
+                {followingUserId === activeUser.id ? 'Following' : 'Follow'}
+              </button>
+            )}
           </div>
         ))}
       </div>
@@ -8,7 +8,12 @@ import clsx from 'clsx';
  * Displays container information with navigation to container page
  * Requirements: 7.3, 7.4, 8.6
  */
-const ContainerCard = memo(function ContainerCard({ container, instanceId, canEdit = true }) {
+const ContainerCard = memo(function ContainerCard({
+  container,
+  instanceId,
+  canEdit = true,
+  onRename,
+}) {
   const navigate = useNavigate();
 
   const { id, name, notes = [], updatedAt } = container;
@@ -20,6 +25,17 @@ const ContainerCard = memo(function ContainerCard({ container, instanceId, canEd
     }
   }, [canEdit, navigate, instanceId, id]);
 
+  const handleRename = useCallback(
+    (e) => {
+      e.stopPropagation();
+      const newName = prompt('Enter new container name:', name);
+      if (newName && newName.trim() !== '' && newName.trim() !== name) {
+        onRename(id, newName.trim());
+      }
+    },
+    [onRename, id, name]
+  );
+
   // Format date - memoized
   const formattedDate = useMemo(() => {
     if (!updatedAt) return 'Never';
@@ -75,6 +91,30 @@ const ContainerCard = memo(function ContainerCard({ container, instanceId, canEd
         <div className={styles.titleContainer}>
           <h3 className={styles.title}>{name}</h3>
         </div>
+        {canEdit && onRename && (
+          <button
+            onClick={handleRename}
+            onKeyDown={(e) => e.stopPropagation()}
+            className={styles.renameButton}
+            aria-label={`Rename container ${name}`}
+            title="Rename"
+          >
+            <svg
+              className={styles.renameIcon}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+              aria-hidden="true"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"
+              />
+            </svg>
+          </button>
+        )}
       </div>
 
       {/* Container Info */}
@@ -1,19 +1,35 @@
 import { useState, useEffect } from 'react';
+import clsx from 'clsx';
 import ContainerCard from './ContainerCard';
 import useInstanceStore from '../../store/useInstanceStore';
+import { useToast } from '../ToastContainer';
 import styles from './ContainersGrid.module.css';
 
 /**
  * Containers Grid Component
- * Displays containers in a grid layout with create functionality
+ * Displays containers in a grid layout with create functionality. Editors can rename
+ * containers and drag them (or use Alt + arrow keys) into another order, which is
+ * saved for everyone; reordering is off while searching.
  * Requirements: 7.1, 7.2, 7.5, 19.2, 19.3, 19.5
  */
 export default function ContainersGrid({ instanceId, canEdit = true, searchQuery = '' }) {
-  const { containers, fetchContainers, createContainer, isLoading } = useInstanceStore();
+  const {
+    containers,
+    fetchContainers,
+    createContainer,
+    renameContainer,
+    reorderContainers,
+    isLoading,
+  } = useInstanceStore();
+  const { showError } = useToast();
   const [isCreating, setIsCreating] = useState(false);
   const [newContainerName, setNewContainerName] = useState('');
   const [error, setError] = useState('');
   const [filteredContainers, setFilteredContainers] = useState([]);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const canReorder = canEdit && !searchQuery.trim() && containers.length > 1;
 
   useEffect(() => {
     if (instanceId) {
@@ -60,6 +76,54 @@ export default function ContainersGrid({ instanceId, canEdit = true, searchQuery
     setError('');
   };
 
+  const handleRename = async (id, name) => {
+    const result = await renameContainer(id, name);
+    if (!result.success) {
+      showError(result.error || 'Failed to rename container');
+    }
+  };
+
+  // Put a container at another position, taking the place of the container there
+  const moveContainer = async (containerId, index) => {
+    const ids = containers.map((container) => container.id);
+    const from = ids.indexOf(containerId);
+    if (from === -1) return;
+
+    ids.splice(from, 1);
+    ids.splice(Math.max(0, Math.min(index, ids.length)), 0, containerId);
+    if (ids.every((id, i) => id === containers[i].id)) return;
+
+    const result = await reorderContainers(instanceId, ids);
+    if (!result.success) {
+      showError(result.error || 'Failed to reorder containers');
+    }
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropIndex(null);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (draggedId) {
+      moveContainer(draggedId, index);
+    }
+    handleDragEnd();
+  };
+
+  const handleItemKeyDown = (e, containerId, index) => {
+    if (!canReorder || !e.altKey) return;
+
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      moveContainer(containerId, index - 1);
+    } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      moveContainer(containerId, index + 1);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className={styles.loadingContainer}>
@@ -80,6 +144,9 @@ export default function ContainersGrid({ instanceId, canEdit = true, searchQuery
               {filteredContainers.length === 1 ? 'container' : 'containers'} found
             </p>
           )}
+          {canReorder && (
+            <p className={styles.reorderHint}>Drag containers or press Alt + arrows to reorder</p>
+          )}
         </div>
         {canEdit && (
           <button
@@ -209,13 +276,37 @@ export default function ContainersGrid({ instanceId, canEdit = true, searchQuery
         </div>
       ) : filteredContainers.length > 0 ? (
         <div className={styles.grid}>
-          {filteredContainers.map((container) => (
-            <ContainerCard
+          {filteredContainers.map((container, index) => (
+            <div
               key={container.id}
-              container={container}
-              instanceId={instanceId}
-              canEdit={canEdit}
-            />
+              draggable={canReorder}
+              onDragStart={(e) => {
+                setDraggedId(container.id);
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', container.id);
+              }}
+              onDragOver={(e) => {
+                if (!draggedId) return;
+                e.preventDefault();
+                setDropIndex(index);
+              }}
+              onDrop={(e) => handleDrop(e, index)}
+              onDragEnd={handleDragEnd}
+              onKeyDown={(e) => handleItemKeyDown(e, container.id, index)}
+              className={clsx(
+                styles.gridItem,
+                canReorder && styles.reorderable,
+                draggedId === container.id && styles.dragging,
+                dropIndex === index && draggedId !== container.id && styles.dropTarget
+              )}
+            >
+              <ContainerCard
+                container={container}
+                instanceId={instanceId}
+                canEdit={canEdit}
+                onRename={handleRename}
+              />
+            </div>
           ))}
         </div>
       ) : null}
@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, ModalHeader, ModalBody, ModalFooter } from '../Modal';
+import GlassButton from '../GlassButton';
+import useFolderStore from '../../store/useFolderStore';
+import { ROLES, getFolderRole } from '../../utils/permissions';
+import styles from './FolderPermissionsModal.module.css';
+
+/**
+ * Folder Permissions Modal Component
+ * Sets the role each instance member has in a folder and the folders inside it.
+ * Members left on "Inherit" keep the role they have in the parent folder.
+ */
+export default function FolderPermissionsModal({ folder, instance, isOpen, onClose }) {
+  const { folders, setFolderPermissions } = useFolderStore();
+  const [roles, setRoles] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Instance owners can always do everything, so they're not listed
+  const members = (instance?.members || []).filter(
+    (member) => member.role !== ROLES.OWNER && member.userId !== instance?.ownerId
+  );
+
+  // Start from the folder's saved roles every time the modal opens
+  useEffect(() => {
+    if (!isOpen || !folder) return;
+
+    setRoles(
+      Object.fromEntries((folder.permissions || []).map(({ userId, role }) => [userId, role]))
+    );
+    setError(null);
+  }, [isOpen, folder]);
+
+  const handleSave = async () => {
+    if (!folder) return;
+
+    setIsSaving(true);
+    setError(null);
+
+    const permissions = Object.entries(roles)
+      .filter(([, role]) => role)
+      .map(([userId, role]) => ({ userId, role }));
+    const result = await setFolderPermissions(folder.id, permissions);
+
+    setIsSaving(false);
+
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error || 'Failed to save permissions');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} className={styles.modal}>
+      <ModalHeader onClose={onClose}>Folder Permissions</ModalHeader>
+
+      <ModalBody className={styles.body}>
+        {error && <p className={styles.error}>{error}</p>}
+
+        <p className={styles.description}>
+          Choose what members can do in <strong>{folder?.name}</strong> and the folders inside it.
+        </p>
+
+        {members.length === 0 ? (
+          <p className={styles.empty}>Invite members to the instance to give them roles here.</p>
+        ) : (
+          <ul className={styles.members}>
+            {members.map((member) => {
+              // The role this member would get from the parent folder or the instance
+              const inherited = getFolderRole(
+                instance,
+                folders,
+                folder?.parentId || null,
+                member.userId
+              );
+
+              return (
+                <li key={member.userId} className={styles.member}>
+                  <span className={styles.memberName}>
+                    {member.name || member.email || member.userId}
+                  </span>
+                  <select
+                    value={roles[member.userId] || ''}
+                    onChange={(e) =>
+                      setRoles((current) => ({ ...current, [member.userId]: e.target.value }))
+                    }
+                    className={styles.select}
+                    aria-label={`Role of ${member.name || member.email || member.userId}`}
+                  >
+                    <option value="">{`Inherit (${inherited})`}</option>
+                    <option value={ROLES.EDITOR}>Editor</option>
+                    <option value={ROLES.VIEWER}>Viewer</option>
+                  </select>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </ModalBody>
+
+      <ModalFooter>
+        <GlassButton variant="ghost" onClick={onClose} disabled={isSaving}>
+          Cancel
+        </GlassButton>
+        <GlassButton
+          variant="primary"
+          onClick={handleSave}
+          loading={isSaving}
+          disabled={isSaving || members.length === 0}
+        >
+          Save
+        </GlassButton>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+FolderPermissionsModal.propTypes = {
+  /** Folder to set permissions for */
+  folder: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    parentId: PropTypes.string,
+    permissions: PropTypes.arrayOf(
+      PropTypes.shape({
+        userId: PropTypes.string.isRequired,
+        role: PropTypes.string.isRequired,
+      })
+    ),
+  }),
+  /** Instance the folder is in, with its members */
+  instance: PropTypes.shape({
+    ownerId: PropTypes.string,
+    members: PropTypes.arrayOf(
+      PropTypes.shape({
+        userId: PropTypes.string.isRequired,
+        role: PropTypes.string,
+      })
+    ),
+  }),
+  /** Whether the modal is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when modal should close */
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,372 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { buildFolderTree, getFolderPath, isInsideFolder } from '../../utils/folders';
+import styles from './FolderTree.module.css';
+
+/**
+ * Marker for the container's top level as a drop target
+ */
+const ROOT = 'root';
+
+/**
+ * Folder Tree Component
+ * Shows the folders of a container as a collapsible tree with their notes. Notes and
+ * folders can be dragged onto another folder, or onto the top level; every action is
+ * checked against the user's role in the folders involved.
+ */
+export default function FolderTree({
+  folders,
+  notes,
+  searchQuery = '',
+  focusFolderId = null,
+  canEditFolder,
+  renderNoteTitle,
+  onOpenNote,
+  onCreateFolder,
+  onRenameFolder,
+  onDeleteFolder,
+  onEditPermissions,
+  onMoveNote,
+  onMoveFolder,
+}) {
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  const [dragged, setDragged] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const query = searchQuery.trim().toLowerCase();
+
+  // Open the folders down to the one we were sent to
+  useEffect(() => {
+    if (!focusFolderId) return;
+
+    const path = getFolderPath(folders, focusFolderId);
+    if (path.length === 0) return;
+
+    setExpandedIds((ids) => new Set([...ids, ...path.map((folder) => folder.id)]));
+  }, [focusFolderId, folders]);
+
+  // While searching, only show matching notes and the folders leading to them
+  const tree = useMemo(() => {
+    if (!query) {
+      return buildFolderTree(folders, notes);
+    }
+
+    const matches = notes.filter(
+      (note) =>
+        note.title?.toLowerCase().includes(query) || note.content?.toLowerCase().includes(query)
+    );
+    const prune = (node) => {
+      const children = node.folders.map(prune).filter(Boolean);
+      const keep =
+        children.length > 0 || node.notes.length > 0 || node.name?.toLowerCase().includes(query);
+      return keep || !node.id ? { ...node, folders: children } : null;
+    };
+    return prune(buildFolderTree(folders, matches));
+  }, [folders, notes, query]);
+
+  const isExpanded = (folderId) => Boolean(query) || expandedIds.has(folderId);
+
+  const toggleFolder = (folderId, expand = !expandedIds.has(folderId)) => {
+    setExpandedIds((ids) => {
+      const next = new Set(ids);
+      if (expand) {
+        next.add(folderId);
+      } else {
+        next.delete(folderId);
+      }
+      return next;
+    });
+  };
+
+  // Check if the dragged note or folder may be dropped in a folder (null for the top level)
+  const canDropIn = (folderId) => {
+    if (!dragged || !canEditFolder(folderId)) return false;
+
+    if (dragged.type === 'note') {
+      const note = notes.find((n) => n.id === dragged.id);
+      return Boolean(note) && (note.folderId || null) !== folderId;
+    }
+
+    const folder = folders.find((f) => f.id === dragged.id);
+    if (!folder || (folder.parentId || null) === folderId) return false;
+    return !folderId || !isInsideFolder(folders, folderId, folder.id);
+  };
+
+  const handleDragStart = (e, type, id) => {
+    e.stopPropagation();
+    setDragged({ type, id });
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+  };
+
+  const handleDragEnd = () => {
+    setDragged(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (e, folderId) => {
+    if (!canDropIn(folderId)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(folderId || ROOT);
+  };
+
+  const handleDrop = (e, folderId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (canDropIn(folderId)) {
+      if (dragged.type === 'note') {
+        onMoveNote(dragged.id, folderId);
+      } else {
+        onMoveFolder(dragged.id, folderId);
+        if (folderId) toggleFolder(folderId, true);
+      }
+    }
+    handleDragEnd();
+  };
+
+  const handleFolderKeyDown = (e, folderId) => {
+    if (e.target !== e.currentTarget) return;
+
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      toggleFolder(folderId);
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      toggleFolder(folderId, true);
+    } else if (e.key === 'ArrowLeft') {
+      e.preventDefault();
+      toggleFolder(folderId, false);
+    }
+  };
+
+  const renderNote = (note, depth, folderId) => {
+    const editable = canEditFolder(folderId);
+
+    return (
+      <li
+        key={note.id}
+        role="treeitem"
+        className={clsx(styles.item, dragged?.id === note.id && styles.dragging)}
+        style={{ '--depth': depth }}
+        draggable={editable}
+        onDragStart={(e) => handleDragStart(e, 'note', note.id)}
+        onDragEnd={handleDragEnd}
+      >
+        <button
+          type="button"
+          className={clsx(styles.row, styles.noteRow, editable && styles.movable)}
+          onClick={() => onOpenNote(note.id)}
+          aria-label={`Open note ${note.title}`}
+        >
+          <svg
+            className={styles.icon}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+            aria-hidden="true"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+            />
+          </svg>
+          <span className={styles.label}>
+            {renderNoteTitle ? renderNoteTitle(note) : note.title}
+          </span>
+        </button>
+      </li>
+    );
+  };
+
+  const renderFolder = (folder, depth) => {
+    const expanded = isExpanded(folder.id);
+    const editable = canEditFolder(folder.id);
+    const movable = canEditFolder(folder.parentId || null);
+    const itemCount = folder.folders.length + folder.notes.length;
+
+    return (
+      <li
+        key={folder.id}
+        role="treeitem"
+        aria-expanded={expanded}
+        className={clsx(styles.item, dragged?.id === folder.id && styles.dragging)}
+        draggable={movable && !query}
+        onDragStart={(e) => handleDragStart(e, 'folder', folder.id)}
+        onDragEnd={handleDragEnd}
+      >
+        <div
+          className={clsx(
+            styles.row,
+            styles.folderRow,
+            movable && !query && styles.movable,
+            dropTarget === folder.id && styles.dropTarget,
+            focusFolderId === folder.id && styles.focused
+          )}
+          style={{ '--depth': depth }}
+          tabIndex={0}
+          onClick={() => toggleFolder(folder.id)}
+          onKeyDown={(e) => handleFolderKeyDown(e, folder.id)}
+          onDragOver={(e) => handleDragOver(e, folder.id)}
+          onDragLeave={() => setDropTarget((target) => (target === folder.id ? null : target))}
+          onDrop={(e) => handleDrop(e, folder.id)}
+        >
+          <svg
+            className={clsx(styles.chevron, expanded && styles.chevronOpen)}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+            aria-hidden="true"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+          </svg>
+          <svg
+            className={clsx(styles.icon, styles.folderIcon)}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+            aria-hidden="true"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z"
+            />
+          </svg>
+          <span className={styles.label}>{folder.name}</span>
+          {itemCount > 0 && <span className={styles.count}>{itemCount}</span>}
+
+          {editable && (
+            <span className={styles.actions} onClick={(e) => e.stopPropagation()}>
+              <button
+                type="button"
+                className={styles.actionButton}
+                onClick={() => {
+                  toggleFolder(folder.id, true);
+                  onCreateFolder(folder.id);
+                }}
+                aria-label={`New folder in ${folder.name}`}
+                title="New folder"
+              >
+                +
+              </button>
+              <button
+                type="button"
+                className={styles.actionButton}
+                onClick={() => onRenameFolder(folder)}
+                aria-label={`Rename ${folder.name}`}
+                title="Rename"
+              >
+                ✎
+              </button>
+              {onEditPermissions && (
+                <button
+                  type="button"
+                  className={styles.actionButton}
+                  onClick={() => onEditPermissions(folder)}
+                  aria-label={`Permissions of ${folder.name}`}
+                  title="Permissions"
+                >
+                  🔒
+                </button>
+              )}
+              {movable && (
+                <button
+                  type="button"
+                  className={clsx(styles.actionButton, styles.deleteButton)}
+                  onClick={() => onDeleteFolder(folder)}
+                  aria-label={`Delete ${folder.name}`}
+                  title="Delete"
+                >
+                  ×
+                </button>
+              )}
+            </span>
+          )}
+        </div>
+
+        {expanded && itemCount > 0 && (
+          <ul role="group" className={styles.group}>
+            {folder.folders.map((child) => renderFolder(child, depth + 1))}
+            {folder.notes.map((note) => renderNote(note, depth + 1, folder.id))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  const isEmpty = tree.folders.length === 0 && tree.notes.length === 0;
+
+  return (
+    <div
+      className={clsx(styles.tree, dropTarget === ROOT && styles.rootDropTarget)}
+      onDragOver={(e) => handleDragOver(e, null)}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+          setDropTarget((target) => (target === ROOT ? null : target));
+        }
+      }}
+      onDrop={(e) => handleDrop(e, null)}
+    >
+      {isEmpty ? (
+        <p className={styles.empty}>
+          {query ? `No notes match "${searchQuery}"` : 'This container is empty.'}
+        </p>
+      ) : (
+        <ul role="tree" aria-label="Folders and notes" className={styles.list}>
+          {tree.folders.map((folder) => renderFolder(folder, 0))}
+          {tree.notes.map((note) => renderNote(note, 0, null))}
+        </ul>
+      )}
+
+      {dragged && canDropIn(null) && (
+        <p className={styles.rootHint}>Drop here to move to the top level</p>
+      )}
+    </div>
+  );
+}
+
+FolderTree.propTypes = {
+  /** Folders of the container */
+  folders: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      parentId: PropTypes.string,
+    })
+  ).isRequired,
+  /** Notes of the container */
+  notes: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      title: PropTypes.string,
+      folderId: PropTypes.string,
+    })
+  ).isRequired,
+  /** Only show notes matching this text */
+  searchQuery: PropTypes.string,
+  /** Folder to open and highlight */
+  focusFolderId: PropTypes.string,
+  /** Called with a folder ID (null for the top level); returns whether the user can edit there */
+  canEditFolder: PropTypes.func.isRequired,
+  /** Renders a note's title, e.g. with search matches highlighted */
+  renderNoteTitle: PropTypes.func,
+  /** Called with the note ID when a note is clicked */
+  onOpenNote: PropTypes.func.isRequired,
+  /** Called with the parent folder ID to create a folder in */
+  onCreateFolder: PropTypes.func.isRequired,
+  /** Called with the folder to rename */
+  onRenameFolder: PropTypes.func.isRequired,
+  /** Called with the folder to delete */
+  onDeleteFolder: PropTypes.func.isRequired,
+  /** Called with the folder whose permissions to edit; hides the button when left out */
+  onEditPermissions: PropTypes.func,
+  /** Called with the note ID and target folder ID (null for the top level) */
+  onMoveNote: PropTypes.func.isRequired,
+  /** Called with the folder ID and new parent folder ID (null for the top level) */
+  onMoveFolder: PropTypes.func.isRequired,
+};
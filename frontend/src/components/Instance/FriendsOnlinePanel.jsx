@@ -10,10 +10,15 @@ import clsx from 'clsx';
  * Requirements: 15.3, 15.4, 15.5
  */
 export default function FriendsOnlinePanel({ instanceId }) {
-  const { friends, onlineStatuses, isUserOnline } = useFriendStore();
+  const { friends, onlineStatuses, isUserOnline, syncFriends } = useFriendStore();
   const { currentInstance, instances } = useInstanceStore();
   const [isCollapsed, setIsCollapsed] = useState(false);
 
+  // Load friends from the server
+  useEffect(() => {
+    syncFriends();
+  }, [syncFriends]);
+
   // Get the instance to display - use provided instanceId or current instance
   const instance = instanceId
     ? instances.find((inst) => inst.id === instanceId) || currentInstance
@@ -30,7 +35,7 @@ export default function FriendsOnlinePanel({ instanceId }) {
 
     // Filter friends who are members of this instance and are online
     return friends.filter((friend) => {
-      const friendUserId = friend.friendId || friend.userId;
+      const friendUserId = friend.friendId || friend.id;
       const isMember = memberIds.includes(friendUserId);
       const isOnline = isUserOnline(friendUserId);
       return isMember && isOnline;
@@ -134,7 +139,7 @@ export default function FriendsOnlinePanel({ instanceId }) {
         ) : (
           <ul className={styles.friendsList} role="list">
             {onlineFriendsInInstance.map((friend) => {
-              const friendUserId = friend.friendId || friend.userId;
+              const friendUserId = friend.friendId || friend.id;
               const status = onlineStatuses.get(friendUserId);
 
               return (
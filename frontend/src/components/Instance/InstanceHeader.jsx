@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import GlassButton from '../GlassButton';
 import styles from './InstanceHeader.module.css';
@@ -6,7 +6,7 @@ import clsx from 'clsx';
 
 /**
  * Instance Header Component
- * Displays instance name, invite/share buttons, and profile avatar
+ * Displays instance name, invite/share buttons, export/import buttons, and profile avatar
  * Requirements: 5.1
  */
 export default function InstanceHeader({
@@ -15,9 +15,13 @@ export default function InstanceHeader({
   user,
   onOpenInviteModal,
   onOpenShareModal,
+  onExport,
+  onImport,
+  isTransferring = false,
 }) {
   const navigate = useNavigate();
   const [isScrolled, setIsScrolled] = useState(false);
+  const importInputRef = useRef(null);
 
   // Track scroll position for shadow effect
   useEffect(() => {
@@ -33,6 +37,15 @@ export default function InstanceHeader({
     navigate('/dashboard');
   };
 
+  const handleImportChange = (event) => {
+    const files = Array.from(event.target.files || []);
+    if (files.length > 0) {
+      onImport(files);
+    }
+    // Allow picking the same file again
+    event.target.value = '';
+  };
+
   return (
     <nav className={clsx(styles.header, isScrolled && styles.scrolled)}>
       <div className={styles.container}>
@@ -69,6 +82,70 @@ export default function InstanceHeader({
 
           {/* Right: Action buttons and profile */}
           <div className={styles.rightSection}>
+            {/* Export Button - Every note as a ZIP bundle */}
+            {onExport && (
+              <button
+                onClick={onExport}
+                className={clsx(styles.actionButton, styles.secondaryButton)}
+                disabled={isTransferring}
+                aria-label="Export all notes"
+                title="Download every note as a ZIP bundle"
+              >
+                <svg
+                  className={styles.actionIcon}
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                  aria-hidden="true"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+                  />
+                </svg>
+                <span className={styles.actionText}>Export</span>
+              </button>
+            )}
+
+            {/* Import Button - Markdown files and ZIP bundles */}
+            {onImport && (
+              <>
+                <button
+                  onClick={() => importInputRef.current?.click()}
+                  className={clsx(styles.actionButton, styles.secondaryButton)}
+                  disabled={isTransferring}
+                  aria-label="Import notes"
+                  title="Import Markdown files or a ZIP bundle"
+                >
+                  <svg
+                    className={styles.actionIcon}
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                    aria-hidden="true"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"
+                    />
+                  </svg>
+                  <span className={styles.actionText}>Import</span>
+                </button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".md,.markdown,.zip"
+                  multiple
+                  onChange={handleImportChange}
+                  hidden
+                />
+              </>
+            )}
+
             {/* Invite Button - Only for Owners */}
             {userRole === 'Owner' && (
               <button
@@ -13,7 +13,7 @@ import clsx from 'clsx';
  */
 export default function InviteModal({ instanceId, isOpen, onClose }) {
   const { inviteMember, currentInstance } = useInstanceStore();
-  const { friends } = useFriendStore();
+  const { friends, syncFriends } = useFriendStore();
   const modalRef = useRef(null);
 
   const [inviteMethod, setInviteMethod] = useState('email'); // 'email' or 'friend'
@@ -30,6 +30,13 @@ export default function InviteModal({ instanceId, isOpen, onClose }) {
   useFocusTrap(modalRef, isOpen);
   useFocusRestore(isOpen);
 
+  // Refresh the friends to pick from whenever the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      syncFriends();
+    }
+  }, [isOpen, syncFriends]);
+
   // Reset form when modal opens/closes
   useEffect(() => {
     if (!isOpen) {
@@ -1,26 +1,113 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import FolderTree from './FolderTree';
+import FolderPermissionsModal from './FolderPermissionsModal';
+import { useToast } from '../ToastContainer';
 import useNoteStore from '../../store/useNoteStore';
+import useFolderStore from '../../store/useFolderStore';
+import useInstanceStore from '../../store/useInstanceStore';
 import useAuthStore from '../../store/useAuthStore';
+import { canEdit, getFolderRole, isOwner } from '../../utils/permissions';
 import styles from './NotesPanel.module.css';
 import clsx from 'clsx';
 
 /**
  * Notes Panel Component
- * Displays tabs for "My Notes" and "Collaborated Notes"
+ * Displays tabs for the container's folders, "My Notes" and "Collaborated Notes".
+ * Without a containerId, the container can be picked from the instance's containers.
  * Requirements: 12.3, 12.4, 19.2, 19.3, 19.5
  */
-export default function NotesPanel({ instanceId, containerId, searchQuery = '' }) {
+export default function NotesPanel({
+  instanceId,
+  instance = null,
+  containerId,
+  defaultContainerId = null,
+  focusFolderId = null,
+  searchQuery = '',
+}) {
   const navigate = useNavigate();
-  const [activeTab, setActiveTab] = useState('my-notes');
-  const { notes, fetchNotes, isLoading } = useNoteStore();
+  const [activeTab, setActiveTab] = useState('folders');
+  const [pickedContainerId, setPickedContainerId] = useState(defaultContainerId);
+  const [permissionsFolder, setPermissionsFolder] = useState(null);
+  const { notes, fetchNotes, moveNoteToFolder, reparentFolderNotes, isLoading } = useNoteStore();
+  const { folders, fetchFolders, createFolder, renameFolder, moveFolder, deleteFolder } =
+    useFolderStore();
+  const { containers } = useInstanceStore();
   const { user } = useAuthStore();
+  const { showError } = useToast();
 
+  // Follow links to another container
   useEffect(() => {
-    if (containerId) {
-      fetchNotes(containerId);
+    if (defaultContainerId) {
+      setPickedContainerId(defaultContainerId);
     }
-  }, [containerId, fetchNotes]);
+  }, [defaultContainerId]);
+
+  const activeContainerId =
+    containerId ||
+    (containers.some((container) => container.id === pickedContainerId)
+      ? pickedContainerId
+      : containers[0]?.id) ||
+    null;
+
+  useEffect(() => {
+    if (activeContainerId) {
+      fetchNotes(activeContainerId);
+      fetchFolders(activeContainerId);
+    }
+  }, [activeContainerId, fetchNotes, fetchFolders]);
+
+  // Roles can differ per folder, starting from the user's role in the instance
+  const canEditFolder = (folderId) => canEdit(getFolderRole(instance, folders, folderId, user?.id));
+  const canManagePermissions = isOwner(getFolderRole(instance, [], null, user?.id));
+
+  const handleCreateFolder = async (parentId) => {
+    const name = window.prompt('Enter folder name:');
+    if (!name?.trim()) return;
+
+    const result = await createFolder(activeContainerId, name, parentId);
+    if (!result.success) {
+      showError(result.error || 'Failed to create folder');
+    }
+  };
+
+  const handleRenameFolder = async (folder) => {
+    const name = window.prompt('Enter new folder name:', folder.name);
+    if (!name?.trim() || name.trim() === folder.name) return;
+
+    const result = await renameFolder(folder.id, name);
+    if (!result.success) {
+      showError(result.error || 'Failed to rename folder');
+    }
+  };
+
+  const handleDeleteFolder = async (folder) => {
+    const confirmed = window.confirm(
+      `Delete "${folder.name}"? Its notes and folders will move up a level.`
+    );
+    if (!confirmed) return;
+
+    const result = await deleteFolder(folder.id);
+    if (result.success) {
+      reparentFolderNotes(folder.id, folder.parentId || null);
+    } else {
+      showError(result.error || 'Failed to delete folder');
+    }
+  };
+
+  const handleMoveNote = async (noteId, folderId) => {
+    const result = await moveNoteToFolder(noteId, folderId);
+    if (!result.success) {
+      showError(result.error || 'Failed to move note');
+    }
+  };
+
+  const handleMoveFolder = async (folderId, parentId) => {
+    const result = await moveFolder(folderId, parentId);
+    if (!result.success) {
+      showError(result.error || 'Failed to move folder');
+    }
+  };
 
   // Filter notes created by the current user
   const myNotes = notes.filter((note) => note.authorId === user?.id);
@@ -67,8 +154,8 @@ export default function NotesPanel({ instanceId, containerId, searchQuery = '' }
   };
 
   const handleNoteClick = (noteId) => {
-    if (instanceId && containerId) {
-      navigate(`/instance/${instanceId}/container/${containerId}/note/${noteId}`);
+    if (instanceId && activeContainerId) {
+      navigate(`/instance/${instanceId}/container/${activeContainerId}/note/${noteId}`);
     }
   };
 
@@ -195,6 +282,29 @@ export default function NotesPanel({ instanceId, containerId, searchQuery = '' }
       {/* Tab Headers */}
       <div className={styles.tabsHeader}>
         <nav className={styles.tabsNav} aria-label="Notes tabs">
+          <button
+            onClick={() => setActiveTab('folders')}
+            className={clsx(styles.tab, activeTab === 'folders' && styles.active)}
+            aria-current={activeTab === 'folders' ? 'page' : undefined}
+          >
+            <div className={styles.tabContent}>
+              <svg
+                className={styles.tabIcon}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+                aria-hidden="true"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z"
+                />
+              </svg>
+              Folders
+            </div>
+          </button>
           <button
             onClick={() => setActiveTab('my-notes')}
             className={clsx(styles.tab, activeTab === 'my-notes' && styles.active)}
@@ -256,6 +366,63 @@ export default function NotesPanel({ instanceId, containerId, searchQuery = '' }
 
       {/* Tab Content */}
       <div className={styles.panelContent}>
+        {activeTab === 'folders' && (
+          <div role="tabpanel" aria-labelledby="folders-tab">
+            <div className={styles.folderToolbar}>
+              {!containerId && containers.length > 0 && (
+                <select
+                  value={activeContainerId || ''}
+                  onChange={(e) => setPickedContainerId(e.target.value)}
+                  className={styles.containerSelect}
+                  aria-label="Container"
+                >
+                  {containers.map((container) => (
+                    <option key={container.id} value={container.id}>
+                      {container.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {activeContainerId && canEditFolder(null) && (
+                <button
+                  type="button"
+                  onClick={() => handleCreateFolder(null)}
+                  className={styles.newFolderButton}
+                >
+                  + New Folder
+                </button>
+              )}
+            </div>
+
+            {!activeContainerId ? (
+              <div className={styles.emptyState}>
+                <p className={styles.emptyText}>Create a container to start adding folders.</p>
+              </div>
+            ) : isLoading ? (
+              <div className={styles.loadingContainer}>
+                <div className={styles.loadingSpinner}></div>
+              </div>
+            ) : (
+              <FolderTree
+                folders={folders}
+                notes={notes.filter((note) => note.containerId === activeContainerId)}
+                searchQuery={searchQuery}
+                focusFolderId={focusFolderId}
+                canEditFolder={canEditFolder}
+                renderNoteTitle={(note) =>
+                  searchQuery ? highlightText(note.title, searchQuery) : note.title
+                }
+                onOpenNote={handleNoteClick}
+                onCreateFolder={handleCreateFolder}
+                onRenameFolder={handleRenameFolder}
+                onDeleteFolder={handleDeleteFolder}
+                onEditPermissions={canManagePermissions ? setPermissionsFolder : undefined}
+                onMoveNote={handleMoveNote}
+                onMoveFolder={handleMoveFolder}
+              />
+            )}
+          </div>
+        )}
         {activeTab === 'my-notes' && (
           <div role="tabpanel" aria-labelledby="my-notes-tab">
             {searchQuery && filteredMyNotes.length === 0 && myNotes.length > 0 ? (
@@ -315,6 +482,13 @@ export default function NotesPanel({ instanceId, containerId, searchQuery = '' }
           </div>
         )}
       </div>
+
+      <FolderPermissionsModal
+        folder={folders.find((folder) => folder.id === permissionsFolder?.id) || null}
+        instance={instance}
+        isOpen={Boolean(permissionsFolder)}
+        onClose={() => setPermissionsFolder(null)}
+      />
     </div>
   );
 }
@@ -7,3 +7,5 @@ export { default as NotesPanel } from './NotesPanel';
 export { default as FriendsOnlinePanel } from './FriendsOnlinePanel';
 export { default as AIToolbar } from './AIToolbar';
 export { default as ActiveUsersPanel } from './ActiveUsersPanel';
+export { default as FolderTree } from './FolderTree';
+export { default as FolderPermissionsModal } from './FolderPermissionsModal';
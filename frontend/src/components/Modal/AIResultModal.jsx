@@ -8,7 +8,8 @@ import './AIResultModal.css';
  * AIResultModal Component
  *
  * Modal for displaying AI-generated content with options to copy or insert into notes.
- * Shows loading shimmer during AI processing.
+ * Shows loading shimmer during AI processing. While streaming, content is shown as it
+ * arrives and can be stopped with onStop; the partial content stays.
  *
  * @component
  * @example
@@ -19,12 +20,18 @@ import './AIResultModal.css';
  *   loading={isProcessing}
  *   onInsert={handleInsert}
  * />
+ *
+ * @example
+ * // Streaming, with useAIStream
+ * <AIResultModal isOpen={isOpen} onClose={handleClose} content={text} streaming={isStreaming} onStop={stop} />
  */
 const AIResultModal = ({
   isOpen,
   onClose,
   content = '',
   loading = false,
+  streaming = false,
+  onStop,
   onInsert,
   title = 'AI Assistant Result',
   showInsertButton = true,
@@ -78,7 +85,7 @@ const AIResultModal = ({
 
       <ModalBody>
         <div className="ai-content-container">
-          {loading ? (
+          {loading || (streaming && !content) ? (
             <div className="loading-state">
               <div className="shimmer-wrapper">
                 <div className="shimmer-line" />
@@ -94,8 +101,8 @@ const AIResultModal = ({
               </p>
             </div>
           ) : content ? (
-            <div className="ai-content">
-              <div className="content-text">{content}</div>
+            <div className="ai-content" aria-live="polite" aria-busy={streaming}>
+              <div className={`content-text ${streaming ? 'streaming' : ''}`}>{content}</div>
             </div>
           ) : (
             <div className="empty-state">
@@ -121,7 +128,15 @@ const AIResultModal = ({
         <GlassButton variant="ghost" onClick={handleClose} disabled={loading}>
           Close
         </GlassButton>
-        {content && !loading && (
+        {streaming && onStop && (
+          <GlassButton variant="secondary" onClick={onStop}>
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+              <rect x="4" y="4" width="8" height="8" rx="1" />
+            </svg>
+            Stop
+          </GlassButton>
+        )}
+        {content && !loading && !streaming && (
           <>
             <GlassButton
               variant="secondary"
@@ -191,6 +206,10 @@ AIResultModal.propTypes = {
   content: PropTypes.string,
   /** Loading state during AI processing */
   loading: PropTypes.bool,
+  /** Whether content is still streaming in */
+  streaming: PropTypes.bool,
+  /** Function to call to stop streaming */
+  onStop: PropTypes.func,
   /** Function to call when inserting content to note */
   onInsert: PropTypes.func,
   /** Modal title */
@@ -1,19 +1,42 @@
 import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import aiApi from '../../api/aiApi';
+import useAIStream from '../../hooks/useAIStream';
+import useDeckStore from '../../store/useDeckStore';
+import { DECK_SOURCES } from '../../utils/constants';
 
 /**
  * AI Panel Component
- * Provides AI-powered tools for note-level summarization and content generation
+ * Provides AI-powered tools for note-level summarization and content generation.
+ * Answers are shown as they stream in and can be stopped, keeping the partial text.
+ * Study decks of flashcards and quiz questions can be made from the note or its container.
  * Requirements: 14.1, 14.2, 14.5
  */
-export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit = true }) {
-  const [isLoading, setIsLoading] = useState(false);
+export default function AIPanel({
+  noteId,
+  containerId,
+  noteContent,
+  onInsertContent,
+  canEdit = true,
+}) {
+  const {
+    text: aiResult,
+    isStreaming: isLoading,
+    error: streamError,
+    stopped,
+    start,
+    stop,
+    reset,
+  } = useAIStream();
   const [showPanel, setShowPanel] = useState(false);
-  const [aiResult, setAiResult] = useState(null);
   const [aiResultType, setAiResultType] = useState(null); // 'summary' or 'assist'
   const [assistPrompt, setAssistPrompt] = useState('');
   const [showAssistInput, setShowAssistInput] = useState(false);
   const [error, setError] = useState(null);
+  const { generateDeck, isGenerating } = useDeckStore();
+  const [showDeckOptions, setShowDeckOptions] = useState(false);
+  const [deckSource, setDeckSource] = useState(DECK_SOURCES.NOTE);
+  const [deckResult, setDeckResult] = useState(null); // { deck } or { error }
 
   /**
    * Handle note summarization
@@ -26,21 +49,11 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
       return;
     }
 
-    setIsLoading(true);
     setError(null);
     setShowPanel(true);
     setAiResultType('summary');
-    setAiResult(null);
 
-    try {
-      const response = await aiApi.summarize(noteContent);
-      setAiResult(response.data.summary || response.data.content || response.data);
-    } catch (err) {
-      console.error('Error summarizing note:', err);
-      setError(err.response?.data?.message || 'Failed to generate summary. Please try again.');
-    } finally {
-      setIsLoading(false);
-    }
+    await start((options) => aiApi.streamSummarize(noteContent, options));
   };
 
   /**
@@ -53,32 +66,44 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
       return;
     }
 
-    setIsLoading(true);
     setError(null);
     setShowPanel(true);
     setAiResultType('assist');
-    setAiResult(null);
 
-    try {
-      // Use current note content as context for better AI responses
-      const context = noteContent || '';
-      const response = await aiApi.assist(assistPrompt, context);
-      setAiResult(response.data.content || response.data.generated || response.data);
+    // Use current note content as context for better AI responses
+    const context = noteContent || '';
+    const result = await start((options) => aiApi.streamAssist(assistPrompt, context, options));
+    if (result.success) {
       setAssistPrompt('');
       setShowAssistInput(false);
-    } catch (err) {
-      console.error('Error getting AI assistance:', err);
-      setError(err.response?.data?.message || 'Failed to generate content. Please try again.');
-    } finally {
-      setIsLoading(false);
     }
   };
 
+  /**
+   * Make a study deck from the note or every note in its container
+   */
+  const handleGenerateDeck = async () => {
+    setDeckResult(null);
+    const source = deckSource === DECK_SOURCES.CONTAINER ? { containerId } : { noteId };
+    const result = await generateDeck(source);
+    setDeckResult(result.success ? { deck: result.deck } : { error: result.error });
+  };
+
+  /**
+   * Toggle study deck options visibility
+   */
+  const toggleDeckOptions = () => {
+    setShowDeckOptions(!showDeckOptions);
+    setShowAssistInput(false);
+    setDeckResult(null);
+  };
+
   /**
    * Toggle assist input visibility
    */
   const toggleAssistInput = () => {
     setShowAssistInput(!showAssistInput);
+    setShowDeckOptions(false);
     setError(null);
   };
 
@@ -86,8 +111,8 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
    * Close the AI results panel
    */
   const closePanel = () => {
+    reset();
     setShowPanel(false);
-    setAiResult(null);
     setError(null);
     setAiResultType(null);
   };
@@ -97,10 +122,8 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
    */
   const copyToClipboard = () => {
     if (aiResult) {
-      const textToCopy =
-        typeof aiResult === 'string' ? aiResult : JSON.stringify(aiResult, null, 2);
       navigator.clipboard
-        .writeText(textToCopy)
+        .writeText(aiResult)
         .then(() => {
           // Show temporary success feedback
           const button = document.getElementById('ai-copy-button');
@@ -125,9 +148,7 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
    */
   const handleInsertToNote = () => {
     if (aiResult && onInsertContent) {
-      const textToInsert =
-        typeof aiResult === 'string' ? aiResult : JSON.stringify(aiResult, null, 2);
-      onInsertContent(textToInsert);
+      onInsertContent(aiResult);
 
       // Show success feedback
       const button = document.getElementById('ai-insert-button');
@@ -196,6 +217,31 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
               </svg>
               AI Assist
             </button>
+
+            {/* Study Deck Button */}
+            <button
+              onClick={toggleDeckOptions}
+              disabled={isGenerating}
+              className="inline-flex items-center px-4 py-2 bg-emerald-600 text-white text-sm font-medium rounded-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 transition-all transform hover:scale-105 shadow-md disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+              aria-label="Make a study deck"
+              aria-expanded={showDeckOptions}
+            >
+              <svg
+                className="h-5 w-5 mr-2"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+                aria-hidden="true"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10"
+                />
+              </svg>
+              Study Deck
+            </button>
           </div>
 
           {/* Close Panel Button - Only show when panel is open */}
@@ -281,6 +327,63 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
             </div>
           </div>
         )}
+        {/* Study Deck Options - Expandable */}
+        {showDeckOptions && (
+          <div className="pb-4 animate-slideDown">
+            <fieldset className="flex flex-wrap items-center gap-4">
+              <legend className="mb-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Make flashcards and quiz questions from
+              </legend>
+              <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="radio"
+                  name="deck-source"
+                  value={DECK_SOURCES.NOTE}
+                  checked={deckSource === DECK_SOURCES.NOTE}
+                  onChange={(e) => setDeckSource(e.target.value)}
+                  className="mr-2"
+                />
+                This note
+              </label>
+              <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="radio"
+                  name="deck-source"
+                  value={DECK_SOURCES.CONTAINER}
+                  checked={deckSource === DECK_SOURCES.CONTAINER}
+                  onChange={(e) => setDeckSource(e.target.value)}
+                  disabled={!containerId}
+                  className="mr-2"
+                />
+                Every note in this container
+              </label>
+              <button
+                onClick={handleGenerateDeck}
+                disabled={isGenerating}
+                className="ml-auto px-4 py-2 bg-emerald-600 text-white text-sm font-medium rounded-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isGenerating ? 'Generating...' : 'Generate Deck'}
+              </button>
+            </fieldset>
+
+            {deckResult?.deck && (
+              <p className="mt-2 text-sm text-gray-700 dark:text-gray-300" role="status">
+                Made &quot;{deckResult.deck.title}&quot; with {deckResult.deck.cards.length} cards.{' '}
+                <Link
+                  to={`/decks/${deckResult.deck.id}`}
+                  className="font-medium text-emerald-700 dark:text-emerald-400 hover:underline"
+                >
+                  Study now
+                </Link>
+              </p>
+            )}
+            {deckResult?.error && (
+              <p className="mt-2 text-sm text-red-700 dark:text-red-300" role="alert">
+                {deckResult.error}
+              </p>
+            )}
+          </div>
+        )}
       </div>
 
       {/* AI Results Panel */}
@@ -294,7 +397,24 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
                   {aiResultType === 'summary' ? 'Note Summary' : 'AI Generated Content'}
                 </h3>
                 <div className="flex items-center gap-2">
-                  {aiResult && canEdit && onInsertContent && (
+                  {isLoading && (
+                    <button
+                      onClick={stop}
+                      className="inline-flex items-center px-3 py-1.5 text-sm text-red-700 dark:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+                      aria-label="Stop generating"
+                    >
+                      <svg
+                        className="h-4 w-4 mr-1.5"
+                        fill="currentColor"
+                        viewBox="0 0 24 24"
+                        aria-hidden="true"
+                      >
+                        <rect x="6" y="6" width="12" height="12" rx="2" />
+                      </svg>
+                      Stop
+                    </button>
+                  )}
+                  {aiResult && !isLoading && canEdit && onInsertContent && (
                     <button
                       id="ai-insert-button"
                       onClick={handleInsertToNote}
@@ -318,7 +438,7 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
                       Insert to Note
                     </button>
                   )}
-                  {aiResult && (
+                  {aiResult && !isLoading && (
                     <button
                       id="ai-copy-button"
                       onClick={copyToClipboard}
@@ -345,8 +465,8 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
                 </div>
               </div>
 
-              {/* Loading State */}
-              {isLoading && (
+              {/* Loading State - until the first words arrive */}
+              {isLoading && !aiResult && (
                 <div className="flex items-center justify-center py-8">
                   <div className="flex flex-col items-center space-y-3">
                     <svg
@@ -378,7 +498,7 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
               )}
 
               {/* Error State */}
-              {error && !isLoading && (
+              {(error || streamError) && !isLoading && (
                 <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
                   <div className="flex items-start">
                     <svg
@@ -395,17 +515,31 @@ export default function AIPanel({ noteId, noteContent, onInsertContent, canEdit
                         d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                       />
                     </svg>
-                    <p className="text-sm text-red-800 dark:text-red-200">{error}</p>
+                    <p className="text-sm text-red-800 dark:text-red-200">{error || streamError}</p>
                   </div>
                 </div>
               )}
 
               {/* AI Result */}
-              {aiResult && !isLoading && (
-                <div className="prose dark:prose-invert max-w-none">
+              {aiResult && (
+                <div
+                  className="prose dark:prose-invert max-w-none"
+                  aria-live="polite"
+                  aria-busy={isLoading}
+                >
                   <div className="text-gray-700 dark:text-gray-300 whitespace-pre-wrap">
-                    {typeof aiResult === 'string' ? aiResult : JSON.stringify(aiResult, null, 2)}
+                    {aiResult}
+                    {isLoading && (
+                      <span className="ml-0.5 text-blue-600 animate-pulse" aria-hidden="true">
+                        ▍
+                      </span>
+                    )}
                   </div>
+                  {stopped && (
+                    <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                      Stopped before finishing.
+                    </p>
+                  )}
                 </div>
               )}
             </div>
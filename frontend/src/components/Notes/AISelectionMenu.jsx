@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import TextDiffView from './TextDiffView';
+import { AI_TEXT_ACTIONS, AI_TRANSLATE_LANGUAGES } from '../../utils/constants';
+import styles from './AISelectionMenu.module.css';
+
+const ACTION_LABELS = {
+  [AI_TEXT_ACTIONS.REWRITE]: 'Rewrite',
+  [AI_TEXT_ACTIONS.EXPAND]: 'Expand',
+  [AI_TEXT_ACTIONS.SHORTEN]: 'Shorten',
+  [AI_TEXT_ACTIONS.FIX_GRAMMAR]: 'Fix grammar',
+  [AI_TEXT_ACTIONS.TRANSLATE]: 'Translate',
+  [AI_TEXT_ACTIONS.EXPLAIN]: 'Explain',
+};
+
+/**
+ * AI Selection Menu Component
+ * AI actions for the text selected in the note editor. The change streams into a diff
+ * against the selection, and nothing is written to the note until it's accepted.
+ */
+export default function AISelectionMenu({
+  edit,
+  isStreaming,
+  stopped,
+  error,
+  onAction,
+  onStop,
+  onAccept,
+  onDiscard,
+}) {
+  const [language, setLanguage] = useState(AI_TRANSLATE_LANGUAGES[0]);
+
+  if (!edit) {
+    return (
+      <div className={styles.menu} role="toolbar" aria-label="AI actions for the selection">
+        <span className={styles.label}>AI</span>
+        {Object.values(AI_TEXT_ACTIONS).map((action) => (
+          <button
+            key={action}
+            type="button"
+            // Keep the textarea's selection while clicking
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onAction(action, language)}
+            className={styles.action}
+          >
+            {ACTION_LABELS[action]}
+          </button>
+        ))}
+        <select
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          className={styles.language}
+          aria-label="Language to translate into"
+        >
+          {AI_TRANSLATE_LANGUAGES.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.preview} aria-live="polite" aria-busy={isStreaming}>
+      <div className={styles.previewHeader}>
+        <span className={styles.previewTitle}>
+          {ACTION_LABELS[edit.action]}
+          {isStreaming ? ': writing...' : ''}
+        </span>
+        <div className={styles.previewActions}>
+          {isStreaming ? (
+            <button type="button" onClick={onStop} className={styles.action}>
+              Stop
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={onAccept}
+              disabled={!edit.proposed.trim()}
+              className={`${styles.action} ${styles.accept}`}
+            >
+              Accept
+            </button>
+          )}
+          <button type="button" onClick={onDiscard} className={styles.action}>
+            Discard
+          </button>
+        </div>
+      </div>
+
+      {error ? (
+        <p className={styles.error}>{error}</p>
+      ) : (
+        <div className={styles.diff}>
+          <TextDiffView oldText={edit.original} newText={edit.proposed} mode="inline" />
+        </div>
+      )}
+      {stopped && <p className={styles.note}>Stopped before finishing.</p>}
+    </div>
+  );
+}
+
+AISelectionMenu.propTypes = {
+  /** The change being previewed: action, selected text and the text that would replace it */
+  edit: PropTypes.shape({
+    action: PropTypes.oneOf(Object.values(AI_TEXT_ACTIONS)).isRequired,
+    original: PropTypes.string.isRequired,
+    proposed: PropTypes.string.isRequired,
+  }),
+  /** Whether the change is still being written */
+  isStreaming: PropTypes.bool,
+  /** Whether the change was stopped before finishing */
+  stopped: PropTypes.bool,
+  /** Error to show instead of the diff */
+  error: PropTypes.string,
+  /** Called with (action, language) when an action is picked */
+  onAction: PropTypes.func.isRequired,
+  /** Called to stop writing the change */
+  onStop: PropTypes.func.isRequired,
+  /** Called to replace the selection with the change */
+  onAccept: PropTypes.func.isRequired,
+  /** Called to drop the change */
+  onDiscard: PropTypes.func.isRequired,
+};
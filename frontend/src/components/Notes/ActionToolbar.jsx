@@ -11,7 +11,8 @@ import { useState } from 'react';
  * @param {Function} props.onRedo - Callback for redo action
  * @param {Function} props.onShare - Callback for share action
  * @param {Function} props.onAIAssist - Callback for AI assist action
- * @param {Function} props.onExport - Callback for export action
+ * @param {Function} props.onExport - Callback with the format to export the note in
+ *   ('markdown', 'html' or 'pdf')
  * @param {boolean} props.canUndo - Whether undo is available
  * @param {boolean} props.canRedo - Whether redo is available
  * @param {boolean} props.canEdit - Whether user can edit
@@ -224,11 +225,11 @@ export default function ActionToolbar({
                   Export as PDF
                 </button>
                 <button
-                  onClick={() => handleExport('png')}
+                  onClick={() => handleExport('html')}
                   className="w-full px-4 py-2 text-left text-sm text-navy hover:bg-glass-bg-light transition-colors whitespace-nowrap"
                   role="menuitem"
                 >
-                  Export as PNG
+                  Export as HTML
                 </button>
                 <button
                   onClick={() => handleExport('markdown')}
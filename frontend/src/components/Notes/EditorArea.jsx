@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import NoteEditor from './NoteEditor';
 import Whiteboard from './Whiteboard';
+import WhiteboardPageStrip from './WhiteboardPageStrip';
 
 /**
  * EditorArea Component
@@ -10,10 +11,11 @@ import Whiteboard from './Whiteboard';
  * @param {Object} props
  * @param {string} props.noteId - ID of the note being edited
  * @param {string} props.initialContent - Initial note content
- * @param {Object} props.initialWhiteboardData - Initial whiteboard data
+ * @param {Object} props.whiteboardPages - The note's whiteboard pages, as returned by
+ *   useWhiteboardPages
  * @param {boolean} props.canEdit - Whether user can edit
  * @param {Function} props.onContentChange - Callback when note content changes
- * @param {Function} props.onDrawingChange - Callback when whiteboard drawing changes
+ * @param {Function} props.onDrawingChange - Callback when whiteboard drawing changes (data, pageId)
  * @param {Function} props.onInsertContent - Callback to expose insert content method
  * @param {string} props.selectedTool - Currently selected whiteboard tool
  * @param {Object} props.toolOptions - Whiteboard tool options
@@ -25,7 +27,7 @@ import Whiteboard from './Whiteboard';
 export default function EditorArea({
   noteId,
   initialContent = '',
-  initialWhiteboardData = null,
+  whiteboardPages,
   canEdit = true,
   onContentChange,
   onDrawingChange,
@@ -38,6 +40,7 @@ export default function EditorArea({
   exportRef,
 }) {
   const [activeMode, setActiveMode] = useState('notes');
+  const { activePage } = whiteboardPages;
 
   const handleModeSwitch = (mode) => {
     setActiveMode(mode);
@@ -144,20 +147,41 @@ export default function EditorArea({
             backgroundSize: '20px 20px',
           }}
         >
-          <div className="h-full p-2 sm:p-4">
-            <Whiteboard
-              noteId={noteId}
+          <div
+            className="h-full p-2 sm:p-4"
+            style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-2)' }}
+          >
+            <WhiteboardPageStrip
+              pages={whiteboardPages.pages}
+              activePageId={activePage?.id}
+              loadingPageId={whiteboardPages.loadingPageId}
               canEdit={canEdit}
-              onDrawingChange={onDrawingChange}
-              initialData={initialWhiteboardData}
-              selectedTool={selectedTool}
-              toolOptions={toolOptions}
-              onUndo={undoRef}
-              onRedo={redoRef}
-              onHistoryChange={onHistoryChange}
-              onExport={exportRef}
-              enableSync={true}
+              error={whiteboardPages.error}
+              onSelect={whiteboardPages.selectPage}
+              onAdd={whiteboardPages.addPage}
+              onDuplicate={whiteboardPages.duplicatePage}
+              onRename={whiteboardPages.renamePage}
+              onDelete={whiteboardPages.deletePage}
+              onMove={whiteboardPages.movePage}
+              onDismissError={whiteboardPages.clearError}
             />
+            {activePage && (
+              <Whiteboard
+                noteId={noteId}
+                pageId={activePage.id}
+                canEdit={canEdit}
+                onDrawingChange={onDrawingChange}
+                initialData={activePage.data}
+                selectedTool={selectedTool}
+                toolOptions={toolOptions}
+                onUndo={undoRef}
+                onRedo={redoRef}
+                onHistoryChange={onHistoryChange}
+                onExport={exportRef}
+                onPageChange={whiteboardPages.selectPage}
+                enableSync={true}
+              />
+            )}
           </div>
         </div>
       </div>
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import useAuthStore from '../../store/useAuthStore';
 import useNoteStore from '../../store/useNoteStore';
+import FolderBreadcrumbs from './FolderBreadcrumbs';
 
 /**
  * EditorNavbar Component
@@ -10,12 +11,14 @@ import useNoteStore from '../../store/useNoteStore';
  *
  * @param {Object} props
  * @param {string} props.containerTitle - Title of the container
+ * @param {Array} props.breadcrumbs - Where the note is, from its instance down to its folder
  * @param {Function} props.onBack - Callback when back button is clicked
  * @param {boolean} props.isAutoSaving - Whether auto-save is in progress
  * @param {Date} props.lastSaved - Last saved timestamp
  */
 export default function EditorNavbar({
   containerTitle = 'Untitled Container',
+  breadcrumbs = [],
   onBack,
   isAutoSaving = false,
   lastSaved = null,
@@ -79,6 +82,10 @@ export default function EditorNavbar({
               <h1 className="text-base sm:text-xl font-bold text-navy truncate">
                 {containerTitle}
               </h1>
+              <FolderBreadcrumbs
+                items={breadcrumbs}
+                className="hidden sm:block text-navy opacity-70 min-w-0"
+              />
             </div>
           </div>
 
@@ -0,0 +1,53 @@
+import PropTypes from 'prop-types';
+import styles from './FolderBreadcrumbs.module.css';
+
+/**
+ * Folder Breadcrumbs Component
+ * Shows where a note is, e.g. Instance / Container / Folder / Subfolder.
+ * Every item but the last can be clicked.
+ */
+export default function FolderBreadcrumbs({ items, className = '' }) {
+  if (items.length === 0) return null;
+
+  return (
+    <nav aria-label="Breadcrumb" className={className}>
+      <ol className={styles.list}>
+        {items.map((item, index) => {
+          const isLast = index === items.length - 1;
+
+          return (
+            <li key={item.key} className={styles.item}>
+              {isLast || !item.onClick ? (
+                <span className={styles.current} aria-current={isLast ? 'page' : undefined}>
+                  {item.label}
+                </span>
+              ) : (
+                <button type="button" onClick={item.onClick} className={styles.link}>
+                  {item.label}
+                </button>
+              )}
+              {!isLast && (
+                <span className={styles.separator} aria-hidden="true">
+                  /
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+}
+
+FolderBreadcrumbs.propTypes = {
+  /** Breadcrumbs, outermost first */
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      onClick: PropTypes.func,
+    })
+  ).isRequired,
+  /** Extra class for the nav element */
+  className: PropTypes.string,
+};
@@ -0,0 +1,62 @@
+import { useState, useEffect, useMemo, useDeferredValue } from 'react';
+import PropTypes from 'prop-types';
+import { renderMarkdown, needsMath, loadMath } from '../../utils/markdown';
+import 'highlight.js/styles/github.css';
+import styles from './MarkdownPreview.module.css';
+
+/**
+ * Markdown Preview Component
+ * Renders note Markdown with highlighted code blocks, math, tables and task lists.
+ * Clicking a task checkbox reports its source line so the editor can toggle it.
+ * KaTeX is fetched the first time a note with math is shown.
+ */
+export default function MarkdownPreview({ content, onToggleTask, className = '' }) {
+  // Rendering can lag behind fast typing in split view without blocking the textarea
+  const deferredContent = useDeferredValue(content);
+  const [isMathLoaded, setIsMathLoaded] = useState(false);
+  const mathPending = needsMath(deferredContent);
+
+  useEffect(() => {
+    if (!mathPending) return;
+    loadMath()
+      .then(() => setIsMathLoaded(true))
+      .catch((error) => console.error('Failed to load math rendering:', error));
+  }, [mathPending]);
+
+  // Rendered again once KaTeX is loaded, so the math gets typeset
+  const html = useMemo(
+    () => renderMarkdown(deferredContent),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [deferredContent, isMathLoaded]
+  );
+
+  const handleClick = (e) => {
+    const checkbox = e.target.closest('.task-list-item-checkbox');
+    if (!checkbox) return;
+
+    if (!onToggleTask) {
+      // Read-only: keep the checkbox as it is in the source
+      e.preventDefault();
+      return;
+    }
+    onToggleTask(Number(checkbox.dataset.line));
+  };
+
+  return (
+    <div
+      className={`${styles.preview} ${className}`}
+      onClick={handleClick}
+      aria-label="Note preview"
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
+
+MarkdownPreview.propTypes = {
+  /** Markdown source */
+  content: PropTypes.string.isRequired,
+  /** Called with the zero-based source line of a clicked task checkbox; omit for read-only */
+  onToggleTask: PropTypes.func,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
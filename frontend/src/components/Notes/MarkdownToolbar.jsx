@@ -0,0 +1,90 @@
+import PropTypes from 'prop-types';
+import { MARKDOWN_FORMATS } from '../../utils/markdownFormatting';
+import styles from './MarkdownToolbar.module.css';
+
+const FORMAT_GROUPS = [
+  [
+    { format: MARKDOWN_FORMATS.BOLD, label: 'Bold (Ctrl+B)', icon: 'B', className: 'bold' },
+    { format: MARKDOWN_FORMATS.ITALIC, label: 'Italic (Ctrl+I)', icon: 'I', className: 'italic' },
+    { format: MARKDOWN_FORMATS.CODE, label: 'Inline code', icon: '</>' },
+    { format: MARKDOWN_FORMATS.LINK, label: 'Link', icon: '🔗' },
+  ],
+  [
+    { format: MARKDOWN_FORMATS.HEADING, label: 'Heading', icon: 'H' },
+    { format: MARKDOWN_FORMATS.QUOTE, label: 'Quote', icon: '❝' },
+    { format: MARKDOWN_FORMATS.BULLET_LIST, label: 'Bulleted list', icon: '•' },
+    { format: MARKDOWN_FORMATS.NUMBERED_LIST, label: 'Numbered list', icon: '1.' },
+    { format: MARKDOWN_FORMATS.TASK_LIST, label: 'Task list', icon: '☑' },
+  ],
+  [
+    { format: MARKDOWN_FORMATS.CODE_BLOCK, label: 'Code block', icon: '{ }' },
+    { format: MARKDOWN_FORMATS.TABLE, label: 'Table', icon: '⊞' },
+  ],
+];
+
+const VIEW_MODES = [
+  { id: 'edit', label: 'Edit' },
+  { id: 'split', label: 'Split' },
+  { id: 'preview', label: 'Preview' },
+];
+
+/**
+ * Markdown Toolbar Component
+ * Formatting buttons for the note editor and the edit / split / preview switch
+ */
+export default function MarkdownToolbar({ onFormat, viewMode, onViewModeChange, canEdit = true }) {
+  const formattingDisabled = !canEdit || viewMode === 'preview';
+
+  return (
+    <div className={styles.toolbar} role="toolbar" aria-label="Formatting">
+      {canEdit && (
+        <div className={styles.formatGroups}>
+          {FORMAT_GROUPS.map((group, index) => (
+            <div key={index} className={styles.group}>
+              {group.map(({ format, label, icon, className }) => (
+                <button
+                  key={format}
+                  type="button"
+                  // Keep focus (and the selection) in the textarea
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => onFormat(format)}
+                  disabled={formattingDisabled}
+                  className={`${styles.button} ${className ? styles[className] : ''}`}
+                  title={label}
+                  aria-label={label}
+                >
+                  {icon}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className={styles.viewModes} role="group" aria-label="View">
+        {VIEW_MODES.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => onViewModeChange(id)}
+            className={`${styles.viewModeButton} ${viewMode === id ? styles.active : ''}`}
+            aria-pressed={viewMode === id}
+          >
+            {canEdit || id !== 'edit' ? label : 'Source'}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+MarkdownToolbar.propTypes = {
+  /** Called with one of MARKDOWN_FORMATS */
+  onFormat: PropTypes.func.isRequired,
+  /** 'edit', 'split' or 'preview' */
+  viewMode: PropTypes.oneOf(['edit', 'split', 'preview']).isRequired,
+  /** Called with the new view mode */
+  onViewModeChange: PropTypes.func.isRequired,
+  /** Whether formatting buttons are shown */
+  canEdit: PropTypes.bool,
+};
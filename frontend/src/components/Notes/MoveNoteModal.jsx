@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, ModalHeader, ModalBody, ModalFooter } from '../Modal';
+import GlassButton from '../GlassButton';
+import useInstanceStore from '../../store/useInstanceStore';
+import useNoteStore from '../../store/useNoteStore';
+import styles from './MoveNoteModal.module.css';
+
+/**
+ * Move Note Modal Component
+ * Picks an instance and one of its containers to move a note to
+ */
+export default function MoveNoteModal({ note, instanceId, isOpen, onClose, onMoved }) {
+  const { instances, fetchInstances, fetchInstanceContainers } = useInstanceStore();
+  const { moveNote } = useNoteStore();
+
+  const [targetInstanceId, setTargetInstanceId] = useState(instanceId);
+  const [containers, setContainers] = useState([]);
+  const [targetContainerId, setTargetContainerId] = useState('');
+  const [isLoadingContainers, setIsLoadingContainers] = useState(false);
+  const [isMoving, setIsMoving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the note's own instance every time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setTargetInstanceId(instanceId);
+    setError(null);
+    if (instances.length === 0) {
+      fetchInstances();
+    }
+  }, [isOpen, instanceId, instances.length, fetchInstances]);
+
+  // Load the containers of the picked instance
+  useEffect(() => {
+    if (!isOpen || !targetInstanceId) return;
+
+    let isCurrent = true;
+    setIsLoadingContainers(true);
+    setContainers([]);
+    setTargetContainerId('');
+
+    fetchInstanceContainers(targetInstanceId).then((result) => {
+      if (!isCurrent) return;
+
+      setIsLoadingContainers(false);
+      if (result.success) {
+        setContainers(result.containers);
+        const firstOther = result.containers.find((c) => c.id !== note?.containerId);
+        setTargetContainerId(firstOther?.id || '');
+      } else {
+        setError(result.error);
+      }
+    });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [isOpen, targetInstanceId, note?.containerId, fetchInstanceContainers]);
+
+  const handleMove = async () => {
+    if (!note || !targetContainerId) return;
+
+    setIsMoving(true);
+    setError(null);
+
+    const result = await moveNote(note.id, targetContainerId);
+
+    setIsMoving(false);
+
+    if (result.success) {
+      onMoved?.(targetInstanceId, targetContainerId);
+      onClose();
+    } else {
+      setError(result.error || 'Failed to move note');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} className={styles.modal}>
+      <ModalHeader onClose={onClose}>Move Note</ModalHeader>
+
+      <ModalBody className={styles.body}>
+        {error && <p className={styles.error}>{error}</p>}
+
+        <p className={styles.description}>
+          Move <strong>{note?.title || 'this note'}</strong> to another container. Its text,
+          whiteboard and history move with it.
+        </p>
+
+        <label className={styles.field}>
+          Instance
+          <select
+            value={targetInstanceId}
+            onChange={(e) => setTargetInstanceId(e.target.value)}
+            className={styles.select}
+          >
+            {!instances.some((instance) => instance.id === instanceId) && (
+              <option value={instanceId}>Current instance</option>
+            )}
+            {instances.map((instance) => (
+              <option key={instance.id} value={instance.id}>
+                {instance.name}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className={styles.field}>
+          Container
+          <select
+            value={targetContainerId}
+            onChange={(e) => setTargetContainerId(e.target.value)}
+            className={styles.select}
+            disabled={isLoadingContainers || containers.length === 0}
+          >
+            {isLoadingContainers && <option value="">Loading containers...</option>}
+            {!isLoadingContainers && containers.length === 0 && (
+              <option value="">This instance has no containers</option>
+            )}
+            {containers.map((container) => (
+              <option
+                key={container.id}
+                value={container.id}
+                disabled={container.id === note?.containerId}
+              >
+                {container.id === note?.containerId
+                  ? `${container.name} (current)`
+                  : container.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </ModalBody>
+
+      <ModalFooter>
+        <GlassButton variant="ghost" onClick={onClose} disabled={isMoving}>
+          Cancel
+        </GlassButton>
+        <GlassButton
+          variant="primary"
+          onClick={handleMove}
+          loading={isMoving}
+          disabled={!targetContainerId || isMoving}
+        >
+          Move
+        </GlassButton>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+MoveNoteModal.propTypes = {
+  /** Note to move */
+  note: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    containerId: PropTypes.string,
+  }),
+  /** Instance the note is in */
+  instanceId: PropTypes.string.isRequired,
+  /** Whether the modal is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when modal should close */
+  onClose: PropTypes.func.isRequired,
+  /** Called with the instance and container IDs after the note was moved */
+  onMoved: PropTypes.func,
+};
@@ -15,15 +15,8 @@ export default function NoteEditorExample() {
   const [noteContent, setNoteContent] = useState('');
   const [userRole, setUserRole] = useState(ROLES.EDITOR);
 
-  const {
-    notes,
-    currentNote,
-    isLoading,
-    createNote,
-    fetchNoteByTitle,
-    deleteNote,
-    setCurrentNote,
-  } = useNotes();
+  const { notes, currentNote, isLoading, createNote, renameNote, deleteNote, setCurrentNote } =
+    useNotes();
 
   // Load note when selected
   useEffect(() => {
@@ -70,18 +63,17 @@ export default function NoteEditorExample() {
     }
   };
 
-  // Handle fetching note by title
-  const handleFetchByTitle = async () => {
-    const title = prompt('Enter note title to fetch:');
+  // Handle renaming the selected note
+  const handleRenameNote = async () => {
+    if (!selectedNoteId) return;
+
+    const title = prompt('Enter new note title:', currentNote?.title || '');
     if (!title) return;
 
-    const result = await fetchNoteByTitle(title);
+    const result = await renameNote(selectedNoteId, title);
 
-    if (result.success) {
-      setSelectedNoteId(result.note.id);
-      setNoteContent(result.note.content || '');
-    } else {
-      alert(`Failed to fetch note: ${result.error}`);
+    if (!result.success) {
+      alert(`Failed to rename note: ${result.error}`);
     }
   };
 
@@ -103,12 +95,14 @@ export default function NoteEditorExample() {
             Create Note
           </button>
 
-          <button
-            onClick={handleFetchByTitle}
-            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
-          >
-            Fetch by Title
-          </button>
+          {selectedNoteId && (
+            <button
+              onClick={handleRenameNote}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Rename Note
+            </button>
+          )}
 
           {selectedNoteId && (
             <button
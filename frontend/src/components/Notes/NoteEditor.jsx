@@ -1,14 +1,82 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { debounce } from '../../utils/helpers';
-import { AUTO_SAVE_DELAY, SOCKET_EVENTS } from '../../utils/constants';
+import {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useCallback,
+  useMemo,
+  useRef,
+  lazy,
+  Suspense,
+} from 'react';
+import { SOCKET_EVENTS, CURSOR_UPDATE_DELAY, AI_TEXT_ACTIONS } from '../../utils/constants';
+import { generateColorFromString, throttle } from '../../utils/helpers';
+import { transformPosition } from '../../utils/textOperation';
+import {
+  applyMarkdownFormat,
+  MARKDOWN_FORMATS,
+  toggleTaskInSource,
+} from '../../utils/markdownFormatting';
+import useKeyboardShortcuts from '../../hooks/useKeyboardShortcuts';
+import useAIStream from '../../hooks/useAIStream';
+import aiApi from '../../api/aiApi';
 import useNoteStore from '../../store/useNoteStore';
 import useSocketStore from '../../store/useSocketStore';
 import useAuthStore from '../../store/useAuthStore';
+import MarkdownToolbar from './MarkdownToolbar';
+import AISelectionMenu from './AISelectionMenu';
+import RemoteCursors from './RemoteCursors';
 import styles from './NoteEditor.module.css';
 
+// markdown-it and highlight.js are only fetched once the preview is shown
+const MarkdownPreview = lazy(() => import('./MarkdownPreview'));
+
+const VIEW_MODE_KEY = 'note_editor_view_mode';
+const VIEW_MODES = ['edit', 'split', 'preview'];
+
+/**
+ * Initial view mode: the last one picked, else split for editors and preview for viewers
+ * @param {boolean} canEdit - Whether the user can edit
+ * @returns {string} 'edit', 'split' or 'preview'
+ */
+const getInitialViewMode = (canEdit) => {
+  const saved = localStorage.getItem(VIEW_MODE_KEY);
+  if (VIEW_MODES.includes(saved)) return saved;
+  return canEdit ? 'split' : 'preview';
+};
+
+/**
+ * The text that would replace the selection after an AI action
+ * The result keeps the whitespace around the selection; explanations are quoted under it
+ * and nothing changes until the first words arrive.
+ * @param {Object} edit - { action, original } of the AI edit
+ * @param {string} result - AI result so far
+ * @returns {string} Replacement for the selection
+ */
+const proposeReplacement = (edit, result) => {
+  if (!result.trim()) return edit.original;
+
+  const [, leading, text, trailing] = edit.original.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  const body =
+    edit.action === AI_TEXT_ACTIONS.EXPLAIN
+      ? `${text}\n\n${result
+          .trim()
+          .split('\n')
+          .map((line) => `> ${line}`)
+          .join('\n')}`
+      : result.trim();
+
+  return leading + body + trailing;
+};
+
 /**
  * NoteEditor Component
  * Rich text editing area with auto-save, real-time sync, and collaborative features
+ * Notes are written in Markdown and can be previewed next to or instead of the source
+ * Edits are sent to collaborators as character-level deltas through useNoteStore,
+ * which merges concurrent edits with operational transformation; collaborators'
+ * carets and selections are shown in the editor
+ * Selected text can be rewritten, expanded, shortened, corrected, translated or explained
+ * by the AI; the change is previewed as a diff and replaces only the selection once accepted
  *
  * @param {Object} props
  * @param {string} props.noteId - ID of the note being edited
@@ -26,19 +94,38 @@ export default function NoteEditor({
 }) {
   const [content, setContent] = useState(initialContent);
   const [collaborators, setCollaborators] = useState([]);
-  const [isReceivingUpdate, setIsReceivingUpdate] = useState(false);
+  const [viewMode, setViewMode] = useState(() => getInitialViewMode(canEdit));
+  const editorRef = useRef(null);
   const textareaRef = useRef(null);
-  const lastEmittedContentRef = useRef(initialContent);
-  const cursorPositionRef = useRef(0);
-
-  const { updateNote, isAutoSaving, lastSaved } = useNoteStore();
-  const { emitNoteUpdate, isConnected, on, off, joinRoom, leaveRoom } = useSocketStore();
+  const pendingSelectionRef = useRef(null);
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
+  const [aiEdit, setAiEdit] = useState(null); // { action, start, end, original }
+  const [aiEditError, setAiEditError] = useState(null);
+  const {
+    text: aiResult,
+    isStreaming: isAIWriting,
+    error: aiStreamError,
+    stopped: aiStopped,
+    start: startAIStream,
+    stop: stopAIStream,
+    reset: resetAIStream,
+  } = useAIStream();
+
+  const {
+    updateNote,
+    applyLocalEdit,
+    remoteOperation,
+    remoteCursors,
+    clearRemoteCursors,
+    isAutoSaving,
+    lastSaved,
+  } = useNoteStore();
+  const { isConnected, on, off, joinRoom, leaveRoom, emitCursorUpdate } = useSocketStore();
   const { user } = useAuthStore();
 
-  // Update content when initialContent changes
+  // Update content when initialContent changes (load, or remote deltas merged by the store)
   useEffect(() => {
     setContent(initialContent);
-    lastEmittedContentRef.current = initialContent;
   }, [initialContent]);
 
   // Join note room for real-time collaboration
@@ -48,56 +135,62 @@ export default function NoteEditor({
 
       return () => {
         leaveRoom(`note:${noteId}`);
+        clearRemoteCursors(noteId);
       };
     }
-  }, [noteId, isConnected, joinRoom, leaveRoom]);
+  }, [noteId, isConnected, joinRoom, leaveRoom, clearRemoteCursors]);
 
-  // Handle remote note updates from other users
-  useEffect(() => {
-    if (!noteId || !isConnected) return;
+  // Broadcast the local caret/selection, at most every CURSOR_UPDATE_DELAY ms
+  // (trailing, so the final position is always sent)
+  const sendCursor = useMemo(
+    () => throttle(emitCursorUpdate, CURSOR_UPDATE_DELAY, { trailing: true }),
+    [emitCursorUpdate]
+  );
 
-    const handleRemoteNoteUpdate = (data) => {
-      // Ignore updates from this user
-      if (data.userId === user?.id) return;
+  const broadcastSelection = useCallback(() => {
+    const textarea = textareaRef.current;
+    if (!canEdit || !noteId || !textarea) return;
 
-      // Ignore if this is the same content we just sent
-      if (data.updates?.content === lastEmittedContentRef.current) return;
+    sendCursor(noteId, {
+      start: textarea.selectionStart,
+      end: textarea.selectionEnd,
+      userId: user?.id,
+      userName: user?.name,
+    });
+  }, [canEdit, noteId, user, sendCursor]);
 
-      setIsReceivingUpdate(true);
+  // Someone who just joined hasn't seen our cursor yet
+  useEffect(() => {
+    if (!noteId || !isConnected) return;
 
-      if (data.noteId === noteId && data.updates?.content !== undefined) {
-        const newContent = data.updates.content;
+    const handleUserJoined = (data) => {
+      if (data.noteId === noteId && data.user?.id !== user?.id) {
+        broadcastSelection();
+      }
+    };
 
-        // Save cursor position
-        if (textareaRef.current) {
-          cursorPositionRef.current = textareaRef.current.selectionStart;
-        }
+    on(SOCKET_EVENTS.USER_JOINED_NOTE, handleUserJoined);
 
-        // Apply operational transformation for concurrent edits
-        const transformedContent = applyOperationalTransformation(
-          content,
-          newContent,
-          cursorPositionRef.current
-        );
-
-        setContent(transformedContent);
-
-        // Restore cursor position (with adjustment)
-        setTimeout(() => {
-          if (textareaRef.current) {
-            const newPosition = adjustCursorPosition(
-              content,
-              transformedContent,
-              cursorPositionRef.current
-            );
-            textareaRef.current.setSelectionRange(newPosition, newPosition);
-          }
-          setIsReceivingUpdate(false);
-        }, 0);
-      }
+    return () => {
+      off(SOCKET_EVENTS.USER_JOINED_NOTE, handleUserJoined);
+    };
+  }, [noteId, isConnected, user, on, off, broadcastSelection]);
+
+  const cursors = useMemo(
+    () =>
+      Object.values(remoteCursors[noteId] || {}).map((cursor) => ({
+        ...cursor,
+        color: generateColorFromString(cursor.userId),
+      })),
+    [remoteCursors, noteId]
+  );
+
+  // Keep the collaborators list up to date from note updates
+  useEffect(() => {
+    if (!noteId || !isConnected) return;
 
-      // Update collaborators list if provided
-      if (data.collaborators) {
+    const handleRemoteNoteUpdate = (data) => {
+      if (data.noteId === noteId && data.collaborators) {
         setCollaborators(data.collaborators.filter((c) => c.id !== user?.id));
       }
     };
@@ -107,119 +200,188 @@ export default function NoteEditor({
     return () => {
       off(SOCKET_EVENTS.NOTE_UPDATE, handleRemoteNoteUpdate);
     };
-  }, [noteId, isConnected, content, user, on, off]);
+  }, [noteId, isConnected, user, on, off]);
 
-  /**
-   * Simple operational transformation for concurrent edits
-   * This is a basic implementation - for production, consider using OT libraries like ShareDB
-   */
-  const applyOperationalTransformation = (localContent, remoteContent, cursorPos) => {
-    // If we're not currently editing, just accept the remote content
-    if (!textareaRef.current || document.activeElement !== textareaRef.current) {
-      return remoteContent;
+  // Move the local selection through remote deltas so the caret stays on the same text
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!remoteOperation || remoteOperation.noteId !== noteId || !textarea) return;
+    if (document.activeElement !== textarea) return;
+
+    pendingSelectionRef.current = {
+      start: transformPosition(textarea.selectionStart, remoteOperation.operation),
+      end: transformPosition(textarea.selectionEnd, remoteOperation.operation),
+    };
+  }, [remoteOperation, noteId]);
+
+  // Keep the selection for the AI menu and the range of a previewed AI edit on the
+  // same text through remote deltas
+  useEffect(() => {
+    if (!remoteOperation || remoteOperation.noteId !== noteId) return;
+
+    const { operation } = remoteOperation;
+    setSelection((range) => ({
+      start: transformPosition(range.start, operation, true),
+      end: transformPosition(range.end, operation),
+    }));
+    setAiEdit(
+      (edit) =>
+        edit && {
+          ...edit,
+          start: transformPosition(edit.start, operation, true),
+          end: transformPosition(edit.end, operation),
+        }
+    );
+  }, [remoteOperation, noteId]);
+
+  // A previewed AI edit belongs to the note it was made in
+  useEffect(() => {
+    resetAIStream();
+    setAiEdit(null);
+  }, [noteId, resetAIStream]);
+
+  // Restore the transformed selection once the merged content is rendered
+  useLayoutEffect(() => {
+    const selection = pendingSelectionRef.current;
+    if (!selection || !textareaRef.current) return;
+
+    pendingSelectionRef.current = null;
+    textareaRef.current.setSelectionRange(selection.start, selection.end);
+  }, [content]);
+
+  // Apply new content from typing, formatting or the preview
+  const commitContent = (newContent) => {
+    setContent(newContent);
+
+    // Call parent callback if provided
+    if (onContentChange) {
+      onContentChange(newContent);
     }
 
-    // If contents are the same, no transformation needed
-    if (localContent === remoteContent) {
-      return localContent;
+    // Sync the delta to other users and trigger auto-save
+    if (canEdit && noteId) {
+      applyLocalEdit(noteId, newContent);
     }
+  };
 
-    // Simple merge strategy: accept remote changes if cursor is not near the change
-    // For a more robust solution, implement proper OT algorithm
-    const localLines = localContent.split('\n');
-    const remoteLines = remoteContent.split('\n');
+  // Handle content change
+  const handleContentChange = (e) => {
+    commitContent(e.target.value);
+  };
 
-    // Find cursor line
-    const textBeforeCursor = localContent.substring(0, cursorPos);
-    const cursorLine = textBeforeCursor.split('\n').length - 1;
+  // Share the caret with collaborators and remember the selection for the AI menu
+  const handleSelect = () => {
+    broadcastSelection();
 
-    // If remote has more changes and cursor is not in affected area, accept remote
-    if (Math.abs(remoteLines.length - localLines.length) > 2) {
-      return remoteContent;
+    const textarea = textareaRef.current;
+    if (textarea) {
+      setSelection({ start: textarea.selectionStart, end: textarea.selectionEnd });
     }
-
-    // Otherwise, keep local content (user is actively editing)
-    return localContent;
   };
 
   /**
-   * Adjust cursor position after content transformation
+   * Run an AI action on the selected text and preview the result
+   * @param {string} action - One of AI_TEXT_ACTIONS
+   * @param {string} language - Target language, for translate
    */
-  const adjustCursorPosition = (oldContent, newContent, oldPosition) => {
-    // If content length is similar, keep position
-    if (Math.abs(newContent.length - oldContent.length) < 10) {
-      return Math.min(oldPosition, newContent.length);
-    }
+  const handleAIAction = (action, language) => {
+    const { start, end } = selection;
+    const original = content.slice(start, end);
+    if (!original.trim()) return;
+
+    setAiEdit({ action, start, end, original });
+    setAiEditError(null);
+    startAIStream((options) =>
+      aiApi.streamTransform(action, original.trim(), { context: content, language }, options)
+    );
+  };
 
-    // Otherwise, try to maintain relative position
-    const relativePosition = oldPosition / (oldContent.length || 1);
-    return Math.floor(relativePosition * newContent.length);
+  const handleDiscardAIEdit = () => {
+    resetAIStream();
+    setAiEdit(null);
+    setAiEditError(null);
   };
 
-  // Debounced auto-save function
-  const debouncedSave = useCallback(
-    debounce((noteId, content, userId) => {
-      if (canEdit) {
-        updateNote(noteId, { content }, false);
+  // Replace just the selected range; the edit is synced and saved like typing
+  const handleAcceptAIEdit = () => {
+    if (content.slice(aiEdit.start, aiEdit.end) !== aiEdit.original) {
+      setAiEditError(
+        'The selected text was changed by someone else in the meantime. Select it again to retry.'
+      );
+      return;
+    }
 
-        // Emit to other users via WebSocket with userId to prevent echo
-        if (isConnected) {
-          emitNoteUpdate(noteId, { content, userId });
-        }
-      }
-    }, AUTO_SAVE_DELAY),
-    [canEdit, isConnected, updateNote, emitNoteUpdate]
-  );
+    const replacement = proposeReplacement(aiEdit, aiResult);
+    pendingSelectionRef.current = {
+      start: aiEdit.start,
+      end: aiEdit.start + replacement.length,
+    };
+    textareaRef.current?.focus();
+    commitContent(content.slice(0, aiEdit.start) + replacement + content.slice(aiEdit.end));
+    handleDiscardAIEdit();
+  };
 
-  // Handle content change
-  const handleContentChange = (e) => {
-    // Don't process changes if we're receiving a remote update
-    if (isReceivingUpdate) return;
+  const hasSelection =
+    selection.end > selection.start && content.slice(selection.start, selection.end).trim() !== '';
 
-    const newContent = e.target.value;
-    setContent(newContent);
-    lastEmittedContentRef.current = newContent;
+  // Apply a toolbar or shortcut format to the current selection
+  const handleFormat = (format) => {
+    const textarea = textareaRef.current;
+    if (!canEdit || !textarea) return;
 
-    // Call parent callback if provided
-    if (onContentChange) {
-      onContentChange(newContent);
-    }
+    const result = applyMarkdownFormat(
+      format,
+      content,
+      textarea.selectionStart,
+      textarea.selectionEnd
+    );
 
-    // Trigger auto-save and emit to other users
-    if (canEdit && noteId) {
-      debouncedSave(noteId, newContent, user?.id);
-    }
+    pendingSelectionRef.current = { start: result.selectionStart, end: result.selectionEnd };
+    textarea.focus();
+    commitContent(result.text);
   };
 
-  // Handle keyboard shortcuts
-  const handleKeyDown = (e) => {
-    // Ctrl+S or Cmd+S to save immediately
-    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-      e.preventDefault();
-      if (canEdit && noteId) {
-        updateNote(noteId, { content }, true);
-        if (isConnected) {
-          emitNoteUpdate(noteId, { content, userId: user?.id });
-        }
-      }
+  // Check or uncheck a task list item clicked in the preview
+  const handleToggleTask = (line) => {
+    const newContent = toggleTaskInSource(content, line);
+    if (newContent !== content) {
+      commitContent(newContent);
     }
+  };
 
-    // Ctrl+Z or Cmd+Z for undo (browser default, but we can enhance)
-    // Ctrl+Y or Cmd+Y for redo (browser default, but we can enhance)
-    // These are handled by the browser's native undo/redo for textarea
+  const handleViewModeChange = (mode) => {
+    setViewMode(mode);
+    localStorage.setItem(VIEW_MODE_KEY, mode);
   };
 
+  // Keyboard shortcuts, active while focus is inside the editor
+  // Ctrl+Z / Ctrl+Y are left to the textarea's native undo/redo
+  useKeyboardShortcuts(
+    {
+      'ctrl+s': () => {
+        if (noteId) {
+          updateNote(noteId, { content }, true);
+        }
+      },
+      'ctrl+b': () => handleFormat(MARKDOWN_FORMATS.BOLD),
+      'ctrl+i': () => handleFormat(MARKDOWN_FORMATS.ITALIC),
+    },
+    canEdit,
+    editorRef
+  );
+
   /**
    * Insert content at cursor position or at the end
    * Used by AI Panel to insert generated content
    */
   const insertContent = useCallback(
     (textToInsert) => {
-      if (!canEdit || !textareaRef.current) return;
+      if (!canEdit) return;
 
+      // In preview mode there is no textarea, so append to the end
       const textarea = textareaRef.current;
-      const start = textarea.selectionStart;
-      const end = textarea.selectionEnd;
+      const start = textarea ? textarea.selectionStart : content.length;
+      const end = textarea ? textarea.selectionEnd : content.length;
       const currentContent = content;
 
       // Insert text at cursor position
@@ -231,21 +393,18 @@ export default function NoteEditor({
         currentContent.substring(end);
 
       setContent(newContent);
-      lastEmittedContentRef.current = newContent;
 
       // Update cursor position after inserted text
       const newCursorPos = start + textToInsert.length + 4; // +4 for the newlines
       setTimeout(() => {
+        if (!textarea) return;
         textarea.focus();
         textarea.setSelectionRange(newCursorPos, newCursorPos);
       }, 0);
 
-      // Save the updated content
+      // Sync and save the updated content
       if (noteId) {
-        updateNote(noteId, { content: newContent }, true);
-        if (isConnected) {
-          emitNoteUpdate(noteId, { content: newContent, userId: user?.id });
-        }
+        applyLocalEdit(noteId, newContent);
       }
 
       // Call parent callback if provided
@@ -253,7 +412,7 @@ export default function NoteEditor({
         onContentChange(newContent);
       }
     },
-    [canEdit, content, noteId, updateNote, isConnected, emitNoteUpdate, user, onContentChange]
+    [canEdit, content, noteId, applyLocalEdit, onContentChange]
   );
 
   // Expose insertContent method to parent via callback
@@ -330,26 +489,68 @@ export default function NoteEditor({
         </div>
       )}
 
-      {/* Text editor */}
-      <div className={styles.editorWrapper}>
-        <textarea
-          ref={textareaRef}
-          value={content}
-          onChange={handleContentChange}
-          onKeyDown={handleKeyDown}
-          disabled={!canEdit}
-          placeholder={canEdit ? 'Start typing your note...' : 'This note is read-only'}
-          className={styles.textarea}
-          aria-label="Note content editor"
-          aria-readonly={!canEdit}
+      <MarkdownToolbar
+        onFormat={handleFormat}
+        viewMode={viewMode}
+        onViewModeChange={handleViewModeChange}
+        canEdit={canEdit}
+      />
+
+      {/* AI actions for the selection, and the preview of their change */}
+      {canEdit && viewMode !== 'preview' && (aiEdit || hasSelection) && (
+        <AISelectionMenu
+          edit={aiEdit && { ...aiEdit, proposed: proposeReplacement(aiEdit, aiResult) }}
+          isStreaming={isAIWriting}
+          stopped={aiStopped}
+          error={aiEditError || aiStreamError}
+          onAction={handleAIAction}
+          onStop={stopAIStream}
+          onAccept={handleAcceptAIEdit}
+          onDiscard={handleDiscardAIEdit}
         />
+      )}
+
+      {/* Text editor and preview */}
+      <div
+        ref={editorRef}
+        className={`${styles.editorWrapper} ${viewMode === 'split' ? styles.split : ''}`}
+      >
+        {viewMode !== 'preview' && (
+          <textarea
+            ref={textareaRef}
+            value={content}
+            onChange={handleContentChange}
+            onSelect={handleSelect}
+            disabled={!canEdit}
+            // Paused while an AI edit is reviewed, so the selection stays put
+            readOnly={Boolean(aiEdit)}
+            placeholder={canEdit ? 'Start typing your note...' : 'This note is read-only'}
+            className={styles.textarea}
+            aria-label="Note content editor"
+            aria-readonly={!canEdit}
+          />
+        )}
+        {viewMode !== 'preview' && (
+          <RemoteCursors textareaRef={textareaRef} content={content} cursors={cursors} />
+        )}
+        {viewMode !== 'edit' && (
+          <Suspense fallback={<div className={styles.previewPane} aria-busy="true" />}>
+            <MarkdownPreview
+              content={content}
+              onToggleTask={canEdit ? handleToggleTask : undefined}
+              className={styles.previewPane}
+            />
+          </Suspense>
+        )}
       </div>
 
       {/* Keyboard shortcuts hint - Hidden on mobile */}
       {canEdit && (
         <div className={styles.shortcuts}>
           <span className={styles.shortcutsText}>
-            Press <kbd className={styles.kbd}>Ctrl+S</kbd> to save manually
+            Press <kbd className={styles.kbd}>Ctrl+S</kbd> to save manually,{' '}
+            <kbd className={styles.kbd}>Ctrl+B</kbd> / <kbd className={styles.kbd}>Ctrl+I</kbd> for
+            bold and italic
           </span>
         </div>
       )}
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import styles from './NoteExportMenu.module.css';
+
+const NOTE_FORMATS = [
+  { id: 'markdown', label: 'Markdown (.md)' },
+  { id: 'html', label: 'HTML (.html)' },
+  { id: 'pdf', label: 'PDF (.pdf)' },
+];
+
+/**
+ * Note Export Menu Component
+ * Download button for the open note in Markdown, HTML or PDF (text plus images of its
+ * whiteboard pages), optionally with an entry for the whole container as a ZIP bundle.
+ */
+export default function NoteExportMenu({ onExport, onExportContainer, isBusy = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleSelect = (action) => {
+    setIsOpen(false);
+    action();
+  };
+
+  return (
+    <div className={styles.wrapper}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={styles.trigger}
+        disabled={isBusy}
+        aria-label={isBusy ? 'Exporting...' : 'Export note'}
+        title={isBusy ? 'Exporting...' : 'Export note'}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+      >
+        <svg
+          className={styles.icon}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+          aria-hidden="true"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+          />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <>
+          <div className={styles.backdrop} onClick={() => setIsOpen(false)} aria-hidden="true" />
+          <div className={styles.menu} role="menu" aria-label="Export note as">
+            {NOTE_FORMATS.map((format) => (
+              <button
+                key={format.id}
+                type="button"
+                className={styles.item}
+                onClick={() => handleSelect(() => onExport(format.id))}
+                role="menuitem"
+              >
+                {format.label}
+              </button>
+            ))}
+            {onExportContainer && (
+              <button
+                type="button"
+                className={styles.item}
+                onClick={() => handleSelect(onExportContainer)}
+                role="menuitem"
+              >
+                All notes in this container (.zip)
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+NoteExportMenu.propTypes = {
+  /** Called with the format to export the note in ('markdown', 'html' or 'pdf') */
+  onExport: PropTypes.func.isRequired,
+  /** Called to export the note's whole container as a ZIP bundle */
+  onExportContainer: PropTypes.func,
+  /** Whether an export is running */
+  isBusy: PropTypes.bool,
+};
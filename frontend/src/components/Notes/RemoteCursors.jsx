@@ -0,0 +1,158 @@
+import { useState, useLayoutEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import styles from './RemoteCursors.module.css';
+
+// Textarea styles that affect where text wraps; copied onto the mirror
+const MIRRORED_STYLES = [
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+  'fontStyle',
+  'letterSpacing',
+  'lineHeight',
+  'paddingTop',
+  'paddingRight',
+  'paddingBottom',
+  'paddingLeft',
+  'tabSize',
+  'textIndent',
+  'textTransform',
+  'wordSpacing',
+];
+
+/**
+ * Split the content at every cursor boundary
+ * @param {string} content - Note content
+ * @param {Array} cursors - Remote cursors with start/end already clamped
+ * @returns {Array} Segments: { text, carets, selectedBy }
+ */
+const buildSegments = (content, cursors) => {
+  const boundaries = [
+    ...new Set([0, content.length, ...cursors.flatMap((c) => [c.start, c.end])]),
+  ].sort((a, b) => a - b);
+
+  return boundaries.map((position, i) => {
+    const next = boundaries[i + 1] ?? position;
+    return {
+      text: content.slice(position, next),
+      // A selection's caret sits at its end
+      carets: cursors.filter((c) => c.end === position),
+      selectedBy: cursors.find((c) => c.start < c.end && c.start <= position && next <= c.end),
+    };
+  });
+};
+
+/**
+ * Remote Cursors Component
+ * Draws collaborators' carets and selections over the note textarea. A transparent
+ * mirror of the textarea (same font, padding and width) lays the text out identically,
+ * so markers placed in it line up with the real text.
+ */
+export default function RemoteCursors({ textareaRef, content, cursors }) {
+  const mirrorRef = useRef(null);
+  const [layout, setLayout] = useState(null);
+
+  // Follow the textarea's size and font (resizes, responsive font changes)
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const measure = () => {
+      const computed = window.getComputedStyle(textarea);
+      const style = {};
+      MIRRORED_STYLES.forEach((property) => {
+        style[property] = computed[property];
+      });
+
+      setLayout({
+        ...style,
+        top: textarea.offsetTop,
+        left: textarea.offsetLeft,
+        // Client size leaves out the scrollbar, matching the area text wraps in
+        width: textarea.clientWidth,
+        height: textarea.clientHeight,
+      });
+    };
+
+    const syncScroll = () => {
+      if (mirrorRef.current) {
+        mirrorRef.current.scrollTop = textarea.scrollTop;
+      }
+    };
+
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(textarea);
+    textarea.addEventListener('scroll', syncScroll);
+
+    return () => {
+      observer.disconnect();
+      textarea.removeEventListener('scroll', syncScroll);
+    };
+  }, [textareaRef]);
+
+  // Typing can scroll the textarea without a scroll event reaching us first
+  useLayoutEffect(() => {
+    if (mirrorRef.current && textareaRef.current) {
+      mirrorRef.current.scrollTop = textareaRef.current.scrollTop;
+    }
+  });
+
+  if (!layout || cursors.length === 0) return null;
+
+  const clamp = (position) => Math.max(0, Math.min(position ?? 0, content.length));
+  const visible = cursors.map((cursor) => {
+    const start = clamp(cursor.start);
+    const end = clamp(cursor.end);
+    return { ...cursor, start: Math.min(start, end), end: Math.max(start, end) };
+  });
+
+  return (
+    <div ref={mirrorRef} className={styles.mirror} style={layout} aria-hidden="true">
+      {buildSegments(content, visible).map((segment, i) => (
+        <span key={i}>
+          {segment.carets.map((cursor) => (
+            <span
+              key={cursor.userId}
+              className={styles.caret}
+              style={{ borderColor: cursor.color }}
+            >
+              <span className={styles.flag} style={{ backgroundColor: cursor.color }}>
+                {cursor.name || 'Anonymous'}
+              </span>
+            </span>
+          ))}
+          {segment.selectedBy ? (
+            <span
+              className={styles.selection}
+              style={{ backgroundColor: `${segment.selectedBy.color}40` }}
+            >
+              {segment.text}
+            </span>
+          ) : (
+            segment.text
+          )}
+        </span>
+      ))}
+      {/* Like a textarea, give a trailing newline its own line */}
+      {'\u200b'}
+    </div>
+  );
+}
+
+RemoteCursors.propTypes = {
+  /** Ref to the note textarea the cursors are drawn over */
+  textareaRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+  /** Text currently in the textarea */
+  content: PropTypes.string.isRequired,
+  /** Collaborators' cursors: { userId, name, color, start, end } */
+  cursors: PropTypes.arrayOf(
+    PropTypes.shape({
+      userId: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      color: PropTypes.string.isRequired,
+      start: PropTypes.number,
+      end: PropTypes.number,
+    })
+  ).isRequired,
+};
@@ -0,0 +1,84 @@
+import PropTypes from 'prop-types';
+import styles from './RemotePointers.module.css';
+
+/**
+ * Remote Pointers Component
+ * Draws collaborators' pointers over the whiteboard canvas. Pointers arrive in canvas
+ * (scene) coordinates and are placed with the local viewport transform, so they stay on
+ * the same drawing whatever each person's pan and zoom. While following someone, a
+ * banner names them and offers to stop.
+ */
+export default function RemotePointers({
+  pointers,
+  viewportTransform,
+  followedUser = null,
+  onStopFollowing,
+}) {
+  const [scaleX, skewY, skewX, scaleY, panX, panY] = viewportTransform;
+
+  return (
+    <>
+      {followedUser && (
+        <div
+          className={styles.followBanner}
+          style={{ borderColor: followedUser.color }}
+          role="status"
+        >
+          Following {followedUser.name || 'collaborator'}
+          <button type="button" className={styles.stopButton} onClick={onStopFollowing}>
+            Stop
+          </button>
+        </div>
+      )}
+
+      <div className={styles.overlay} aria-hidden="true">
+        {pointers.map((pointer) => (
+          <div
+            key={pointer.userId}
+            className={styles.pointer}
+            style={{
+              transform: `translate(${scaleX * pointer.x + skewX * pointer.y + panX}px, ${
+                skewY * pointer.x + scaleY * pointer.y + panY
+              }px)`,
+            }}
+          >
+            <svg className={styles.arrow} width="16" height="16" viewBox="0 0 16 16">
+              <path
+                d="M1 1 L1 13 L4.5 9.5 L7 15 L9 14 L6.5 8.5 L11.5 8.5 Z"
+                fill={pointer.color}
+                stroke="white"
+                strokeWidth="1"
+              />
+            </svg>
+            <span className={styles.label} style={{ backgroundColor: pointer.color }}>
+              {pointer.name || 'Anonymous'}
+            </span>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
+
+RemotePointers.propTypes = {
+  /** Collaborators' pointers in canvas coordinates: { userId, name, color, x, y } */
+  pointers: PropTypes.arrayOf(
+    PropTypes.shape({
+      userId: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      color: PropTypes.string.isRequired,
+      x: PropTypes.number.isRequired,
+      y: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  /** Local Fabric viewport transform [scaleX, skewY, skewX, scaleY, panX, panY] */
+  viewportTransform: PropTypes.arrayOf(PropTypes.number).isRequired,
+  /** User whose viewport is being followed: { userId, name, color } */
+  followedUser: PropTypes.shape({
+    userId: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    color: PropTypes.string.isRequired,
+  }),
+  /** Function to call when the user stops following */
+  onStopFollowing: PropTypes.func,
+};
@@ -0,0 +1,176 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { diffLines, DIFF_TYPES } from '../../utils/textDiff';
+import styles from './TextDiffView.module.css';
+
+// Unchanged lines kept around each change; longer unchanged stretches are collapsed
+const CONTEXT_LINES = 3;
+
+/**
+ * Strip the trailing newline that textDiff keeps on each line
+ * @param {string} line - Line from diffLines
+ * @returns {string} Display text
+ */
+const displayLine = (line) => line.replace(/\n$/, '');
+
+/**
+ * Build display rows from the diff, numbering lines on both sides
+ * @param {Array} runs - Output of diffLines
+ * @returns {Array} Rows: { type, oldNumber, newNumber, text } or { type: 'skip', count }
+ */
+const buildRows = (runs) => {
+  const rows = [];
+  let oldNumber = 1;
+  let newNumber = 1;
+
+  runs.forEach(({ type, lines }, runIndex) => {
+    if (type === DIFF_TYPES.EQUAL) {
+      const keepStart = runIndex === 0 ? 0 : CONTEXT_LINES;
+      const keepEnd = runIndex === runs.length - 1 ? 0 : CONTEXT_LINES;
+      const hidden = lines.length - keepStart - keepEnd;
+
+      lines.forEach((line, i) => {
+        if (hidden > 1 && i >= keepStart && i < lines.length - keepEnd) {
+          if (i === keepStart) rows.push({ type: 'skip', count: hidden });
+        } else {
+          rows.push({ type, oldNumber, newNumber, text: displayLine(line) });
+        }
+        oldNumber++;
+        newNumber++;
+      });
+    } else if (type === DIFF_TYPES.DELETE) {
+      lines.forEach((line) => {
+        rows.push({ type, oldNumber: oldNumber++, newNumber: null, text: displayLine(line) });
+      });
+    } else {
+      lines.forEach((line) => {
+        rows.push({ type, oldNumber: null, newNumber: newNumber++, text: displayLine(line) });
+      });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Pair deleted and inserted rows side by side for the split view
+ * @param {Array} rows - Rows from buildRows
+ * @returns {Array} Pairs: { left, right } or { skip }
+ */
+const pairRows = (rows) => {
+  const pairs = [];
+  let deleted = [];
+  let inserted = [];
+
+  const flush = () => {
+    const length = Math.max(deleted.length, inserted.length);
+    for (let i = 0; i < length; i++) {
+      pairs.push({ left: deleted[i] || null, right: inserted[i] || null });
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  rows.forEach((row) => {
+    if (row.type === DIFF_TYPES.DELETE) {
+      deleted.push(row);
+    } else if (row.type === DIFF_TYPES.INSERT) {
+      inserted.push(row);
+    } else {
+      flush();
+      pairs.push(row.type === 'skip' ? { skip: row } : { left: row, right: row });
+    }
+  });
+  flush();
+
+  return pairs;
+};
+
+const MARKERS = {
+  [DIFF_TYPES.EQUAL]: ' ',
+  [DIFF_TYPES.DELETE]: '-',
+  [DIFF_TYPES.INSERT]: '+',
+};
+
+/**
+ * Skipped unchanged lines
+ */
+const SkipRow = ({ count, colSpan }) => (
+  <tr className={styles.skipRow}>
+    <td colSpan={colSpan}>
+      ⋯ {count} unchanged line{count === 1 ? '' : 's'}
+    </td>
+  </tr>
+);
+
+/**
+ * Text Diff View Component
+ * Shows line-level changes between two texts, inline or side by side
+ */
+export default function TextDiffView({ oldText, newText, mode = 'inline' }) {
+  const rows = useMemo(() => buildRows(diffLines(oldText, newText)), [oldText, newText]);
+  const hasChanges = rows.some((row) => row.type !== DIFF_TYPES.EQUAL && row.type !== 'skip');
+
+  if (!hasChanges) {
+    return <p className={styles.empty}>No differences</p>;
+  }
+
+  if (mode === 'split') {
+    return (
+      <div className={styles.container}>
+        <table className={`${styles.table} ${styles.split}`}>
+          <tbody>
+            {pairRows(rows).map((pair, i) =>
+              pair.skip ? (
+                <SkipRow key={i} count={pair.skip.count} colSpan={4} />
+              ) : (
+                <tr key={i}>
+                  <td className={styles.lineNumber}>{pair.left?.oldNumber}</td>
+                  <td className={`${styles.code} ${pair.left ? styles[pair.left.type] : ''}`}>
+                    {pair.left?.text}
+                  </td>
+                  <td className={styles.lineNumber}>{pair.right?.newNumber}</td>
+                  <td className={`${styles.code} ${pair.right ? styles[pair.right.type] : ''}`}>
+                    {pair.right?.text}
+                  </td>
+                </tr>
+              )
+            )}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <table className={styles.table}>
+        <tbody>
+          {rows.map((row, i) =>
+            row.type === 'skip' ? (
+              <SkipRow key={i} count={row.count} colSpan={4} />
+            ) : (
+              <tr key={i} className={styles[row.type]}>
+                <td className={styles.lineNumber}>{row.oldNumber}</td>
+                <td className={styles.lineNumber}>{row.newNumber}</td>
+                <td className={styles.marker} aria-hidden="true">
+                  {MARKERS[row.type]}
+                </td>
+                <td className={styles.code}>{row.text}</td>
+              </tr>
+            )
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+TextDiffView.propTypes = {
+  /** Text before the change */
+  oldText: PropTypes.string.isRequired,
+  /** Text after the change */
+  newText: PropTypes.string.isRequired,
+  /** 'inline' (unified) or 'split' (side by side) */
+  mode: PropTypes.oneOf(['inline', 'split']),
+};
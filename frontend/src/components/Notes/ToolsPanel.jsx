@@ -1,21 +1,36 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
+import {
+  ERASER_MODES,
+  ATTACHMENT_LIMITS,
+  WHITEBOARD_EXPORT,
+  AI_WHITEBOARD_ACTIONS,
+} from '../../utils/constants';
 
 /**
  * ToolsPanel component for whiteboard drawing tools with glassmorphism styling
- * Provides tool selection, color picker, size selector, and export functionality
+ * Provides tool selection, shape picker, color picker, size selector, and export functionality
  * Requirements: 6.1, 6.5
  *
  * @param {Object} props
  * @param {string} props.selectedTool - Currently selected tool
  * @param {Function} props.onToolChange - Callback when tool changes
- * @param {Object} props.toolOptions - Current tool options (color, strokeWidth)
+ * @param {Object} props.toolOptions - Current tool options (color, strokeWidth, eraserMode)
  * @param {Function} props.onToolOptionsChange - Callback when tool options change
- * @param {Function} props.onExport - Callback for export action
+ * @param {Function} props.onExport - Callback with the export format ('png', 'svg' or 'pdf')
+ *   and options ({ allPages, selectionOnly, transparent, dpi }); allPages puts every
+ *   whiteboard page in one PDF
  * @param {Function} props.onUndo - Callback for undo action
  * @param {Function} props.onRedo - Callback for redo action
  * @param {boolean} props.canEdit - Whether user can edit (disables tools for Viewer role)
  * @param {boolean} props.canUndo - Whether undo is available
  * @param {boolean} props.canRedo - Whether redo is available
+ * @param {number} props.zoom - Current zoom level (1 = 100%)
+ * @param {Function} props.onZoom - Callback with a zoom command ('in', 'out', 'reset' or 'fit')
+ * @param {Function} props.onInsertFiles - Callback with image or PDF files to put on the board
+ * @param {number} props.pageCount - Number of whiteboard pages, to offer exporting them all
+ * @param {Function} props.onAIAction - Callback with an AI action to run on the board or
+ *   the selection (one of AI_WHITEBOARD_ACTIONS)
+ * @param {boolean} props.isAnalyzing - Whether an AI action is running
  */
 export default function ToolsPanel({
   selectedTool = 'pen',
@@ -28,21 +43,76 @@ export default function ToolsPanel({
   canEdit = true,
   canUndo = false,
   canRedo = false,
+  zoom = 1,
+  onZoom,
+  onInsertFiles,
+  pageCount = 1,
+  onAIAction,
+  isAnalyzing = false,
 }) {
+  const fileInputRef = useRef(null);
   const [showColorPicker, setShowColorPicker] = useState(false);
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [exportSettings, setExportSettings] = useState({
+    selectionOnly: false,
+    transparent: false,
+    dpi: WHITEBOARD_EXPORT.DEFAULT_DPI,
+  });
+  const [showShapePicker, setShowShapePicker] = useState(false);
+  const [showAIMenu, setShowAIMenu] = useState(false);
 
   const tools = [
     { id: 'pen', label: 'Pen', icon: '✏️' },
     { id: 'eraser', label: 'Eraser', icon: '🧹' },
-    { id: 'rectangle', label: 'Shapes', icon: '▭' },
+    { id: 'shapes', label: 'Shapes', icon: '▭' },
     { id: 'text', label: 'Text', icon: 'T' },
+    { id: 'formula', label: 'Formula (LaTeX)', icon: '∑' },
     { id: 'select', label: 'Select', icon: '↖️' },
     { id: 'clear', label: 'Clear', icon: '🗑️' },
   ];
 
+  const shapes = [
+    { id: 'rectangle', label: 'Rectangle', icon: '▭' },
+    { id: 'ellipse', label: 'Ellipse', icon: '◯' },
+    { id: 'triangle', label: 'Triangle', icon: '△' },
+    { id: 'diamond', label: 'Diamond', icon: '◇' },
+    { id: 'sticky', label: 'Sticky note', icon: '🗒️' },
+    { id: 'line', label: 'Line', icon: '╱' },
+    { id: 'arrow', label: 'Arrow', icon: '→' },
+    { id: 'connector', label: 'Connector (attaches to shapes)', icon: '⤳' },
+  ];
+  const selectedShape = shapes.find((shape) => shape.id === selectedTool);
+
   const strokeWidths = [1, 2, 4, 6, 8, 12];
 
+  const exportOptions = [
+    { id: 'png', label: 'PNG image', format: 'png' },
+    { id: 'svg', label: 'SVG image', format: 'svg' },
+    { id: 'pdf', label: pageCount > 1 ? 'PDF (this page)' : 'PDF', format: 'pdf' },
+    ...(pageCount > 1
+      ? [
+          {
+            id: 'pdf-all',
+            label: `PDF (all ${pageCount} pages)`,
+            format: 'pdf',
+            options: { allPages: true },
+          },
+        ]
+      : []),
+  ];
+
+  // Clean-up changes the board, so viewers only get the actions that read it
+  const aiActions = [
+    { id: AI_WHITEBOARD_ACTIONS.TRANSCRIBE, label: 'Transcribe handwriting to note text' },
+    { id: AI_WHITEBOARD_ACTIONS.DESCRIBE, label: 'Describe diagram' },
+    ...(canEdit ? [{ id: AI_WHITEBOARD_ACTIONS.CLEAN_UP, label: 'Clean up rough shapes' }] : []),
+  ];
+
+  const eraserModes = [
+    { id: ERASER_MODES.STROKE, label: 'Erase whole strokes', icon: '⌫' },
+    { id: ERASER_MODES.PARTIAL, label: 'Erase parts of strokes', icon: '✂️' },
+  ];
+
   const commonColors = [
     '#000000',
     '#FFFFFF',
@@ -58,9 +128,19 @@ export default function ToolsPanel({
 
   const handleToolClick = (toolId) => {
     if (!canEdit) return;
+    if (toolId === 'shapes') {
+      setShowShapePicker(!showShapePicker);
+      return;
+    }
+    setShowShapePicker(false);
     onToolChange(toolId);
   };
 
+  const handleShapeClick = (shapeId) => {
+    onToolChange(shapeId);
+    setShowShapePicker(false);
+  };
+
   const handleColorChange = (color) => {
     onToolOptionsChange({ ...toolOptions, color });
     setShowColorPicker(false);
@@ -70,38 +150,112 @@ export default function ToolsPanel({
     onToolOptionsChange({ ...toolOptions, strokeWidth: width });
   };
 
-  const handleExport = (format) => {
-    onExport(format);
+  const handleEraserModeChange = (eraserMode) => {
+    onToolOptionsChange({ ...toolOptions, eraserMode });
+  };
+
+  const handleFilesPicked = (event) => {
+    if (event.target.files.length > 0) {
+      onInsertFiles(Array.from(event.target.files));
+    }
+    // Allow picking the same file again
+    event.target.value = '';
+  };
+
+  const handleExport = (format, options = {}) => {
+    onExport(format, { ...exportSettings, ...options });
     setShowExportMenu(false);
   };
 
+  const handleAIAction = (action) => {
+    onAIAction(action);
+    setShowAIMenu(false);
+  };
+
   return (
     <div className="flex md:flex-col gap-2 md:gap-3 p-2 md:p-4 glass-container-light w-full md:w-20 md:h-full items-center overflow-x-auto md:overflow-x-visible overflow-y-visible md:overflow-y-auto">
       {/* Tool Buttons */}
       <div className="flex md:flex-col gap-2 shrink-0">
-        {tools.map((tool) => (
+        {tools.map((tool) => {
+          const isShapes = tool.id === 'shapes';
+          const isActive = isShapes ? Boolean(selectedShape) : selectedTool === tool.id;
+          return (
+            <div key={tool.id} className="relative">
+              <button
+                onClick={() => handleToolClick(tool.id)}
+                disabled={!canEdit}
+                className={`
+                  w-10 h-10 md:w-12 md:h-12 rounded-lg flex items-center justify-center text-lg md:text-xl
+                  transition-all duration-fast touch-manipulation
+                  ${
+                    isActive
+                      ? 'bg-gradient-primary text-white shadow-glass glow-effect'
+                      : 'glass-button hover:scale-103'
+                  }
+                  ${!canEdit ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}
+                `}
+                title={isShapes && selectedShape ? `Shapes: ${selectedShape.label}` : tool.label}
+                aria-label={tool.label}
+                aria-pressed={isActive}
+                aria-expanded={isShapes ? showShapePicker : undefined}
+                aria-haspopup={isShapes ? 'true' : undefined}
+              >
+                {isShapes && selectedShape ? selectedShape.icon : tool.icon}
+              </button>
+
+              {/* Shape Picker */}
+              {isShapes && showShapePicker && canEdit && (
+                <div
+                  className="absolute left-0 md:left-14 top-12 md:top-0 glass-container p-2 z-dropdown scale-in grid grid-cols-4 gap-1"
+                  role="menu"
+                  aria-label="Shapes"
+                >
+                  {shapes.map((shape) => (
+                    <button
+                      key={shape.id}
+                      onClick={() => handleShapeClick(shape.id)}
+                      className={`
+                        w-10 h-10 rounded flex items-center justify-center text-lg transition-all cursor-pointer
+                        ${selectedTool === shape.id ? 'glass-container shadow-glass-hover' : 'glass-button hover:scale-103'}
+                      `}
+                      role="menuitemradio"
+                      aria-checked={selectedTool === shape.id}
+                      title={shape.label}
+                      aria-label={shape.label}
+                    >
+                      {shape.icon}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Insert Image or PDF */}
+      {onInsertFiles && canEdit && (
+        <div className="shrink-0">
           <button
-            key={tool.id}
-            onClick={() => handleToolClick(tool.id)}
-            disabled={!canEdit}
-            className={`
-              w-10 h-10 md:w-12 md:h-12 rounded-lg flex items-center justify-center text-lg md:text-xl
-              transition-all duration-fast touch-manipulation
-              ${
-                selectedTool === tool.id
-                  ? 'bg-gradient-primary text-white shadow-glass glow-effect'
-                  : 'glass-button hover:scale-103'
-              }
-              ${!canEdit ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}
-            `}
-            title={tool.label}
-            aria-label={tool.label}
-            aria-pressed={selectedTool === tool.id}
+            onClick={() => fileInputRef.current?.click()}
+            className="w-10 h-10 md:w-12 md:h-12 rounded-lg flex items-center justify-center text-lg md:text-xl transition-all duration-fast touch-manipulation glass-button hover:scale-103 cursor-pointer"
+            title="Insert image or PDF (or drop / paste onto the board)"
+            aria-label="Insert image or PDF"
           >
-            {tool.icon}
+            🖼️
           </button>
-        ))}
-      </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={[...ATTACHMENT_LIMITS.IMAGE_TYPES, ATTACHMENT_LIMITS.PDF_TYPE].join(',')}
+            multiple
+            onChange={handleFilesPicked}
+            style={{ display: 'none' }}
+            aria-hidden="true"
+            tabIndex={-1}
+          />
+        </div>
+      )}
 
       {/* Divider */}
       <div className="hidden md:block w-full h-px" style={{ background: 'var(--glass-border)' }} />
@@ -182,6 +336,193 @@ export default function ToolsPanel({
           </button>
         ))}
       </div>
+
+      {/* Eraser Mode */}
+      {selectedTool === 'eraser' && canEdit && (
+        <div className="flex md:flex-col gap-1 shrink-0" role="group" aria-label="Eraser mode">
+          {eraserModes.map((mode) => {
+            const isActive = (toolOptions.eraserMode || ERASER_MODES.STROKE) === mode.id;
+            return (
+              <button
+                key={mode.id}
+                onClick={() => handleEraserModeChange(mode.id)}
+                className={`
+                  w-10 md:w-12 h-8 rounded flex items-center justify-center touch-manipulation transition-all cursor-pointer
+                  ${isActive ? 'glass-container shadow-glass-hover scale-103' : 'glass-button hover:scale-103'}
+                `}
+                title={mode.label}
+                aria-label={mode.label}
+                aria-pressed={isActive}
+              >
+                {mode.icon}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Zoom (available to viewers too) */}
+      {onZoom && (
+        <>
+          <div
+            className="hidden md:block w-full h-px"
+            style={{ background: 'var(--glass-border)' }}
+          />
+          <div className="flex md:flex-col items-center gap-1 shrink-0">
+            <button
+              onClick={() => onZoom('in')}
+              className="w-10 md:w-12 h-8 rounded flex items-center justify-center touch-manipulation transition-all glass-button hover:scale-103 cursor-pointer"
+              title="Zoom in (Ctrl+=)"
+              aria-label="Zoom in"
+            >
+              +
+            </button>
+            <button
+              onClick={() => onZoom('reset')}
+              className="w-10 md:w-12 h-8 rounded flex items-center justify-center touch-manipulation transition-all glass-button hover:scale-103 cursor-pointer text-xs"
+              title="Reset zoom to 100% (Ctrl+0)"
+              aria-label={`Zoom ${Math.round(zoom * 100)}%, reset to 100%`}
+            >
+              {Math.round(zoom * 100)}%
+            </button>
+            <button
+              onClick={() => onZoom('out')}
+              className="w-10 md:w-12 h-8 rounded flex items-center justify-center touch-manipulation transition-all glass-button hover:scale-103 cursor-pointer"
+              title="Zoom out (Ctrl+-)"
+              aria-label="Zoom out"
+            >
+              −
+            </button>
+            <button
+              onClick={() => onZoom('fit')}
+              className="w-10 md:w-12 h-8 rounded flex items-center justify-center touch-manipulation transition-all glass-button hover:scale-103 cursor-pointer"
+              title="Zoom to fit"
+              aria-label="Zoom to fit the drawing"
+            >
+              ⤢
+            </button>
+          </div>
+        </>
+      )}
+
+      {/* Export (available to viewers too) */}
+      {onExport && (
+        <div className="relative shrink-0">
+          <button
+            onClick={() => setShowExportMenu(!showExportMenu)}
+            className="w-10 h-10 md:w-12 md:h-12 rounded-lg flex items-center justify-center text-lg md:text-xl transition-all duration-fast touch-manipulation glass-button hover:scale-103 cursor-pointer"
+            title="Export"
+            aria-label="Export whiteboard"
+            aria-expanded={showExportMenu}
+            aria-haspopup="true"
+          >
+            ⤓
+          </button>
+          {showExportMenu && (
+            <div
+              className="absolute left-0 md:left-14 bottom-12 md:bottom-0 glass-container p-2 z-dropdown scale-in flex flex-col gap-1"
+              role="menu"
+              aria-label="Export as"
+            >
+              {exportOptions.map((option) => (
+                <button
+                  key={option.id}
+                  onClick={() => handleExport(option.format, option.options)}
+                  className="px-3 py-2 rounded text-sm text-left whitespace-nowrap glass-button hover:scale-103 cursor-pointer"
+                  role="menuitem"
+                >
+                  {option.label}
+                </button>
+              ))}
+
+              <div className="border-t border-glass-border mt-1 pt-2 px-1 flex flex-col gap-2 text-sm">
+                <label className="flex items-center gap-2 whitespace-nowrap cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={exportSettings.selectionOnly}
+                    onChange={(e) =>
+                      setExportSettings({ ...exportSettings, selectionOnly: e.target.checked })
+                    }
+                  />
+                  Selection only
+                </label>
+                <label className="flex items-center gap-2 whitespace-nowrap cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={exportSettings.transparent}
+                    onChange={(e) =>
+                      setExportSettings({ ...exportSettings, transparent: e.target.checked })
+                    }
+                  />
+                  Transparent background
+                </label>
+                <label
+                  className="flex items-center gap-2 whitespace-nowrap"
+                  title="Resolution of PNG images, and of PDF pages that can't be kept as vector graphics"
+                >
+                  Resolution
+                  <select
+                    value={exportSettings.dpi}
+                    onChange={(e) =>
+                      setExportSettings({ ...exportSettings, dpi: Number(e.target.value) })
+                    }
+                    className="glass-input rounded px-1 py-0.5 text-sm"
+                  >
+                    {WHITEBOARD_EXPORT.DPI_OPTIONS.map((dpi) => (
+                      <option key={dpi} value={dpi}>
+                        {dpi} dpi
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* AI on the drawing (available to viewers too) */}
+      {onAIAction && (
+        <div className="relative shrink-0">
+          <button
+            onClick={() => setShowAIMenu(!showAIMenu)}
+            disabled={isAnalyzing}
+            className={`
+              w-10 h-10 md:w-12 md:h-12 rounded-lg flex items-center justify-center text-lg md:text-xl
+              transition-all duration-fast touch-manipulation glass-button
+              ${isAnalyzing ? 'opacity-50 cursor-wait' : 'hover:scale-103 cursor-pointer'}
+            `}
+            title={isAnalyzing ? 'AI is working…' : 'AI'}
+            aria-label="AI actions on the whiteboard"
+            aria-expanded={showAIMenu}
+            aria-haspopup="true"
+            aria-busy={isAnalyzing}
+          >
+            {isAnalyzing ? '⏳' : '🤖'}
+          </button>
+          {showAIMenu && !isAnalyzing && (
+            <div
+              className="absolute left-0 md:left-14 bottom-12 md:bottom-0 glass-container p-2 z-dropdown scale-in flex flex-col gap-1"
+              role="menu"
+              aria-label="AI actions"
+            >
+              {aiActions.map((action) => (
+                <button
+                  key={action.id}
+                  onClick={() => handleAIAction(action.id)}
+                  className="px-3 py-2 rounded text-sm text-left whitespace-nowrap glass-button hover:scale-103 cursor-pointer"
+                  role="menuitem"
+                >
+                  {action.label}
+                </button>
+              ))}
+              <p className="border-t border-glass-border mt-1 pt-2 px-1 text-xs whitespace-nowrap">
+                Uses the selection, or the whole page if nothing is selected
+              </p>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, ModalHeader, ModalBody, ModalFooter } from '../Modal';
+import GlassButton from '../GlassButton';
+import TextDiffView from './TextDiffView';
+import useNoteStore from '../../store/useNoteStore';
+import { formatDate } from '../../utils/helpers';
+import styles from './VersionHistoryModal.module.css';
+
+/**
+ * Version History Modal Component
+ * Timeline of saved versions of a note with a diff between any two of them
+ * and one-click restore
+ */
+export default function VersionHistoryModal({
+  noteId,
+  isOpen,
+  onClose,
+  currentContent = '',
+  canEdit = true,
+}) {
+  const { versions, isLoadingVersions, fetchVersions, fetchVersion, restoreVersion } =
+    useNoteStore();
+
+  const [selectedId, setSelectedId] = useState(null);
+  // 'previous', 'current' or the ID of another version
+  const [compareWith, setCompareWith] = useState('previous');
+  const [diffMode, setDiffMode] = useState('inline');
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load history when opened and select the latest version
+  useEffect(() => {
+    if (!isOpen || !noteId) return;
+
+    setError(null);
+    setCompareWith('previous');
+    fetchVersions(noteId).then((result) => {
+      if (result.success) {
+        setSelectedId(result.versions[0]?.id ?? null);
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [isOpen, noteId, fetchVersions]);
+
+  const selectedIndex = versions.findIndex((v) => v.id === selectedId);
+  const selected = versions[selectedIndex];
+
+  let base = null;
+  if (compareWith === 'previous') {
+    base = versions[selectedIndex + 1] || { content: '' };
+  } else if (compareWith === 'current') {
+    base = { content: currentContent };
+  } else {
+    base = versions.find((v) => v.id === compareWith) || null;
+  }
+
+  // Versions may be listed without their content; fetch it when needed
+  const selectedMissingId = selected && selected.content === undefined ? selected.id : null;
+  const baseMissingId = base?.id && base.content === undefined ? base.id : null;
+  useEffect(() => {
+    [selectedMissingId, baseMissingId]
+      .filter(Boolean)
+      .forEach((versionId) => fetchVersion(noteId, versionId));
+  }, [noteId, selectedMissingId, baseMissingId, fetchVersion]);
+
+  const handleRestore = async () => {
+    if (!selected || selected.content === undefined) return;
+
+    setIsRestoring(true);
+    setError(null);
+
+    const result = await restoreVersion(noteId, selected);
+
+    setIsRestoring(false);
+
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error || 'Failed to restore version');
+    }
+  };
+
+  const isLoaded = selected?.content !== undefined && base?.content !== undefined;
+  const isCurrent = selected?.content === currentContent;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} className={styles.modal}>
+      <ModalHeader onClose={onClose}>Version History</ModalHeader>
+
+      <ModalBody className={styles.body}>
+        {error && <p className={styles.error}>{error}</p>}
+
+        {isLoadingVersions && versions.length === 0 ? (
+          <p className={styles.placeholder}>Loading history...</p>
+        ) : versions.length === 0 ? (
+          <p className={styles.placeholder}>No saved versions yet</p>
+        ) : (
+          <div className={styles.layout}>
+            {/* Timeline */}
+            <ol className={styles.timeline} aria-label="Versions">
+              {versions.map((version, index) => (
+                <li key={version.id}>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedId(version.id)}
+                    className={`${styles.versionButton} ${
+                      version.id === selectedId ? styles.selected : ''
+                    }`}
+                    aria-current={version.id === selectedId}
+                  >
+                    <span className={styles.versionDate}>
+                      {formatDate(version.createdAt)}
+                      {index === 0 && <span className={styles.latestBadge}>Latest</span>}
+                    </span>
+                    <span className={styles.versionAuthor}>{version.authorName || 'Unknown'}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+
+            {/* Diff */}
+            <div className={styles.diffPanel}>
+              <div className={styles.diffControls}>
+                <label className={styles.compareLabel}>
+                  Compare with
+                  <select
+                    value={compareWith}
+                    onChange={(e) => setCompareWith(e.target.value)}
+                    className={styles.select}
+                  >
+                    <option value="previous">Previous version</option>
+                    <option value="current">Current note</option>
+                    {versions
+                      .filter((v) => v.id !== selectedId)
+                      .map((v) => (
+                        <option key={v.id} value={v.id}>
+                          {new Date(v.createdAt).toLocaleString()} · {v.authorName}
+                        </option>
+                      ))}
+                  </select>
+                </label>
+
+                <div className={styles.modeToggle} role="group" aria-label="Diff layout">
+                  <button
+                    type="button"
+                    onClick={() => setDiffMode('inline')}
+                    className={diffMode === 'inline' ? styles.active : ''}
+                    aria-pressed={diffMode === 'inline'}
+                  >
+                    Inline
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setDiffMode('split')}
+                    className={diffMode === 'split' ? styles.active : ''}
+                    aria-pressed={diffMode === 'split'}
+                  >
+                    Side by side
+                  </button>
+                </div>
+              </div>
+
+              {isLoaded ? (
+                <TextDiffView
+                  oldText={base.content || ''}
+                  newText={selected.content || ''}
+                  mode={diffMode}
+                />
+              ) : (
+                <p className={styles.placeholder}>Loading version...</p>
+              )}
+            </div>
+          </div>
+        )}
+      </ModalBody>
+
+      <ModalFooter>
+        <GlassButton variant="ghost" onClick={onClose} disabled={isRestoring}>
+          Close
+        </GlassButton>
+        {canEdit && (
+          <GlassButton
+            variant="primary"
+            onClick={handleRestore}
+            loading={isRestoring}
+            disabled={!isLoaded || isCurrent || isRestoring}
+          >
+            {isCurrent ? 'Matches current note' : 'Restore this version'}
+          </GlassButton>
+        )}
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+VersionHistoryModal.propTypes = {
+  /** Note whose history is shown */
+  noteId: PropTypes.string,
+  /** Whether the modal is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when modal should close */
+  onClose: PropTypes.func.isRequired,
+  /** Current note content, for comparing against the live note */
+  currentContent: PropTypes.string,
+  /** Whether the user may restore versions */
+  canEdit: PropTypes.bool,
+};
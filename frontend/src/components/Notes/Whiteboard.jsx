@@ -3,8 +3,22 @@ import { Canvas } from 'fabric';
 import useWhiteboardTools from '../../hooks/useWhiteboardTools';
 import useWhiteboardHistory from '../../hooks/useWhiteboardHistory';
 import useWhiteboardSync from '../../hooks/useWhiteboardSync';
+import useWhiteboardPresence from '../../hooks/useWhiteboardPresence';
+import useWhiteboardViewport from '../../hooks/useWhiteboardViewport';
+import useWhiteboardMedia from '../../hooks/useWhiteboardMedia';
+import useWhiteboardAI from '../../hooks/useWhiteboardAI';
 import useKeyboardShortcuts from '../../hooks/useKeyboardShortcuts';
+import useNoteStore from '../../store/useNoteStore';
+import RemotePointers from './RemotePointers';
+import WhiteboardMinimap from './WhiteboardMinimap';
+import WhiteboardMediaBar from './WhiteboardMediaBar';
 import { exportWhiteboard } from '../../utils/whiteboardExport';
+import {
+  assignLegacyObjectIds,
+  ensureObjectId,
+  applyObjectLock,
+} from '../../utils/whiteboardObjects';
+import { EMPTY_PAGE_DATA, LEGACY_PAGE_ID } from '../../utils/whiteboardPages';
 
 /**
  * Whiteboard component with Fabric.js canvas
@@ -13,20 +27,34 @@ import { exportWhiteboard } from '../../utils/whiteboardExport';
  *
  * @param {Object} props
  * @param {string} props.noteId - Note ID for the whiteboard
+ * @param {string} props.pageId - Whiteboard page shown; its drawing is loaded from
+ *   initialData whenever the page changes
  * @param {boolean} props.canEdit - Whether user can edit the whiteboard
- * @param {Function} props.onDrawingChange - Callback when drawing changes
- * @param {Object} props.initialData - Initial whiteboard data to load
+ * @param {Function} props.onDrawingChange - Callback when drawing changes (data, pageId)
+ * @param {Object} props.initialData - Whiteboard data of the page to load
  * @param {string} props.selectedTool - Currently selected drawing tool
  * @param {Object} props.toolOptions - Options for the selected tool (color, size, etc.)
  * @param {Function} props.onUndo - Callback for undo action
  * @param {Function} props.onRedo - Callback for redo action
  * @param {Function} props.onHistoryChange - Callback when history state changes
- * @param {Function} props.onExport - Callback for export action
+ * @param {Object} props.onExport - Ref that receives the export function (format, options);
+ *   `options.pages` exports those pages ({ id, name, data }) into one PDF, and the other
+ *   options (selectionOnly, transparent, dpi) are passed on to exportWhiteboard
  * @param {boolean} props.enableSync - Enable real-time synchronization (default: true)
  * @param {Function} props.onRemoteUpdate - Callback when remote update is received
+ * @param {Object} props.onZoom - Ref that receives the zoom command function
+ *   ('in', 'out', 'reset' or 'fit')
+ * @param {Function} props.onZoomChange - Callback when the zoom level changes
+ * @param {Object} props.onInsertFiles - Ref that receives the function inserting image
+ *   and PDF files
+ * @param {Object} props.onAnalyze - Ref that receives the function running an AI action
+ *   (one of AI_WHITEBOARD_ACTIONS) on the board or the selection
+ * @param {Function} props.onPageChange - Callback to open another page, used to follow a
+ *   collaborator onto the page they are on
  */
 export default function Whiteboard({
   noteId,
+  pageId = LEGACY_PAGE_ID,
   canEdit = true,
   onDrawingChange,
   initialData = null,
@@ -38,26 +66,70 @@ export default function Whiteboard({
   onExport,
   enableSync = true,
   onRemoteUpdate,
+  onZoom,
+  onZoomChange,
+  onInsertFiles,
+  onAnalyze,
+  onPageChange,
 }) {
   const canvasRef = useRef(null);
   const fabricCanvasRef = useRef(null);
   const containerRef = useRef(null);
-  const [isReady, setIsReady] = useState(false);
+  // Page whose drawing is on the canvas, null until the first page is loaded
+  const [loadedPageId, setLoadedPageId] = useState(null);
+  // Page loads run one after another, so a slow load can't overwrite a later page
+  const pageLoad = useRef(Promise.resolve());
+  const isReady = loadedPageId !== null;
+
+  // Hooks only see the canvas once the page is loaded, so loading isn't recorded in
+  // history or broadcast as new objects. While another page loads they let go of the
+  // canvas, and pick it up again for the new page.
+  const readyCanvas = loadedPageId === pageId ? fabricCanvasRef.current : null;
 
   // Use whiteboard tools hook
-  useWhiteboardTools(fabricCanvasRef.current, selectedTool, toolOptions, canEdit);
+  useWhiteboardTools(readyCanvas, selectedTool, toolOptions, canEdit);
 
-  // Use whiteboard history hook
-  const { undo, redo, canUndo, canRedo } = useWhiteboardHistory(fabricCanvasRef.current);
+  // Use whiteboard history hook, one history per page
+  const { undo, redo, canUndo, canRedo } = useWhiteboardHistory(readyCanvas, pageId);
 
   // Use whiteboard sync hook for real-time collaboration
   const { isRemoteUpdate } = useWhiteboardSync(
-    fabricCanvasRef.current,
+    readyCanvas,
     enableSync ? noteId : null,
+    pageId,
     onRemoteUpdate,
     100 // 100ms debounce
   );
 
+  // Pan, zoom and the saved viewport
+  const { viewportTransform, zoom, zoomIn, zoomOut, resetZoom, zoomToFit, centerOn } =
+    useWhiteboardViewport(readyCanvas, noteId, pageId);
+
+  // Collaborators' pointers and follow mode
+  const { pointers, followedUser, followedPageId } = useWhiteboardPresence(
+    readyCanvas,
+    enableSync ? noteId : null,
+    pageId
+  );
+  const { followUser } = useNoteStore();
+
+  // Follow a collaborator onto the page they are on
+  useEffect(() => {
+    if (followedPageId && onPageChange) {
+      onPageChange(followedPageId);
+    }
+  }, [followedPageId, onPageChange]);
+
+  // Images and PDF pages, dropped, pasted or picked in the toolbar
+  const { insertFiles, importStatus, clearImportStatus } = useWhiteboardMedia(
+    readyCanvas,
+    noteId,
+    canEdit
+  );
+
+  // AI transcription, description and clean-up of the drawing
+  const { analyzeBoard } = useWhiteboardAI(readyCanvas, canEdit);
+
   // Keyboard shortcuts for whiteboard
   useKeyboardShortcuts(
     {
@@ -80,6 +152,18 @@ export default function Whiteboard({
     canEdit && isReady
   );
 
+  // Zoom shortcuts work for viewers too
+  useKeyboardShortcuts(
+    {
+      'ctrl+=': zoomIn,
+      'ctrl++': zoomIn,
+      'ctrl+shift++': zoomIn,
+      'ctrl+-': zoomOut,
+      'ctrl+0': resetZoom,
+    },
+    isReady
+  );
+
   // Expose undo/redo functions to parent
   useEffect(() => {
     if (onUndo) {
@@ -97,16 +181,98 @@ export default function Whiteboard({
     }
   }, [canUndo, canRedo, onHistoryChange]);
 
+  // Expose zoom commands to parent
+  useEffect(() => {
+    if (onZoom) {
+      const commands = { in: zoomIn, out: zoomOut, reset: resetZoom, fit: zoomToFit };
+      onZoom.current = (command) => commands[command]?.();
+    }
+  }, [onZoom, zoomIn, zoomOut, resetZoom, zoomToFit]);
+
+  // Expose file insertion to parent
+  useEffect(() => {
+    if (onInsertFiles) {
+      onInsertFiles.current = insertFiles;
+    }
+  }, [onInsertFiles, insertFiles]);
+
+  // Expose AI actions to parent
+  useEffect(() => {
+    if (onAnalyze) {
+      onAnalyze.current = analyzeBoard;
+    }
+  }, [onAnalyze, analyzeBoard]);
+
+  // Notify parent of zoom changes
+  useEffect(() => {
+    if (onZoomChange) {
+      onZoomChange(zoom);
+    }
+  }, [zoom, onZoomChange]);
+
   // Expose export function to parent
   useEffect(() => {
     if (onExport) {
-      onExport.current = async (format) => {
-        if (fabricCanvasRef.current) {
-          await exportWhiteboard(fabricCanvasRef.current, format);
-        }
+      onExport.current = async (format, options = {}) => {
+        const canvas = fabricCanvasRef.current;
+        if (!canvas) return;
+
+        // The open page is exported as shown, including changes not saved yet
+        const pages = options.pages?.map((page) =>
+          page.id === pageId ? { name: page.name, canvas } : page
+        );
+        await exportWhiteboard(canvas, format, null, { ...options, pages });
       };
     }
-  }, [onExport]);
+  }, [onExport, pageId]);
+
+  // Handle canvas modifications and trigger callback with auto-save. Declared before the
+  // canvas setup, so a pending save is flushed before the canvas is disposed on unmount;
+  // it is also flushed when another page is opened.
+  useEffect(() => {
+    if (!readyCanvas || !onDrawingChange) return;
+
+    const canvas = readyCanvas;
+    let autoSaveTimer = null;
+
+    const save = () => {
+      autoSaveTimer = null;
+      // Serialize canvas data
+      onDrawingChange(canvas.toJSON(), pageId);
+    };
+
+    const handleModified = () => {
+      // Don't trigger callback if it's a remote update
+      if (isRemoteUpdate()) return;
+
+      // Clear existing timer
+      if (autoSaveTimer) {
+        clearTimeout(autoSaveTimer);
+      }
+
+      // Debounce auto-save (500ms delay)
+      autoSaveTimer = setTimeout(save, 500);
+    };
+
+    // Listen for canvas modifications
+    canvas.on('object:added', handleModified);
+    canvas.on('object:modified', handleModified);
+    canvas.on('object:removed', handleModified);
+    canvas.on('path:created', handleModified);
+
+    return () => {
+      canvas.off('object:added', handleModified);
+      canvas.off('object:modified', handleModified);
+      canvas.off('object:removed', handleModified);
+      canvas.off('path:created', handleModified);
+
+      // Save what is still pending
+      if (autoSaveTimer) {
+        clearTimeout(autoSaveTimer);
+        save();
+      }
+    };
+  }, [readyCanvas, pageId, onDrawingChange, isRemoteUpdate]);
 
   // Initialize Fabric.js canvas
   useEffect(() => {
@@ -125,20 +291,15 @@ export default function Whiteboard({
     fabricCanvas.allowTouchScrolling = false;
     fabricCanvas.enableRetinaScaling = true;
 
+    // Every object gets a stable ID before anything else sees it (history, sync), and
+    // locked objects stay locked however they arrive (load, undo, remote changes)
+    fabricCanvas.on('object:added', ({ target }) => {
+      ensureObjectId(target);
+      applyObjectLock(target);
+    });
+
     // Store reference
     fabricCanvasRef.current = fabricCanvas;
-    setIsReady(true);
-
-    // Load initial data if provided
-    if (initialData) {
-      try {
-        fabricCanvas.loadFromJSON(initialData, () => {
-          fabricCanvas.renderAll();
-        });
-      } catch (error) {
-        console.error('Failed to load whiteboard data:', error);
-      }
-    }
 
     // Cleanup on unmount
     return () => {
@@ -149,6 +310,37 @@ export default function Whiteboard({
     };
   }, []);
 
+  // Load the page's drawing, on mount and whenever another page is opened
+  useEffect(() => {
+    const canvas = fabricCanvasRef.current;
+    if (!canvas) return;
+
+    let cancelled = false;
+    pageLoad.current = pageLoad.current.then(async () => {
+      if (cancelled) return;
+
+      try {
+        canvas.discardActiveObject();
+        await canvas.loadFromJSON(initialData || EMPTY_PAGE_DATA);
+        canvas.backgroundColor = canvas.backgroundColor || '#ffffff';
+        assignLegacyObjectIds(canvas);
+        canvas.renderAll();
+      } catch (error) {
+        console.error('Failed to load whiteboard data:', error);
+      }
+
+      if (!cancelled) {
+        setLoadedPageId(pageId);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+    // initialData belongs to pageId; it is only read when the page changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [pageId]);
+
   // Handle canvas resize for responsive behavior
   useEffect(() => {
     const handleResize = () => {
@@ -200,49 +392,6 @@ export default function Whiteboard({
     }
   }, [selectedTool, toolOptions, canEdit]);
 
-  // Handle canvas modifications and trigger callback with auto-save
-  useEffect(() => {
-    if (!fabricCanvasRef.current || !onDrawingChange) return;
-
-    const canvas = fabricCanvasRef.current;
-    let autoSaveTimer = null;
-
-    const handleModified = () => {
-      // Don't trigger callback if it's a remote update
-      if (isRemoteUpdate()) return;
-
-      // Clear existing timer
-      if (autoSaveTimer) {
-        clearTimeout(autoSaveTimer);
-      }
-
-      // Debounce auto-save (500ms delay)
-      autoSaveTimer = setTimeout(() => {
-        // Serialize canvas data
-        const data = canvas.toJSON();
-        onDrawingChange(data);
-      }, 500);
-    };
-
-    // Listen for canvas modifications
-    canvas.on('object:added', handleModified);
-    canvas.on('object:modified', handleModified);
-    canvas.on('object:removed', handleModified);
-    canvas.on('path:created', handleModified);
-
-    return () => {
-      canvas.off('object:added', handleModified);
-      canvas.off('object:modified', handleModified);
-      canvas.off('object:removed', handleModified);
-      canvas.off('path:created', handleModified);
-
-      // Clear timer on cleanup
-      if (autoSaveTimer) {
-        clearTimeout(autoSaveTimer);
-      }
-    };
-  }, [isReady, onDrawingChange, isRemoteUpdate]);
-
   // Disable editing if user is viewer
   useEffect(() => {
     if (!fabricCanvasRef.current) return;
@@ -258,23 +407,38 @@ export default function Whiteboard({
       });
     } else {
       canvas.forEachObject((obj) => {
-        obj.selectable = true;
-        obj.evented = true;
+        obj.selectable = !obj.locked;
+        obj.evented = !obj.locked;
       });
     }
 
     canvas.renderAll();
-  }, [canEdit]);
+  }, [canEdit, loadedPageId]);
 
   return (
     <div
       ref={containerRef}
       className="w-full h-full relative bg-white rounded-lg shadow-sm overflow-hidden"
-      style={{ minHeight: '400px' }}
+      style={{ position: 'relative', overflow: 'hidden', minHeight: '400px' }}
       role="img"
       aria-label="Whiteboard canvas for drawing and sketching"
     >
       <canvas ref={canvasRef} aria-label="Drawing canvas" />
+      <RemotePointers
+        pointers={pointers}
+        viewportTransform={viewportTransform}
+        followedUser={followedUser}
+        onStopFollowing={() => followUser(null)}
+      />
+      {readyCanvas && <WhiteboardMinimap fabricCanvas={readyCanvas} onNavigate={centerOn} />}
+      {readyCanvas && canEdit && (
+        <WhiteboardMediaBar
+          fabricCanvas={readyCanvas}
+          selectedTool={selectedTool}
+          importStatus={importStatus}
+          onDismissStatus={clearImportStatus}
+        />
+      )}
       {!canEdit && (
         <div
           className="absolute top-2 right-2 bg-gray-800 text-white text-xs px-2 py-1 rounded"
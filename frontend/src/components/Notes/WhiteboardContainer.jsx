@@ -1,6 +1,8 @@
 import { useState, useRef, lazy, Suspense } from 'react';
 import ToolsPanel from './ToolsPanel';
+import WhiteboardPageStrip from './WhiteboardPageStrip';
 import useNoteStore from '../../store/useNoteStore';
+import useWhiteboardPages from '../../hooks/useWhiteboardPages';
 import LoadingSpinner from '../LoadingSpinner';
 
 // Lazy load the heavy Whiteboard component (includes Fabric.js)
@@ -8,7 +10,8 @@ const Whiteboard = lazy(() => import('./Whiteboard'));
 
 /**
  * WhiteboardContainer component
- * Integrates Whiteboard with ToolsPanel and handles auto-save to note store
+ * Integrates Whiteboard with ToolsPanel and the page strip, and handles auto-save to
+ * note store
  *
  * @param {Object} props
  * @param {string} props.noteId - Note ID for the whiteboard
@@ -30,14 +33,16 @@ export default function WhiteboardContainer({ noteId, canEdit = true, enableSync
   const redoRef = useRef(null);
   const exportRef = useRef(null);
 
-  const { currentNote, updateWhiteboard } = useNoteStore();
+  const { updateWhiteboard } = useNoteStore();
+  const whiteboardPages = useWhiteboardPages(noteId);
+  const { activePage } = whiteboardPages;
 
   // Handle drawing changes and auto-save
-  const handleDrawingChange = (whiteboardData) => {
+  const handleDrawingChange = (whiteboardData, pageId) => {
     if (!noteId) return;
 
-    // Update whiteboard data in note store (with debounced auto-save)
-    updateWhiteboard(noteId, whiteboardData);
+    // Update whiteboard data of the page in note store
+    updateWhiteboard(noteId, whiteboardData, pageId);
   };
 
   // Handle tool change
@@ -65,13 +70,14 @@ export default function WhiteboardContainer({ noteId, canEdit = true, enableSync
   };
 
   // Handle export
-  const handleExport = async (format) => {
+  const handleExport = async (format, { allPages = false, ...options } = {}) => {
     if (exportRef.current) {
       try {
-        await exportRef.current(format);
+        const exportPages = allPages ? await whiteboardPages.loadAllPages() : undefined;
+        await exportRef.current(format, { ...options, pages: exportPages });
       } catch (error) {
         console.error('Export failed:', error);
-        alert('Failed to export whiteboard. Please try again.');
+        alert(error.message || 'Failed to export whiteboard. Please try again.');
       }
     }
   };
@@ -86,9 +92,6 @@ export default function WhiteboardContainer({ noteId, canEdit = true, enableSync
     console.log('Received remote whiteboard update:', data);
   };
 
-  // Load initial whiteboard data from current note
-  const initialData = currentNote?.whiteboardData || null;
-
   return (
     <div className="flex h-full w-full">
       {/* Tools Panel */}
@@ -103,10 +106,28 @@ export default function WhiteboardContainer({ noteId, canEdit = true, enableSync
         canEdit={canEdit}
         canUndo={historyState.canUndo}
         canRedo={historyState.canRedo}
+        pageCount={whiteboardPages.pages.length}
       />
 
       {/* Whiteboard Canvas */}
-      <div className="flex-1 p-4">
+      <div
+        className="flex-1 p-4"
+        style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-2)' }}
+      >
+        <WhiteboardPageStrip
+          pages={whiteboardPages.pages}
+          activePageId={activePage?.id}
+          loadingPageId={whiteboardPages.loadingPageId}
+          canEdit={canEdit}
+          error={whiteboardPages.error}
+          onSelect={whiteboardPages.selectPage}
+          onAdd={whiteboardPages.addPage}
+          onDuplicate={whiteboardPages.duplicatePage}
+          onRename={whiteboardPages.renamePage}
+          onDelete={whiteboardPages.deletePage}
+          onMove={whiteboardPages.movePage}
+          onDismissError={whiteboardPages.clearError}
+        />
         <Suspense
           fallback={
             <div className="flex items-center justify-center h-full">
@@ -114,20 +135,24 @@ export default function WhiteboardContainer({ noteId, canEdit = true, enableSync
             </div>
           }
         >
-          <Whiteboard
-            noteId={noteId}
-            canEdit={canEdit}
-            onDrawingChange={handleDrawingChange}
-            initialData={initialData}
-            selectedTool={selectedTool}
-            toolOptions={toolOptions}
-            onUndo={undoRef}
-            onRedo={redoRef}
-            onHistoryChange={handleHistoryChange}
-            onExport={exportRef}
-            enableSync={enableSync}
-            onRemoteUpdate={handleRemoteUpdate}
-          />
+          {activePage && (
+            <Whiteboard
+              noteId={noteId}
+              pageId={activePage.id}
+              canEdit={canEdit}
+              onDrawingChange={handleDrawingChange}
+              initialData={activePage.data}
+              selectedTool={selectedTool}
+              toolOptions={toolOptions}
+              onUndo={undoRef}
+              onRedo={redoRef}
+              onHistoryChange={handleHistoryChange}
+              onExport={exportRef}
+              enableSync={enableSync}
+              onRemoteUpdate={handleRemoteUpdate}
+              onPageChange={whiteboardPages.selectPage}
+            />
+          )}
         </Suspense>
       </div>
     </div>
@@ -0,0 +1,135 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { setObjectLocked } from '../../utils/whiteboardObjects';
+import styles from './WhiteboardMediaBar.module.css';
+
+/**
+ * Whiteboard Media Bar Component
+ * Progress and errors of image and PDF imports, plus locking: the current selection
+ * can be locked in place (imported PDF pages start out locked), and with the select
+ * tool every locked object can be unlocked again. Lock changes go out as ordinary
+ * modifications, in one undo step.
+ */
+export default function WhiteboardMediaBar({
+  fabricCanvas,
+  selectedTool,
+  importStatus = null,
+  onDismissStatus,
+}) {
+  const [selectedCount, setSelectedCount] = useState(0);
+  const [lockedCount, setLockedCount] = useState(0);
+
+  useEffect(() => {
+    if (!fabricCanvas) return;
+
+    const update = () => {
+      setSelectedCount(fabricCanvas.getActiveObjects().length);
+      setLockedCount(fabricCanvas.getObjects().filter((object) => object.locked).length);
+    };
+
+    const disposers = [
+      'object:added',
+      'object:removed',
+      'object:modified',
+      'selection:created',
+      'selection:updated',
+      'selection:cleared',
+    ].map((eventName) => fabricCanvas.on(eventName, update));
+    update();
+
+    return () => {
+      disposers.forEach((dispose) => dispose());
+    };
+  }, [fabricCanvas]);
+
+  /**
+   * Lock or unlock objects and report them as modified
+   * @param {Array} objects - Fabric objects
+   * @param {boolean} locked - Whether to lock them
+   */
+  const setLocked = (objects, locked) => {
+    // Objects in a selection are positioned relative to it until it is dropped
+    fabricCanvas.discardActiveObject();
+
+    fabricCanvas.fire('batch:start');
+    objects.forEach((object) => {
+      setObjectLocked(object, locked);
+      fabricCanvas.fire('object:modified', { target: object });
+    });
+    fabricCanvas.fire('batch:end');
+
+    fabricCanvas.requestRenderAll();
+  };
+
+  const handleLock = () => {
+    setLocked(fabricCanvas.getActiveObjects(), true);
+  };
+
+  const handleUnlockAll = () => {
+    setLocked(
+      fabricCanvas.getObjects().filter((object) => object.locked),
+      false
+    );
+  };
+
+  const canUnlock = selectedTool === 'select' && lockedCount > 0;
+
+  if (!importStatus && selectedCount === 0 && !canUnlock) {
+    return null;
+  }
+
+  return (
+    <div className={styles.bar}>
+      {importStatus && (
+        <div
+          className={clsx(styles.status, importStatus.error && styles.error)}
+          role={importStatus.error ? 'alert' : 'status'}
+        >
+          {importStatus.error || importStatus.message}
+          {importStatus.error && (
+            <button
+              type="button"
+              className={styles.dismiss}
+              onClick={onDismissStatus}
+              aria-label="Dismiss"
+            >
+              ×
+            </button>
+          )}
+        </div>
+      )}
+
+      {selectedCount > 0 && (
+        <button
+          type="button"
+          className={styles.button}
+          onClick={handleLock}
+          title="Locked objects can't be selected, moved or erased"
+        >
+          🔒 Lock {selectedCount > 1 ? `${selectedCount} objects` : 'object'}
+        </button>
+      )}
+
+      {canUnlock && selectedCount === 0 && (
+        <button type="button" className={styles.button} onClick={handleUnlockAll}>
+          🔓 Unlock {lockedCount} locked {lockedCount > 1 ? 'objects' : 'object'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+WhiteboardMediaBar.propTypes = {
+  /** Fabric.js canvas whose objects are locked and unlocked */
+  fabricCanvas: PropTypes.object,
+  /** Currently selected tool; unlocking is offered with the select tool */
+  selectedTool: PropTypes.string,
+  /** Import progress ({ message }) or failure ({ error }) */
+  importStatus: PropTypes.shape({
+    message: PropTypes.string,
+    error: PropTypes.string,
+  }),
+  /** Called when the user dismisses an import error */
+  onDismissStatus: PropTypes.func,
+};
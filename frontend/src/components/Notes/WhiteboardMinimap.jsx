@@ -0,0 +1,159 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { throttle } from '../../utils/helpers';
+import { getContentBounds, getVisibleBounds, unionBounds } from '../../utils/whiteboardViewport';
+import styles from './WhiteboardMinimap.module.css';
+
+const MINIMAP_WIDTH = 180;
+const MINIMAP_HEIGHT = 120;
+// Redraws are coalesced, since the board renders on every pointer move while drawing
+const REDRAW_DELAY = 100;
+
+/**
+ * Whiteboard Minimap Component
+ * Thumbnail of the whole board with the visible area outlined. Clicking or dragging
+ * in it moves the view there.
+ */
+export default function WhiteboardMinimap({ fabricCanvas, onNavigate }) {
+  const canvasRef = useRef(null);
+  const dragFrame = useRef(null);
+  // How the board maps onto the minimap: scene -> minimap is point * scale + offset
+  const [frame, setFrame] = useState(null);
+  const [isCollapsed, setIsCollapsed] = useState(false);
+
+  useEffect(() => {
+    if (!fabricCanvas || isCollapsed) return;
+
+    const redraw = () => {
+      const element = canvasRef.current;
+      if (!element) return;
+
+      const visible = getVisibleBounds(fabricCanvas);
+      const board = unionBounds(visible, getContentBounds(fabricCanvas));
+      const margin = Math.max(board.width, board.height) * 0.05;
+      const world = {
+        left: board.left - margin,
+        top: board.top - margin,
+        width: board.width + margin * 2,
+        height: board.height + margin * 2,
+      };
+
+      const scale = Math.min(MINIMAP_WIDTH / world.width, MINIMAP_HEIGHT / world.height);
+      const offsetX = (MINIMAP_WIDTH - world.width * scale) / 2 - world.left * scale;
+      const offsetY = (MINIMAP_HEIGHT - world.height * scale) / 2 - world.top * scale;
+      const ratio = window.devicePixelRatio || 1;
+
+      element.width = MINIMAP_WIDTH * ratio;
+      element.height = MINIMAP_HEIGHT * ratio;
+      const ctx = element.getContext('2d');
+      ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * offsetX, ratio * offsetY);
+
+      // Objects outside the main view are skipped by Fabric unless told otherwise
+      const skipOffscreen = fabricCanvas.skipOffscreen;
+      fabricCanvas.skipOffscreen = false;
+      fabricCanvas.getObjects().forEach((object) => object.render(ctx));
+      fabricCanvas.skipOffscreen = skipOffscreen;
+
+      setFrame({ scale, offsetX, offsetY, visible });
+    };
+
+    const scheduleRedraw = throttle(redraw, REDRAW_DELAY, { trailing: true });
+
+    redraw();
+    return fabricCanvas.on('after:render', scheduleRedraw);
+  }, [fabricCanvas, isCollapsed]);
+
+  /**
+   * Move the view to the board point under the pointer
+   * @param {PointerEvent} event - Pointer event on the minimap
+   * @param {Object} mapping - Frame to map the point with
+   */
+  const navigate = (event, mapping) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    onNavigate(
+      (event.clientX - rect.left - mapping.offsetX) / mapping.scale,
+      (event.clientY - rect.top - mapping.offsetY) / mapping.scale
+    );
+  };
+
+  const handlePointerDown = (event) => {
+    if (!frame) return;
+
+    // Map with the frame from the start of the drag; the minimap rescales as the view moves
+    dragFrame.current = frame;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    navigate(event, frame);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragFrame.current) {
+      navigate(event, dragFrame.current);
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragFrame.current = null;
+  };
+
+  if (isCollapsed) {
+    return (
+      <button
+        type="button"
+        className={`${styles.minimap} ${styles.toggle}`}
+        onClick={() => setIsCollapsed(false)}
+        aria-label="Show minimap"
+        title="Show minimap"
+      >
+        ▣
+      </button>
+    );
+  }
+
+  return (
+    <div className={styles.minimap}>
+      <div
+        className={styles.map}
+        style={{ width: MINIMAP_WIDTH, height: MINIMAP_HEIGHT }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        role="img"
+        aria-label="Minimap of the whiteboard"
+      >
+        <canvas
+          ref={canvasRef}
+          className={styles.thumbnail}
+          style={{ width: MINIMAP_WIDTH, height: MINIMAP_HEIGHT }}
+        />
+        {frame && (
+          <div
+            className={styles.viewport}
+            style={{
+              left: frame.visible.left * frame.scale + frame.offsetX,
+              top: frame.visible.top * frame.scale + frame.offsetY,
+              width: frame.visible.width * frame.scale,
+              height: frame.visible.height * frame.scale,
+            }}
+          />
+        )}
+      </div>
+      <button
+        type="button"
+        className={styles.collapse}
+        onClick={() => setIsCollapsed(true)}
+        aria-label="Hide minimap"
+        title="Hide minimap"
+      >
+        ×
+      </button>
+    </div>
+  );
+}
+
+WhiteboardMinimap.propTypes = {
+  /** Fabric.js canvas to preview */
+  fabricCanvas: PropTypes.object,
+  /** Called with the scene point (x, y) to center the view on */
+  onNavigate: PropTypes.func.isRequired,
+};
@@ -0,0 +1,205 @@
+import { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { WHITEBOARD_PAGE_NAME_MAX_LENGTH } from '../../utils/constants';
+import styles from './WhiteboardPageStrip.module.css';
+
+/**
+ * Whiteboard Page Strip Component
+ * Tabs for the pages of a note's whiteboard. Editors can add pages, rename a page by
+ * double-clicking its tab, and move, duplicate or delete the open page; viewers can
+ * only switch pages.
+ */
+export default function WhiteboardPageStrip({
+  pages,
+  activePageId = null,
+  loadingPageId = null,
+  canEdit = true,
+  error = null,
+  onSelect,
+  onAdd,
+  onDuplicate,
+  onRename,
+  onDelete,
+  onMove,
+  onDismissError,
+}) {
+  // { pageId, name } while a page is being renamed
+  const [editing, setEditing] = useState(null);
+  // Set when renaming is cancelled, so leaving the field doesn't save the name
+  const cancelRename = useRef(false);
+
+  const activeIndex = pages.findIndex((page) => page.id === activePageId);
+  const activePage = pages[activeIndex];
+
+  const startRename = (page) => {
+    if (canEdit) {
+      setEditing({ pageId: page.id, name: page.name });
+    }
+  };
+
+  const finishRename = () => {
+    if (!cancelRename.current) {
+      onRename(editing.pageId, editing.name);
+    }
+    cancelRename.current = false;
+    setEditing(null);
+  };
+
+  const handleRenameKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      cancelRename.current = true;
+    }
+    if (event.key === 'Enter' || event.key === 'Escape') {
+      event.currentTarget.blur();
+    }
+  };
+
+  const handleDelete = () => {
+    const confirmed = window.confirm(`Delete "${activePage.name}" and everything drawn on it?`);
+    if (confirmed) {
+      onDelete(activePage.id);
+    }
+  };
+
+  return (
+    <div className={styles.strip}>
+      <div className={styles.tabs} role="tablist" aria-label="Whiteboard pages">
+        {pages.map((page) =>
+          editing?.pageId === page.id ? (
+            <input
+              key={page.id}
+              className={styles.nameInput}
+              value={editing.name}
+              maxLength={WHITEBOARD_PAGE_NAME_MAX_LENGTH}
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              onBlur={finishRename}
+              onKeyDown={handleRenameKeyDown}
+              aria-label="Page name"
+              autoFocus
+            />
+          ) : (
+            <button
+              key={page.id}
+              type="button"
+              role="tab"
+              className={clsx(
+                styles.tab,
+                page.id === activePageId && styles.active,
+                page.id === loadingPageId && styles.loading
+              )}
+              onClick={() => onSelect(page.id)}
+              onDoubleClick={() => startRename(page)}
+              aria-selected={page.id === activePageId}
+              title={canEdit ? `${page.name} (double-click to rename)` : page.name}
+            >
+              {page.name}
+            </button>
+          )
+        )}
+
+        {canEdit && (
+          <button
+            type="button"
+            className={styles.iconButton}
+            onClick={onAdd}
+            title="Add page"
+            aria-label="Add page"
+          >
+            +
+          </button>
+        )}
+      </div>
+
+      {canEdit && activePage && (
+        <div className={styles.actions} role="group" aria-label={`${activePage.name} actions`}>
+          <button
+            type="button"
+            className={styles.iconButton}
+            onClick={() => onMove(activePage.id, activeIndex - 1)}
+            disabled={activeIndex === 0}
+            title="Move page left"
+            aria-label="Move page left"
+          >
+            ←
+          </button>
+          <button
+            type="button"
+            className={styles.iconButton}
+            onClick={() => onMove(activePage.id, activeIndex + 1)}
+            disabled={activeIndex === pages.length - 1}
+            title="Move page right"
+            aria-label="Move page right"
+          >
+            →
+          </button>
+          <button
+            type="button"
+            className={styles.iconButton}
+            onClick={() => onDuplicate(activePage.id)}
+            title="Duplicate page"
+            aria-label="Duplicate page"
+          >
+            ⧉
+          </button>
+          <button
+            type="button"
+            className={styles.iconButton}
+            onClick={handleDelete}
+            disabled={pages.length <= 1}
+            title={pages.length <= 1 ? "The only page can't be deleted" : 'Delete page'}
+            aria-label="Delete page"
+          >
+            🗑️
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className={styles.error} role="alert">
+          {error}
+          <button
+            type="button"
+            className={styles.dismiss}
+            onClick={onDismissError}
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+WhiteboardPageStrip.propTypes = {
+  /** Pages in order ({ id, name }) */
+  pages: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  /** Page shown on the whiteboard */
+  activePageId: PropTypes.string,
+  /** Page being opened */
+  loadingPageId: PropTypes.string,
+  /** Whether the user can change pages; viewers can only switch between them */
+  canEdit: PropTypes.bool,
+  /** Last failed page action */
+  error: PropTypes.string,
+  /** Called with the ID of the page to open */
+  onSelect: PropTypes.func.isRequired,
+  /** Called to add a page */
+  onAdd: PropTypes.func,
+  /** Called with the ID of the page to copy */
+  onDuplicate: PropTypes.func,
+  /** Called with a page ID and its new name */
+  onRename: PropTypes.func,
+  /** Called with the ID of the page to delete, once the user confirmed */
+  onDelete: PropTypes.func,
+  /** Called with a page ID and its new position */
+  onMove: PropTypes.func,
+  /** Called when the user dismisses the error */
+  onDismissError: PropTypes.func,
+};
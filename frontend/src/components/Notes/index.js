@@ -10,3 +10,11 @@ export { default as AIPanel } from './AIPanel';
 export { default as EditorNavbar } from './EditorNavbar';
 export { default as EditorArea } from './EditorArea';
 export { default as ActionToolbar } from './ActionToolbar';
+export { default as TextDiffView } from './TextDiffView';
+export { default as VersionHistoryModal } from './VersionHistoryModal';
+export { default as MarkdownToolbar } from './MarkdownToolbar';
+export { default as WhiteboardPageStrip } from './WhiteboardPageStrip';
+export { default as NoteExportMenu } from './NoteExportMenu';
+export { default as MoveNoteModal } from './MoveNoteModal';
+export { default as FolderBreadcrumbs } from './FolderBreadcrumbs';
+export { default as AISelectionMenu } from './AISelectionMenu';
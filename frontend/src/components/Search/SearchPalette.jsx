@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
+import clsx from 'clsx';
+import { Modal } from '../Modal';
+import useSearchStore from '../../store/useSearchStore';
+import useInstanceStore from '../../store/useInstanceStore';
+import { SEARCH_MODES, SEARCH_DEBOUNCE_DELAY } from '../../utils/constants';
+import { formatDate } from '../../utils/helpers';
+import styles from './SearchPalette.module.css';
+
+const NO_FILTERS = { instanceId: '', containerId: '', authorId: '', from: '', to: '' };
+
+/**
+ * Text with the given [start, end) ranges marked
+ */
+function Highlighted({ text, ranges = [] }) {
+  const parts = [];
+  let at = 0;
+  ranges.forEach(([start, end]) => {
+    parts.push(text.slice(at, start));
+    parts.push(
+      <mark key={start} className={styles.match}>
+        {text.slice(start, end)}
+      </mark>
+    );
+    at = end;
+  });
+  parts.push(text.slice(at));
+
+  return <>{parts}</>;
+}
+
+Highlighted.propTypes = {
+  text: PropTypes.string.isRequired,
+  ranges: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+};
+
+/**
+ * Search Palette Component
+ * Searches the notes of every instance the user can access, by keyword or by meaning,
+ * as the user types. Results can be narrowed down by instance, container, author and
+ * date, and are picked with the arrow keys and Enter or by clicking.
+ */
+export default function SearchPalette({ isOpen, onClose }) {
+  const navigate = useNavigate();
+  const { results, total, rankedBy, facets, isSearching, error, search } = useSearchStore();
+  const { instances, fetchInstances } = useInstanceStore();
+  const [query, setQuery] = useState('');
+  const [mode, setMode] = useState(SEARCH_MODES.KEYWORD);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // The instance filter lists the user's instances
+  useEffect(() => {
+    if (isOpen && instances.length === 0) {
+      fetchInstances();
+    }
+  }, [isOpen, instances.length, fetchInstances]);
+
+  // Search once typing pauses
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const timer = setTimeout(() => {
+      search(query, { mode, ...filters });
+    }, SEARCH_DEBOUNCE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [isOpen, query, mode, filters, search]);
+
+  const hasFilters = Object.values(filters).some(Boolean);
+  const active = Math.min(activeIndex, results.length - 1);
+
+  const changeFilter = (name, value) => {
+    setFilters((current) => ({
+      ...current,
+      [name]: value,
+      // Containers belong to an instance
+      ...(name === 'instanceId' && { containerId: '' }),
+    }));
+    setActiveIndex(0);
+  };
+
+  const openResult = (result) => {
+    navigate(
+      `/instance/${result.instanceId}/container/${result.containerId}/note/${result.noteId}`
+    );
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((active + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((active - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter' && results[active]) {
+      e.preventDefault();
+      openResult(results[active]);
+    }
+  };
+
+  const renderStatus = () => {
+    if (error) return <p className={styles.error}>{error}</p>;
+    if (!query.trim()) {
+      return <p className={styles.status}>Search the notes of all your instances.</p>;
+    }
+    if (isSearching && results.length === 0) return <p className={styles.status}>Searching...</p>;
+    if (!isSearching && results.length === 0) {
+      return <p className={styles.status}>No notes match &quot;{query.trim()}&quot;.</p>;
+    }
+    return null;
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} className={styles.palette}>
+      <div className={styles.header}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Search all notes"
+          className={styles.input}
+          role="combobox"
+          aria-label="Search all notes"
+          aria-expanded={results.length > 0}
+          aria-controls="search-palette-results"
+          aria-activedescendant={results[active] ? `search-result-${active}` : undefined}
+        />
+        <div className={styles.modes} role="radiogroup" aria-label="Ranking">
+          {[
+            { id: SEARCH_MODES.KEYWORD, label: 'Keyword' },
+            { id: SEARCH_MODES.SEMANTIC, label: 'Semantic' },
+          ].map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              role="radio"
+              aria-checked={mode === option.id}
+              onClick={() => setMode(option.id)}
+              className={clsx(styles.mode, mode === option.id && styles.modeActive)}
+              title={
+                option.id === SEARCH_MODES.SEMANTIC
+                  ? 'Rank by meaning, so notes about the same thing match without sharing words'
+                  : 'Rank by the words notes share with the search'
+              }
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowFilters(!showFilters)}
+          className={clsx(styles.mode, hasFilters && styles.modeActive)}
+          aria-expanded={showFilters}
+        >
+          Filters
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className={styles.filters}>
+          <select
+            value={filters.instanceId}
+            onChange={(e) => changeFilter('instanceId', e.target.value)}
+            className={styles.filter}
+            aria-label="Instance"
+          >
+            <option value="">All instances</option>
+            {instances.map((instance) => (
+              <option key={instance.id} value={instance.id}>
+                {instance.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.containerId}
+            onChange={(e) => changeFilter('containerId', e.target.value)}
+            className={styles.filter}
+            aria-label="Container"
+          >
+            <option value="">All containers</option>
+            {facets.containers.map((container) => (
+              <option key={container.id} value={container.id}>
+                {container.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.authorId}
+            onChange={(e) => changeFilter('authorId', e.target.value)}
+            className={styles.filter}
+            aria-label="Author"
+          >
+            <option value="">Anyone</option>
+            {facets.authors.map((author) => (
+              <option key={author.id} value={author.id}>
+                {author.name}
+              </option>
+            ))}
+          </select>
+          <label className={styles.dateLabel}>
+            From
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => changeFilter('from', e.target.value)}
+              className={styles.filter}
+            />
+          </label>
+          <label className={styles.dateLabel}>
+            To
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => changeFilter('to', e.target.value)}
+              className={styles.filter}
+            />
+          </label>
+          {hasFilters && (
+            <button
+              type="button"
+              onClick={() => {
+                setFilters(NO_FILTERS);
+                setActiveIndex(0);
+              }}
+              className={styles.clear}
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
+      {mode === SEARCH_MODES.SEMANTIC && rankedBy && rankedBy !== mode && (
+        <p className={styles.notice}>
+          Semantic ranking isn&apos;t available right now, so these are keyword matches.
+        </p>
+      )}
+
+      {renderStatus()}
+
+      {results.length > 0 && (
+        <ul
+          id="search-palette-results"
+          className={styles.results}
+          role="listbox"
+          aria-label="Search results"
+          aria-busy={isSearching}
+        >
+          {results.map((result, index) => (
+            <li
+              key={result.noteId}
+              id={`search-result-${index}`}
+              role="option"
+              aria-selected={index === active}
+              onClick={() => openResult(result)}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={clsx(styles.result, index === active && styles.resultActive)}
+            >
+              <span className={styles.resultTitle}>
+                <Highlighted text={result.title} ranges={result.highlights?.title} />
+              </span>
+              <span className={styles.resultMeta}>
+                {result.instanceName} / {result.containerName}
+                {result.authorName && ` · ${result.authorName}`} · {formatDate(result.updatedAt)}
+              </span>
+              {result.snippet && (
+                <span className={styles.snippet}>
+                  <Highlighted text={result.snippet} ranges={result.highlights?.snippet} />
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className={styles.footer}>
+        {total > results.length && `Best ${results.length} of ${total} matches · `}↑↓ to move ·
+        Enter to open · Esc to close
+      </p>
+    </Modal>
+  );
+}
+
+SearchPalette.propTypes = {
+  /** Whether the palette is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when the palette should close */
+  onClose: PropTypes.func.isRequired,
+};
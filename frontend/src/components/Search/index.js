@@ -0,0 +1,6 @@
+/**
+ * Search Components
+ * Export all global search components
+ */
+
+export { default as SearchPalette } from './SearchPalette';
@@ -1,24 +1,25 @@
 /**
  * Socket Connection Status Indicator
- * Displays the current WebSocket connection status
+ * Displays the current WebSocket connection status and how many offline changes
+ * are still waiting to be sent
  */
 import { useEffect, useState } from 'react';
 import useSocketStore from '../store/useSocketStore';
 
 const SocketConnectionIndicator = ({ className = '' }) => {
-  const { isConnected, reconnectAttempts, error } = useSocketStore();
+  const { isConnected, reconnectAttempts, error, pendingChanges } = useSocketStore();
   const [showIndicator, setShowIndicator] = useState(false);
 
   useEffect(() => {
-    // Show indicator when disconnected or reconnecting
-    if (!isConnected || reconnectAttempts > 0 || error) {
+    // Show indicator when disconnected, reconnecting or still sending offline changes
+    if (!isConnected || reconnectAttempts > 0 || error || pendingChanges > 0) {
       setShowIndicator(true);
     } else {
       // Hide indicator after a brief delay when connected
       const timer = setTimeout(() => setShowIndicator(false), 2000);
       return () => clearTimeout(timer);
     }
-  }, [isConnected, reconnectAttempts, error]);
+  }, [isConnected, reconnectAttempts, error, pendingChanges]);
 
   if (!showIndicator && isConnected) {
     return null;
@@ -46,6 +47,13 @@ const SocketConnectionIndicator = ({ className = '' }) => {
         icon: '⭕',
       };
     }
+    if (pendingChanges > 0) {
+      return {
+        text: 'Syncing',
+        color: 'bg-blue-500',
+        icon: '🔄',
+      };
+    }
     return {
       text: 'Connected',
       color: 'bg-green-500',
@@ -65,6 +73,14 @@ const SocketConnectionIndicator = ({ className = '' }) => {
         {status.icon}
       </span>
       <span>{status.text}</span>
+      {pendingChanges > 0 && (
+        <span
+          className="px-1.5 rounded-full bg-white/25 text-xs"
+          title="Changes saved on this device, waiting to be sent"
+        >
+          {pendingChanges} pending
+        </span>
+      )}
       {isConnected && (
         <span className="relative flex h-2 w-2">
           <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-white opacity-75"></span>
@@ -0,0 +1,236 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import clsx from 'clsx';
+import GlassButton from '../GlassButton';
+import { DECK_CARD_TYPES } from '../../utils/constants';
+import { getDueCards } from '../../utils/spacedRepetition';
+import styles from './DeckReview.module.css';
+
+/**
+ * Deck Review Component
+ * Goes through the cards of a deck that are due: flashcards are flipped and marked as
+ * known or missed, quiz questions are answered by picking a choice. Every answer is
+ * recorded so the card is scheduled again with spaced repetition.
+ * Render it with key={deck.id} so a session doesn't carry over to another deck.
+ */
+export default function DeckReview({ deck, onReview }) {
+  const [queue, setQueue] = useState(null); // card IDs of the session, null before it starts
+  const [position, setPosition] = useState(0);
+  const [revealed, setRevealed] = useState(false);
+  const [choice, setChoice] = useState(null);
+  const [tally, setTally] = useState({ correct: 0, incorrect: 0 });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const dueCards = getDueCards(deck.cards);
+  const card = queue ? deck.cards.find((c) => c.id === queue[position]) : null;
+  const isFinished = queue !== null && position >= queue.length;
+
+  /**
+   * Start a session with the given cards
+   * @param {Array} cards - Cards to review, in order
+   */
+  const startSession = (cards) => {
+    setQueue(cards.map((c) => c.id));
+    setPosition(0);
+    setRevealed(false);
+    setChoice(null);
+    setTally({ correct: 0, incorrect: 0 });
+  };
+
+  const nextCard = () => {
+    setPosition((current) => current + 1);
+    setRevealed(false);
+    setChoice(null);
+  };
+
+  /**
+   * Record the answer to the current card
+   * @param {boolean} correct - Whether it was answered correctly
+   * @returns {Promise<boolean>} Whether the answer was saved
+   */
+  const recordAnswer = async (correct) => {
+    setIsSaving(true);
+    const result = await onReview(card.id, correct);
+    setIsSaving(false);
+
+    if (result.success) {
+      setTally((current) => ({
+        correct: current.correct + (correct ? 1 : 0),
+        incorrect: current.incorrect + (correct ? 0 : 1),
+      }));
+    }
+    return result.success;
+  };
+
+  const handleFlashcardAnswer = async (correct) => {
+    if (await recordAnswer(correct)) {
+      nextCard();
+    }
+  };
+
+  const handleChoice = async (selected) => {
+    if (choice !== null || isSaving) return;
+
+    setChoice(selected);
+    if (!(await recordAnswer(selected === card.answer))) {
+      setChoice(null);
+    }
+  };
+
+  // Before a session: what's due
+  if (queue === null) {
+    return (
+      <div className={styles.review}>
+        <p className={styles.summary}>
+          {dueCards.length > 0
+            ? `${dueCards.length} of ${deck.cards.length} cards are due for review.`
+            : 'Nothing is due right now. Come back later, or practise every card now.'}
+        </p>
+        <div className={styles.actions}>
+          <GlassButton
+            variant="primary"
+            onClick={() => startSession(dueCards)}
+            disabled={dueCards.length === 0}
+          >
+            Start review
+          </GlassButton>
+          <GlassButton variant="ghost" onClick={() => startSession(deck.cards)}>
+            Practise all cards
+          </GlassButton>
+        </div>
+      </div>
+    );
+  }
+
+  if (isFinished || !card) {
+    return (
+      <div className={styles.review}>
+        <p className={styles.summary}>
+          Session done: {tally.correct} correct, {tally.incorrect} incorrect.
+        </p>
+        <p className={styles.hint}>Missed cards come back tomorrow; known ones later each time.</p>
+        <div className={styles.actions}>
+          <GlassButton variant="primary" onClick={() => setQueue(null)}>
+            Back to deck
+          </GlassButton>
+        </div>
+      </div>
+    );
+  }
+
+  const isQuiz = card.type === DECK_CARD_TYPES.QUIZ;
+  const { instanceId, containerId } = deck.source || {};
+
+  return (
+    <div className={styles.review}>
+      <div className={styles.progress}>
+        <span>
+          Card {position + 1} of {queue.length}
+        </span>
+        <span>
+          ✓ {tally.correct} · ✗ {tally.incorrect}
+        </span>
+      </div>
+
+      <div className={styles.card} aria-live="polite">
+        <span className={styles.cardType}>{isQuiz ? 'Quiz' : 'Flashcard'}</span>
+        <p className={styles.question}>{card.question}</p>
+
+        {isQuiz ? (
+          <ul className={styles.choices}>
+            {card.choices.map((option) => (
+              <li key={option}>
+                <button
+                  type="button"
+                  onClick={() => handleChoice(option)}
+                  disabled={choice !== null || isSaving}
+                  className={clsx(
+                    styles.choice,
+                    choice !== null && option === card.answer && styles.choiceCorrect,
+                    choice === option && option !== card.answer && styles.choiceIncorrect
+                  )}
+                >
+                  {option}
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          revealed && <p className={styles.answer}>{card.answer}</p>
+        )}
+
+        {instanceId && containerId && card.noteId && (
+          <Link
+            to={`/instance/${instanceId}/container/${containerId}/note/${card.noteId}`}
+            className={styles.noteLink}
+          >
+            Open the note
+          </Link>
+        )}
+      </div>
+
+      <div className={styles.actions}>
+        {isQuiz && choice !== null && (
+          <>
+            <p className={styles.feedback}>
+              {choice === card.answer ? 'Correct!' : 'Not quite, the answer is highlighted.'}
+            </p>
+            <GlassButton variant="primary" onClick={nextCard} disabled={isSaving}>
+              Next
+            </GlassButton>
+          </>
+        )}
+
+        {!isQuiz && !revealed && (
+          <GlassButton variant="primary" onClick={() => setRevealed(true)}>
+            Show answer
+          </GlassButton>
+        )}
+
+        {!isQuiz && revealed && (
+          <>
+            <GlassButton
+              variant="secondary"
+              onClick={() => handleFlashcardAnswer(false)}
+              disabled={isSaving}
+            >
+              Missed it
+            </GlassButton>
+            <GlassButton
+              variant="primary"
+              onClick={() => handleFlashcardAnswer(true)}
+              disabled={isSaving}
+            >
+              Got it
+            </GlassButton>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+DeckReview.propTypes = {
+  /** Deck to review, with each card's progress */
+  deck: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    source: PropTypes.shape({
+      instanceId: PropTypes.string,
+      containerId: PropTypes.string,
+    }),
+    cards: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        type: PropTypes.oneOf(Object.values(DECK_CARD_TYPES)).isRequired,
+        question: PropTypes.string.isRequired,
+        answer: PropTypes.string.isRequired,
+        choices: PropTypes.arrayOf(PropTypes.string),
+        noteId: PropTypes.string,
+        progress: PropTypes.object,
+      })
+    ).isRequired,
+  }).isRequired,
+  /** Called with (cardId, correct) for every answer; resolves to { success } */
+  onReview: PropTypes.func.isRequired,
+};
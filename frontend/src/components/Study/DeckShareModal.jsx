@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, ModalHeader, ModalBody, ModalFooter } from '../Modal';
+import GlassButton from '../GlassButton';
+import useDeckStore from '../../store/useDeckStore';
+import useFriendStore from '../../store/useFriendStore';
+import { ROLES } from '../../utils/permissions';
+import styles from './DeckShareModal.module.css';
+
+/**
+ * Deck Share Modal Component
+ * Shares a study deck with friends. Viewers can study the deck, editors can also rename
+ * it and share it further. Everyone keeps their own review progress.
+ */
+export default function DeckShareModal({ deck, isOpen, onClose }) {
+  const { shareDeck, unshareDeck } = useDeckStore();
+  const { friends, fetchFriends } = useFriendStore();
+  const [friendId, setFriendId] = useState('');
+  const [role, setRole] = useState(ROLES.VIEWER);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load friends and start from a clean form every time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    fetchFriends();
+    setFriendId('');
+    setRole(ROLES.VIEWER);
+    setError(null);
+  }, [isOpen, fetchFriends]);
+
+  const sharedWith = deck?.sharedWith || [];
+  const available = friends.filter(
+    (friend) => friend.id !== deck?.ownerId && !sharedWith.some((s) => s.userId === friend.id)
+  );
+
+  /**
+   * Run a share change and show its error, if any
+   * @param {Function} change - Store action to run
+   */
+  const save = async (change) => {
+    setIsSaving(true);
+    setError(null);
+    const result = await change();
+    setIsSaving(false);
+
+    if (!result.success) {
+      setError(result.error || 'Failed to update sharing');
+    }
+    return result.success;
+  };
+
+  const handleShare = async () => {
+    if (!friendId) return;
+
+    if (await save(() => shareDeck(deck.id, friendId, role))) {
+      setFriendId('');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} className={styles.modal}>
+      <ModalHeader onClose={onClose}>Share Deck</ModalHeader>
+
+      <ModalBody className={styles.body}>
+        {error && <p className={styles.error}>{error}</p>}
+
+        <div className={styles.form}>
+          <select
+            value={friendId}
+            onChange={(e) => setFriendId(e.target.value)}
+            className={styles.select}
+            aria-label="Friend to share with"
+          >
+            <option value="">
+              {available.length > 0 ? 'Choose a friend' : 'No friends to add'}
+            </option>
+            {available.map((friend) => (
+              <option key={friend.id} value={friend.id}>
+                {friend.name || friend.email}
+              </option>
+            ))}
+          </select>
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className={styles.select}
+            aria-label="Role"
+          >
+            <option value={ROLES.VIEWER}>Viewer</option>
+            <option value={ROLES.EDITOR}>Editor</option>
+          </select>
+          <GlassButton
+            variant="primary"
+            onClick={handleShare}
+            loading={isSaving}
+            disabled={isSaving || !friendId}
+          >
+            Share
+          </GlassButton>
+        </div>
+
+        {sharedWith.length === 0 ? (
+          <p className={styles.empty}>This deck isn&apos;t shared with anyone yet.</p>
+        ) : (
+          <ul className={styles.members}>
+            {sharedWith.map((member) => (
+              <li key={member.userId} className={styles.member}>
+                <span className={styles.memberName}>{member.name || member.userId}</span>
+                <select
+                  value={member.role}
+                  onChange={(e) => save(() => shareDeck(deck.id, member.userId, e.target.value))}
+                  disabled={isSaving}
+                  className={styles.select}
+                  aria-label={`Role of ${member.name || member.userId}`}
+                >
+                  <option value={ROLES.VIEWER}>Viewer</option>
+                  <option value={ROLES.EDITOR}>Editor</option>
+                </select>
+                <button
+                  type="button"
+                  onClick={() => save(() => unshareDeck(deck.id, member.userId))}
+                  disabled={isSaving}
+                  className={styles.remove}
+                  aria-label={`Stop sharing with ${member.name || member.userId}`}
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </ModalBody>
+
+      <ModalFooter>
+        <GlassButton variant="ghost" onClick={onClose}>
+          Done
+        </GlassButton>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+DeckShareModal.propTypes = {
+  /** Deck to share */
+  deck: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    ownerId: PropTypes.string,
+    sharedWith: PropTypes.arrayOf(
+      PropTypes.shape({
+        userId: PropTypes.string.isRequired,
+        role: PropTypes.string.isRequired,
+        name: PropTypes.string,
+      })
+    ),
+  }),
+  /** Whether the modal is open */
+  isOpen: PropTypes.bool.isRequired,
+  /** Function to call when modal should close */
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,7 @@
+/**
+ * Study Components
+ * Export all study deck components
+ */
+
+export { default as DeckReview } from './DeckReview';
+export { default as DeckShareModal } from './DeckShareModal';
@@ -131,6 +131,28 @@ export const dummyContainers = [
   },
 ];
 
+// Dummy Folders (nested inside containers; parentId null is the container's top level)
+export const dummyFolders = [
+  {
+    id: 'folder-1',
+    containerId: 'container-1',
+    parentId: null,
+    name: 'Guides',
+    permissions: [],
+    createdAt: new Date('2024-01-20').toISOString(),
+    updatedAt: new Date('2024-01-20').toISOString(),
+  },
+  {
+    id: 'folder-2',
+    containerId: 'container-1',
+    parentId: 'folder-1',
+    name: 'Styling',
+    permissions: [],
+    createdAt: new Date('2024-01-21').toISOString(),
+    updatedAt: new Date('2024-01-21').toISOString(),
+  },
+];
+
 // Dummy Notes
 export const dummyNotes = [
   {
@@ -162,6 +184,7 @@ export const dummyNotes = [
   {
     id: 'note-2',
     containerId: 'container-1',
+    folderId: 'folder-2',
     title: 'CSS Architecture',
     content: `# CSS Architecture
 
@@ -148,6 +148,11 @@ const handleMockRequest = async (config) => {
     return await mockBackend.containers.getByInstance(instanceId);
   }
 
+  if (urlPath.match(/^instances\/[^/]+\/containers\/order$/) && method === 'put') {
+    const instanceId = urlPath.split('/')[1];
+    return await mockBackend.containers.reorder(instanceId, data.containerIds);
+  }
+
   if (urlPath === 'containers' && method === 'post') {
     return await mockBackend.containers.create(data.instanceId, data.name);
   }
@@ -162,34 +167,117 @@ const handleMockRequest = async (config) => {
     return await mockBackend.containers.delete(id);
   }
 
+  // Folder endpoints
+  if (urlPath.match(/^containers\/[^/]+\/folders$/) && method === 'get') {
+    const containerId = urlPath.split('/')[1];
+    return await mockBackend.folders.getByContainer(containerId);
+  }
+
+  if (urlPath === 'folders' && method === 'post') {
+    return await mockBackend.folders.create(data.containerId, data.name, data.parentId);
+  }
+
+  if (urlPath.match(/^folders\/[^/]+$/) && method === 'put') {
+    const id = urlPath.split('/')[1];
+    return await mockBackend.folders.update(id, data);
+  }
+
+  if (urlPath.match(/^folders\/[^/]+$/) && method === 'delete') {
+    const id = urlPath.split('/')[1];
+    return await mockBackend.folders.delete(id);
+  }
+
   // Note endpoints
   if (urlPath.match(/^containers\/[^/]+\/notes$/) && method === 'get') {
     const containerId = urlPath.split('/')[1];
     return await mockBackend.notes.getByContainer(containerId);
   }
 
-  if (urlPath === 'notes/get' && method === 'get') {
-    return await mockBackend.notes.getByContainer(config.params?.containerId);
+  if (urlPath.match(/^notes\/container\/[^/]+$/) && method === 'get') {
+    const containerId = urlPath.split('/')[2];
+    return await mockBackend.notes.getByContainer(containerId);
   }
 
-  if (urlPath.match(/^notes\/get\/title\/.+$/) && method === 'get') {
-    const title = decodeURIComponent(urlPath.split('/title/')[1]);
-    return await mockBackend.notes.getByTitle(title);
+  if (urlPath === 'notes/get' && method === 'get') {
+    const containerId = config.params?.containerId;
+    return containerId
+      ? await mockBackend.notes.getByContainer(containerId)
+      : await mockBackend.notes.getAll();
   }
 
   if (urlPath === 'notes/add' && method === 'post') {
-    return await mockBackend.notes.create(data.containerId, data.title, data.content);
+    return await mockBackend.notes.create(
+      data.containerId,
+      data.title,
+      data.content,
+      data.folderId
+    );
+  }
+
+  // Other GET routes under notes/ aren't note IDs
+  if (urlPath.match(/^notes\/(?!shared$|my-notes$)[^/]+$/) && method === 'get') {
+    const noteId = urlPath.split('/')[1];
+    return await mockBackend.notes.getById(noteId);
+  }
+
+  if (urlPath.match(/^notes\/[^/]+$/) && method === 'put') {
+    const noteId = urlPath.split('/')[1];
+    return await mockBackend.notes.update(noteId, data);
   }
 
-  if (urlPath.match(/^notes\/update\/.+$/) && method === 'put') {
-    const title = decodeURIComponent(urlPath.split('/update/')[1]);
-    const note = await mockBackend.notes.getByTitle(title);
-    return await mockBackend.notes.update(note.id, data);
+  if (urlPath.match(/^notes\/[^/]+$/) && method === 'delete') {
+    const noteId = urlPath.split('/')[1];
+    return await mockBackend.notes.delete(noteId);
   }
 
-  if (urlPath === 'notes/delete' && method === 'delete') {
-    const note = await mockBackend.notes.getByTitle(data.title);
-    return await mockBackend.notes.delete(note.id);
+  if (urlPath.match(/^notes\/[^/]+\/versions$/) && method === 'get') {
+    const noteId = urlPath.split('/')[1];
+    return await mockBackend.notes.getVersions(noteId);
+  }
+
+  if (urlPath.match(/^notes\/[^/]+\/versions\/[^/]+$/) && method === 'get') {
+    const [, noteId, , versionId] = urlPath.split('/');
+    return await mockBackend.notes.getVersion(noteId, versionId);
+  }
+
+  if (urlPath.match(/^notes\/[^/]+\/attachments$/) && method === 'post') {
+    const noteId = urlPath.split('/')[1];
+    return await mockBackend.notes.uploadAttachment(noteId, data.get('file'));
+  }
+
+  if (urlPath.match(/^notes\/[^/]+\/attachments$/) && method === 'get') {
+    const noteId = urlPath.split('/')[1];
+    return await mockBackend.notes.getAttachments(noteId);
+  }
+
+  if (urlPath.match(/^notes\/[^/]+\/attachments\/[^/]+$/) && method === 'delete') {
+    const [, noteId, , attachmentId] = urlPath.split('/');
+    return await mockBackend.notes.deleteAttachment(noteId, attachmentId);
+  }
+
+  if (urlPath.match(/^notes\/[^/]+\/pages$/) && method === 'post') {
+    const noteId = urlPath.split('/')[1];
+    return await mockBackend.notes.createWhiteboardPage(noteId, data);
+  }
+
+  if (urlPath.match(/^notes\/[^/]+\/pages\/order$/) && method === 'put') {
+    const noteId = urlPath.split('/')[1];
+    return await mockBackend.notes.reorderWhiteboardPages(noteId, data.pageIds);
+  }
+
+  if (urlPath.match(/^notes\/[^/]+\/pages\/[^/]+$/) && method === 'get') {
+    const [, noteId, , pageId] = urlPath.split('/');
+    return await mockBackend.notes.getWhiteboardPage(noteId, pageId);
+  }
+
+  if (urlPath.match(/^notes\/[^/]+\/pages\/[^/]+$/) && method === 'patch') {
+    const [, noteId, , pageId] = urlPath.split('/');
+    return await mockBackend.notes.updateWhiteboardPage(noteId, pageId, data);
+  }
+
+  if (urlPath.match(/^notes\/[^/]+\/pages\/[^/]+$/) && method === 'delete') {
+    const [, noteId, , pageId] = urlPath.split('/');
+    return await mockBackend.notes.deleteWhiteboardPage(noteId, pageId);
   }
 
   // Friend endpoints
@@ -215,6 +303,24 @@ const handleMockRequest = async (config) => {
     return await mockBackend.friends.rejectRequest(requestId);
   }
 
+  if (urlPath === 'friends/blocked' && method === 'get') {
+    return await mockBackend.friends.getBlocked();
+  }
+
+  if (urlPath === 'friends/suggestions' && method === 'get') {
+    return await mockBackend.friends.getSuggestions();
+  }
+
+  if (urlPath.match(/^friends\/block\/[^/]+$/) && method === 'post') {
+    const userId = urlPath.split('/')[2];
+    return await mockBackend.friends.block(userId);
+  }
+
+  if (urlPath.match(/^friends\/block\/[^/]+$/) && method === 'delete') {
+    const userId = urlPath.split('/')[2];
+    return await mockBackend.friends.unblock(userId);
+  }
+
   if (urlPath.match(/^friends\/[^/]+$/) && method === 'delete') {
     const friendId = urlPath.split('/')[1];
     return await mockBackend.friends.remove(friendId);
@@ -252,6 +358,80 @@ const handleMockRequest = async (config) => {
     return await mockBackend.ai.assist(data.prompt, data.context);
   }
 
+  if (urlPath === 'ai/summary/instance' && method === 'post') {
+    return await mockBackend.ai.summarizeInstance(data.instanceId);
+  }
+
+  if (urlPath === 'ai/transform' && method === 'post') {
+    return await mockBackend.ai.transform(data.action, data.text, data.context, data.language);
+  }
+
+  if (urlPath === 'ai/whiteboard' && method === 'post') {
+    return await mockBackend.ai.analyzeWhiteboard(data.action, data.image, data.strokes);
+  }
+
+  if (urlPath === 'ai/chat' && method === 'post') {
+    return await mockBackend.ai.chat(data.conversationId, data.message);
+  }
+
+  if (urlPath === 'ai/conversations' && method === 'get') {
+    return await mockBackend.ai.getConversations();
+  }
+
+  if (urlPath.match(/^ai\/conversations\/[^/]+$/) && method === 'get') {
+    const conversationId = urlPath.split('/')[2];
+    return await mockBackend.ai.getConversation(conversationId);
+  }
+
+  if (urlPath.match(/^ai\/conversations\/[^/]+$/) && method === 'delete') {
+    const conversationId = urlPath.split('/')[2];
+    return await mockBackend.ai.deleteConversation(conversationId);
+  }
+
+  // Study deck endpoints
+  if (urlPath === 'decks' && method === 'get') {
+    return await mockBackend.decks.getAll();
+  }
+
+  if (urlPath === 'decks/generate' && method === 'post') {
+    return await mockBackend.decks.generate(data);
+  }
+
+  if (urlPath.match(/^decks\/[^/]+$/) && method === 'get') {
+    const deckId = urlPath.split('/')[1];
+    return await mockBackend.decks.getById(deckId);
+  }
+
+  if (urlPath.match(/^decks\/[^/]+$/) && method === 'put') {
+    const deckId = urlPath.split('/')[1];
+    return await mockBackend.decks.update(deckId, data);
+  }
+
+  if (urlPath.match(/^decks\/[^/]+$/) && method === 'delete') {
+    const deckId = urlPath.split('/')[1];
+    return await mockBackend.decks.delete(deckId);
+  }
+
+  if (urlPath.match(/^decks\/[^/]+\/cards\/[^/]+\/review$/) && method === 'post') {
+    const [, deckId, , cardId] = urlPath.split('/');
+    return await mockBackend.decks.review(deckId, cardId, data.correct);
+  }
+
+  if (urlPath.match(/^decks\/[^/]+\/share$/) && method === 'post') {
+    const deckId = urlPath.split('/')[1];
+    return await mockBackend.decks.share(deckId, data.userId, data.role);
+  }
+
+  if (urlPath.match(/^decks\/[^/]+\/share\/[^/]+$/) && method === 'delete') {
+    const [, deckId, , userId] = urlPath.split('/');
+    return await mockBackend.decks.unshare(deckId, userId);
+  }
+
+  // Global search
+  if (urlPath === 'search' && method === 'get') {
+    return await mockBackend.search.query(config.params);
+  }
+
   // Email endpoints (mock success)
   if (urlPath === 'sendmail/verification' && method === 'post') {
     return { success: true, message: 'Verification email sent' };
@@ -267,4 +447,40 @@ const handleMockRequest = async (config) => {
   return { success: true, data: [], message: 'Mock response' };
 };
 
+/**
+ * Handle a mock streaming request, yielding the response text in chunks
+ * Errors are shaped like axios errors so callers can read error.response.data.message.
+ * @param {string} url - Request URL, e.g. /api/ai/assist/stream
+ * @param {Object} data - Request body
+ * @param {Object} options - { signal } to stop the stream
+ */
+export async function* handleMockStream(url, data, { signal } = {}) {
+  const urlPath = url.replace('/api/', '');
+  console.log(`[Mock API] STREAM ${url}`, data);
+
+  try {
+    if (urlPath === 'ai/summary/stream') {
+      yield* mockBackend.ai.streamSummary(data.content, signal);
+    } else if (urlPath === 'ai/assist/stream') {
+      yield* mockBackend.ai.streamAssist(data.prompt, data.context, signal);
+    } else if (urlPath === 'ai/transform/stream') {
+      yield* mockBackend.ai.streamTransform(
+        data.action,
+        data.text,
+        data.context,
+        data.language,
+        signal
+      );
+    } else if (urlPath === 'ai/summary/instance/stream') {
+      yield* mockBackend.ai.streamInstanceSummary(data.instanceId, signal);
+    } else {
+      throw new Error(`Unhandled stream endpoint: ${url}`);
+    }
+  } catch (mockError) {
+    const error = new Error(mockError.message);
+    error.response = { data: { message: mockError.message }, status: 400 };
+    throw error;
+  }
+}
+
 export default setupMockInterceptor;
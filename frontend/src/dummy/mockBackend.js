@@ -2,28 +2,40 @@ import {
   dummyUsers,
   dummyInstances,
   dummyContainers,
+  dummyFolders,
   dummyNotes,
   dummyFriends,
   dummyOnlineStatus,
   dummyNotifications,
   getUserByEmail,
   getUserById,
-  getInstancesForUser,
-  getContainersForInstance,
-  getNotesForContainer,
-  getFriendsForUser,
-  getFriendRequestsForUser,
   getNotificationsForUser,
 } from './dummyData';
+import {
+  DECK_CARD_TYPES,
+  DECK_SOURCES,
+  AI_WHITEBOARD_ACTIONS,
+  AI_WHITEBOARD,
+  SEARCH_MODES,
+  SEARCH,
+} from '../utils/constants';
+import { ROLES, hasPermission, canShare, canDelete, getDeckRole } from '../utils/permissions';
+import { scheduleReview } from '../utils/spacedRepetition';
 
 // In-memory storage for runtime data
 let users = [...dummyUsers];
 let instances = [...dummyInstances];
 let containers = [...dummyContainers];
+let folders = [...dummyFolders];
 let notes = [...dummyNotes];
 let friends = [...dummyFriends];
 let onlineStatus = [...dummyOnlineStatus];
 let notifications = [...dummyNotifications];
+let noteVersions = [];
+let noteAttachments = [];
+let conversations = [];
+let decks = [];
+let deckProgress = [];
 
 // Current logged-in user
 let currentUser = null;
@@ -35,6 +47,638 @@ const delay = (ms = 300) => new Promise((resolve) => setTimeout(resolve, ms));
 // Generate unique ID
 const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+// Saves by the same author within this window update their latest version instead of
+// adding a new one, so auto-save doesn't create a version per keystroke
+const VERSION_MERGE_WINDOW = 5 * 60 * 1000;
+
+// Start every existing note's history with its current content
+const seedNoteVersions = () =>
+  notes.map((note) => ({
+    id: `version-${note.id}-initial`,
+    noteId: note.id,
+    title: note.title,
+    content: note.content,
+    authorId: note.authorId,
+    authorName: getUserById(note.authorId)?.name || 'Unknown',
+    createdAt: note.createdAt,
+  }));
+
+// Snapshot a note's content into its version history
+const recordNoteVersion = (note) => {
+  const author = currentUser || getUserById(note.authorId);
+  const latest = noteVersions.filter((v) => v.noteId === note.id).pop();
+
+  if (latest && latest.content === note.content && latest.title === note.title) {
+    return;
+  }
+
+  const snapshot = {
+    noteId: note.id,
+    title: note.title,
+    content: note.content,
+    authorId: author?.id || null,
+    authorName: author?.name || 'Unknown',
+    createdAt: new Date().toISOString(),
+  };
+
+  if (
+    latest &&
+    latest.authorId === snapshot.authorId &&
+    Date.now() - new Date(latest.createdAt).getTime() < VERSION_MERGE_WINDOW
+  ) {
+    Object.assign(latest, snapshot);
+    return;
+  }
+
+  noteVersions.push({ id: generateId('version'), ...snapshot });
+};
+
+noteVersions = seedNoteVersions();
+
+// Read an uploaded file as a data URL, which stands in for the file's download URL
+const readAsDataURL = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsDataURL(file);
+  });
+
+// A note's whiteboard pages; notes from before pages existed get one page holding
+// their old whiteboard data
+const getNotePages = (note) => {
+  if (!note.whiteboardPages?.length) {
+    note.whiteboardPages = [{ id: 'page-1', name: 'Page 1', data: note.whiteboardData || null }];
+  }
+  return note.whiteboardPages;
+};
+
+// The profile fields other users may see
+const toPublicUser = ({ id, name, email, avatar }) => ({ id, name, email, avatar });
+
+// The friendship, request or block between the current user and another user
+const findRelation = (userId) =>
+  friends.find(
+    (f) =>
+      (f.userId === currentUser.id && f.friendId === userId) ||
+      (f.userId === userId && f.friendId === currentUser.id)
+  );
+
+// IDs of a user's accepted friends
+const getFriendIds = (userId) =>
+  friends
+    .filter((f) => f.status === 'accepted' && (f.userId === userId || f.friendId === userId))
+    .map((f) => (f.userId === userId ? f.friendId : f.userId));
+
+const findFolder = (folderId) => folders.find((f) => f.id === folderId);
+
+// Check that a folder can hold notes or folders of a container
+const assertFolderInContainer = (folderId, containerId) => {
+  if (folderId && !folders.some((f) => f.id === folderId && f.containerId === containerId)) {
+    throw new Error('Folder not found in this container');
+  }
+};
+
+// Find a note, with its whiteboard pages in place
+const findNoteWithPages = (noteId) => {
+  const note = notes.find((n) => n.id === noteId);
+  if (!note) {
+    throw new Error('Note not found');
+  }
+  getNotePages(note);
+  return note;
+};
+
+// Mock AI answers
+const summaryOf = (content) => {
+  const sentences = content.split(/[.!?]+/).filter((s) => s.trim().length > 0);
+  return sentences.length > 0
+    ? sentences
+        .slice(0, 3)
+        .map((s) => s.trim())
+        .join('. ') + '.'
+    : 'No content to summarize.';
+};
+
+const assistReplyTo = (prompt) =>
+  `Based on your prompt "${prompt}", here are some suggestions:\n\n1. Consider breaking down the problem into smaller parts\n2. Review the existing documentation\n3. Test your implementation thoroughly\n\nThis is a mock AI response for demonstration purposes.`;
+
+const instanceSummaryOf = (instanceId) => {
+  const instance = instances.find((i) => i.id === instanceId);
+  if (!instance) {
+    throw new Error('Instance not found');
+  }
+
+  const containerIds = containers.filter((c) => c.instanceId === instanceId).map((c) => c.id);
+  const instanceNotes = notes.filter((n) => containerIds.includes(n.containerId));
+  if (instanceNotes.length === 0) {
+    return `${instance.name} has no notes yet.`;
+  }
+
+  const lines = instanceNotes.map((n) => `- ${n.title}: ${summaryOf(n.content || '')}`);
+  return `${instance.name} has ${instanceNotes.length} notes in ${containerIds.length} containers.\n\n${lines.join('\n')}`;
+};
+
+// Mock AI edits of the selection in the editor; they keep its lines and list markers
+const WORD_SWAPS = {
+  use: 'apply',
+  keep: 'maintain',
+  small: 'compact',
+  big: 'large',
+  proper: 'correct',
+  good: 'solid',
+  make: 'create',
+  get: 'obtain',
+  show: 'display',
+  help: 'assist',
+};
+
+const capitalizeSentences = (text) =>
+  text.replace(
+    /(^|[.!?]\s+|\n[\s>*#-]*)([a-z])/g,
+    (_m, before, letter) => before + letter.toUpperCase()
+  );
+
+const transformOf = (action, text, language) => {
+  if (!text?.trim()) {
+    throw new Error('Select some text first');
+  }
+
+  switch (action) {
+    case 'rewrite':
+      return text.replace(/[A-Za-z]+/g, (word) => {
+        const swap = WORD_SWAPS[word.toLowerCase()];
+        if (!swap) return word;
+        return word[0] === word[0].toUpperCase() ? swap[0].toUpperCase() + swap.slice(1) : swap;
+      });
+    case 'expand':
+      return `${text}\n\nTo expand on this: each point above can be backed up with an example and the reason it matters. This is a mock AI response for demonstration purposes.`;
+    case 'shorten':
+      return text
+        .split('\n')
+        .map((line) => {
+          const words = line.split(' ');
+          return words.length > 8
+            ? `${words.slice(0, Math.ceil(words.length / 2)).join(' ')}…`
+            : line;
+        })
+        .join('\n');
+    case 'fix-grammar':
+      return capitalizeSentences(
+        text
+          .replace(/[ \t]{2,}/g, ' ')
+          .replace(/[ \t]+([,.!?;:])/g, '$1')
+          .replace(/\bi\b/g, 'I')
+          .replace(/\b(\w+) \1\b/gi, '$1')
+      );
+    case 'translate':
+      if (!language) {
+        throw new Error('Choose a language to translate into');
+      }
+      return text
+        .split('\n')
+        .map((line) =>
+          line.replace(/^(\s*(?:[-*+]\s+|\d+[.)]\s+|#{1,6}\s+)?)(.+)$/, `$1[${language}] $2`)
+        )
+        .join('\n');
+    case 'explain':
+      return `In short: ${summaryOf(text.replace(/^[\s>*#-]+/gm, '').replace(/\n+/g, '; '))} This is a mock explanation for demonstration purposes.`;
+    default:
+      throw new Error('Unknown AI action');
+  }
+};
+
+// Mock AI reading of a whiteboard snapshot. It can't see the image, so it goes by the
+// bounds of the freehand strokes: long thin strokes are arrows, squarish ones circles and
+// the rest rectangles; strokes too small for a shape are taken for handwriting.
+const MIN_SHAPE_SIZE = 40;
+
+const cleanShapeOf = ({ id, left, top, width, height }) => {
+  const long = Math.max(width, height);
+  const short = Math.min(width, height);
+  if (long < MIN_SHAPE_SIZE) return null;
+
+  if (short < long * 0.25) {
+    // Pointing right or down
+    return width >= height
+      ? {
+          type: AI_WHITEBOARD.SHAPES.ARROW,
+          strokeIds: [id],
+          x1: left,
+          y1: top + height / 2,
+          x2: left + width,
+          y2: top + height / 2,
+        }
+      : {
+          type: AI_WHITEBOARD.SHAPES.ARROW,
+          strokeIds: [id],
+          x1: left + width / 2,
+          y1: top,
+          x2: left + width / 2,
+          y2: top + height,
+        };
+  }
+  if (short < MIN_SHAPE_SIZE) return null;
+
+  const type = short > long * 0.8 ? AI_WHITEBOARD.SHAPES.CIRCLE : AI_WHITEBOARD.SHAPES.RECTANGLE;
+  return { type, strokeIds: [id], left, top, width, height };
+};
+
+const whiteboardAnswerOf = (action, image, strokes) => {
+  if (!image) {
+    throw new Error('No whiteboard image was sent');
+  }
+
+  const shapes = strokes.map(cleanShapeOf).filter(Boolean);
+  const handwriting = strokes.length - shapes.length;
+  const countOf = (type) => shapes.filter((s) => s.type === type).length;
+
+  switch (action) {
+    case AI_WHITEBOARD_ACTIONS.TRANSCRIBE:
+      if (handwriting === 0) {
+        throw new Error('No handwriting found on the board');
+      }
+      return {
+        text: `Whiteboard notes\n\n- First idea from the board\n- Second idea from the board\n\nThis is a mock transcription of ${handwriting} handwritten strokes for demonstration purposes.`,
+      };
+    case AI_WHITEBOARD_ACTIONS.DESCRIBE:
+      return {
+        text:
+          strokes.length === 0
+            ? 'The board has no hand-drawn strokes, only typed text, shapes or images. This is a mock description for demonstration purposes.'
+            : `The diagram is made of ${countOf(AI_WHITEBOARD.SHAPES.RECTANGLE)} boxes, ${countOf(AI_WHITEBOARD.SHAPES.CIRCLE)} circles and ${countOf(AI_WHITEBOARD.SHAPES.ARROW)} arrows connecting them, with ${handwriting} handwritten strokes as labels. This is a mock description for demonstration purposes.`,
+      };
+    case AI_WHITEBOARD_ACTIONS.CLEAN_UP:
+      if (shapes.length === 0) {
+        throw new Error('No rough shapes found to clean up');
+      }
+      return { shapes };
+    default:
+      throw new Error('Unknown AI action');
+  }
+};
+
+// Words too common to tell notes apart
+const STOP_WORDS = new Set(
+  'the and for are but not you your with this that what how why who when where which about from have has into can does did was were will would should could there their them they then than its just also more most some any all our out get got use using'.split(
+    ' '
+  )
+);
+
+const searchTerms = (text) =>
+  (text.toLowerCase().match(/[a-z0-9]{3,}/g) || []).filter((word) => !STOP_WORDS.has(word));
+
+// Notes in the instances a user is a member of
+const getReadableNotes = (userId) => {
+  const instanceIds = instances
+    .filter((i) => i.ownerId === userId || i.members.some((m) => m.userId === userId))
+    .map((i) => i.id);
+  const readable = containers.filter((c) => instanceIds.includes(c.instanceId));
+
+  return notes
+    .filter((n) => readable.some((c) => c.id === n.containerId))
+    .map((n) => ({
+      note: n,
+      instanceId: readable.find((c) => c.id === n.containerId).instanceId,
+    }));
+};
+
+// Notes that best match the terms, with the sentence that matched
+const findRelevantNotes = (terms, userId, limit = 3) =>
+  getReadableNotes(userId)
+    .map(({ note, instanceId }) => {
+      const title = (note.title || '').toLowerCase();
+      const content = (note.content || '').toLowerCase();
+      const score = terms.reduce(
+        (total, term) => total + (title.includes(term) ? 3 : 0) + (content.split(term).length - 1),
+        0
+      );
+      // The line or sentence with the most matching terms, leaving out headings
+      const sentences = (note.content || '')
+        .split(/\n+|(?<=[.!?])\s+/)
+        .filter((sentence) => sentence.trim() && !sentence.trim().startsWith('#'));
+      const hits = (sentence) => terms.filter((t) => sentence.toLowerCase().includes(t)).length;
+      const match = sentences.reduce(
+        (best, sentence) => (hits(sentence) > hits(best) ? sentence : best),
+        sentences[0] || ''
+      );
+
+      return {
+        score,
+        source: {
+          noteId: note.id,
+          title: note.title,
+          instanceId,
+          containerId: note.containerId,
+          excerpt: match
+            .replace(/[#*`>]/g, '')
+            .trim()
+            .slice(0, 160),
+        },
+      };
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((result) => result.source);
+
+// Global search. The mock only ranks by keywords; semantic searches get keyword results
+// and say so in their mode.
+const queryTerms = (query) => [
+  ...new Set(
+    (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+      (word) => word.length > 1 && !STOP_WORDS.has(word)
+    )
+  ),
+];
+
+// Note content as one line of text, without Markdown marks
+const plainTextOf = (content) =>
+  (content || '')
+    .replace(/[#*`>_]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// [start, end) ranges of the terms in a text, in order and merged where they overlap
+const matchRanges = (text, terms) => {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    for (let at = lower.indexOf(term); at !== -1; at = lower.indexOf(term, at + term.length)) {
+      ranges.push([at, at + term.length]);
+    }
+  });
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
+
+// Part of a text starting a little before a position, cut at spaces
+const snippetOf = (text, position) => {
+  const length = SEARCH.SNIPPET_LENGTH;
+  if (text.length <= length) return text;
+
+  let start = Math.max(0, Math.min(position - Math.floor(length / 4), text.length - length));
+  const space = text.indexOf(' ', start);
+  if (start > 0 && space !== -1 && space < position) {
+    start = space + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  const lastSpace = text.lastIndexOf(' ', end);
+  if (end < text.length && lastSpace > position) {
+    end = lastSpace;
+  }
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+const searchNotes = (userId, params) => {
+  const { q = '', instanceId, containerId, authorId, from, to } = params;
+  const limit = Number(params.limit) || SEARCH.RESULT_LIMIT;
+  const terms = queryTerms(q);
+  const phrase = q.trim().toLowerCase();
+
+  const inInstance = getReadableNotes(userId).filter(
+    (entry) => !instanceId || entry.instanceId === instanceId
+  );
+  // What the container and author filters can pick from, whatever the query
+  const facets = {
+    containers: [...new Set(inInstance.map(({ note }) => note.containerId))]
+      .map((id) => containers.find((c) => c.id === id))
+      .map(({ id, name, instanceId: ownerInstanceId }) => ({
+        id,
+        name,
+        instanceId: ownerInstanceId,
+      })),
+    authors: [...new Set(inInstance.map(({ note }) => note.authorId).filter(Boolean))].map(
+      (id) => ({ id, name: users.find((u) => u.id === id)?.name || 'Unknown' })
+    ),
+  };
+
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+  const results = inInstance
+    .filter(({ note }) => {
+      const updated = new Date(note.updatedAt).getTime();
+      return (
+        (!containerId || note.containerId === containerId) &&
+        (!authorId || note.authorId === authorId) &&
+        updated >= fromTime &&
+        updated <= toTime
+      );
+    })
+    .map(({ note, instanceId: noteInstanceId }) => {
+      const title = note.title || '';
+      const text = plainTextOf(note.content);
+      const lowerTitle = title.toLowerCase();
+      const lowerText = text.toLowerCase();
+
+      const matched = terms.filter((t) => lowerTitle.includes(t) || lowerText.includes(t));
+      if (matched.length === 0) return null;
+
+      // Notes with more of the words come first, then titles, then how often they appear
+      const score =
+        matched.length * 10 +
+        terms.reduce(
+          (total, term) =>
+            total + (lowerTitle.includes(term) ? 3 : 0) + (lowerText.split(term).length - 1),
+          0
+        ) +
+        (terms.length > 1 && `${lowerTitle} ${lowerText}`.includes(phrase) ? 5 : 0);
+
+      const firstMatch = matchRanges(text, terms)[0];
+      const snippet = snippetOf(text, firstMatch ? firstMatch[0] : 0);
+
+      return {
+        noteId: note.id,
+        title,
+        instanceId: noteInstanceId,
+        instanceName: instances.find((i) => i.id === noteInstanceId)?.name,
+        containerId: note.containerId,
+        containerName: containers.find((c) => c.id === note.containerId)?.name,
+        authorId: note.authorId,
+        authorName: users.find((u) => u.id === note.authorId)?.name,
+        updatedAt: note.updatedAt,
+        score,
+        snippet,
+        highlights: { title: matchRanges(title, terms), snippet: matchRanges(snippet, terms) },
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  return {
+    results: results.slice(0, limit),
+    total: results.length,
+    mode: SEARCH_MODES.KEYWORD,
+    facets,
+  };
+};
+
+// Answer a chat message from the notes; short follow-ups reuse the previous question
+const chatReplyTo = (message, history, userId) => {
+  let terms = searchTerms(message);
+  const previous = history.filter((m) => m.role === 'user').pop();
+  if (terms.length < 3 && previous) {
+    terms = [...new Set([...terms, ...searchTerms(previous.content)])];
+  }
+
+  const sources = findRelevantNotes(terms, userId);
+  if (sources.length === 0) {
+    return {
+      content:
+        "I couldn't find anything about that in your notes. Try other keywords, or write a note about it and ask me again.",
+      sources,
+    };
+  }
+
+  const lines = sources.map((source, index) => `[${index + 1}] ${source.title}: ${source.excerpt}`);
+  return {
+    content: `Here's what your notes say:\n\n${lines.join('\n\n')}\n\nThis is a mock answer built from your notes. Ask a follow-up to dig deeper.`,
+    sources,
+  };
+};
+
+// List entry for a conversation, without its messages
+const toConversationSummary = ({ messages, ...conversation }) => ({
+  ...conversation,
+  messageCount: messages.length,
+});
+
+// Find one of the current user's conversations
+const findConversation = (conversationId) => {
+  const conversation = conversations.find(
+    (c) => c.id === conversationId && c.userId === currentUser?.id
+  );
+  if (!conversation) {
+    throw new Error('Conversation not found');
+  }
+  return conversation;
+};
+
+// Headings of a note with the list items under them; items before any heading go
+// under the note's title
+const noteSections = (note) => {
+  const sections = [];
+  let section = null;
+
+  (note.content || '').split('\n').forEach((line) => {
+    const heading = line.match(/^#{2,6}\s+(.+)/);
+    const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.+)/);
+    if (heading) {
+      section = { heading: heading[1].trim(), points: [] };
+      sections.push(section);
+    } else if (item) {
+      if (!section) {
+        section = { heading: note.title, points: [] };
+        sections.push(section);
+      }
+      section.points.push(item[1].trim());
+    }
+  });
+
+  return sections.filter((s) => s.points.length > 0).map((s) => ({ ...s, note }));
+};
+
+const shuffle = (items) => [...items].sort(() => Math.random() - 0.5);
+
+// Mock AI study cards: a flashcard for every "term: definition" item and every section,
+// and a multiple-choice question per section with items of other sections as wrong answers
+const studyCardsFrom = (sourceNotes) => {
+  const sections = sourceNotes.flatMap(noteSections);
+  const card = (type, note, fields) => ({
+    id: generateId('card'),
+    type,
+    noteId: note.id,
+    ...fields,
+  });
+
+  const flashcards = sections.flatMap(({ heading, points, note }) => [
+    ...points
+      .map((point) => point.match(/^([^:]{2,60}):\s+(.+)$/))
+      .filter(Boolean)
+      .map(([, term, definition]) =>
+        card(DECK_CARD_TYPES.FLASHCARD, note, { question: term.trim(), answer: definition.trim() })
+      ),
+    card(DECK_CARD_TYPES.FLASHCARD, note, {
+      question: `What are the key points of "${heading}" in ${note.title}?`,
+      answer: points.map((point) => `- ${point}`).join('\n'),
+    }),
+  ]);
+
+  const quizzes = sections
+    .map((section) => {
+      const answer = shuffle(section.points)[0];
+      const wrong = shuffle(sections.filter((s) => s !== section).flatMap((s) => s.points)).filter(
+        (point) => !section.points.includes(point)
+      );
+      if (wrong.length === 0) return null;
+
+      return card(DECK_CARD_TYPES.QUIZ, section.note, {
+        question: `Which of these belongs under "${section.heading}" in ${section.note.title}?`,
+        answer,
+        choices: shuffle([answer, ...new Set(wrong.slice(0, 3))]),
+      });
+    })
+    .filter(Boolean);
+
+  return [...flashcards, ...quizzes];
+};
+
+// A deck as the current user sees it: cards carry their own review progress
+const toDeckView = (deck) => {
+  const owner = users.find((u) => u.id === deck.ownerId);
+  return {
+    ...deck,
+    ownerName: owner?.name,
+    sharedWith: deck.sharedWith.map((s) => ({
+      ...s,
+      name: users.find((u) => u.id === s.userId)?.name,
+    })),
+    cards: deck.cards.map((card) => ({
+      ...card,
+      progress:
+        deckProgress.find(
+          (p) => p.deckId === deck.id && p.cardId === card.id && p.userId === currentUser?.id
+        )?.progress || null,
+    })),
+  };
+};
+
+// Find a deck the current user has at least the given role for
+const findDeck = (deckId, requiredRole = ROLES.VIEWER) => {
+  const deck = decks.find((d) => d.id === deckId);
+  const role = getDeckRole(deck, currentUser?.id);
+  if (!deck || !role) {
+    throw new Error('Deck not found');
+  }
+  if (!hasPermission(role, requiredRole)) {
+    throw new Error('You do not have permission to change this deck');
+  }
+  return deck;
+};
+
+// Send a mock AI answer a few words at a time, like a streaming model
+async function* streamText(text, signal) {
+  await delay(400);
+
+  for (const chunk of text.match(/\S+\s*/g) || []) {
+    if (signal?.aborted) return;
+    yield chunk;
+    await delay(40);
+  }
+}
+
 // Mock Backend API
 export const mockBackend = {
   // Authentication APIs
@@ -199,7 +843,9 @@ export const mockBackend = {
         throw new Error('Not authenticated');
       }
 
-      const userInstances = getInstancesForUser(currentUser.id);
+      const userInstances = instances.filter((instance) =>
+        instance.members.some((member) => member.userId === currentUser.id)
+      );
 
       return userInstances.map((instance) => ({
         ...instance,
@@ -292,7 +938,8 @@ export const mockBackend = {
     getByInstance: async (instanceId) => {
       await delay();
 
-      return getContainersForInstance(instanceId);
+      // Kept in the instance's order
+      return containers.filter((c) => c.instanceId === instanceId);
     },
 
     create: async (instanceId, name) => {
@@ -337,50 +984,152 @@ export const mockBackend = {
       }
 
       containers.splice(index, 1);
+      folders = folders.filter((f) => f.containerId !== id);
 
       return { success: true, message: 'Container deleted' };
     },
+
+    reorder: async (instanceId, containerIds) => {
+      await delay();
+
+      const instanceContainers = containers.filter((c) => c.instanceId === instanceId);
+      const ordered = containerIds.map((id) => instanceContainers.find((c) => c.id === id));
+      if (ordered.length !== instanceContainers.length || ordered.some((c) => !c)) {
+        throw new Error('The container order must list every container once');
+      }
+
+      containers = [...containers.filter((c) => c.instanceId !== instanceId), ...ordered];
+      return ordered;
+    },
   },
 
-  // Note APIs
-  notes: {
+  // Folder APIs
+  folders: {
     getByContainer: async (containerId) => {
       await delay();
 
-      return getNotesForContainer(containerId);
+      return folders.filter((f) => f.containerId === containerId);
     },
 
-    getById: async (id) => {
+    create: async (containerId, name, parentId = null) => {
       await delay();
 
-      const note = notes.find((n) => n.id === id);
-      if (!note) {
-        throw new Error('Note not found');
+      if (!containers.some((c) => c.id === containerId)) {
+        throw new Error('Container not found');
       }
+      if (!name?.trim()) {
+        throw new Error('Folder name is required');
+      }
+      assertFolderInContainer(parentId, containerId);
+
+      const newFolder = {
+        id: generateId('folder'),
+        containerId,
+        parentId: parentId || null,
+        name: name.trim(),
+        permissions: [],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
 
-      return note;
+      folders.push(newFolder);
+
+      return newFolder;
     },
 
-    getByTitle: async (title) => {
+    update: async (id, updates) => {
       await delay();
 
-      const note = notes.find((n) => n.title === title);
-      if (!note) {
-        throw new Error('Note not found');
+      const index = folders.findIndex((f) => f.id === id);
+      if (index === -1) {
+        throw new Error('Folder not found');
+      }
+
+      const folder = folders[index];
+      const changes = {};
+
+      if (updates.name !== undefined) {
+        if (!updates.name.trim()) {
+          throw new Error('Folder name is required');
+        }
+        changes.name = updates.name.trim();
+      }
+
+      if (updates.parentId !== undefined) {
+        const parentId = updates.parentId || null;
+        assertFolderInContainer(parentId, folder.containerId);
+
+        // A folder can't move into itself or a folder inside it
+        for (let f = findFolder(parentId); f; f = findFolder(f.parentId)) {
+          if (f.id === id) {
+            throw new Error('Cannot move a folder into itself');
+          }
+        }
+        changes.parentId = parentId;
+      }
+
+      if (updates.permissions !== undefined) {
+        if (updates.permissions.some((p) => !['Editor', 'Viewer'].includes(p.role))) {
+          throw new Error('Folder roles must be Editor or Viewer');
+        }
+        changes.permissions = updates.permissions;
+      }
+
+      folders[index] = { ...folder, ...changes, updatedAt: new Date().toISOString() };
+
+      return folders[index];
+    },
+
+    delete: async (id) => {
+      await delay();
+
+      const folder = folders.find((f) => f.id === id);
+      if (!folder) {
+        throw new Error('Folder not found');
       }
 
-      return note;
+      // Its notes and folders move up to its parent
+      folders = folders
+        .filter((f) => f.id !== id)
+        .map((f) => (f.parentId === id ? { ...f, parentId: folder.parentId } : f));
+      notes = notes.map((n) => (n.folderId === id ? { ...n, folderId: folder.parentId } : n));
+
+      return { success: true, message: 'Folder deleted' };
     },
+  },
 
-    create: async (containerId, title, content = '') => {
+  // Note APIs
+  notes: {
+    getByContainer: async (containerId) => {
       await delay();
 
+      return notes.filter((n) => n.containerId === containerId);
+    },
+
+    getAll: async () => {
+      await delay();
+
+      return notes;
+    },
+
+    getById: async (id) => {
+      await delay();
+
+      return findNoteWithPages(id);
+    },
+
+    create: async (containerId, title, content = '', folderId = null) => {
+      await delay();
+
+      assertFolderInContainer(folderId, containerId);
+
       const newNote = {
         id: generateId('note'),
         containerId,
+        folderId: folderId || null,
         title,
         content,
-        whiteboardData: null,
+        whiteboardPages: [{ id: 'page-1', name: 'Page 1', data: null }],
         authorId: currentUser.id,
         sharedWith: [],
         createdAt: new Date().toISOString(),
@@ -388,6 +1137,7 @@ export const mockBackend = {
       };
 
       notes.push(newNote);
+      recordNoteVersion(newNote);
 
       return newNote;
     },
@@ -399,12 +1149,28 @@ export const mockBackend = {
       if (index === -1) {
         throw new Error('Note not found');
       }
+      // Moving a note to another container, possibly of another instance
+      if (updates.containerId && !containers.some((c) => c.id === updates.containerId)) {
+        throw new Error('Container not found');
+      }
+
+      const containerId = updates.containerId || notes[index].containerId;
+      // A note moved to another container starts at its top level
+      const folderId =
+        updates.folderId !== undefined
+          ? updates.folderId || null
+          : containerId === notes[index].containerId
+            ? notes[index].folderId || null
+            : null;
+      assertFolderInContainer(folderId, containerId);
 
       notes[index] = {
         ...notes[index],
         ...updates,
+        folderId,
         updatedAt: new Date().toISOString(),
       };
+      recordNoteVersion(notes[index]);
 
       return notes[index];
     },
@@ -418,9 +1184,138 @@ export const mockBackend = {
       }
 
       notes.splice(index, 1);
+      noteVersions = noteVersions.filter((v) => v.noteId !== id);
+      noteAttachments = noteAttachments.filter((a) => a.noteId !== id);
 
       return { success: true, message: 'Note deleted' };
     },
+
+    getVersions: async (noteId) => {
+      await delay();
+
+      if (!notes.find((n) => n.id === noteId)) {
+        throw new Error('Note not found');
+      }
+
+      // Newest first
+      return noteVersions.filter((v) => v.noteId === noteId).reverse();
+    },
+
+    getVersion: async (noteId, versionId) => {
+      await delay(100);
+
+      const version = noteVersions.find((v) => v.noteId === noteId && v.id === versionId);
+      if (!version) {
+        throw new Error('Version not found');
+      }
+
+      return version;
+    },
+
+    uploadAttachment: async (noteId, file) => {
+      await delay();
+
+      if (!notes.find((n) => n.id === noteId)) {
+        throw new Error('Note not found');
+      }
+      if (!file) {
+        throw new Error('No file uploaded');
+      }
+
+      const attachment = {
+        id: generateId('attachment'),
+        noteId,
+        name: file.name || 'attachment',
+        type: file.type,
+        size: file.size,
+        url: await readAsDataURL(file),
+        createdAt: new Date().toISOString(),
+      };
+
+      noteAttachments.push(attachment);
+      return attachment;
+    },
+
+    getAttachments: async (noteId) => {
+      await delay();
+
+      return noteAttachments.filter((a) => a.noteId === noteId);
+    },
+
+    deleteAttachment: async (noteId, attachmentId) => {
+      await delay();
+
+      const index = noteAttachments.findIndex((a) => a.noteId === noteId && a.id === attachmentId);
+      if (index === -1) {
+        throw new Error('Attachment not found');
+      }
+
+      noteAttachments.splice(index, 1);
+      return { success: true, message: 'Attachment deleted' };
+    },
+
+    getWhiteboardPage: async (noteId, pageId) => {
+      await delay(100);
+
+      const page = getNotePages(findNoteWithPages(noteId)).find((p) => p.id === pageId);
+      if (!page) {
+        throw new Error('Page not found');
+      }
+
+      return page;
+    },
+
+    createWhiteboardPage: async (noteId, { name, data = null, index } = {}) => {
+      await delay();
+
+      const pages = findNoteWithPages(noteId).whiteboardPages;
+      const page = { id: generateId('page'), name: name || `Page ${pages.length + 1}`, data };
+      pages.splice(index ?? pages.length, 0, page);
+
+      return page;
+    },
+
+    updateWhiteboardPage: async (noteId, pageId, updates) => {
+      await delay(100); // Shorter delay for auto-save
+
+      const page = findNoteWithPages(noteId).whiteboardPages.find((p) => p.id === pageId);
+      if (!page) {
+        throw new Error('Page not found');
+      }
+
+      if (updates.name !== undefined) page.name = updates.name;
+      if (updates.data !== undefined) page.data = updates.data;
+
+      return page;
+    },
+
+    deleteWhiteboardPage: async (noteId, pageId) => {
+      await delay();
+
+      const note = findNoteWithPages(noteId);
+      if (!note.whiteboardPages.some((p) => p.id === pageId)) {
+        throw new Error('Page not found');
+      }
+      if (note.whiteboardPages.length === 1) {
+        throw new Error('A whiteboard needs at least one page');
+      }
+
+      note.whiteboardPages = note.whiteboardPages.filter((p) => p.id !== pageId);
+      return { success: true, message: 'Page deleted' };
+    },
+
+    reorderWhiteboardPages: async (noteId, pageIds) => {
+      await delay();
+
+      const note = findNoteWithPages(noteId);
+      const pages = pageIds.map((id) => note.whiteboardPages.find((p) => p.id === id));
+      if (pages.length !== note.whiteboardPages.length || pages.some((p) => !p)) {
+        throw new Error('The page order must list every page once');
+      }
+
+      note.whiteboardPages = pages;
+      return pages.map(({ id, name }) => ({ id, name }));
+    },
   },
 
   // Friend APIs
@@ -432,7 +1327,19 @@ export const mockBackend = {
         throw new Error('Not authenticated');
       }
 
-      return getFriendsForUser(currentUser.id);
+      return friends
+        .filter(
+          (f) =>
+            f.status === 'accepted' &&
+            (f.userId === currentUser.id || f.friendId === currentUser.id)
+        )
+        .map((f) => {
+          const friend = users.find(
+            (u) => u.id === (f.userId === currentUser.id ? f.friendId : f.userId)
+          );
+          return friend && { ...toPublicUser(friend), since: f.createdAt };
+        })
+        .filter(Boolean);
     },
 
     getRequests: async () => {
@@ -442,13 +1349,31 @@ export const mockBackend = {
         throw new Error('Not authenticated');
       }
 
-      return getFriendRequestsForUser(currentUser.id);
+      return friends
+        .filter((f) => f.friendId === currentUser.id && f.status === 'pending')
+        .map((f) => {
+          const sender = users.find((u) => u.id === f.userId);
+          return (
+            sender && {
+              ...f,
+              name: sender.name,
+              email: sender.email,
+              avatar: sender.avatar,
+              user: toPublicUser(sender),
+            }
+          );
+        })
+        .filter(Boolean);
     },
 
     sendRequest: async (email) => {
       await delay();
 
-      const friend = getUserByEmail(email);
+      if (!currentUser) {
+        throw new Error('Not authenticated');
+      }
+
+      const friend = users.find((u) => u.email === email);
       if (!friend) {
         throw new Error('User not found');
       }
@@ -457,14 +1382,30 @@ export const mockBackend = {
         throw new Error('Cannot send friend request to yourself');
       }
 
-      const existingFriend = friends.find(
-        (f) =>
-          (f.userId === currentUser.id && f.friendId === friend.id) ||
-          (f.userId === friend.id && f.friendId === currentUser.id)
-      );
+      const existing = findRelation(friend.id);
+
+      if (existing?.status === 'blocked') {
+        throw new Error(
+          existing.userId === currentUser.id
+            ? 'Unblock this user to send them a friend request'
+            : 'Cannot send a friend request to this user'
+        );
+      }
 
-      if (existingFriend) {
-        throw new Error('Friend request already exists');
+      if (existing?.status === 'accepted') {
+        throw new Error('You are already friends');
+      }
+
+      if (existing?.userId === currentUser.id) {
+        throw new Error('Friend request already sent');
+      }
+
+      // They already asked, so this accepts their request
+      // Replaced rather than mutated so reset() can restore the seeded request
+      if (existing) {
+        const accepted = { ...existing, status: 'accepted' };
+        friends[friends.indexOf(existing)] = accepted;
+        return { ...accepted, friend: { ...toPublicUser(friend), since: accepted.createdAt } };
       }
 
       const newFriend = {
@@ -483,20 +1424,26 @@ export const mockBackend = {
     acceptRequest: async (requestId) => {
       await delay();
 
-      const index = friends.findIndex((f) => f.id === requestId);
+      const index = friends.findIndex(
+        (f) => f.id === requestId && f.status === 'pending' && f.friendId === currentUser?.id
+      );
       if (index === -1) {
         throw new Error('Friend request not found');
       }
 
-      friends[index].status = 'accepted';
+      const request = { ...friends[index], status: 'accepted' };
+      friends[index] = request;
 
-      return friends[index];
+      const sender = users.find((u) => u.id === request.userId);
+      return { ...toPublicUser(sender), since: request.createdAt };
     },
 
     rejectRequest: async (requestId) => {
       await delay();
 
-      const index = friends.findIndex((f) => f.id === requestId);
+      const index = friends.findIndex(
+        (f) => f.id === requestId && f.status === 'pending' && f.friendId === currentUser?.id
+      );
       if (index === -1) {
         throw new Error('Friend request not found');
       }
@@ -509,19 +1456,109 @@ export const mockBackend = {
     remove: async (friendId) => {
       await delay();
 
-      const index = friends.findIndex(
+      const friendship = currentUser && findRelation(friendId);
+      if (!friendship || friendship.status !== 'accepted') {
+        throw new Error('Friend not found');
+      }
+
+      friends.splice(friends.indexOf(friendship), 1);
+
+      return { success: true, message: 'Friend removed' };
+    },
+
+    block: async (userId) => {
+      await delay();
+
+      if (!currentUser) {
+        throw new Error('Not authenticated');
+      }
+
+      const user = users.find((u) => u.id === userId);
+      if (!user || user.id === currentUser.id) {
+        throw new Error('User not found');
+      }
+
+      // A block replaces any friendship or request between the two
+      friends = friends.filter(
         (f) =>
-          (f.userId === currentUser.id && f.friendId === friendId) ||
-          (f.userId === friendId && f.friendId === currentUser.id)
+          !(
+            (f.userId === currentUser.id && f.friendId === userId) ||
+            (f.userId === userId && f.friendId === currentUser.id)
+          ) ||
+          (f.status === 'blocked' && f.userId === userId)
       );
+      friends.push({
+        id: generateId('friend'),
+        userId: currentUser.id,
+        friendId: userId,
+        status: 'blocked',
+        createdAt: new Date().toISOString(),
+      });
+
+      return toPublicUser(user);
+    },
+
+    unblock: async (userId) => {
+      await delay();
 
+      const index = friends.findIndex(
+        (f) => f.status === 'blocked' && f.userId === currentUser?.id && f.friendId === userId
+      );
       if (index === -1) {
-        throw new Error('Friend not found');
+        throw new Error('User is not blocked');
       }
 
       friends.splice(index, 1);
 
-      return { success: true, message: 'Friend removed' };
+      return { success: true, message: 'User unblocked' };
+    },
+
+    getBlocked: async () => {
+      await delay();
+
+      if (!currentUser) {
+        throw new Error('Not authenticated');
+      }
+
+      return friends
+        .filter((f) => f.status === 'blocked' && f.userId === currentUser.id)
+        .map((f) => users.find((u) => u.id === f.friendId))
+        .filter(Boolean)
+        .map(toPublicUser);
+    },
+
+    getSuggestions: async () => {
+      await delay();
+
+      if (!currentUser) {
+        throw new Error('Not authenticated');
+      }
+
+      const myFriendIds = getFriendIds(currentUser.id);
+      const myInstances = instances.filter((instance) =>
+        instance.members.some((member) => member.userId === currentUser.id)
+      );
+
+      return users
+        .filter((user) => user.id !== currentUser.id && !findRelation(user.id))
+        .map((user) => {
+          const theirFriendIds = getFriendIds(user.id);
+          return {
+            ...toPublicUser(user),
+            mutualFriends: myFriendIds.filter((id) => theirFriendIds.includes(id)).length,
+            sharedInstances: myInstances.filter((instance) =>
+              instance.members.some((member) => member.userId === user.id)
+            ).length,
+          };
+        })
+        .filter((user) => user.mutualFriends > 0 || user.sharedInstances > 0)
+        .sort(
+          (a, b) =>
+            b.mutualFriends - a.mutualFriends ||
+            b.sharedInstances - a.sharedInstances ||
+            a.name.localeCompare(b.name)
+        )
+        .slice(0, 10);
     },
   },
 
@@ -591,24 +1628,295 @@ export const mockBackend = {
     summarize: async (content) => {
       await delay(1000);
 
-      // Simple mock summarization
-      const sentences = content.split(/[.!?]+/).filter((s) => s.trim().length > 0);
-      const summary = sentences.slice(0, 3).join('. ') + '.';
+      return { success: true, summary: summaryOf(content) };
+    },
 
-      return {
-        success: true,
-        summary: summary || 'No content to summarize.',
+    assist: async (prompt, _context) => {
+      await delay(1500);
+
+      return { success: true, content: assistReplyTo(prompt) };
+    },
+
+    summarizeInstance: async (instanceId) => {
+      await delay(1000);
+
+      return { success: true, summary: instanceSummaryOf(instanceId) };
+    },
+
+    transform: async (action, text, _context, language) => {
+      await delay(1000);
+
+      return { success: true, content: transformOf(action, text, language) };
+    },
+
+    analyzeWhiteboard: async (action, image, strokes = []) => {
+      await delay(1500);
+
+      return { success: true, ...whiteboardAnswerOf(action, image, strokes) };
+    },
+
+    // Streaming versions yield the answer in chunks and stop when the signal aborts
+    streamSummary: (content, signal) => streamText(summaryOf(content), signal),
+
+    streamAssist: (prompt, _context, signal) => streamText(assistReplyTo(prompt), signal),
+
+    streamTransform: (action, text, _context, language, signal) =>
+      streamText(transformOf(action, text, language), signal),
+
+    streamInstanceSummary: (instanceId, signal) =>
+      streamText(instanceSummaryOf(instanceId), signal),
+
+    // Study assistant conversations, kept per user
+    getConversations: async () => {
+      await delay();
+
+      if (!currentUser) {
+        throw new Error('Not authenticated');
+      }
+
+      return conversations
+        .filter((c) => c.userId === currentUser.id)
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+        .map(toConversationSummary);
+    },
+
+    getConversation: async (conversationId) => {
+      await delay();
+
+      return findConversation(conversationId);
+    },
+
+    chat: async (conversationId, message) => {
+      await delay(1200);
+
+      if (!currentUser) {
+        throw new Error('Not authenticated');
+      }
+      if (!message?.trim()) {
+        throw new Error('Message is required');
+      }
+
+      const now = new Date().toISOString();
+      let conversation = conversationId ? findConversation(conversationId) : null;
+      if (!conversation) {
+        conversation = {
+          id: generateId('conversation'),
+          userId: currentUser.id,
+          title: message.trim().slice(0, 60),
+          messages: [],
+          createdAt: now,
+        };
+        conversations.push(conversation);
+      }
+
+      const userMessage = {
+        id: generateId('message'),
+        role: 'user',
+        content: message.trim(),
+        createdAt: now,
       };
+      const reply = {
+        id: generateId('message'),
+        role: 'assistant',
+        ...chatReplyTo(userMessage.content, conversation.messages, currentUser.id),
+        createdAt: new Date().toISOString(),
+      };
+
+      conversation.messages.push(userMessage, reply);
+      conversation.updatedAt = reply.createdAt;
+
+      return { conversation: toConversationSummary(conversation), message: userMessage, reply };
+    },
+
+    deleteConversation: async (conversationId) => {
+      await delay();
+
+      const conversation = findConversation(conversationId);
+      conversations = conversations.filter((c) => c !== conversation);
+      return { success: true };
+    },
+  },
+
+  // Study deck APIs
+  decks: {
+    getAll: async () => {
+      await delay();
+
+      if (!currentUser) {
+        throw new Error('Not authenticated');
+      }
+
+      return decks
+        .filter((d) => getDeckRole(d, currentUser.id))
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+        .map(toDeckView);
     },
 
-    assist: async (prompt, context) => {
+    getById: async (id) => {
+      await delay();
+
+      return toDeckView(findDeck(id));
+    },
+
+    generate: async ({ noteId, containerId } = {}) => {
       await delay(1500);
 
-      // Mock AI assistance
-      return {
-        success: true,
-        content: `Based on your prompt "${prompt}", here are some suggestions:\n\n1. Consider breaking down the problem into smaller parts\n2. Review the existing documentation\n3. Test your implementation thoroughly\n\nThis is a mock AI response for demonstration purposes.`,
+      if (!currentUser) {
+        throw new Error('Not authenticated');
+      }
+
+      const readable = getReadableNotes(currentUser.id).map(({ note }) => note);
+      let source;
+      let title;
+      let sourceNotes;
+
+      if (noteId) {
+        const note = readable.find((n) => n.id === noteId);
+        if (!note) {
+          throw new Error('Note not found');
+        }
+        const container = containers.find((c) => c.id === note.containerId);
+        source = {
+          type: DECK_SOURCES.NOTE,
+          noteId,
+          containerId: note.containerId,
+          instanceId: container?.instanceId,
+        };
+        title = note.title;
+        sourceNotes = [note];
+      } else {
+        const container = containers.find((c) => c.id === containerId);
+        sourceNotes = readable.filter((n) => n.containerId === containerId);
+        if (!container || sourceNotes.length === 0) {
+          throw new Error('Container not found or it has no notes');
+        }
+        source = { type: DECK_SOURCES.CONTAINER, containerId, instanceId: container.instanceId };
+        title = container.name;
+      }
+
+      const cards = studyCardsFrom(sourceNotes);
+      if (cards.length === 0) {
+        throw new Error(
+          'Not enough to make cards from. Add headings with bullet points to your notes.'
+        );
+      }
+
+      const now = new Date().toISOString();
+      const deck = {
+        id: generateId('deck'),
+        title: `${title} deck`,
+        ownerId: currentUser.id,
+        source,
+        cards,
+        sharedWith: [],
+        createdAt: now,
+        updatedAt: now,
       };
+      decks.push(deck);
+
+      return toDeckView(deck);
+    },
+
+    update: async (id, updates) => {
+      await delay();
+
+      const deck = findDeck(id, ROLES.EDITOR);
+      if (updates.title !== undefined) {
+        if (!updates.title.trim()) {
+          throw new Error('Deck title is required');
+        }
+        deck.title = updates.title.trim();
+      }
+      deck.updatedAt = new Date().toISOString();
+
+      return toDeckView(deck);
+    },
+
+    delete: async (id) => {
+      await delay();
+
+      const deck = findDeck(id);
+      if (!canDelete(getDeckRole(deck, currentUser.id))) {
+        throw new Error('Only the owner can delete this deck');
+      }
+
+      decks = decks.filter((d) => d.id !== id);
+      deckProgress = deckProgress.filter((p) => p.deckId !== id);
+
+      return { success: true, message: 'Deck deleted' };
+    },
+
+    // Anyone the deck is shared with can study it; progress is their own
+    review: async (id, cardId, correct) => {
+      await delay(150);
+
+      const deck = findDeck(id);
+      if (!deck.cards.some((c) => c.id === cardId)) {
+        throw new Error('Card not found');
+      }
+
+      let entry = deckProgress.find(
+        (p) => p.deckId === id && p.cardId === cardId && p.userId === currentUser.id
+      );
+      if (!entry) {
+        entry = { deckId: id, cardId, userId: currentUser.id, progress: null };
+        deckProgress.push(entry);
+      }
+      entry.progress = scheduleReview(entry.progress, Boolean(correct));
+
+      return { cardId, progress: entry.progress };
+    },
+
+    share: async (id, userId, role) => {
+      await delay();
+
+      const deck = findDeck(id);
+      if (!canShare(getDeckRole(deck, currentUser.id))) {
+        throw new Error('You do not have permission to share this deck');
+      }
+      if (![ROLES.EDITOR, ROLES.VIEWER].includes(role)) {
+        throw new Error('Decks can be shared as Editor or Viewer');
+      }
+      if (!users.some((u) => u.id === userId) || userId === deck.ownerId) {
+        throw new Error('User not found');
+      }
+
+      deck.sharedWith = [
+        ...deck.sharedWith.filter((s) => s.userId !== userId),
+        { userId, role, sharedAt: new Date().toISOString() },
+      ];
+      deck.updatedAt = new Date().toISOString();
+
+      return toDeckView(deck);
+    },
+
+    unshare: async (id, userId) => {
+      await delay();
+
+      const deck = findDeck(id);
+      // People can always leave a deck shared with them
+      if (userId !== currentUser.id && !canShare(getDeckRole(deck, currentUser.id))) {
+        throw new Error('You do not have permission to share this deck');
+      }
+
+      deck.sharedWith = deck.sharedWith.filter((s) => s.userId !== userId);
+      deckProgress = deckProgress.filter((p) => !(p.deckId === id && p.userId === userId));
+      deck.updatedAt = new Date().toISOString();
+
+      return toDeckView(deck);
+    },
+  },
+
+  // Global search APIs
+  search: {
+    query: async (params = {}) => {
+      await delay();
+
+      if (!currentUser) {
+        throw new Error('Not authenticated');
+      }
+
+      return searchNotes(currentUser.id, params);
     },
   },
 
@@ -622,10 +1930,16 @@ export const mockBackend = {
     users = [...dummyUsers];
     instances = [...dummyInstances];
     containers = [...dummyContainers];
+    folders = [...dummyFolders];
     notes = [...dummyNotes];
     friends = [...dummyFriends];
     onlineStatus = [...dummyOnlineStatus];
     notifications = [...dummyNotifications];
+    noteVersions = seedNoteVersions();
+    noteAttachments = [];
+    conversations = [];
+    decks = [];
+    deckProgress = [];
     currentUser = null;
     authToken = null;
   },
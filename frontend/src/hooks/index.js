@@ -6,6 +6,14 @@ export { useNotes } from './useNotes';
 export { default as useWhiteboardTools } from './useWhiteboardTools';
 export { default as useWhiteboardHistory } from './useWhiteboardHistory';
 export { default as useWhiteboardSync } from './useWhiteboardSync';
+export { default as useWhiteboardPresence } from './useWhiteboardPresence';
+export { default as useWhiteboardViewport } from './useWhiteboardViewport';
+export { default as useWhiteboardMedia } from './useWhiteboardMedia';
+export { default as useWhiteboardAI } from './useWhiteboardAI';
+export { default as useWhiteboardPages } from './useWhiteboardPages';
+export { default as useNoteTransfer } from './useNoteTransfer';
+export { default as useNoteLocation } from './useNoteLocation';
+export { default as useAIStream } from './useAIStream';
 export { default as useNotifications } from './useNotifications';
 export { useApiCall, useApiMutation } from './useApiCall';
 export {
@@ -0,0 +1,82 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+/**
+ * Custom hook for streaming AI responses
+ * Shows the text as it arrives and can stop the request, keeping what was written so far.
+ *
+ * @example
+ * const { text, isStreaming, start, stop } = useAIStream();
+ * start((options) => aiApi.streamSummarize(content, options));
+ *
+ * @returns {Object} { text, isStreaming, error, stopped, start, stop, reset }
+ */
+export default function useAIStream() {
+  const [text, setText] = useState('');
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [error, setError] = useState(null);
+  const [stopped, setStopped] = useState(false);
+  const controllerRef = useRef(null);
+
+  /**
+   * Start a stream, stopping the one in progress
+   * @param {Function} request - Gets { onChunk, signal } and returns the aiApi stream promise
+   * @returns {Promise<Object>} Result with success status, text and whether it was stopped
+   */
+  const start = useCallback(async (request) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const isCurrent = () => controllerRef.current === controller;
+
+    setText('');
+    setError(null);
+    setStopped(false);
+    setIsStreaming(true);
+
+    try {
+      const result = await request({
+        signal: controller.signal,
+        onChunk: (_chunk, fullText) => {
+          if (isCurrent()) setText(fullText);
+        },
+      });
+
+      if (isCurrent()) setStopped(result.stopped);
+      return { success: true, text: result.text, stopped: result.stopped };
+    } catch (err) {
+      const errorMessage =
+        err.response?.data?.message || 'Failed to generate a response. Please try again.';
+      if (isCurrent()) setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      if (isCurrent()) {
+        controllerRef.current = null;
+        setIsStreaming(false);
+      }
+    }
+  }, []);
+
+  /**
+   * Stop the stream in progress; the text received so far is kept
+   */
+  const stop = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Stop the stream in progress and clear its text
+   */
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setText('');
+    setError(null);
+    setStopped(false);
+    setIsStreaming(false);
+  }, []);
+
+  // Don't keep streaming into an unmounted component
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { text, isStreaming, error, stopped, start, stop, reset };
+}
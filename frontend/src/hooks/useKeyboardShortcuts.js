@@ -6,6 +6,8 @@ import { useEffect, useCallback } from 'react';
  *
  * @param {Object} shortcuts - Object mapping key combinations to handlers
  * @param {boolean} enabled - Whether shortcuts are enabled (default: true)
+ * @param {React.RefObject} targetRef - Element to listen on instead of the window,
+ *   so shortcuts only apply while focus is inside it (optional)
  *
  * @example
  * useKeyboardShortcuts({
@@ -15,7 +17,7 @@ import { useEffect, useCallback } from 'react';
  *   'escape': handleClose,
  * });
  */
-export default function useKeyboardShortcuts(shortcuts = {}, enabled = true) {
+export default function useKeyboardShortcuts(shortcuts = {}, enabled = true, targetRef = null) {
   const handleKeyDown = useCallback(
     (event) => {
       if (!enabled) return;
@@ -42,9 +44,12 @@ export default function useKeyboardShortcuts(shortcuts = {}, enabled = true) {
   useEffect(() => {
     if (!enabled) return;
 
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [handleKeyDown, enabled]);
+    const target = targetRef ? targetRef.current : window;
+    if (!target) return;
+
+    target.addEventListener('keydown', handleKeyDown);
+    return () => target.removeEventListener('keydown', handleKeyDown);
+  }, [handleKeyDown, enabled, targetRef]);
 }
 
 /**
@@ -0,0 +1,61 @@
+import { useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useFolderStore from '../store/useFolderStore';
+import useInstanceStore from '../store/useInstanceStore';
+import useAuthStore from '../store/useAuthStore';
+import { getFolderPath } from '../utils/folders';
+import { getFolderRole } from '../utils/permissions';
+
+/**
+ * Stable stand-in while another container's folders are loaded
+ */
+const NO_FOLDERS = [];
+
+/**
+ * Where a note lives: breadcrumbs from its instance down to its folder, and the
+ * user's role there (folders can change the role the user has in the instance)
+ * @param {Object} instance - Instance the note is in
+ * @param {string} containerId - Container the note is in
+ * @param {string|null} folderId - Folder the note is in (null for the top level)
+ * @returns {Object} { breadcrumbs: [{ key, label, onClick }], role }
+ */
+export default function useNoteLocation(instance, containerId, folderId = null) {
+  const navigate = useNavigate();
+  const { user } = useAuthStore();
+  const { containers } = useInstanceStore();
+  const { folders, containerId: foldersContainerId, fetchFolders } = useFolderStore();
+
+  // Load the container's folders unless they're already loaded
+  useEffect(() => {
+    if (containerId && containerId !== foldersContainerId) {
+      fetchFolders(containerId);
+    }
+  }, [containerId, foldersContainerId, fetchFolders]);
+
+  const containerFolders = foldersContainerId === containerId ? folders : NO_FOLDERS;
+  const containerName = containers.find((c) => c.id === containerId)?.name;
+
+  const breadcrumbs = useMemo(() => {
+    if (!instance) return [];
+
+    const openInstance = (params = '') => navigate(`/instance/${instance.id}${params}`);
+
+    return [
+      { key: instance.id, label: instance.name || 'Instance', onClick: () => openInstance() },
+      {
+        key: containerId,
+        label: containerName || 'Container',
+        onClick: () => openInstance(`?container=${containerId}`),
+      },
+      ...getFolderPath(containerFolders, folderId).map((folder) => ({
+        key: folder.id,
+        label: folder.name,
+        onClick: () => openInstance(`?container=${containerId}&folder=${folder.id}`),
+      })),
+    ];
+  }, [instance, containerId, containerName, containerFolders, folderId, navigate]);
+
+  const role = getFolderRole(instance, containerFolders, folderId, user?.id);
+
+  return { breadcrumbs, role };
+}
@@ -0,0 +1,159 @@
+import { useCallback, useState } from 'react';
+import notesApi from '../api/notesApi';
+import useInstanceStore from '../store/useInstanceStore';
+import { IMPORT_CONFLICT_POLICIES } from '../utils/constants';
+import { readImportSource } from '../utils/importSources';
+import { importNotes, planImport, readImportFiles } from '../utils/noteImport';
+
+/**
+ * Custom hook for exporting and importing notes
+ * Wraps utils/noteExport.js and utils/noteImport.js with a busy flag and the last
+ * error; imports create the containers they need through the instance store. The
+ * export code (which draws whiteboards) is loaded on first use.
+ *
+ * @returns {Object} { isBusy, error, clearError, exportNote, exportContainer,
+ *   exportInstance, importFiles, previewImport, runImport }
+ */
+export default function useNoteTransfer() {
+  const { containers, createContainer, fetchContainers } = useInstanceStore();
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  /**
+   * Run an export or import, tracking busy state and errors
+   * @param {Function} task - Async work, resolving to extra result fields
+   * @param {string} fallbackMessage - Error shown when the failure has no message
+   * @returns {Promise<Object>} { success, ... } or { success: false, error }
+   */
+  const run = useCallback(async (task, fallbackMessage) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      return { success: true, ...(await task()) };
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      const errorMessage = err.response?.data?.message || err.message || fallbackMessage;
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  /**
+   * Download a note as Markdown, HTML or PDF
+   * @param {Object} note - Note
+   * @param {string} format - 'markdown', 'html' or 'pdf'
+   */
+  const exportNote = useCallback(
+    (note, format) =>
+      run(async () => {
+        const noteExport = await import('../utils/noteExport');
+        await noteExport.exportNote(note, format);
+      }, 'Failed to export note.'),
+    [run]
+  );
+
+  /**
+   * Download every note of a container as a ZIP bundle
+   * @param {Object} instance - Instance the container belongs to
+   * @param {Object} container - Container
+   */
+  const exportContainer = useCallback(
+    (instance, container) =>
+      run(async () => {
+        const noteExport = await import('../utils/noteExport');
+        await noteExport.exportContainer(instance, container);
+      }, 'Failed to export container.'),
+    [run]
+  );
+
+  /**
+   * Download every note of an instance as a ZIP bundle
+   * @param {Object} instance - Instance
+   */
+  const exportInstance = useCallback(
+    (instance) =>
+      run(async () => {
+        const noteExport = await import('../utils/noteExport');
+        await noteExport.exportInstance(instance, containers);
+      }, 'Failed to export instance.'),
+    [run, containers]
+  );
+
+  /**
+   * Import Markdown files and ZIP bundles into an instance
+   * Notes whose title is taken are imported under a free one ("Title (2)").
+   * @param {string} instanceId - Instance ID
+   * @param {Array<File>} files - Picked files
+   * @param {string} containerId - Container for notes outside any folder (optional)
+   * @returns {Promise<Object>} { success, imported, failed } (see importNotes)
+   */
+  const importFiles = useCallback(
+    (instanceId, files, containerId = null) =>
+      run(async () => {
+        const [notes, response] = await Promise.all([readImportFiles(files), notesApi.getAll()]);
+        const plan = planImport(notes, response.data || [], IMPORT_CONFLICT_POLICIES.RENAME);
+        return importNotes(plan, { instanceId, containers, containerId, createContainer });
+      }, 'Failed to import notes.'),
+    [run, containers, createContainer]
+  );
+
+  /**
+   * Read an import source without creating anything, for a dry run with planImport
+   * @param {string} source - IMPORT_SOURCES value
+   * @param {Array<File>} files - Picked files
+   * @returns {Promise<Object>} { success, name, notes, files, existingNotes } (see
+   *   readImportSource); existingNotes are the notes titles are checked against
+   */
+  const previewImport = useCallback(
+    (source, files) =>
+      run(async () => {
+        const [result, response] = await Promise.all([
+          readImportSource(source, files),
+          notesApi.getAll(),
+        ]);
+        return { ...result, existingNotes: response.data || [] };
+      }, 'Failed to read the import.'),
+    [run]
+  );
+
+  /**
+   * Create planned notes in an instance
+   * @param {string} instanceId - Instance ID
+   * @param {Array} notes - Notes from planImport
+   * @param {Object} options - { files, defaultContainerName, onProgress } (see importNotes)
+   * @returns {Promise<Object>} { success, imported, skipped, failed } (see importNotes)
+   */
+  const runImport = useCallback(
+    (instanceId, notes, options = {}) =>
+      run(async () => {
+        // The instance may not be the one whose containers are loaded
+        const result = await fetchContainers(instanceId);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return importNotes(notes, {
+          ...options,
+          instanceId,
+          containers: useInstanceStore.getState().containers,
+          createContainer,
+        });
+      }, 'Failed to import notes.'),
+    [run, fetchContainers, createContainer]
+  );
+
+  return {
+    isBusy,
+    error,
+    clearError,
+    exportNote,
+    exportContainer,
+    exportInstance,
+    importFiles,
+    previewImport,
+    runImport,
+  };
+}
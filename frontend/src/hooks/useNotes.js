@@ -19,9 +19,12 @@ export const useNotes = () => {
     lastSaved,
     error,
     fetchNotes,
-    fetchNoteByTitle,
+    fetchNote,
     createNote,
     updateNote,
+    renameNote,
+    moveNote,
+    moveNoteToFolder,
     deleteNote,
     setCurrentNote,
     updateWhiteboard,
@@ -56,14 +59,14 @@ export const useNotes = () => {
   );
 
   /**
-   * Fetch a note by its title
-   * @param {string} title - Note title
+   * Fetch a note
+   * @param {string} noteId - Note ID
    * @returns {Promise<Object>} Result with success status and note data
    */
-  const handleFetchNoteByTitle = useCallback(
-    async (title) => {
+  const handleFetchNote = useCallback(
+    async (noteId) => {
       try {
-        const result = await fetchNoteByTitle(title);
+        const result = await fetchNote(noteId);
 
         if (!result.success) {
           const errorInfo = handleApiError({ response: { data: { message: result.error } } });
@@ -76,7 +79,7 @@ export const useNotes = () => {
         return { success: false, error: errorInfo.message };
       }
     },
-    [fetchNoteByTitle]
+    [fetchNote]
   );
 
   /**
@@ -105,6 +108,81 @@ export const useNotes = () => {
     [updateNote]
   );
 
+  /**
+   * Rename a note
+   * @param {string} noteId - Note ID
+   * @param {string} title - New title
+   * @returns {Promise<Object>} Result with success status
+   */
+  const handleRenameNote = useCallback(
+    async (noteId, title) => {
+      try {
+        const result = await renameNote(noteId, title);
+
+        if (!result.success) {
+          const errorInfo = handleApiError({ response: { data: { message: result.error } } });
+          return { success: false, error: errorInfo.message };
+        }
+
+        return { success: true };
+      } catch (err) {
+        const errorInfo = handleApiError(err);
+        return { success: false, error: errorInfo.message };
+      }
+    },
+    [renameNote]
+  );
+
+  /**
+   * Move a note to another container, which may belong to another instance
+   * @param {string} noteId - Note ID
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} Result with success status
+   */
+  const handleMoveNote = useCallback(
+    async (noteId, containerId) => {
+      try {
+        const result = await moveNote(noteId, containerId);
+
+        if (!result.success) {
+          const errorInfo = handleApiError({ response: { data: { message: result.error } } });
+          return { success: false, error: errorInfo.message };
+        }
+
+        return { success: true };
+      } catch (err) {
+        const errorInfo = handleApiError(err);
+        return { success: false, error: errorInfo.message };
+      }
+    },
+    [moveNote]
+  );
+
+  /**
+   * Move a note into a folder of its container
+   * @param {string} noteId - Note ID
+   * @param {string|null} folderId - Folder ID (null for the top level)
+   * @returns {Promise<Object>} Result with success status
+   */
+  const handleMoveNoteToFolder = useCallback(
+    async (noteId, folderId) => {
+      try {
+        const result = await moveNoteToFolder(noteId, folderId);
+
+        if (!result.success) {
+          const errorInfo = handleApiError({ response: { data: { message: result.error } } });
+          return { success: false, error: errorInfo.message };
+        }
+
+        return { success: true };
+      } catch (err) {
+        const errorInfo = handleApiError(err);
+        return { success: false, error: errorInfo.message };
+      }
+    },
+    [moveNoteToFolder]
+  );
+
   /**
    * Delete a note
    * @param {string} noteId - Note ID
@@ -183,10 +261,11 @@ export const useNotes = () => {
    * Update whiteboard data for a note
    * @param {string} noteId - Note ID
    * @param {Object} whiteboardData - Whiteboard data from Fabric.js
+   * @param {string} pageId - Whiteboard page (optional, defaults to the first page)
    */
   const handleUpdateWhiteboard = useCallback(
-    (noteId, whiteboardData) => {
-      updateWhiteboard(noteId, whiteboardData);
+    (noteId, whiteboardData, pageId) => {
+      return updateWhiteboard(noteId, whiteboardData, pageId);
     },
     [updateWhiteboard]
   );
@@ -202,8 +281,11 @@ export const useNotes = () => {
 
     // Operations
     createNote: handleCreateNote,
-    fetchNoteByTitle: handleFetchNoteByTitle,
+    fetchNote: handleFetchNote,
     updateNote: handleUpdateNote,
+    renameNote: handleRenameNote,
+    moveNote: handleMoveNote,
+    moveNoteToFolder: handleMoveNoteToFolder,
     deleteNote: handleDeleteNote,
     fetchNotes: handleFetchNotes,
     shareNote: handleShareNote,
@@ -0,0 +1,171 @@
+import { useCallback } from 'react';
+import { Path, Rect, Circle } from 'fabric';
+import aiApi from '../api/aiApi';
+import { AI_WHITEBOARD_ACTIONS, AI_WHITEBOARD } from '../utils/constants';
+import { captureBoardImage } from '../utils/whiteboardExport';
+import { ensureObjectId } from '../utils/whiteboardObjects';
+import { Arrow } from '../utils/whiteboardShapes';
+
+/**
+ * Freehand strokes the AI may read or replace; filled paths are shapes of their own
+ * @param {Object} object - Fabric object
+ * @returns {boolean} True for an unlocked pen stroke
+ */
+const isRoughStroke = (object) => object instanceof Path && !object.fill && !object.locked;
+
+/**
+ * Build the clean Fabric object for a shape found by the AI
+ * @param {Object} shape - Shape from the AI, already in board pixels
+ * @param {Object} style - { stroke, strokeWidth } of the strokes it replaces
+ * @returns {Object|null} Fabric object, or null for a shape type we don't draw
+ */
+const createCleanShape = (shape, style) => {
+  const outline = { fill: 'transparent', ...style };
+
+  switch (shape.type) {
+    case AI_WHITEBOARD.SHAPES.RECTANGLE:
+      return new Rect({
+        ...outline,
+        left: shape.left,
+        top: shape.top,
+        width: shape.width,
+        height: shape.height,
+      });
+
+    case AI_WHITEBOARD.SHAPES.CIRCLE: {
+      const radius = (shape.width + shape.height) / 4;
+      return new Circle({
+        ...outline,
+        left: shape.left + shape.width / 2 - radius,
+        top: shape.top + shape.height / 2 - radius,
+        radius,
+      });
+    }
+
+    case AI_WHITEBOARD.SHAPES.ARROW:
+      return new Arrow([shape.x1, shape.y1, shape.x2, shape.y2], style);
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Custom hook for AI actions on the whiteboard
+ * The board (or the selection, when something is selected) is captured through the
+ * export path and sent to the AI with the bounds of its freehand strokes. Transcribe
+ * and describe answer with text; clean-up answers with clean rectangles, circles and
+ * arrows, which replace the rough strokes they were read from. A clean-up is wrapped
+ * in 'batch:start' / 'batch:end' canvas events, so it is undone in one step, and is
+ * synced and saved like any other change.
+ *
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {boolean} canEdit - Whether user can edit (needed for clean-up)
+ * @returns {Object} { analyzeBoard }
+ */
+export default function useWhiteboardAI(fabricCanvas, canEdit) {
+  /**
+   * Run an AI action on the board
+   * @param {string} action - One of AI_WHITEBOARD_ACTIONS
+   * @returns {Promise<Object>} { success, text } for transcribe and describe,
+   *   { success, count } with the number of shapes placed for clean-up, or
+   *   { success: false, error }
+   */
+  const analyzeBoard = useCallback(
+    async (action) => {
+      if (!fabricCanvas) {
+        return { success: false, error: 'The whiteboard is still loading.' };
+      }
+      if (action === AI_WHITEBOARD_ACTIONS.CLEAN_UP && !canEdit) {
+        return { success: false, error: "You don't have permission to edit this whiteboard." };
+      }
+
+      const selected = fabricCanvas.getActiveObjects();
+      const objects = selected.length > 0 ? selected : fabricCanvas.getObjects();
+      if (objects.length === 0) {
+        return { success: false, error: 'Draw something on the board first.' };
+      }
+
+      try {
+        const { image, area, scale } = await captureBoardImage(fabricCanvas, {
+          selectionOnly: selected.length > 0,
+          dpi: AI_WHITEBOARD.SNAPSHOT_DPI,
+        });
+
+        const strokes = objects.filter(isRoughStroke).map((object) => {
+          const rect = object.getBoundingRect();
+          return {
+            id: ensureObjectId(object),
+            left: (rect.left - area.left) * scale,
+            top: (rect.top - area.top) * scale,
+            width: rect.width * scale,
+            height: rect.height * scale,
+          };
+        });
+
+        const response = await aiApi.analyzeWhiteboard(action, image, strokes);
+        if (action !== AI_WHITEBOARD_ACTIONS.CLEAN_UP) {
+          return { success: true, text: response.data.text };
+        }
+
+        const byId = new Map(objects.filter(isRoughStroke).map((object) => [object.id, object]));
+        const toBoard = (shape) =>
+          shape.type === AI_WHITEBOARD.SHAPES.ARROW
+            ? {
+                ...shape,
+                x1: area.left + shape.x1 / scale,
+                y1: area.top + shape.y1 / scale,
+                x2: area.left + shape.x2 / scale,
+                y2: area.top + shape.y2 / scale,
+              }
+            : {
+                ...shape,
+                left: area.left + shape.left / scale,
+                top: area.top + shape.top / scale,
+                width: shape.width / scale,
+                height: shape.height / scale,
+              };
+
+        // Strokes are replaced where they are in the stacking order; strokes erased while
+        // the AI was working are left alone
+        fabricCanvas.discardActiveObject();
+        fabricCanvas.fire('batch:start');
+        let count = 0;
+        try {
+          response.data.shapes.forEach((shape) => {
+            const onBoard = fabricCanvas.getObjects();
+            const sources = (shape.strokeIds || [])
+              .map((id) => byId.get(id))
+              .filter((object) => object && onBoard.includes(object));
+            if (sources.length === 0) return;
+
+            const clean = createCleanShape(toBoard(shape), {
+              stroke: sources[0].stroke,
+              strokeWidth: sources[0].strokeWidth,
+            });
+            if (!clean) return;
+
+            fabricCanvas.insertAt(onBoard.indexOf(sources[0]), clean);
+            fabricCanvas.remove(...sources);
+            sources.forEach((source) => byId.delete(source.id));
+            count += 1;
+          });
+        } finally {
+          fabricCanvas.fire('batch:end');
+          fabricCanvas.requestRenderAll();
+        }
+
+        return { success: true, count };
+      } catch (error) {
+        console.error('Whiteboard AI action failed:', error);
+        return {
+          success: false,
+          error: error.response?.data?.message || error.message || 'The AI request failed.',
+        };
+      }
+    },
+    [fabricCanvas, canEdit]
+  );
+
+  return { analyzeBoard };
+}
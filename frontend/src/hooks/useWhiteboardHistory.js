@@ -2,119 +2,161 @@ import { useEffect, useRef, useState, useCallback } from 'react';
 
 /**
  * Custom hook for managing whiteboard undo/redo history
- * Maintains a history stack of canvas states and provides undo/redo functionality
+ * Maintains a history stack of canvas states per whiteboard page and provides undo/redo
+ * functionality; switching pages keeps each page's history for when it is opened again.
+ * Changes made between 'batch:start' and 'batch:end' canvas events are recorded as a
+ * single state, so e.g. one eraser gesture or one PDF import is undone in one step;
+ * batches may overlap. A state identical to the current one is not recorded again.
  *
  * @param {Object} fabricCanvas - Fabric.js canvas instance
- * @param {number} maxHistorySize - Maximum number of history states to keep (default: 50)
+ * @param {string} pageId - Whiteboard page shown on the canvas
+ * @param {number} maxHistorySize - Maximum number of history states to keep per page (default: 50)
  * @returns {Object} History management functions and state
  */
-export default function useWhiteboardHistory(fabricCanvas, maxHistorySize = 50) {
-  const historyStack = useRef([]);
-  const historyIndex = useRef(-1);
+export default function useWhiteboardHistory(fabricCanvas, pageId = null, maxHistorySize = 50) {
+  // { stack, index } per page
+  const histories = useRef(new Map());
   const isUndoRedoing = useRef(false);
+  const openBatches = useRef(0);
   const [canUndo, setCanUndo] = useState(false);
   const [canRedo, setCanRedo] = useState(false);
 
+  /**
+   * History of the current page
+   * @returns {Object} { stack, index }
+   */
+  const getHistory = useCallback(() => {
+    if (!histories.current.has(pageId)) {
+      histories.current.set(pageId, { stack: [], index: -1 });
+    }
+    return histories.current.get(pageId);
+  }, [pageId]);
+
+  // Update undo/redo availability
+  const updateAvailability = useCallback(() => {
+    const history = getHistory();
+    setCanUndo(history.index > 0);
+    setCanRedo(history.index < history.stack.length - 1);
+  }, [getHistory]);
+
   // Save current canvas state to history
   const saveState = useCallback(() => {
     if (!fabricCanvas || isUndoRedoing.current) return;
 
+    const history = getHistory();
     const json = fabricCanvas.toJSON();
     const state = JSON.stringify(json);
 
+    // Follow-up events for the same change (e.g. connectors moved along with a shape)
+    if (state === history.stack[history.index]) return;
+
     // Remove any states after current index (when user makes new change after undo)
-    historyStack.current = historyStack.current.slice(0, historyIndex.current + 1);
+    history.stack = history.stack.slice(0, history.index + 1);
 
     // Add new state
-    historyStack.current.push(state);
+    history.stack.push(state);
 
     // Limit history size
-    if (historyStack.current.length > maxHistorySize) {
-      historyStack.current.shift();
+    if (history.stack.length > maxHistorySize) {
+      history.stack.shift();
     } else {
-      historyIndex.current++;
+      history.index++;
     }
 
-    // Update undo/redo availability
-    setCanUndo(historyIndex.current > 0);
-    setCanRedo(false);
-  }, [fabricCanvas, maxHistorySize]);
+    updateAvailability();
+  }, [fabricCanvas, maxHistorySize, getHistory, updateAvailability]);
 
   // Undo last action
   const undo = useCallback(() => {
-    if (!fabricCanvas || historyIndex.current <= 0) return;
+    const history = getHistory();
+    if (!fabricCanvas || history.index <= 0) return;
 
     isUndoRedoing.current = true;
-    historyIndex.current--;
+    history.index--;
 
-    const state = historyStack.current[historyIndex.current];
-    fabricCanvas.loadFromJSON(JSON.parse(state), () => {
+    const state = history.stack[history.index];
+    // Fabric 6 resolves a promise once loaded; a second argument would be a reviver
+    fabricCanvas.loadFromJSON(JSON.parse(state)).then(() => {
       fabricCanvas.renderAll();
       isUndoRedoing.current = false;
     });
 
-    // Update undo/redo availability
-    setCanUndo(historyIndex.current > 0);
-    setCanRedo(historyIndex.current < historyStack.current.length - 1);
-  }, [fabricCanvas]);
+    updateAvailability();
+  }, [fabricCanvas, getHistory, updateAvailability]);
 
   // Redo last undone action
   const redo = useCallback(() => {
-    if (!fabricCanvas || historyIndex.current >= historyStack.current.length - 1) return;
+    const history = getHistory();
+    if (!fabricCanvas || history.index >= history.stack.length - 1) return;
 
     isUndoRedoing.current = true;
-    historyIndex.current++;
+    history.index++;
 
-    const state = historyStack.current[historyIndex.current];
-    fabricCanvas.loadFromJSON(JSON.parse(state), () => {
+    const state = history.stack[history.index];
+    // Fabric 6 resolves a promise once loaded; a second argument would be a reviver
+    fabricCanvas.loadFromJSON(JSON.parse(state)).then(() => {
       fabricCanvas.renderAll();
       isUndoRedoing.current = false;
     });
 
-    // Update undo/redo availability
-    setCanUndo(historyIndex.current > 0);
-    setCanRedo(historyIndex.current < historyStack.current.length - 1);
-  }, [fabricCanvas]);
+    updateAvailability();
+  }, [fabricCanvas, getHistory, updateAvailability]);
 
-  // Clear history
+  // Clear history of the current page
   const clearHistory = useCallback(() => {
-    historyStack.current = [];
-    historyIndex.current = -1;
+    histories.current.delete(pageId);
     setCanUndo(false);
     setCanRedo(false);
-  }, []);
+  }, [pageId]);
 
   // Initialize history with initial canvas state
   useEffect(() => {
     if (!fabricCanvas) return;
 
+    // A page opened again keeps its history; the loaded state is added if it changed
+    // in the meantime
+    updateAvailability();
+
     // Save initial state
     const timer = setTimeout(() => {
       saveState();
     }, 100);
 
     return () => clearTimeout(timer);
-  }, [fabricCanvas, saveState]);
+  }, [fabricCanvas, saveState, updateAvailability]);
 
   // Listen for canvas modifications and save state
   useEffect(() => {
     if (!fabricCanvas) return;
 
     const handleModified = () => {
-      if (!isUndoRedoing.current) {
+      if (!isUndoRedoing.current && openBatches.current === 0) {
         saveState();
       }
     };
 
+    const handleBatchStart = () => {
+      openBatches.current++;
+    };
+
+    const handleBatchEnd = () => {
+      openBatches.current = Math.max(openBatches.current - 1, 0);
+      handleModified();
+    };
+
     // Listen for canvas modifications
     fabricCanvas.on('object:added', handleModified);
     fabricCanvas.on('object:modified', handleModified);
     fabricCanvas.on('object:removed', handleModified);
+    fabricCanvas.on('batch:start', handleBatchStart);
+    fabricCanvas.on('batch:end', handleBatchEnd);
 
     return () => {
       fabricCanvas.off('object:added', handleModified);
       fabricCanvas.off('object:modified', handleModified);
       fabricCanvas.off('object:removed', handleModified);
+      fabricCanvas.off('batch:start', handleBatchStart);
+      fabricCanvas.off('batch:end', handleBatchEnd);
     };
   }, [fabricCanvas, saveState]);
 
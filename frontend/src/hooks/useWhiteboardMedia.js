@@ -0,0 +1,155 @@
+import { useCallback, useEffect, useState } from 'react';
+import useNoteStore from '../store/useNoteStore';
+import { PDF_IMPORT } from '../utils/constants';
+import { isTypingTarget } from '../utils/helpers';
+import { getVisibleBounds } from '../utils/whiteboardViewport';
+import { getFileError, isPdfFile, addAttachmentImage, addPdfPages } from '../utils/whiteboardMedia';
+
+// Offset between images inserted together, so they don't hide each other (canvas units)
+const IMAGE_CASCADE = 24;
+
+/**
+ * Custom hook for putting images and PDFs on the whiteboard
+ * Files can be dropped onto the canvas, pasted, or passed to insertFiles (e.g. from a
+ * file picker). Each file is uploaded as a note attachment before it is placed; a PDF
+ * becomes one locked background image per page (see utils/whiteboardMedia). A PDF
+ * import is wrapped in 'batch:start' / 'batch:end' canvas events, so it is undone in
+ * one step.
+ *
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {string} noteId - Note the files are attached to
+ * @param {boolean} canEdit - Whether user can edit
+ * @returns {Object} { insertFiles, importStatus, clearImportStatus }
+ */
+export default function useWhiteboardMedia(fabricCanvas, noteId, canEdit) {
+  const { uploadAttachment } = useNoteStore();
+  // { message } while importing, { error } when something went wrong
+  const [importStatus, setImportStatus] = useState(null);
+
+  const clearImportStatus = useCallback(() => {
+    setImportStatus(null);
+  }, []);
+
+  /**
+   * Upload and place files
+   * @param {FileList|Array} files - Files to insert
+   * @param {Object} point - Scene point to insert at, defaults to the middle of the view
+   */
+  const insertFiles = useCallback(
+    async (files, point) => {
+      if (!fabricCanvas || !canEdit || !noteId) return;
+
+      const visible = getVisibleBounds(fabricCanvas);
+      const center = { x: visible.left + visible.width / 2, y: visible.top + visible.height / 2 };
+      const errors = [];
+
+      const upload = async (file) => {
+        const result = await uploadAttachment(noteId, file);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return result.attachment;
+      };
+
+      for (const [index, file] of Array.from(files).entries()) {
+        const fileError = getFileError(file);
+        if (fileError) {
+          errors.push(fileError);
+          continue;
+        }
+
+        try {
+          if (isPdfFile(file)) {
+            setImportStatus({ message: `Importing ${file.name}…` });
+
+            // Without a point, the first page starts near the top of the view
+            const start = point || { x: center.x, y: visible.top + PDF_IMPORT.PAGE_GAP };
+            fabricCanvas.fire('batch:start');
+            try {
+              const { placed, total } = await addPdfPages(
+                fabricCanvas,
+                file,
+                start,
+                upload,
+                (pageNumber, pageCount) =>
+                  setImportStatus({
+                    message: `Importing ${file.name}: page ${pageNumber} of ${pageCount}…`,
+                  })
+              );
+              if (placed < total) {
+                errors.push(
+                  `Only the first ${placed} of ${total} pages of ${file.name} were imported.`
+                );
+              }
+            } finally {
+              fabricCanvas.fire('batch:end');
+            }
+          } else {
+            setImportStatus({ message: `Uploading ${file.name}…` });
+
+            const at = point || center;
+            const offset = index * IMAGE_CASCADE;
+            await addAttachmentImage(fabricCanvas, await upload(file), {
+              x: at.x + offset,
+              y: at.y + offset,
+            });
+          }
+        } catch (error) {
+          console.error('Failed to insert file:', error);
+          errors.push(error.message || `Failed to import ${file.name}.`);
+        }
+      }
+
+      setImportStatus(errors.length > 0 ? { error: errors.join(' ') } : null);
+    },
+    [fabricCanvas, canEdit, noteId, uploadAttachment]
+  );
+
+  // Drop files onto the canvas, or paste them anywhere outside a text field
+  useEffect(() => {
+    if (!fabricCanvas || !canEdit) return;
+
+    const wrapper = fabricCanvas.wrapperEl;
+    const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    const handleDragOver = (event) => {
+      if (!hasFiles(event)) return;
+
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    };
+
+    const handleDrop = (event) => {
+      if (!hasFiles(event)) return;
+
+      event.preventDefault();
+      insertFiles(event.dataTransfer.files, fabricCanvas.getScenePoint(event));
+    };
+
+    const handlePaste = (event) => {
+      if (isTypingTarget(event)) return;
+
+      const files = Array.from(event.clipboardData?.files || []);
+      if (files.length === 0) return;
+
+      event.preventDefault();
+      insertFiles(files);
+    };
+
+    wrapper.addEventListener('dragover', handleDragOver);
+    wrapper.addEventListener('drop', handleDrop);
+    window.addEventListener('paste', handlePaste);
+
+    return () => {
+      wrapper.removeEventListener('dragover', handleDragOver);
+      wrapper.removeEventListener('drop', handleDrop);
+      window.removeEventListener('paste', handlePaste);
+    };
+  }, [fabricCanvas, canEdit, insertFiles]);
+
+  return {
+    insertFiles,
+    importStatus,
+    clearImportStatus,
+  };
+}
@@ -0,0 +1,225 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import useNoteStore from '../store/useNoteStore';
+import {
+  getNextPageName,
+  getWhiteboardPages,
+  movePage as moveInList,
+  normalizePageName,
+} from '../utils/whiteboardPages';
+
+/**
+ * Custom hook for the pages of a note's whiteboard
+ * Tracks which page is open and wraps the page actions of the note store. Opening a
+ * page fetches its latest drawing into the store first, so `activePage` only changes
+ * once the page can be shown; its data is the store copy, kept up to date by saves.
+ * If the open page is deleted by someone else, the first page is opened instead.
+ *
+ * @param {string} noteId - Note ID
+ * @returns {Object} { pages, activePage, loadingPageId, error, clearError, selectPage,
+ *   addPage, duplicatePage, renamePage, deletePage, movePage, loadAllPages }
+ */
+export default function useWhiteboardPages(noteId) {
+  const {
+    notes,
+    currentNote,
+    fetchWhiteboardPage,
+    addWhiteboardPage,
+    renameWhiteboardPage,
+    deleteWhiteboardPage,
+    reorderWhiteboardPages,
+  } = useNoteStore();
+  const [activePageId, setActivePageId] = useState(null);
+  const [loadingPageId, setLoadingPageId] = useState(null);
+  const [error, setError] = useState(null);
+  // Only the latest page request may open its page
+  const latestRequest = useRef(0);
+
+  const note = currentNote?.id === noteId ? currentNote : notes.find((n) => n.id === noteId);
+  const pages = useMemo(() => (note ? getWhiteboardPages(note) : []), [note]);
+  const activeIndex = pages.findIndex((page) => page.id === activePageId);
+  const activePage = pages[activeIndex] || null;
+
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  /**
+   * Show a page that is already in the store, cancelling any page still being fetched
+   * @param {string} pageId - Page ID
+   */
+  const showPage = useCallback((pageId) => {
+    latestRequest.current++;
+    setLoadingPageId(null);
+    setActivePageId(pageId);
+  }, []);
+
+  /**
+   * Open a page
+   * @param {string} pageId - Page ID
+   */
+  const selectPage = useCallback(
+    async (pageId) => {
+      if (!noteId || pageId === activePageId) return;
+
+      const request = ++latestRequest.current;
+      setLoadingPageId(pageId);
+
+      const result = await fetchWhiteboardPage(noteId, pageId);
+      if (request !== latestRequest.current) return;
+
+      setLoadingPageId(null);
+      if (result.success) {
+        setActivePageId(pageId);
+      } else {
+        setError(result.error);
+      }
+    },
+    [noteId, activePageId, fetchWhiteboardPage]
+  );
+
+  // Open the first page once the note is there, and move off a page that was deleted
+  const firstPageId = pages[0]?.id;
+  const isActivePageGone = activePageId !== null && activeIndex === -1;
+  useEffect(() => {
+    if (!firstPageId) return;
+
+    if (activePageId === null) {
+      // The note was just fetched, so its first page is current
+      showPage(firstPageId);
+    } else if (isActivePageGone) {
+      selectPage(firstPageId);
+    }
+  }, [firstPageId, activePageId, isActivePageGone, showPage, selectPage]);
+
+  /**
+   * Add an empty page after the open one and open it
+   */
+  const addPage = useCallback(async () => {
+    const result = await addWhiteboardPage(noteId, {
+      name: getNextPageName(pages),
+      index: activeIndex + 1,
+    });
+
+    if (result.success) {
+      showPage(result.page.id);
+    } else {
+      setError(result.error);
+    }
+  }, [noteId, pages, activeIndex, addWhiteboardPage, showPage]);
+
+  /**
+   * Copy a page, insert the copy after it and open the copy
+   * @param {string} pageId - Page to copy
+   */
+  const duplicatePage = useCallback(
+    async (pageId) => {
+      const source = await fetchWhiteboardPage(noteId, pageId);
+      if (!source.success) {
+        setError(source.error);
+        return;
+      }
+
+      const result = await addWhiteboardPage(noteId, {
+        name: normalizePageName(`${source.page.name} (copy)`),
+        data: source.page.data,
+        index: pages.findIndex((page) => page.id === pageId) + 1,
+      });
+
+      if (result.success) {
+        showPage(result.page.id);
+      } else {
+        setError(result.error);
+      }
+    },
+    [noteId, pages, fetchWhiteboardPage, addWhiteboardPage, showPage]
+  );
+
+  /**
+   * Rename a page; empty names are ignored
+   * @param {string} pageId - Page ID
+   * @param {string} name - New name
+   */
+  const renamePage = useCallback(
+    async (pageId, name) => {
+      const newName = normalizePageName(name);
+      const page = pages.find((p) => p.id === pageId);
+      if (!newName || !page || page.name === newName) return;
+
+      const result = await renameWhiteboardPage(noteId, pageId, newName);
+      if (!result.success) {
+        setError(result.error);
+      }
+    },
+    [noteId, pages, renameWhiteboardPage]
+  );
+
+  /**
+   * Delete a page; the open page is left for its neighbour first
+   * @param {string} pageId - Page ID
+   */
+  const deletePage = useCallback(
+    async (pageId) => {
+      if (pages.length <= 1) return;
+
+      if (pageId === activePageId) {
+        const neighbour = pages[activeIndex + 1] || pages[activeIndex - 1];
+        await selectPage(neighbour.id);
+      }
+
+      const result = await deleteWhiteboardPage(noteId, pageId);
+      if (!result.success) {
+        setError(result.error);
+      }
+    },
+    [noteId, pages, activePageId, activeIndex, selectPage, deleteWhiteboardPage]
+  );
+
+  /**
+   * Move a page to another position
+   * @param {string} pageId - Page ID
+   * @param {number} index - New position
+   */
+  const movePage = useCallback(
+    async (pageId, index) => {
+      const pageIds = moveInList(pages, pageId, index).map((page) => page.id);
+      if (pageIds.every((id, i) => id === pages[i].id)) return;
+
+      const result = await reorderWhiteboardPages(noteId, pageIds);
+      if (!result.success) {
+        setError(result.error);
+      }
+    },
+    [noteId, pages, reorderWhiteboardPages]
+  );
+
+  /**
+   * Fetch every page with its latest drawing, e.g. for exporting them all
+   * @returns {Promise<Array>} Pages ({ id, name, data }) in order
+   */
+  const loadAllPages = useCallback(async () => {
+    const loaded = [];
+    for (const page of pages) {
+      const result = await fetchWhiteboardPage(noteId, page.id);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      loaded.push({ ...page, data: result.page.data });
+    }
+    return loaded;
+  }, [noteId, pages, fetchWhiteboardPage]);
+
+  return {
+    pages,
+    activePage,
+    loadingPageId,
+    error,
+    clearError,
+    selectPage,
+    addPage,
+    duplicatePage,
+    renamePage,
+    deletePage,
+    movePage,
+    loadAllPages,
+  };
+}
@@ -0,0 +1,173 @@
+import { useEffect, useMemo, useRef } from 'react';
+import useSocketStore from '../store/useSocketStore';
+import useNoteStore from '../store/useNoteStore';
+import useAuthStore from '../store/useAuthStore';
+import { SOCKET_EVENTS, POINTER_UPDATE_DELAY } from '../utils/constants';
+import { throttle, generateColorFromString } from '../utils/helpers';
+import { fitBoundsTransform } from '../utils/whiteboardViewport';
+
+/**
+ * Viewport transform that shows the same area as someone else's viewport
+ * Their view is centered and scaled to fit our canvas, which may have another size
+ * @param {Object} viewport - Followed user's { transform, width, height }
+ * @param {number} width - Our canvas width
+ * @param {number} height - Our canvas height
+ * @returns {Array} Fabric viewport transform
+ */
+const followViewport = ({ transform, width: theirWidth, height: theirHeight }, width, height) => {
+  const [zoom, , , , panX, panY] = transform;
+  const theirBounds = {
+    left: -panX / zoom,
+    top: -panY / zoom,
+    width: theirWidth / zoom,
+    height: theirHeight / zoom,
+  };
+
+  return fitBoundsTransform(theirBounds, width, height);
+};
+
+/**
+ * Custom hook for whiteboard presence
+ * Broadcasts the local pointer (in canvas coordinates) together with the viewport,
+ * collects collaborators' pointers and, while following someone, keeps the local
+ * viewport locked to theirs. Only pointers on the same whiteboard page are shown; a
+ * followed user on another page is reported as `followedPageId` so the caller can
+ * switch pages.
+ *
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {string} noteId - Note ID for the whiteboard
+ * @param {string} pageId - Whiteboard page shown on the canvas
+ * @returns {Object} { pointers, followedUser, followedPageId }
+ */
+export default function useWhiteboardPresence(fabricCanvas, noteId, pageId) {
+  const { isConnected, on, off, emitPointerUpdate } = useSocketStore();
+  const { remotePointers, followingUserId, clearRemotePointers } = useNoteStore();
+  const { user } = useAuthStore();
+  const lastPointer = useRef({ x: null, y: null });
+
+  // At most one update every POINTER_UPDATE_DELAY ms; trailing, so the final
+  // position (or leaving the canvas) is always sent
+  const sendPointer = useMemo(
+    () => throttle(emitPointerUpdate, POINTER_UPDATE_DELAY, { trailing: true }),
+    [emitPointerUpdate]
+  );
+
+  // Broadcast the pointer and viewport
+  useEffect(() => {
+    if (!fabricCanvas || !noteId) return;
+
+    const broadcast = () => {
+      sendPointer(noteId, {
+        ...lastPointer.current,
+        pageId,
+        viewport: {
+          transform: [...fabricCanvas.viewportTransform],
+          width: fabricCanvas.getWidth(),
+          height: fabricCanvas.getHeight(),
+        },
+        userId: user?.id,
+        userName: user?.name,
+      });
+    };
+
+    const handleMouseMove = ({ scenePoint }) => {
+      lastPointer.current = { x: scenePoint.x, y: scenePoint.y };
+      broadcast();
+    };
+
+    const handleMouseOut = () => {
+      lastPointer.current = { x: null, y: null };
+      broadcast();
+    };
+
+    // Any pan, zoom or resize shows up as a render with a different viewport
+    let lastViewport = null;
+    const handleAfterRender = () => {
+      const key = [
+        ...fabricCanvas.viewportTransform,
+        fabricCanvas.getWidth(),
+        fabricCanvas.getHeight(),
+      ].join();
+      if (key === lastViewport) return;
+
+      lastViewport = key;
+      broadcast();
+    };
+
+    // Someone who just joined hasn't seen our pointer or viewport yet
+    const handleUserJoined = (data) => {
+      if (data.noteId === noteId && data.user?.id !== user?.id) {
+        broadcast();
+      }
+    };
+
+    fabricCanvas.on('mouse:move', handleMouseMove);
+    fabricCanvas.on('mouse:out', handleMouseOut);
+    fabricCanvas.on('after:render', handleAfterRender);
+    on(SOCKET_EVENTS.USER_JOINED_NOTE, handleUserJoined);
+    handleAfterRender();
+
+    return () => {
+      fabricCanvas.off('mouse:move', handleMouseMove);
+      fabricCanvas.off('mouse:out', handleMouseOut);
+      fabricCanvas.off('after:render', handleAfterRender);
+      off(SOCKET_EVENTS.USER_JOINED_NOTE, handleUserJoined);
+
+      // Hide our pointer for the others
+      lastPointer.current = { x: null, y: null };
+      broadcast();
+    };
+  }, [fabricCanvas, noteId, pageId, user, on, off, sendPointer]);
+
+  // Pointers are only live while the whiteboard is open and connected
+  useEffect(() => {
+    if (!noteId || !isConnected) return;
+
+    return () => {
+      clearRemotePointers(noteId);
+    };
+  }, [noteId, isConnected, clearRemotePointers]);
+
+  const notePointers = remotePointers[noteId];
+  const followedPointer = followingUserId ? notePointers?.[followingUserId] : null;
+  const isOnOtherPage = Boolean(followedPointer?.pageId) && followedPointer.pageId !== pageId;
+  const followedViewport = isOnOtherPage ? null : followedPointer?.viewport;
+  // Every pointer move carries the viewport; only react when it actually changed
+  const followedViewportKey = followedViewport?.transform ? JSON.stringify(followedViewport) : null;
+
+  // Follow mode: mirror the followed user's pan and zoom
+  useEffect(() => {
+    if (!fabricCanvas || !followedViewportKey) return;
+
+    fabricCanvas.setViewportTransform(
+      followViewport(
+        JSON.parse(followedViewportKey),
+        fabricCanvas.getWidth(),
+        fabricCanvas.getHeight()
+      )
+    );
+  }, [fabricCanvas, followedViewportKey]);
+
+  const pointers = useMemo(
+    () =>
+      Object.values(notePointers || {})
+        .filter((pointer) => pointer.x !== null && pointer.x !== undefined)
+        .filter((pointer) => !pointer.pageId || pointer.pageId === pageId)
+        .map((pointer) => ({ ...pointer, color: generateColorFromString(pointer.userId) })),
+    [notePointers, pageId]
+  );
+
+  const followedUser = followingUserId
+    ? {
+        userId: followingUserId,
+        name: notePointers?.[followingUserId]?.name,
+        color: generateColorFromString(followingUserId),
+      }
+    : null;
+
+  return {
+    pointers,
+    followedUser,
+    followedPageId: isOnOtherPage ? followedPointer.pageId : null,
+  };
+}
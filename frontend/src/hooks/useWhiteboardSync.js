@@ -1,77 +1,95 @@
 import { useEffect, useRef, useCallback } from 'react';
 import useSocketStore from '../store/useSocketStore';
+import { SOCKET_EVENTS, DRAW_UPDATE_DELAY } from '../utils/constants';
+import {
+  applyObjectOperations,
+  ensureObjectId,
+  queueObjectChange,
+  serializeObjectChanges,
+} from '../utils/whiteboardObjects';
+import { LEGACY_PAGE_ID } from '../utils/whiteboardPages';
 
 /**
  * Custom hook for real-time whiteboard synchronization
- * Handles emitting and receiving drawing updates via WebSocket with debouncing
+ * Sends per-object add/modify/remove operations instead of the whole canvas and applies
+ * remote operations surgically, so other people's in-progress strokes and selections
+ * are left alone. Each whiteboard page has its own room, `whiteboard:{noteId}:{pageId}`,
+ * so only the people on the same page receive its operations.
  *
  * @param {Object} fabricCanvas - Fabric.js canvas instance
  * @param {string} noteId - Note ID for the whiteboard
+ * @param {string} pageId - Whiteboard page shown on the canvas
  * @param {Function} onRemoteUpdate - Callback when remote update is received
- * @param {number} debounceMs - Debounce delay for emitting updates (default: 100ms)
+ * @param {number} debounceMs - Delay for batching outgoing operations (default: 100ms)
  * @returns {Object} Sync functions
  */
-export default function useWhiteboardSync(fabricCanvas, noteId, onRemoteUpdate, debounceMs = 100) {
-  const { emit, on, off, isConnected } = useSocketStore();
+export default function useWhiteboardSync(
+  fabricCanvas,
+  noteId,
+  pageId,
+  onRemoteUpdate,
+  debounceMs = DRAW_UPDATE_DELAY
+) {
+  const { isConnected, emitDrawingUpdate, on, off, joinRoom, leaveRoom } = useSocketStore();
   const debounceTimer = useRef(null);
   const isApplyingRemoteUpdate = useRef(false);
-  const lastEmittedState = useRef(null);
+  const pendingChanges = useRef(new Map());
+  const clientId = useRef(`client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
 
   /**
-   * Emit drawing update to server with debouncing
+   * Send queued object operations
    */
-  const emitDrawingUpdate = useCallback(
-    (whiteboardData) => {
-      if (!isConnected || !noteId) return;
+  const flushChanges = useCallback(() => {
+    debounceTimer.current = null;
+    if (!fabricCanvas || pendingChanges.current.size === 0) return;
+
+    const operations = serializeObjectChanges(fabricCanvas, pendingChanges.current);
+    pendingChanges.current.clear();
+
+    emitDrawingUpdate(noteId, { pageId, operations, clientId: clientId.current });
+  }, [fabricCanvas, noteId, pageId, emitDrawingUpdate]);
+
+  /**
+   * Queue a local object change and schedule sending it
+   * @param {string} type - 'add', 'modify' or 'remove'
+   * @param {Object} object - Fabric object that changed
+   */
+  const queueChange = useCallback(
+    (type, object) => {
+      // Sent even while disconnected: the socket manager queues them for later
+      if (!noteId || !object) return;
+
+      queueObjectChange(pendingChanges.current, type, object);
 
-      // Clear existing timer
       if (debounceTimer.current) {
         clearTimeout(debounceTimer.current);
       }
-
-      // Debounce the emit
-      debounceTimer.current = setTimeout(() => {
-        // Only emit if data has changed
-        const stateString = JSON.stringify(whiteboardData);
-        if (stateString !== lastEmittedState.current) {
-          emit('draw:update', {
-            noteId,
-            whiteboardData,
-            timestamp: Date.now(),
-          });
-          lastEmittedState.current = stateString;
-        }
-      }, debounceMs);
+      debounceTimer.current = setTimeout(flushChanges, debounceMs);
     },
-    [emit, isConnected, noteId, debounceMs]
+    [noteId, flushChanges, debounceMs]
   );
 
   /**
-   * Handle incoming drawing update from other users
+   * Handle incoming drawing operations from other users
    */
   const handleRemoteDrawingUpdate = useCallback(
-    (data) => {
-      // Ignore updates for different notes
-      if (data.noteId !== noteId) return;
-
-      // Don't apply our own updates
-      const stateString = JSON.stringify(data.whiteboardData);
-      if (stateString === lastEmittedState.current) return;
-
-      // Mark that we're applying a remote update
-      isApplyingRemoteUpdate.current = true;
-
-      // Apply the update to canvas
-      if (fabricCanvas && data.whiteboardData) {
-        try {
-          fabricCanvas.loadFromJSON(data.whiteboardData, () => {
-            fabricCanvas.renderAll();
+    async (data) => {
+      // Ignore updates for different notes or pages and our own echoes
+      if (data.noteId !== noteId || data.clientId === clientId.current) return;
+      if ((data.pageId ?? LEGACY_PAGE_ID) !== pageId) return;
+      if (!fabricCanvas || !Array.isArray(data.operations)) return;
+
+      try {
+        await applyObjectOperations(fabricCanvas, data.operations, (apply) => {
+          isApplyingRemoteUpdate.current = true;
+          try {
+            apply();
+          } finally {
             isApplyingRemoteUpdate.current = false;
-          });
-        } catch (error) {
-          console.error('Failed to apply remote drawing update:', error);
-          isApplyingRemoteUpdate.current = false;
-        }
+          }
+        });
+      } catch (error) {
+        console.error('Failed to apply remote drawing update:', error);
       }
 
       // Notify parent component
@@ -79,7 +97,7 @@ export default function useWhiteboardSync(fabricCanvas, noteId, onRemoteUpdate,
         onRemoteUpdate(data);
       }
     },
-    [fabricCanvas, noteId, onRemoteUpdate]
+    [fabricCanvas, noteId, pageId, onRemoteUpdate]
   );
 
   /**
@@ -89,53 +107,69 @@ export default function useWhiteboardSync(fabricCanvas, noteId, onRemoteUpdate,
     return isApplyingRemoteUpdate.current;
   }, []);
 
-  // Listen for canvas modifications and emit updates
+  // Listen for canvas modifications and queue per-object operations
   useEffect(() => {
     if (!fabricCanvas || !noteId) return;
 
-    const handleModified = () => {
-      // Don't emit if we're applying a remote update
+    const track = (type) => (event) => {
+      // Give every object an ID, even ones added while applying remote updates
+      if (event.target) {
+        ensureObjectId(event.target);
+      }
+
+      // Don't echo remote changes back
       if (isApplyingRemoteUpdate.current) return;
 
-      // Serialize canvas data
-      const data = fabricCanvas.toJSON();
-      emitDrawingUpdate(data);
+      queueChange(type, event.target);
     };
 
-    // Listen for canvas modifications
-    fabricCanvas.on('object:added', handleModified);
+    const handleAdded = track('add');
+    const handleModified = track('modify');
+    const handleRemoved = track('remove');
+
+    fabricCanvas.on('object:added', handleAdded);
     fabricCanvas.on('object:modified', handleModified);
-    fabricCanvas.on('object:removed', handleModified);
-    fabricCanvas.on('path:created', handleModified);
+    fabricCanvas.on('object:removed', handleRemoved);
 
     return () => {
-      fabricCanvas.off('object:added', handleModified);
+      fabricCanvas.off('object:added', handleAdded);
       fabricCanvas.off('object:modified', handleModified);
-      fabricCanvas.off('object:removed', handleModified);
-      fabricCanvas.off('path:created', handleModified);
+      fabricCanvas.off('object:removed', handleRemoved);
+    };
+  }, [fabricCanvas, noteId, queueChange]);
+
+  // Join the page's room while the page is open
+  useEffect(() => {
+    if (!noteId || !pageId || !isConnected) return;
+
+    const roomName = `whiteboard:${noteId}:${pageId}`;
+    joinRoom(roomName);
+
+    return () => {
+      leaveRoom(roomName);
     };
-  }, [fabricCanvas, noteId, emitDrawingUpdate]);
+  }, [noteId, pageId, isConnected, joinRoom, leaveRoom]);
 
   // Subscribe to remote drawing updates
   useEffect(() => {
     if (!noteId) return;
 
     // Register event listener
-    on('draw:update', handleRemoteDrawingUpdate);
+    on(SOCKET_EVENTS.DRAW_UPDATE, handleRemoteDrawingUpdate);
 
     return () => {
       // Cleanup event listener
-      off('draw:update', handleRemoteDrawingUpdate);
+      off(SOCKET_EVENTS.DRAW_UPDATE, handleRemoteDrawingUpdate);
 
-      // Clear debounce timer
+      // Send anything still queued before tearing down
       if (debounceTimer.current) {
         clearTimeout(debounceTimer.current);
+        flushChanges();
       }
     };
-  }, [noteId, on, off, handleRemoteDrawingUpdate]);
+  }, [noteId, on, off, handleRemoteDrawingUpdate, flushChanges]);
 
   return {
-    emitDrawingUpdate,
     isRemoteUpdate,
   };
 }
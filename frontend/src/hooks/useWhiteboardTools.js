@@ -1,9 +1,38 @@
 import { useEffect, useRef } from 'react';
-import { Rect, Circle, Line, IText, PencilBrush } from 'fabric';
+import { Rect, Circle, Ellipse, Triangle, Line, IText, Path, PencilBrush } from 'fabric';
+import { FormulaText, DEFAULT_FORMULA } from '../utils/whiteboardFormula';
+import { isTouchedByEraser, splitErasedPath } from '../utils/whiteboardEraser';
+import {
+  Arrow,
+  Connector,
+  StickyNote,
+  createDiamond,
+  getDiamondScale,
+  findConnectableAt,
+  layoutConnector,
+  layoutAttachedConnectors,
+} from '../utils/whiteboardShapes';
+import { ensureObjectId } from '../utils/whiteboardObjects';
+import { ERASER_MODES } from '../utils/constants';
+
+// Opacity of objects about to be removed by the stroke eraser
+const ERASE_PREVIEW_OPACITY = 0.25;
+
+// How close (in screen pixels) a connector end must come to a shape to attach to it
+const CONNECTOR_SNAP_DISTANCE = 12;
 
 /**
  * Custom hook for managing whiteboard drawing tools
- * Handles tool-specific functionality for pen, eraser, shapes, text, and selection
+ * Handles tool-specific functionality for pen, eraser, shapes, connectors, sticky notes,
+ * text, formulas, and selection
+ *
+ * The eraser changes objects rather than painting over them (see utils/whiteboardEraser).
+ * A gesture is previewed on the top layer, which is never saved or exported, and applied
+ * on release between 'batch:start' and 'batch:end' canvas events, so history records
+ * it as one step and sync sends it as ordinary removals and additions.
+ *
+ * Connectors attach to the shapes under their ends (see utils/whiteboardShapes) and
+ * are laid out again whenever one of those shapes is moved, scaled or rotated.
  *
  * @param {Object} fabricCanvas - Fabric.js canvas instance
  * @param {string} selectedTool - Currently selected tool
@@ -15,6 +44,8 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
   const isDrawingShape = useRef(false);
   const shapeStartPoint = useRef(null);
   const currentShape = useRef(null);
+  const eraserTrail = useRef(null);
+  const erasedObjects = useRef(new Map());
 
   // Setup pen tool
   const setupPenTool = () => {
@@ -30,14 +61,147 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
   const setupEraserTool = () => {
     if (!fabricCanvas) return;
 
-    fabricCanvas.isDrawingMode = true;
+    fabricCanvas.isDrawingMode = false;
+    fabricCanvas.selection = false;
+    fabricCanvas.defaultCursor = 'crosshair';
+
+    // Erasing must not select or drag what it passes over
+    fabricCanvas.forEachObject((obj) => {
+      obj.selectable = false;
+      obj.evented = false;
+    });
+  };
+
+  // Eraser radius in canvas units; stays the same size on screen at any zoom
+  const getEraserRadius = () => Math.max(toolOptions.strokeWidth, 4) / fabricCanvas.getZoom();
+
+  // Draw the eraser outline and the trail of the current gesture on the top layer
+  const drawEraserPreview = (pointer) => {
+    const ctx = fabricCanvas.contextTop;
+    const radius = getEraserRadius();
+
+    fabricCanvas.clearContext(ctx);
+    ctx.save();
+    ctx.transform(...fabricCanvas.viewportTransform);
+
+    const trail = eraserTrail.current;
+    if (trail) {
+      ctx.strokeStyle = 'rgba(148, 163, 184, 0.35)';
+      ctx.lineWidth = radius * 2;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      trail.forEach((point, i) =>
+        i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)
+      );
+      // A single point still shows as a dot
+      if (trail.length === 1) ctx.lineTo(trail[0].x, trail[0].y);
+      ctx.stroke();
+    }
+
+    if (pointer) {
+      ctx.strokeStyle = '#64748b';
+      ctx.lineWidth = 1 / fabricCanvas.getZoom();
+      ctx.beginPath();
+      ctx.arc(pointer.x, pointer.y, radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  };
+
+  // Fade objects the stroke eraser has touched along the latest part of the trail
+  const markErasedObjects = (segment) => {
+    const radius = getEraserRadius();
+
+    fabricCanvas.getObjects().forEach((object) => {
+      if (object.locked || erasedObjects.current.has(object)) return;
+      if (!isTouchedByEraser(object, segment, radius)) return;
+
+      erasedObjects.current.set(object, object.opacity);
+      object.opacity = object.opacity * ERASE_PREVIEW_OPACITY;
+    });
+  };
+
+  // Handle mouse down for the eraser
+  const handleEraserMouseDown = (event) => {
+    if (!canEdit || !fabricCanvas) return;
+
+    eraserTrail.current = [event.scenePoint];
+    erasedObjects.current.clear();
+
+    if (toolOptions.eraserMode !== ERASER_MODES.PARTIAL) {
+      markErasedObjects(eraserTrail.current);
+    }
+    drawEraserPreview(event.scenePoint);
+    fabricCanvas.requestRenderAll();
+  };
+
+  // Handle mouse move for the eraser
+  const handleEraserMouseMove = (event) => {
+    if (!fabricCanvas) return;
+
+    const trail = eraserTrail.current;
+    if (trail) {
+      trail.push(event.scenePoint);
+      if (toolOptions.eraserMode !== ERASER_MODES.PARTIAL) {
+        markErasedObjects(trail.slice(-2));
+        fabricCanvas.requestRenderAll();
+      }
+    }
 
-    // Create eraser brush (white color to "erase")
-    const eraserBrush = new PencilBrush(fabricCanvas);
-    eraserBrush.color = '#ffffff';
-    eraserBrush.width = toolOptions.strokeWidth * 2; // Larger for erasing
+    drawEraserPreview(event.scenePoint);
+  };
+
+  // Handle mouse up for the eraser: apply the whole gesture at once
+  const handleEraserMouseUp = (event) => {
+    const trail = eraserTrail.current;
+    if (!trail || !fabricCanvas) return;
+
+    eraserTrail.current = null;
+    fabricCanvas.fire('batch:start');
+
+    if (toolOptions.eraserMode === ERASER_MODES.PARTIAL) {
+      const radius = getEraserRadius();
+
+      fabricCanvas.getObjects().forEach((object) => {
+        if (object.locked) return;
+
+        // Freehand strokes lose only the erased part; filled shapes can't be cut
+        if (object instanceof Path && !object.fill) {
+          const pieces = splitErasedPath(object, trail, radius);
+          if (!pieces) return;
+
+          // Keep the pieces at the original's place in the stacking order
+          fabricCanvas.insertAt(fabricCanvas.getObjects().indexOf(object), ...pieces);
+          pieces.forEach((piece) => {
+            piece.selectable = false;
+            piece.evented = false;
+          });
+          fabricCanvas.remove(object);
+        } else if (isTouchedByEraser(object, trail, radius)) {
+          fabricCanvas.remove(object);
+        }
+      });
+    } else {
+      erasedObjects.current.forEach((opacity, object) => {
+        object.opacity = opacity;
+        fabricCanvas.remove(object);
+      });
+    }
+
+    erasedObjects.current.clear();
+    fabricCanvas.fire('batch:end');
+
+    drawEraserPreview(event?.scenePoint);
+    fabricCanvas.requestRenderAll();
+  };
 
-    fabricCanvas.freeDrawingBrush = eraserBrush;
+  // Hide the eraser outline when the pointer leaves the canvas
+  const handleEraserMouseOut = () => {
+    if (fabricCanvas && !eraserTrail.current) {
+      fabricCanvas.clearContext(fabricCanvas.contextTop);
+    }
   };
 
   // Setup selection tool
@@ -47,14 +211,14 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
     fabricCanvas.isDrawingMode = false;
     fabricCanvas.selection = true;
 
-    // Make all objects selectable
+    // Make all objects selectable, except locked ones
     fabricCanvas.forEachObject((obj) => {
-      obj.selectable = true;
-      obj.evented = true;
+      obj.selectable = !obj.locked;
+      obj.evented = !obj.locked;
     });
   };
 
-  // Setup shape drawing (rectangle, circle, line, arrow)
+  // Setup shape drawing (rectangle, ellipse, triangle, diamond, line, arrow, connector)
   const setupShapeTool = () => {
     if (!fabricCanvas) return;
 
@@ -76,6 +240,16 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
     fabricCanvas.selection = false;
   };
 
+  // Shape a connector end would attach to at this point, other than `except`
+  const findConnectorTarget = (pointer, except) => {
+    const target = findConnectableAt(
+      fabricCanvas,
+      pointer,
+      CONNECTOR_SNAP_DISTANCE / fabricCanvas.getZoom()
+    );
+    return target && target !== except ? target : null;
+  };
+
   // Handle mouse down for shape drawing
   const handleShapeMouseDown = (event) => {
     if (!canEdit || !fabricCanvas) return;
@@ -84,18 +258,30 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
     isDrawingShape.current = true;
     shapeStartPoint.current = pointer;
 
+    const outline = {
+      left: pointer.x,
+      top: pointer.y,
+      fill: 'transparent',
+      stroke: toolOptions.color,
+      strokeWidth: toolOptions.strokeWidth,
+    };
+
     // Create initial shape based on selected tool
     switch (selectedTool) {
       case 'rectangle':
-        currentShape.current = new Rect({
-          left: pointer.x,
-          top: pointer.y,
-          width: 0,
-          height: 0,
-          fill: 'transparent',
-          stroke: toolOptions.color,
-          strokeWidth: toolOptions.strokeWidth,
-        });
+        currentShape.current = new Rect({ ...outline, width: 0, height: 0 });
+        break;
+
+      case 'ellipse':
+        currentShape.current = new Ellipse({ ...outline, rx: 0, ry: 0 });
+        break;
+
+      case 'triangle':
+        currentShape.current = new Triangle({ ...outline, width: 0, height: 0 });
+        break;
+
+      case 'diamond':
+        currentShape.current = createDiamond({ ...outline, ...getDiamondScale(0, 0) });
         break;
 
       case 'circle':
@@ -110,13 +296,29 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
         break;
 
       case 'line':
-      case 'arrow':
         currentShape.current = new Line([pointer.x, pointer.y, pointer.x, pointer.y], {
           stroke: toolOptions.color,
           strokeWidth: toolOptions.strokeWidth,
         });
         break;
 
+      case 'arrow':
+        currentShape.current = new Arrow([pointer.x, pointer.y, pointer.x, pointer.y], {
+          stroke: toolOptions.color,
+          strokeWidth: toolOptions.strokeWidth,
+        });
+        break;
+
+      case 'connector': {
+        const start = findConnectorTarget(pointer);
+        currentShape.current = new Connector([pointer.x, pointer.y, pointer.x, pointer.y], {
+          stroke: toolOptions.color,
+          strokeWidth: toolOptions.strokeWidth,
+          startId: start ? ensureObjectId(start) : null,
+        });
+        break;
+      }
+
       default:
         return;
     }
@@ -132,14 +334,33 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
 
     const pointer = fabricCanvas.getPointer(event.e);
     const startPoint = shapeStartPoint.current;
+    const box = {
+      left: Math.min(pointer.x, startPoint.x),
+      top: Math.min(pointer.y, startPoint.y),
+      width: Math.abs(pointer.x - startPoint.x),
+      height: Math.abs(pointer.y - startPoint.y),
+    };
 
     switch (selectedTool) {
       case 'rectangle':
+      case 'triangle':
+        currentShape.current.set(box);
+        break;
+
+      case 'ellipse':
+        currentShape.current.set({
+          left: box.left,
+          top: box.top,
+          rx: box.width / 2,
+          ry: box.height / 2,
+        });
+        break;
+
+      case 'diamond':
         currentShape.current.set({
-          width: Math.abs(pointer.x - startPoint.x),
-          height: Math.abs(pointer.y - startPoint.y),
-          left: Math.min(pointer.x, startPoint.x),
-          top: Math.min(pointer.y, startPoint.y),
+          left: box.left,
+          top: box.top,
+          ...getDiamondScale(box.width, box.height),
         });
         break;
 
@@ -162,6 +383,16 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
         });
         break;
 
+      case 'connector': {
+        const connector = currentShape.current;
+        const start = fabricCanvas.getObjects().find((object) => object.id === connector.startId);
+        const end = findConnectorTarget(pointer, start);
+
+        connector.set({ x2: pointer.x, y2: pointer.y, endId: end ? ensureObjectId(end) : null });
+        layoutConnector(fabricCanvas, connector);
+        break;
+      }
+
       default:
         break;
     }
@@ -173,24 +404,44 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
   const handleShapeMouseUp = () => {
     if (!isDrawingShape.current) return;
 
+    // The shape was resized with set() while dragging; report its final geometry
+    // so history and sync pick it up
+    if (currentShape.current && fabricCanvas) {
+      currentShape.current.setCoords();
+      fabricCanvas.fire('object:modified', { target: currentShape.current });
+    }
+
     isDrawingShape.current = false;
     shapeStartPoint.current = null;
     currentShape.current = null;
   };
 
-  // Handle canvas click for text tool
+  // Handle canvas click for text, formula and sticky note tools
   const handleTextClick = (event) => {
-    if (!canEdit || !fabricCanvas || selectedTool !== 'text') return;
+    if (!canEdit || !fabricCanvas) return;
+    if (!['text', 'formula', 'sticky'].includes(selectedTool)) return;
 
-    const pointer = fabricCanvas.getPointer(event.e);
+    // Clicking existing text (or a formula or note) edits it instead of adding another
+    if (event.target instanceof IText) return;
 
-    const text = new IText('Type here...', {
+    const pointer = fabricCanvas.getPointer(event.e);
+    const options = {
       left: pointer.x,
       top: pointer.y,
       fill: toolOptions.color,
       fontSize: toolOptions.strokeWidth * 8, // Scale font size with stroke width
-      fontFamily: 'Arial',
-    });
+    };
+
+    let text;
+    if (selectedTool === 'formula') {
+      // A formula is typed as LaTeX and typeset when editing ends
+      text = new FormulaText(DEFAULT_FORMULA, options);
+    } else if (selectedTool === 'sticky') {
+      // Notes keep their own colors and a readable size whatever the pen settings
+      text = new StickyNote('', { left: pointer.x, top: pointer.y });
+    } else {
+      text = new IText('Type here...', { ...options, fontFamily: 'Arial' });
+    }
 
     fabricCanvas.add(text);
     fabricCanvas.setActiveObject(text);
@@ -202,10 +453,9 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
   useEffect(() => {
     if (!fabricCanvas || !canEdit) return;
 
-    // Remove existing event listeners
-    fabricCanvas.off('mouse:down');
-    fabricCanvas.off('mouse:move');
-    fabricCanvas.off('mouse:up');
+    // Only this tool's own listeners are removed later; other hooks (sync, presence)
+    // listen to the same mouse events
+    const disposers = [];
 
     switch (selectedTool) {
       case 'pen':
@@ -214,6 +464,18 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
 
       case 'eraser':
         setupEraserTool();
+        disposers.push(
+          fabricCanvas.on('mouse:down', handleEraserMouseDown),
+          fabricCanvas.on('mouse:move', handleEraserMouseMove),
+          fabricCanvas.on('mouse:up', handleEraserMouseUp),
+          fabricCanvas.on('mouse:out', handleEraserMouseOut),
+          // Finish a gesture cut short by a tool change
+          () => handleEraserMouseUp(),
+          () => {
+            fabricCanvas.defaultCursor = 'default';
+            fabricCanvas.clearContext(fabricCanvas.contextTop);
+          }
+        );
         break;
 
       case 'select':
@@ -222,17 +484,25 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
 
       case 'rectangle':
       case 'circle':
+      case 'ellipse':
+      case 'triangle':
+      case 'diamond':
       case 'line':
       case 'arrow':
+      case 'connector':
         setupShapeTool();
-        fabricCanvas.on('mouse:down', handleShapeMouseDown);
-        fabricCanvas.on('mouse:move', handleShapeMouseMove);
-        fabricCanvas.on('mouse:up', handleShapeMouseUp);
+        disposers.push(
+          fabricCanvas.on('mouse:down', handleShapeMouseDown),
+          fabricCanvas.on('mouse:move', handleShapeMouseMove),
+          fabricCanvas.on('mouse:up', handleShapeMouseUp)
+        );
         break;
 
       case 'text':
+      case 'formula':
+      case 'sticky':
         setupTextTool();
-        fabricCanvas.on('mouse:down', handleTextClick);
+        disposers.push(fabricCanvas.on('mouse:down', handleTextClick));
         break;
 
       default:
@@ -240,14 +510,41 @@ export default function useWhiteboardTools(fabricCanvas, selectedTool, toolOptio
     }
 
     return () => {
-      if (fabricCanvas) {
-        fabricCanvas.off('mouse:down');
-        fabricCanvas.off('mouse:move');
-        fabricCanvas.off('mouse:up');
-      }
+      disposers.forEach((dispose) => dispose());
     };
   }, [fabricCanvas, selectedTool, toolOptions, canEdit]);
 
+  // Connectors follow the shapes they are attached to, whichever tool moved them
+  useEffect(() => {
+    if (!fabricCanvas || !canEdit) return;
+
+    const handleTransform = ({ target }) => {
+      if (target && layoutAttachedConnectors(fabricCanvas, target).length > 0) {
+        fabricCanvas.requestRenderAll();
+      }
+    };
+
+    // Report the connectors' new geometry so history and sync pick it up
+    const handleModified = ({ target }) => {
+      if (!target) return;
+      layoutAttachedConnectors(fabricCanvas, target).forEach((connector) =>
+        fabricCanvas.fire('object:modified', { target: connector })
+      );
+    };
+
+    const disposers = [
+      fabricCanvas.on('object:moving', handleTransform),
+      fabricCanvas.on('object:scaling', handleTransform),
+      fabricCanvas.on('object:rotating', handleTransform),
+      fabricCanvas.on('object:resizing', handleTransform),
+      fabricCanvas.on('object:modified', handleModified),
+    ];
+
+    return () => {
+      disposers.forEach((dispose) => dispose());
+    };
+  }, [fabricCanvas, canEdit]);
+
   return {
     setupPenTool,
     setupEraserTool,
@@ -0,0 +1,311 @@
+import { useEffect, useState, useCallback } from 'react';
+import { Point } from 'fabric';
+import useNoteStore from '../store/useNoteStore';
+import useAuthStore from '../store/useAuthStore';
+import { WHITEBOARD_ZOOM } from '../utils/constants';
+import { debounce, isTypingTarget } from '../utils/helpers';
+import {
+  clampZoom,
+  getContentBounds,
+  fitBoundsTransform,
+  loadSavedViewport,
+  saveViewport,
+} from '../utils/whiteboardViewport';
+
+const IDENTITY_TRANSFORM = [1, 0, 0, 1, 0, 0];
+
+// Margin around the drawing when zooming to fit (px)
+const FIT_PADDING = 40;
+
+/**
+ * Custom hook for the infinite whiteboard viewport
+ * Wheel and pinch zoom around the pointer, panning by dragging with Space held (or
+ * the middle mouse button), and zoom commands for the toolbar. The viewport is saved
+ * per user and whiteboard page, so reopening a page returns to the same place. Any pan
+ * or zoom by the user stops follow mode.
+ *
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {string} noteId - Note ID for the whiteboard
+ * @param {string} pageId - Whiteboard page shown on the canvas
+ * @returns {Object} { viewportTransform, zoom, zoomIn, zoomOut, resetZoom, zoomToFit, centerOn }
+ */
+export default function useWhiteboardViewport(fabricCanvas, noteId, pageId) {
+  const { user } = useAuthStore();
+  const [viewportTransform, setViewportTransform] = useState(IDENTITY_TRANSFORM);
+
+  /**
+   * Stop following a collaborator once the user moves the view themselves
+   */
+  const stopFollowing = useCallback(() => {
+    // Read fresh so the gesture listeners don't re-bind (and drop a drag) on follow changes
+    const { followingUserId, followUser } = useNoteStore.getState();
+    if (followingUserId) {
+      followUser(null);
+    }
+  }, []);
+
+  /**
+   * Zoom keeping a screen point in place
+   * @param {number} zoom - New zoom level
+   * @param {Point} point - Screen point, defaults to the canvas center
+   */
+  const zoomAt = useCallback(
+    (zoom, point) => {
+      if (!fabricCanvas) return;
+
+      fabricCanvas.zoomToPoint(
+        point || new Point(fabricCanvas.getWidth() / 2, fabricCanvas.getHeight() / 2),
+        clampZoom(zoom)
+      );
+    },
+    [fabricCanvas]
+  );
+
+  const zoomIn = useCallback(() => {
+    if (!fabricCanvas) return;
+    stopFollowing();
+    zoomAt(fabricCanvas.getZoom() * WHITEBOARD_ZOOM.STEP);
+  }, [fabricCanvas, zoomAt, stopFollowing]);
+
+  const zoomOut = useCallback(() => {
+    if (!fabricCanvas) return;
+    stopFollowing();
+    zoomAt(fabricCanvas.getZoom() / WHITEBOARD_ZOOM.STEP);
+  }, [fabricCanvas, zoomAt, stopFollowing]);
+
+  const resetZoom = useCallback(() => {
+    stopFollowing();
+    zoomAt(1);
+  }, [zoomAt, stopFollowing]);
+
+  /**
+   * Show the whole drawing, or the origin at 100% if the board is empty
+   */
+  const zoomToFit = useCallback(() => {
+    if (!fabricCanvas) return;
+    stopFollowing();
+
+    const bounds = getContentBounds(fabricCanvas);
+    fabricCanvas.setViewportTransform(
+      bounds
+        ? fitBoundsTransform(bounds, fabricCanvas.getWidth(), fabricCanvas.getHeight(), FIT_PADDING)
+        : [...IDENTITY_TRANSFORM]
+    );
+  }, [fabricCanvas, stopFollowing]);
+
+  /**
+   * Pan so a board point is in the middle of the screen (used by the minimap)
+   * @param {number} x - Scene x
+   * @param {number} y - Scene y
+   */
+  const centerOn = useCallback(
+    (x, y) => {
+      if (!fabricCanvas) return;
+      stopFollowing();
+
+      const zoom = fabricCanvas.getZoom();
+      fabricCanvas.setViewportTransform([
+        zoom,
+        0,
+        0,
+        zoom,
+        fabricCanvas.getWidth() / 2 - x * zoom,
+        fabricCanvas.getHeight() / 2 - y * zoom,
+      ]);
+    },
+    [fabricCanvas, stopFollowing]
+  );
+
+  // Restore the saved viewport, then keep state and storage in sync with the canvas
+  useEffect(() => {
+    if (!fabricCanvas) return;
+
+    const saved = noteId && user?.id ? loadSavedViewport(user.id, noteId, pageId) : null;
+    if (saved) {
+      fabricCanvas.setViewportTransform(saved);
+    }
+
+    const persist = debounce((transform) => {
+      if (noteId && user?.id) {
+        saveViewport(user.id, noteId, pageId, transform);
+      }
+    }, 500);
+
+    let lastTransform = null;
+    const handleAfterRender = () => {
+      const key = fabricCanvas.viewportTransform.join();
+      if (key === lastTransform) return;
+
+      lastTransform = key;
+      setViewportTransform([...fabricCanvas.viewportTransform]);
+      persist([...fabricCanvas.viewportTransform]);
+    };
+
+    fabricCanvas.on('after:render', handleAfterRender);
+    handleAfterRender();
+
+    return () => {
+      fabricCanvas.off('after:render', handleAfterRender);
+    };
+  }, [fabricCanvas, noteId, pageId, user]);
+
+  // Wheel and trackpad pinch (sent as Ctrl + wheel) zoom around the pointer
+  useEffect(() => {
+    if (!fabricCanvas) return;
+
+    const handleWheel = ({ e }) => {
+      e.preventDefault();
+      e.stopPropagation();
+      stopFollowing();
+
+      // Line-based wheels (Firefox) report far smaller deltas than pixel-based ones
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      const speed = e.ctrlKey ? 0.99 : 0.999;
+      zoomAt(fabricCanvas.getZoom() * speed ** delta, new Point(e.offsetX, e.offsetY));
+    };
+
+    return fabricCanvas.on('mouse:wheel', handleWheel);
+  }, [fabricCanvas, zoomAt, stopFollowing]);
+
+  // Space + drag (or middle-button drag) pans, and two-finger touch pans and zooms.
+  // These listeners sit on the canvas wrapper in the capture phase, so Fabric (and
+  // the drawing tools) never see the gesture.
+  useEffect(() => {
+    if (!fabricCanvas) return;
+
+    const wrapper = fabricCanvas.wrapperEl;
+    const upperCanvas = fabricCanvas.upperCanvasEl;
+    let spaceHeld = false;
+    let lastDrag = null;
+    let pinch = null;
+
+    const setCursor = (cursor) => {
+      upperCanvas.style.cursor = cursor;
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.code !== 'Space' || isTypingTarget(event)) return;
+      if (fabricCanvas.getActiveObject()?.isEditing) return;
+
+      // Also for auto-repeats, which would otherwise scroll the page
+      event.preventDefault();
+      if (spaceHeld) return;
+
+      spaceHeld = true;
+      setCursor('grab');
+    };
+
+    const handleKeyUp = (event) => {
+      if (event.code !== 'Space' || !spaceHeld) return;
+
+      spaceHeld = false;
+      if (!lastDrag) {
+        setCursor(fabricCanvas.defaultCursor);
+      }
+    };
+
+    const handleDragMove = (event) => {
+      if (!lastDrag) return;
+
+      fabricCanvas.relativePan(new Point(event.clientX - lastDrag.x, event.clientY - lastDrag.y));
+      lastDrag = { x: event.clientX, y: event.clientY };
+    };
+
+    const handleDragEnd = () => {
+      lastDrag = null;
+      window.removeEventListener('mousemove', handleDragMove);
+      window.removeEventListener('mouseup', handleDragEnd);
+      setCursor(spaceHeld ? 'grab' : fabricCanvas.defaultCursor);
+    };
+
+    const handleMouseDown = (event) => {
+      if (!spaceHeld && event.button !== 1) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      stopFollowing();
+
+      lastDrag = { x: event.clientX, y: event.clientY };
+      setCursor('grabbing');
+      window.addEventListener('mousemove', handleDragMove);
+      window.addEventListener('mouseup', handleDragEnd);
+    };
+
+    // Keep Fabric from reacting (hover cursors, drawing) while Space is held
+    const handleMouseMove = (event) => {
+      if (spaceHeld || lastDrag) {
+        event.stopPropagation();
+      }
+    };
+
+    /**
+     * Distance and midpoint (relative to the canvas) of two touches
+     */
+    const measureTouches = ([a, b]) => {
+      const rect = upperCanvas.getBoundingClientRect();
+      return {
+        distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+        x: (a.clientX + b.clientX) / 2 - rect.left,
+        y: (a.clientY + b.clientY) / 2 - rect.top,
+      };
+    };
+
+    const handleTouchStart = (event) => {
+      if (event.touches.length !== 2) return;
+
+      event.stopPropagation();
+      stopFollowing();
+      pinch = { ...measureTouches(event.touches), zoom: fabricCanvas.getZoom() };
+    };
+
+    const handleTouchMove = (event) => {
+      if (!pinch || event.touches.length !== 2) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      const current = measureTouches(event.touches);
+      fabricCanvas.relativePan(new Point(current.x - pinch.x, current.y - pinch.y));
+      zoomAt(
+        (pinch.zoom * current.distance) / Math.max(pinch.distance, 1),
+        new Point(current.x, current.y)
+      );
+      pinch = { ...pinch, x: current.x, y: current.y };
+    };
+
+    const handleTouchEnd = (event) => {
+      if (event.touches.length < 2) {
+        pinch = null;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    wrapper.addEventListener('mousedown', handleMouseDown, true);
+    wrapper.addEventListener('mousemove', handleMouseMove, true);
+    wrapper.addEventListener('touchstart', handleTouchStart, { capture: true, passive: true });
+    wrapper.addEventListener('touchmove', handleTouchMove, { capture: true, passive: false });
+    wrapper.addEventListener('touchend', handleTouchEnd, true);
+
+    return () => {
+      handleDragEnd();
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      wrapper.removeEventListener('mousedown', handleMouseDown, true);
+      wrapper.removeEventListener('mousemove', handleMouseMove, true);
+      wrapper.removeEventListener('touchstart', handleTouchStart, { capture: true });
+      wrapper.removeEventListener('touchmove', handleTouchMove, { capture: true });
+      wrapper.removeEventListener('touchend', handleTouchEnd, true);
+    };
+  }, [fabricCanvas, zoomAt, stopFollowing]);
+
+  return {
+    viewportTransform,
+    zoom: viewportTransform[0],
+    zoomIn,
+    zoomOut,
+    resetZoom,
+    zoomToFit,
+    centerOn,
+  };
+}
@@ -1,10 +1,27 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Whiteboard, NoteEditor, ToolsPanel, AIPanel } from '../components/Notes';
+import {
+  Whiteboard,
+  NoteEditor,
+  ToolsPanel,
+  AIPanel,
+  VersionHistoryModal,
+  WhiteboardPageStrip,
+  NoteExportMenu,
+  MoveNoteModal,
+  FolderBreadcrumbs,
+} from '../components/Notes';
 import { ActiveUsersPanel } from '../components/Instance';
+import { AIResultModal } from '../components/Modal';
 import useNoteStore from '../store/useNoteStore';
 import useAuthStore from '../store/useAuthStore';
 import useInstanceStore from '../store/useInstanceStore';
+import useWhiteboardPages from '../hooks/useWhiteboardPages';
+import useNoteTransfer from '../hooks/useNoteTransfer';
+import useNoteLocation from '../hooks/useNoteLocation';
+import { canEdit as canEditRole } from '../utils/permissions';
+import { useToast } from '../components/ToastContainer';
+import { ERASER_MODES, AI_WHITEBOARD_ACTIONS } from '../utils/constants';
 import styles from './ContainerPage.module.css';
 
 /**
@@ -16,28 +33,68 @@ export default function ContainerPage() {
   const { instanceId, containerId, noteId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuthStore();
-  const { currentInstance, instances } = useInstanceStore();
-  const { currentNote, fetchNoteByTitle, updateNote, isAutoSaving, lastSaved } = useNoteStore();
+  const { currentInstance, instances, containers } = useInstanceStore();
+  const {
+    currentNote,
+    fetchNote,
+    renameNote,
+    saveWhiteboardPage,
+    applyLocalEdit,
+    isAutoSaving,
+    lastSaved,
+  } = useNoteStore();
 
   // View state: 'whiteboard' or 'editor'
   const [activeView, setActiveView] = useState('whiteboard');
   const [isLoading, setIsLoading] = useState(true);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isMoveOpen, setIsMoveOpen] = useState(false);
 
   // Whiteboard state
   const [selectedTool, setSelectedTool] = useState('pen');
   const [toolOptions, setToolOptions] = useState({
     color: '#000000',
     strokeWidth: 2,
+    eraserMode: ERASER_MODES.STROKE,
   });
   const [historyState, setHistoryState] = useState({
     canUndo: false,
     canRedo: false,
   });
+  const [zoom, setZoom] = useState(1);
+
+  // Whiteboard AI: whether an action is running, and the text of the last transcription
+  // or description ({ action, text })
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [boardAIResult, setBoardAIResult] = useState(null);
+
+  // Whiteboard pages
+  const {
+    pages,
+    activePage,
+    loadingPageId,
+    error: pageError,
+    clearError: clearPageError,
+    selectPage,
+    addPage,
+    duplicatePage,
+    renamePage,
+    deletePage,
+    movePage,
+    loadAllPages,
+  } = useWhiteboardPages(noteId);
+
+  // Note export
+  const { isBusy: isExporting, exportNote, exportContainer } = useNoteTransfer();
+  const { showSuccess, showError } = useToast();
 
   // Refs for whiteboard actions
   const undoRef = useRef(null);
   const redoRef = useRef(null);
   const exportRef = useRef(null);
+  const zoomRef = useRef(null);
+  const insertFilesRef = useRef(null);
+  const analyzeRef = useRef(null);
 
   // Ref for note editor insert content function
   const insertContentRef = useRef(null);
@@ -45,20 +102,9 @@ export default function ContainerPage() {
   // Get the instance to determine user role
   const instance = currentInstance || instances.find((inst) => inst.id === instanceId);
 
-  // Determine user's role in the instance
-  const getUserRole = useCallback(() => {
-    if (!instance || !user) return 'Viewer';
-
-    // Check if user is the owner
-    if (instance.ownerId === user.id) return 'Owner';
-
-    // Check member role
-    const member = instance.members?.find((m) => m.userId === user.id);
-    return member?.role || 'Viewer';
-  }, [instance, user]);
-
-  const userRole = getUserRole();
-  const canEdit = userRole === 'Owner' || userRole === 'Editor';
+  // Breadcrumbs and the user's role where the note is; folders can change the instance role
+  const { breadcrumbs, role } = useNoteLocation(instance, containerId, currentNote?.folderId);
+  const canEdit = canEditRole(role);
 
   // Load note data
   useEffect(() => {
@@ -70,9 +116,7 @@ export default function ContainerPage() {
 
       setIsLoading(true);
       try {
-        // In a real implementation, we'd fetch by noteId
-        // For now, we'll use a placeholder
-        await fetchNoteByTitle(noteId);
+        await fetchNote(noteId);
       } catch (error) {
         console.error('Failed to load note:', error);
       } finally {
@@ -81,13 +125,34 @@ export default function ContainerPage() {
     };
 
     loadNote();
-  }, [noteId, fetchNoteByTitle]);
+  }, [noteId, fetchNote]);
 
   // Handle navigation back to instance
   const handleBackToInstance = () => {
     navigate(`/instance/${instanceId}`);
   };
 
+  // Handle renaming the note
+  const handleRenameNote = async () => {
+    if (!currentNote) return;
+
+    const title = prompt('Enter new note title:', currentNote.title);
+    if (!title || title.trim() === currentNote.title) return;
+
+    const result = await renameNote(currentNote.id, title);
+    if (!result.success) {
+      showError(result.error || 'Failed to rename note');
+    }
+  };
+
+  // Handle the note having moved to another container
+  const handleNoteMoved = (targetInstanceId, targetContainerId) => {
+    showSuccess('Note moved');
+    navigate(`/instance/${targetInstanceId}/container/${targetContainerId}/note/${noteId}`, {
+      replace: true,
+    });
+  };
+
   // Handle view toggle
   const handleViewToggle = (view) => {
     setActiveView(view);
@@ -105,12 +170,12 @@ export default function ContainerPage() {
 
   // Handle whiteboard drawing change
   const handleDrawingChange = useCallback(
-    (whiteboardData) => {
+    (whiteboardData, pageId) => {
       if (noteId && canEdit) {
-        updateNote(noteId, { whiteboardData }, false);
+        saveWhiteboardPage(noteId, pageId, whiteboardData);
       }
     },
-    [noteId, canEdit, updateNote]
+    [noteId, canEdit, saveWhiteboardPage]
   );
 
   // Handle note content change
@@ -145,12 +210,81 @@ export default function ContainerPage() {
   };
 
   // Handle export
-  const handleExport = async (format) => {
-    if (exportRef.current) {
-      await exportRef.current(format);
+  const handleExport = async (format, { allPages = false, ...options } = {}) => {
+    if (!exportRef.current) return;
+
+    try {
+      const exportPages = allPages ? await loadAllPages() : undefined;
+      await exportRef.current(format, { ...options, pages: exportPages });
+    } catch (error) {
+      console.error('Failed to export whiteboard:', error);
+      alert(error.message || 'Failed to export whiteboard. Please try again.');
+    }
+  };
+
+  // Handle note export ('markdown', 'html' or 'pdf')
+  const handleExportNote = async (format) => {
+    if (!currentNote) return;
+
+    const result = await exportNote(currentNote, format);
+    if (!result.success) {
+      showError(result.error);
+    }
+  };
+
+  // Handle exporting every note of the container as a ZIP bundle
+  const handleExportContainer = async () => {
+    const container = containers.find((c) => c.id === containerId) || {
+      id: containerId,
+      name: 'Container',
+    };
+
+    const result = await exportContainer(instance, container);
+    if (!result.success) {
+      showError(result.error);
+    }
+  };
+
+  // Handle zoom command ('in', 'out', 'reset' or 'fit')
+  const handleZoom = (command) => {
+    if (zoomRef.current) {
+      zoomRef.current(command);
+    }
+  };
+
+  // Handle image and PDF files picked in the tools panel
+  const handleInsertFiles = (files) => {
+    if (insertFilesRef.current) {
+      insertFilesRef.current(files);
     }
   };
 
+  // Handle an AI action picked in the tools panel
+  const handleWhiteboardAI = async (action) => {
+    if (!analyzeRef.current) return;
+
+    setIsAnalyzing(true);
+    const result = await analyzeRef.current(action);
+    setIsAnalyzing(false);
+
+    if (!result.success) {
+      showError(result.error);
+    } else if (action !== AI_WHITEBOARD_ACTIONS.CLEAN_UP) {
+      setBoardAIResult({ action, text: result.text });
+    } else if (result.count > 0) {
+      showSuccess(`Cleaned up ${result.count} ${result.count === 1 ? 'shape' : 'shapes'}`);
+    } else {
+      showError('No rough shapes were found to clean up');
+    }
+  };
+
+  // Add AI text about the whiteboard to the end of the note
+  const handleAppendToNote = (text) => {
+    const content = (currentNote?.content || '').trimEnd();
+    applyLocalEdit(noteId, content ? `${content}\n\n${text}\n` : `${text}\n`);
+    showSuccess('Added to the note');
+  };
+
   // Handle history state change
   const handleHistoryChange = (state) => {
     setHistoryState(state);
@@ -210,8 +344,56 @@ export default function ContainerPage() {
                 </svg>
               </button>
               <div className={styles.noteInfo}>
-                <h1 className={styles.noteTitle}>{currentNote?.title || 'Untitled Note'}</h1>
-                <p className={styles.instanceName}>{instance?.name || 'Instance'}</p>
+                <div className={styles.noteTitleRow}>
+                  <h1 className={styles.noteTitle}>{currentNote?.title || 'Untitled Note'}</h1>
+                  {canEdit && currentNote && (
+                    <button
+                      onClick={handleRenameNote}
+                      className={styles.titleButton}
+                      aria-label="Rename note"
+                      title="Rename note"
+                    >
+                      <svg
+                        className={styles.titleButtonIcon}
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                        aria-hidden="true"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"
+                        />
+                      </svg>
+                    </button>
+                  )}
+                  {canEdit && currentNote && (
+                    <button
+                      onClick={() => setIsMoveOpen(true)}
+                      className={styles.titleButton}
+                      aria-label="Move note"
+                      title="Move note to another container"
+                    >
+                      <svg
+                        className={styles.titleButtonIcon}
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                        aria-hidden="true"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2zm9 4h4m0 0l-2-2m2 2l-2 2"
+                        />
+                      </svg>
+                    </button>
+                  )}
+                </div>
+                <FolderBreadcrumbs items={breadcrumbs} className={styles.instanceName} />
               </div>
             </div>
 
@@ -265,6 +447,36 @@ export default function ContainerPage() {
 
             {/* Right: Auto-save indicator and profile */}
             <div className={styles.navbarRight}>
+              {/* Export */}
+              <NoteExportMenu
+                onExport={handleExportNote}
+                onExportContainer={handleExportContainer}
+                isBusy={isExporting}
+              />
+
+              {/* Version history */}
+              <button
+                onClick={() => setIsHistoryOpen(true)}
+                className={styles.historyButton}
+                aria-label="Version history"
+                title="Version history"
+              >
+                <svg
+                  className={styles.historyButtonIcon}
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                  aria-hidden="true"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+                  />
+                </svg>
+              </button>
+
               {/* Auto-save indicator */}
               <div className={styles.saveIndicator}>
                 {isAutoSaving ? (
@@ -317,6 +529,12 @@ export default function ContainerPage() {
               canEdit={canEdit}
               canUndo={historyState.canUndo}
               canRedo={historyState.canRedo}
+              zoom={zoom}
+              onZoom={handleZoom}
+              onInsertFiles={handleInsertFiles}
+              pageCount={pages.length}
+              onAIAction={handleWhiteboardAI}
+              isAnalyzing={isAnalyzing}
             />
           )}
 
@@ -324,19 +542,43 @@ export default function ContainerPage() {
           <main className={styles.editorArea}>
             {activeView === 'whiteboard' ? (
               <div className={styles.whiteboardWrapper}>
-                <Whiteboard
-                  noteId={noteId}
+                <WhiteboardPageStrip
+                  pages={pages}
+                  activePageId={activePage?.id}
+                  loadingPageId={loadingPageId}
                   canEdit={canEdit}
-                  onDrawingChange={handleDrawingChange}
-                  initialData={currentNote?.whiteboardData}
-                  selectedTool={selectedTool}
-                  toolOptions={toolOptions}
-                  onUndo={undoRef}
-                  onRedo={redoRef}
-                  onHistoryChange={handleHistoryChange}
-                  onExport={exportRef}
-                  enableSync={true}
+                  error={pageError}
+                  onSelect={selectPage}
+                  onAdd={addPage}
+                  onDuplicate={duplicatePage}
+                  onRename={renamePage}
+                  onDelete={deletePage}
+                  onMove={movePage}
+                  onDismissError={clearPageError}
                 />
+                {activePage ? (
+                  <Whiteboard
+                    noteId={noteId}
+                    pageId={activePage.id}
+                    canEdit={canEdit}
+                    onDrawingChange={handleDrawingChange}
+                    initialData={activePage.data}
+                    selectedTool={selectedTool}
+                    toolOptions={toolOptions}
+                    onUndo={undoRef}
+                    onRedo={redoRef}
+                    onHistoryChange={handleHistoryChange}
+                    onExport={exportRef}
+                    onZoom={zoomRef}
+                    onZoomChange={setZoom}
+                    onInsertFiles={insertFilesRef}
+                    onAnalyze={analyzeRef}
+                    onPageChange={selectPage}
+                    enableSync={true}
+                  />
+                ) : (
+                  <div className={styles.pageLoading}>Loading whiteboard...</div>
+                )}
               </div>
             ) : (
               <NoteEditor
@@ -354,6 +596,7 @@ export default function ContainerPage() {
         {activeView === 'editor' && (
           <AIPanel
             noteId={noteId}
+            containerId={containerId}
             noteContent={currentNote?.content || ''}
             onInsertContent={insertAIContent}
             canEdit={canEdit}
@@ -362,7 +605,39 @@ export default function ContainerPage() {
       </div>
 
       {/* Active Users Panel */}
-      <ActiveUsersPanel noteId={noteId} />
+      <ActiveUsersPanel noteId={noteId} canFollow={activeView === 'whiteboard'} />
+
+      {/* Version History */}
+      <VersionHistoryModal
+        noteId={currentNote?.id}
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        currentContent={currentNote?.content || ''}
+        canEdit={canEdit}
+      />
+
+      {/* Whiteboard transcription or description */}
+      <AIResultModal
+        isOpen={Boolean(boardAIResult)}
+        onClose={() => setBoardAIResult(null)}
+        content={boardAIResult?.text || ''}
+        title={
+          boardAIResult?.action === AI_WHITEBOARD_ACTIONS.TRANSCRIBE
+            ? 'Handwriting Transcription'
+            : 'Diagram Description'
+        }
+        onInsert={handleAppendToNote}
+        showInsertButton={canEdit}
+      />
+
+      {/* Move Note Modal */}
+      <MoveNoteModal
+        note={currentNote}
+        instanceId={instanceId}
+        isOpen={isMoveOpen}
+        onClose={() => setIsMoveOpen(false)}
+        onMoved={handleNoteMoved}
+      />
 
       {/* Read-only indicator for viewers */}
       {!canEdit && (
@@ -7,8 +7,11 @@ import ActiveUsersPanel from '../components/Instance/ActiveUsersPanel';
 import ActionToolbar from '../components/Notes/ActionToolbar';
 import AnimatedBackground from '../components/AnimatedBackground';
 import useNoteStore from '../store/useNoteStore';
-import useAuthStore from '../store/useAuthStore';
 import useInstanceStore from '../store/useInstanceStore';
+import useWhiteboardPages from '../hooks/useWhiteboardPages';
+import useNoteTransfer from '../hooks/useNoteTransfer';
+import useNoteLocation from '../hooks/useNoteLocation';
+import { canEdit as canEditRole } from '../utils/permissions';
 import styles from './ContainerPageGlass.module.css';
 
 /**
@@ -19,9 +22,8 @@ import styles from './ContainerPageGlass.module.css';
 export default function ContainerPageGlass() {
   const { instanceId, containerId, noteId } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuthStore();
   const { currentInstance, instances } = useInstanceStore();
-  const { currentNote, fetchNoteByTitle, updateNote, isAutoSaving, lastSaved } = useNoteStore();
+  const { currentNote, fetchNote, saveWhiteboardPage, isAutoSaving, lastSaved } = useNoteStore();
 
   const [isLoading, setIsLoading] = useState(true);
   const [activeMode, setActiveMode] = useState('notes');
@@ -37,6 +39,12 @@ export default function ContainerPageGlass() {
     canRedo: false,
   });
 
+  // Whiteboard pages
+  const whiteboardPages = useWhiteboardPages(noteId);
+
+  // Note export
+  const { exportNote } = useNoteTransfer();
+
   // Refs for whiteboard actions
   const undoRef = useRef(null);
   const redoRef = useRef(null);
@@ -48,20 +56,9 @@ export default function ContainerPageGlass() {
   // Get the instance to determine user role
   const instance = currentInstance || instances.find((inst) => inst.id === instanceId);
 
-  // Determine user's role in the instance
-  const getUserRole = useCallback(() => {
-    if (!instance || !user) return 'Viewer';
-
-    // Check if user is the owner
-    if (instance.ownerId === user.id) return 'Owner';
-
-    // Check member role
-    const member = instance.members?.find((m) => m.userId === user.id);
-    return member?.role || 'Viewer';
-  }, [instance, user]);
-
-  const userRole = getUserRole();
-  const canEdit = userRole === 'Owner' || userRole === 'Editor';
+  // Breadcrumbs and the user's role where the note is; folders can change the instance role
+  const { breadcrumbs, role } = useNoteLocation(instance, containerId, currentNote?.folderId);
+  const canEdit = canEditRole(role);
 
   // Load note data
   useEffect(() => {
@@ -73,7 +70,7 @@ export default function ContainerPageGlass() {
 
       setIsLoading(true);
       try {
-        await fetchNoteByTitle(noteId);
+        await fetchNote(noteId);
       } catch (error) {
         console.error('Failed to load note:', error);
       } finally {
@@ -82,7 +79,7 @@ export default function ContainerPageGlass() {
     };
 
     loadNote();
-  }, [noteId, fetchNoteByTitle]);
+  }, [noteId, fetchNote]);
 
   // Handle navigation back to instance
   const handleBackToInstance = () => {
@@ -105,12 +102,12 @@ export default function ContainerPageGlass() {
 
   // Handle whiteboard drawing change
   const handleDrawingChange = useCallback(
-    (whiteboardData) => {
+    (whiteboardData, pageId) => {
       if (noteId && canEdit) {
-        updateNote(noteId, { whiteboardData }, false);
+        saveWhiteboardPage(noteId, pageId, whiteboardData);
       }
     },
-    [noteId, canEdit, updateNote]
+    [noteId, canEdit, saveWhiteboardPage]
   );
 
   // Handle note content change
@@ -145,9 +142,25 @@ export default function ContainerPageGlass() {
   };
 
   // Handle export
-  const handleExport = async (format) => {
-    if (exportRef.current) {
-      await exportRef.current(format);
+  const handleExport = async (format, { allPages = false, ...options } = {}) => {
+    if (!exportRef.current) return;
+
+    try {
+      const exportPages = allPages ? await whiteboardPages.loadAllPages() : undefined;
+      await exportRef.current(format, { ...options, pages: exportPages });
+    } catch (error) {
+      console.error('Failed to export whiteboard:', error);
+      alert(error.message || 'Failed to export whiteboard. Please try again.');
+    }
+  };
+
+  // Handle note export ('markdown', 'html' or 'pdf')
+  const handleExportNote = async (format) => {
+    if (!currentNote) return;
+
+    const result = await exportNote(currentNote, format);
+    if (!result.success) {
+      alert(result.error);
     }
   };
 
@@ -189,6 +202,7 @@ export default function ContainerPageGlass() {
       {/* Editor Navbar */}
       <EditorNavbar
         containerTitle={currentNote?.title || 'Untitled Note'}
+        breadcrumbs={breadcrumbs}
         onBack={handleBackToInstance}
         isAutoSaving={isAutoSaving}
         lastSaved={lastSaved}
@@ -210,6 +224,7 @@ export default function ContainerPageGlass() {
               canEdit={canEdit}
               canUndo={historyState.canUndo}
               canRedo={historyState.canRedo}
+              pageCount={whiteboardPages.pages.length}
             />
           </div>
         )}
@@ -219,7 +234,7 @@ export default function ContainerPageGlass() {
           <EditorArea
             noteId={noteId}
             initialContent={currentNote?.content || ''}
-            initialWhiteboardData={currentNote?.whiteboardData}
+            whiteboardPages={whiteboardPages}
             canEdit={canEdit}
             onContentChange={handleContentChange}
             onDrawingChange={handleDrawingChange}
@@ -243,7 +258,7 @@ export default function ContainerPageGlass() {
         onRedo={handleRedo}
         onShare={handleShare}
         onAIAssist={handleAIAssist}
-        onExport={handleExport}
+        onExport={handleExportNote}
         canUndo={historyState.canUndo}
         canRedo={historyState.canRedo}
         canEdit={canEdit}
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import Navbar from '../components/Dashboard/Navbar';
 import FriendsList from '../components/Friends/FriendsList';
 import FriendRequests from '../components/Friends/FriendRequests';
+import FriendSuggestions from '../components/Friends/FriendSuggestions';
 import SharedWithMe from '../components/Friends/SharedWithMe';
 import ShareNoteModal from '../components/Friends/ShareNoteModal';
 import useFriendStore from '../store/useFriendStore';
@@ -28,6 +29,7 @@ export default function FriendsPage() {
   const tabs = [
     { id: 'friends', label: 'Friends', icon: 'users' },
     { id: 'requests', label: 'Requests', icon: 'user-add' },
+    { id: 'suggestions', label: 'Suggestions', icon: 'light-bulb' },
     { id: 'shared', label: 'Shared with Me', icon: 'document' },
   ];
 
@@ -86,6 +88,15 @@ export default function FriendsPage() {
             d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z"
           />
         );
+      case 'light-bulb':
+        return (
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"
+          />
+        );
       case 'document':
         return (
           <path
@@ -161,6 +172,7 @@ export default function FriendsPage() {
         <div className={styles.tabContent}>
           {activeTab === 'friends' && <FriendsList onShareNote={handleShareNote} />}
           {activeTab === 'requests' && <FriendRequests />}
+          {activeTab === 'suggestions' && <FriendSuggestions />}
           {activeTab === 'shared' && <SharedWithMe />}
         </div>
       </main>
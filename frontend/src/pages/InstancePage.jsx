@@ -1,5 +1,5 @@
 import { useState, useEffect, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import AnimatedBackground from '../components/AnimatedBackground';
 import InstanceHeader from '../components/Instance/InstanceHeader';
 import {
@@ -12,6 +12,8 @@ import {
 } from '../components/Instance';
 import useInstanceStore from '../store/useInstanceStore';
 import useAuthStore from '../store/useAuthStore';
+import useNoteTransfer from '../hooks/useNoteTransfer';
+import { useToast } from '../components/ToastContainer';
 import styles from './InstancePage.module.css';
 
 /**
@@ -22,6 +24,8 @@ import styles from './InstancePage.module.css';
 export default function InstancePage() {
   const { instanceId } = useParams();
   const navigate = useNavigate();
+  // Breadcrumbs link back here with ?container=&folder= to open a folder
+  const [searchParams] = useSearchParams();
   const { user } = useAuthStore();
   const { currentInstance, instances, setCurrentInstance, isLoading } = useInstanceStore();
 
@@ -29,6 +33,10 @@ export default function InstancePage() {
   const [isShareModalOpen, setIsShareModalOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
 
+  // Export and import of notes
+  const { isBusy: isTransferring, exportInstance, importFiles } = useNoteTransfer();
+  const { showSuccess, showError } = useToast();
+
   // Set current instance when component mounts or instanceId changes
   useEffect(() => {
     if (instanceId) {
@@ -60,6 +68,32 @@ export default function InstancePage() {
   const handleOpenShareModal = () => setIsShareModalOpen(true);
   const handleCloseShareModal = () => setIsShareModalOpen(false);
 
+  // Handle exporting every note of the instance as a ZIP bundle
+  const handleExport = async () => {
+    const result = await exportInstance(instance);
+    if (!result.success) {
+      showError(result.error);
+    }
+  };
+
+  // Handle importing Markdown files and ZIP bundles
+  const handleImport = async (files) => {
+    const result = await importFiles(instanceId, files);
+    if (!result.success) {
+      showError(result.error);
+      return;
+    }
+
+    const { imported, failed } = result;
+    if (imported.length > 0) {
+      showSuccess(`Imported ${imported.length} ${imported.length === 1 ? 'note' : 'notes'}`);
+    }
+    if (failed.length > 0) {
+      const titles = failed.map((note) => note.title).join(', ');
+      showError(`Couldn't import ${titles}: ${failed[0].error}`, 8000);
+    }
+  };
+
   // Handle back to dashboard
   const handleBackToDashboard = () => {
     navigate('/dashboard');
@@ -147,6 +181,9 @@ export default function InstancePage() {
         user={user}
         onOpenInviteModal={handleOpenInviteModal}
         onOpenShareModal={handleOpenShareModal}
+        onExport={handleExport}
+        onImport={canEdit ? handleImport : undefined}
+        isTransferring={isTransferring}
       />
 
       {/* Main Content Area - Remove old navbar */}
@@ -158,7 +195,10 @@ export default function InstancePage() {
             <section aria-label="Notes panel">
               <NotesPanel
                 instanceId={instanceId}
+                instance={instance}
                 containerId={null}
+                defaultContainerId={searchParams.get('container')}
+                focusFolderId={searchParams.get('folder')}
                 searchQuery={debouncedSearchQuery}
               />
             </section>
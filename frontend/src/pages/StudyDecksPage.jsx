@@ -0,0 +1,172 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import clsx from 'clsx';
+import DashboardNavbar from '../components/Dashboard/Navbar';
+import AnimatedBackground from '../components/AnimatedBackground';
+import GlassButton from '../components/GlassButton';
+import { DeckReview, DeckShareModal } from '../components/Study';
+import { useToast } from '../components/ToastContainer';
+import useDeckStore from '../store/useDeckStore';
+import useAuthStore from '../store/useAuthStore';
+import { getDeckRole, canEdit, canShare, canDelete } from '../utils/permissions';
+import { DECK_CARD_TYPES, DECK_SOURCES } from '../utils/constants';
+import { getDueCards, getReviewTotals } from '../utils/spacedRepetition';
+import styles from './StudyDecksPage.module.css';
+
+/**
+ * Study Decks Page Component
+ * Lists the user's study decks and the ones shared with them, and reviews the open deck
+ */
+export default function StudyDecksPage() {
+  const { deckId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuthStore();
+  const {
+    decks,
+    currentDeck,
+    isLoading,
+    error,
+    fetchDecks,
+    fetchDeck,
+    renameDeck,
+    deleteDeck,
+    reviewCard,
+  } = useDeckStore();
+  const { showSuccess, showError } = useToast();
+  const [isShareOpen, setIsShareOpen] = useState(false);
+
+  useEffect(() => {
+    fetchDecks();
+  }, [fetchDecks]);
+
+  useEffect(() => {
+    if (deckId) {
+      fetchDeck(deckId);
+    }
+  }, [deckId, fetchDeck]);
+
+  const deck = deckId && currentDeck?.id === deckId ? currentDeck : null;
+  const role = getDeckRole(deck, user?.id);
+  const totals = deck ? getReviewTotals(deck.cards) : null;
+
+  const handleRename = async () => {
+    const title = window.prompt('Deck title', deck.title);
+    if (!title || !title.trim() || title.trim() === deck.title) return;
+
+    const result = await renameDeck(deck.id, title);
+    if (result.success) {
+      showSuccess('Deck renamed');
+    } else {
+      showError(result.error);
+    }
+  };
+
+  const handleDelete = async () => {
+    const confirmed = window.confirm(`Delete "${deck.title}"? Everyone it's shared with loses it.`);
+    if (!confirmed) return;
+
+    const result = await deleteDeck(deck.id);
+    if (result.success) {
+      showSuccess('Deck deleted');
+      navigate('/decks');
+    } else {
+      showError(result.error);
+    }
+  };
+
+  const handleReview = async (cardId, correct) => {
+    const result = await reviewCard(deck.id, cardId, correct);
+    if (!result.success) {
+      showError(result.error);
+    }
+    return result;
+  };
+
+  const countOf = (type) => deck.cards.filter((c) => c.type === type).length;
+
+  return (
+    <div className={styles.container}>
+      <AnimatedBackground variant="dashboard" intensity={0.8} />
+      <DashboardNavbar showSearch={false} />
+
+      <main id="main-content" className={styles.main} role="main">
+        <div className={styles.pageHeader}>
+          <h1 className={styles.pageTitle}>Study Decks</h1>
+          <p className={styles.pageDescription}>
+            Make decks from a note or a whole container with the AI panel in the editor.
+          </p>
+        </div>
+
+        <div className={styles.layout}>
+          {/* Deck list */}
+          <nav className={styles.deckList} aria-label="Study decks">
+            {isLoading && decks.length === 0 && <p className={styles.notice}>Loading decks...</p>}
+            {!isLoading && decks.length === 0 && <p className={styles.notice}>No decks yet.</p>}
+            {decks.map((d) => (
+              <Link
+                key={d.id}
+                to={`/decks/${d.id}`}
+                className={clsx(styles.deckItem, d.id === deckId && styles.deckItemActive)}
+                aria-current={d.id === deckId ? 'page' : undefined}
+              >
+                <span className={styles.deckTitle}>{d.title}</span>
+                <span className={styles.deckMeta}>
+                  {getDueCards(d.cards).length} due · {d.cards.length} cards
+                  {d.ownerId !== user?.id && ` · from ${d.ownerName || 'a friend'}`}
+                </span>
+              </Link>
+            ))}
+          </nav>
+
+          {/* Open deck */}
+          <section className={`glass-container ${styles.deckPanel}`}>
+            {!deckId && <p className={styles.notice}>Choose a deck to study.</p>}
+            {deckId && !deck && (
+              <p className={styles.notice}>{isLoading ? 'Loading deck...' : error}</p>
+            )}
+
+            {deck && (
+              <>
+                <header className={styles.deckHeader}>
+                  <div>
+                    <h2 className={styles.deckName}>{deck.title}</h2>
+                    <p className={styles.deckMeta}>
+                      {countOf(DECK_CARD_TYPES.FLASHCARD)} flashcards ·{' '}
+                      {countOf(DECK_CARD_TYPES.QUIZ)} quiz questions · from{' '}
+                      {deck.source?.type === DECK_SOURCES.CONTAINER ? 'a container' : 'a note'} ·{' '}
+                      {role}
+                    </p>
+                    <p className={styles.deckMeta}>
+                      Your answers so far: {totals.correct} correct, {totals.incorrect} incorrect
+                    </p>
+                  </div>
+                  <div className={styles.deckActions}>
+                    {canEdit(role) && (
+                      <GlassButton variant="ghost" onClick={handleRename}>
+                        Rename
+                      </GlassButton>
+                    )}
+                    {canShare(role) && (
+                      <GlassButton variant="ghost" onClick={() => setIsShareOpen(true)}>
+                        Share
+                      </GlassButton>
+                    )}
+                    {canDelete(role) && (
+                      <GlassButton variant="ghost" onClick={handleDelete}>
+                        Delete
+                      </GlassButton>
+                    )}
+                  </div>
+                </header>
+
+                <DeckReview key={deck.id} deck={deck} onReview={handleReview} />
+              </>
+            )}
+          </section>
+        </div>
+      </main>
+
+      <DeckShareModal deck={deck} isOpen={isShareOpen} onClose={() => setIsShareOpen(false)} />
+    </div>
+  );
+}
@@ -22,6 +22,9 @@ export { default as ContainerPageGlass } from './ContainerPageGlass';
 // Friends
 export { default as FriendsPage } from './FriendsPage';
 
+// Study Decks
+export { default as StudyDecksPage } from './StudyDecksPage';
+
 // Share Link Access
 export { default as ShareLinkAccessPage } from './ShareLinkAccessPage';
 
@@ -8,3 +8,7 @@ export { default as useNoteStore } from './useNoteStore';
 export { default as useFriendStore } from './useFriendStore';
 export { default as useSocketStore } from './useSocketStore';
 export { default as useNotificationStore } from './useNotificationStore';
+export { default as useFolderStore } from './useFolderStore';
+export { default as useChatStore } from './useChatStore';
+export { default as useDeckStore } from './useDeckStore';
+export { default as useSearchStore } from './useSearchStore';
@@ -0,0 +1,152 @@
+import { create } from 'zustand';
+import aiApi from '../api/aiApi';
+
+/**
+ * Chat store for the study assistant
+ * Conversations are kept by the server per user; the open one is loaded with its messages.
+ */
+const useChatStore = create((set, get) => ({
+  // State
+  conversations: [],
+  activeConversationId: null,
+  messages: [],
+  isLoading: false,
+  isSending: false,
+  error: null,
+
+  // Actions
+
+  /**
+   * Fetch the current user's conversations
+   */
+  fetchConversations: async () => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await aiApi.getConversations();
+      const conversations = response.data;
+
+      set({ conversations, isLoading: false });
+      return { success: true, conversations };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch conversations.';
+      set({ isLoading: false, error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Open a conversation and load its messages
+   * @param {string} conversationId - Conversation ID
+   */
+  openConversation: async (conversationId) => {
+    set({ activeConversationId: conversationId, messages: [], isLoading: true, error: null });
+    try {
+      const response = await aiApi.getConversation(conversationId);
+      const conversation = response.data;
+
+      // Another conversation may have been opened in the meantime
+      if (get().activeConversationId === conversationId) {
+        set({ messages: conversation.messages, isLoading: false });
+      }
+      return { success: true, conversation };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to open conversation.';
+      set({ isLoading: false, error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Start a new conversation; it's saved with the first message
+   */
+  startConversation: () => {
+    set({ activeConversationId: null, messages: [], error: null });
+  },
+
+  /**
+   * Send a message in the open conversation
+   * The message shows right away; the assistant's reply comes with the notes it used.
+   * @param {string} text - Message text
+   */
+  sendMessage: async (text) => {
+    const content = text.trim();
+    if (!content) {
+      return { success: false, error: 'Message is required.' };
+    }
+
+    const conversationId = get().activeConversationId;
+    const pending = {
+      id: `pending-${Date.now()}`,
+      role: 'user',
+      content,
+      createdAt: new Date().toISOString(),
+    };
+
+    set((state) => ({ messages: [...state.messages, pending], isSending: true, error: null }));
+
+    try {
+      const response = await aiApi.chat(content, conversationId);
+      const { conversation, message, reply } = response.data;
+
+      set((state) => {
+        const isOpen = state.activeConversationId === conversationId;
+        return {
+          conversations: [
+            conversation,
+            ...state.conversations.filter((c) => c.id !== conversation.id),
+          ],
+          activeConversationId: isOpen ? conversation.id : state.activeConversationId,
+          messages: isOpen
+            ? [...state.messages.filter((m) => m.id !== pending.id), message, reply]
+            : state.messages,
+          isSending: false,
+        };
+      });
+
+      return { success: true, reply };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to get an answer.';
+      set((state) => ({
+        messages: state.messages.filter((m) => m.id !== pending.id),
+        isSending: false,
+        error: errorMessage,
+      }));
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Delete a conversation
+   * @param {string} conversationId - Conversation ID
+   */
+  deleteConversation: async (conversationId) => {
+    set({ error: null });
+    try {
+      await aiApi.deleteConversation(conversationId);
+
+      set((state) => {
+        const isOpen = state.activeConversationId === conversationId;
+        return {
+          conversations: state.conversations.filter((c) => c.id !== conversationId),
+          activeConversationId: isOpen ? null : state.activeConversationId,
+          messages: isOpen ? [] : state.messages,
+        };
+      });
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete conversation.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Clear error state
+   */
+  clearError: () => {
+    set({ error: null });
+  },
+}));
+
+export default useChatStore;
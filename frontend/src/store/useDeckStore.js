@@ -0,0 +1,209 @@
+import { create } from 'zustand';
+import decksApi from '../api/decksApi';
+
+/**
+ * Study deck store
+ * Decks are generated by the AI from notes; each card carries the current user's
+ * spaced repetition progress, which the server schedules after every answer.
+ */
+const useDeckStore = create((set, get) => ({
+  // State
+  decks: [],
+  currentDeck: null,
+  isLoading: false,
+  isGenerating: false,
+  error: null,
+
+  // Actions
+
+  /**
+   * Replace a deck in the list and, if it's open, the open deck
+   * @param {Object} deck - Updated deck
+   */
+  replaceDeck: (deck) => {
+    set((state) => ({
+      decks: state.decks.some((d) => d.id === deck.id)
+        ? state.decks.map((d) => (d.id === deck.id ? deck : d))
+        : [deck, ...state.decks],
+      currentDeck: state.currentDeck?.id === deck.id ? deck : state.currentDeck,
+    }));
+  },
+
+  /**
+   * Fetch the decks the current user owns or that were shared with them
+   */
+  fetchDecks: async () => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await decksApi.getAll();
+      const decks = response.data;
+
+      set({ decks, isLoading: false });
+      return { success: true, decks };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch decks.';
+      set({ isLoading: false, error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Fetch a deck and open it
+   * @param {string} deckId - Deck ID
+   */
+  fetchDeck: async (deckId) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await decksApi.getById(deckId);
+      const deck = response.data;
+
+      set({ currentDeck: deck, isLoading: false });
+      return { success: true, deck };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch deck.';
+      set({ currentDeck: null, isLoading: false, error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Generate flashcards and quiz questions from a note or a whole container
+   * @param {Object} source - { noteId } or { containerId }
+   */
+  generateDeck: async (source) => {
+    set({ isGenerating: true, error: null });
+    try {
+      const response = await decksApi.generate(source);
+      const deck = response.data;
+
+      set((state) => ({ decks: [deck, ...state.decks], isGenerating: false }));
+      return { success: true, deck };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to generate study deck.';
+      set({ isGenerating: false, error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Rename a deck
+   * @param {string} deckId - Deck ID
+   * @param {string} title - New title
+   */
+  renameDeck: async (deckId, title) => {
+    set({ error: null });
+    try {
+      const response = await decksApi.update(deckId, { title });
+      const deck = response.data;
+
+      get().replaceDeck(deck);
+      return { success: true, deck };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to rename deck.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Delete a deck
+   * @param {string} deckId - Deck ID
+   */
+  deleteDeck: async (deckId) => {
+    set({ error: null });
+    try {
+      await decksApi.delete(deckId);
+
+      set((state) => ({
+        decks: state.decks.filter((d) => d.id !== deckId),
+        currentDeck: state.currentDeck?.id === deckId ? null : state.currentDeck,
+      }));
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete deck.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Record an answer to a card; the server schedules its next review
+   * @param {string} deckId - Deck ID
+   * @param {string} cardId - Card ID
+   * @param {boolean} correct - Whether the answer was correct
+   */
+  reviewCard: async (deckId, cardId, correct) => {
+    try {
+      const response = await decksApi.review(deckId, cardId, correct);
+      const { progress } = response.data;
+
+      const withProgress = (deck) =>
+        deck?.id === deckId
+          ? {
+              ...deck,
+              cards: deck.cards.map((c) => (c.id === cardId ? { ...c, progress } : c)),
+            }
+          : deck;
+
+      set((state) => ({
+        decks: state.decks.map(withProgress),
+        currentDeck: withProgress(state.currentDeck),
+      }));
+      return { success: true, progress };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to save your answer.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Share a deck with a user, or change their role
+   * @param {string} deckId - Deck ID
+   * @param {string} userId - User to share with
+   * @param {string} role - Editor or Viewer
+   */
+  shareDeck: async (deckId, userId, role) => {
+    set({ error: null });
+    try {
+      const response = await decksApi.share(deckId, userId, role);
+      const deck = response.data;
+
+      get().replaceDeck(deck);
+      return { success: true, deck };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to share deck.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Stop sharing a deck with a user
+   * @param {string} deckId - Deck ID
+   * @param {string} userId - User to stop sharing with
+   */
+  unshareDeck: async (deckId, userId) => {
+    set({ error: null });
+    try {
+      const response = await decksApi.unshare(deckId, userId);
+      const deck = response.data;
+
+      get().replaceDeck(deck);
+      return { success: true, deck };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to stop sharing deck.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Clear error state
+   */
+  clearError: () => {
+    set({ error: null });
+  },
+}));
+
+export default useDeckStore;
@@ -0,0 +1,183 @@
+import { create } from 'zustand';
+import foldersApi from '../api/foldersApi';
+import { isInsideFolder } from '../utils/folders';
+
+/**
+ * Folder store for the nested folders of the open container
+ */
+const useFolderStore = create((set, get) => ({
+  // State
+  folders: [],
+  containerId: null,
+  isLoading: false,
+  error: null,
+
+  // Actions
+
+  /**
+   * Fetch every folder of a container
+   * @param {string} containerId - Container ID
+   */
+  fetchFolders: async (containerId) => {
+    // Don't show another container's folders while loading
+    set((state) => ({
+      folders: state.containerId === containerId ? state.folders : [],
+      containerId,
+      isLoading: true,
+      error: null,
+    }));
+    try {
+      const response = await foldersApi.getByContainer(containerId);
+      const folders = response.data;
+
+      // A newer fetch for another container wins
+      if (get().containerId === containerId) {
+        set({ folders, isLoading: false });
+      }
+      return { success: true, folders };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch folders.';
+      set({ isLoading: false, error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Create a folder
+   * @param {string} containerId - Container ID
+   * @param {string} name - Folder name
+   * @param {string|null} parentId - Parent folder ID (null for the top level)
+   */
+  createFolder: async (containerId, name, parentId = null) => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      return { success: false, error: 'Folder name is required.' };
+    }
+
+    set({ error: null });
+    try {
+      const response = await foldersApi.create({ containerId, parentId, name: trimmed });
+      const folder = response.data;
+
+      set((state) => ({
+        folders: state.containerId === containerId ? [...state.folders, folder] : state.folders,
+      }));
+
+      return { success: true, folder };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to create folder.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Save changes to a folder
+   * @param {string} id - Folder ID
+   * @param {Object} updates - Fields to update (name, parentId, permissions)
+   */
+  updateFolder: async (id, updates) => {
+    set({ error: null });
+    try {
+      const response = await foldersApi.update(id, updates);
+      const folder = response.data;
+
+      set((state) => ({
+        folders: state.folders.map((f) => (f.id === id ? { ...f, ...updates, ...folder } : f)),
+      }));
+
+      return { success: true, folder };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update folder.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Rename a folder
+   * @param {string} id - Folder ID
+   * @param {string} name - New name
+   */
+  renameFolder: async (id, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      return { success: false, error: 'Folder name is required.' };
+    }
+
+    return get().updateFolder(id, { name: trimmed });
+  },
+
+  /**
+   * Move a folder into another folder
+   * Shown right away and put back if the server refuses it.
+   * @param {string} id - Folder ID
+   * @param {string|null} parentId - New parent folder ID (null for the top level)
+   */
+  moveFolder: async (id, parentId) => {
+    const { folders } = get();
+    const folder = folders.find((f) => f.id === id);
+    if (!folder || folder.parentId === parentId) {
+      return { success: true };
+    }
+    if (parentId && isInsideFolder(folders, parentId, id)) {
+      return { success: false, error: 'A folder cannot be moved into itself.' };
+    }
+
+    const setParent = (value) =>
+      set((state) => ({
+        folders: state.folders.map((f) => (f.id === id ? { ...f, parentId: value } : f)),
+      }));
+
+    setParent(parentId);
+    const result = await get().updateFolder(id, { parentId });
+    if (!result.success) {
+      setParent(folder.parentId);
+    }
+    return result;
+  },
+
+  /**
+   * Set the roles members have in a folder and the folders inside it
+   * @param {string} id - Folder ID
+   * @param {Array} permissions - Roles as { userId, role }; members left out inherit
+   */
+  setFolderPermissions: async (id, permissions) => {
+    return get().updateFolder(id, { permissions });
+  },
+
+  /**
+   * Delete a folder; the server moves its notes and folders up to its parent
+   * @param {string} id - Folder ID
+   */
+  deleteFolder: async (id) => {
+    set({ error: null });
+    try {
+      await foldersApi.delete(id);
+
+      set((state) => {
+        const parentId = state.folders.find((f) => f.id === id)?.parentId || null;
+        return {
+          folders: state.folders
+            .filter((f) => f.id !== id)
+            .map((f) => (f.parentId === id ? { ...f, parentId } : f)),
+        };
+      });
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete folder.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Clear error state
+   */
+  clearError: () => {
+    set({ error: null });
+  },
+}));
+
+export default useFolderStore;
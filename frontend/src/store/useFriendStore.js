@@ -1,14 +1,26 @@
 import { create } from 'zustand';
+import friendsApi from '../api/friendsApi';
+
+// Add an item to a list, or merge it into the entry with the same ID
+const upsertById = (list, item) =>
+  list.some((entry) => entry.id === item.id)
+    ? list.map((entry) => (entry.id === item.id ? { ...entry, ...item } : entry))
+    : [...list, item];
 
 /**
  * Friend store for managing friend connections and online status
+ * Friends are user profiles (id is the friend's user ID); requests are the pending
+ * requests sent to the current user, with the sender's name, email and avatar.
  */
 const useFriendStore = create((set, get) => ({
   // State
   friends: [],
   friendRequests: [],
+  blockedUsers: [],
+  suggestions: [],
   onlineStatuses: new Map(),
   isLoading: false,
+  isLoadingSuggestions: false,
   error: null,
 
   // Actions
@@ -19,12 +31,8 @@ const useFriendStore = create((set, get) => ({
   fetchFriends: async () => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when friends API is implemented
-      // const response = await friendsApi.getAll();
-      // const friends = response.data;
-
-      // Placeholder for now
-      const friends = [];
+      const response = await friendsApi.getAll();
+      const friends = response.data;
 
       set({ friends, isLoading: false });
       return { success: true, friends };
@@ -41,12 +49,8 @@ const useFriendStore = create((set, get) => ({
   fetchFriendRequests: async () => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when friends API is implemented
-      // const response = await friendsApi.getRequests();
-      // const requests = response.data;
-
-      // Placeholder for now
-      const requests = [];
+      const response = await friendsApi.getRequests();
+      const requests = response.data;
 
       set({ friendRequests: requests, isLoading: false });
       return { success: true, requests };
@@ -57,27 +61,54 @@ const useFriendStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Refresh friends and requests from the server in the background, without showing
+   * a loading state; used to hydrate panels that show friends and to catch up after
+   * socket events that don't carry the whole friend
+   */
+  syncFriends: async () => {
+    try {
+      const [friendsResponse, requestsResponse] = await Promise.all([
+        friendsApi.getAll(),
+        friendsApi.getRequests(),
+      ]);
+
+      set({ friends: friendsResponse.data, friendRequests: requestsResponse.data });
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to sync friends.';
+      return { success: false, error: errorMessage };
+    }
+  },
+
   /**
    * Send a friend request
+   * If that user had already sent one, the server accepts theirs and they become a friend.
    * @param {string} email - Email of user to send request to
    */
   sendFriendRequest: async (email) => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when friends API is implemented
-      // const response = await friendsApi.sendRequest({ email });
-      // const request = response.data;
-
-      // Placeholder for now
-      const request = {
-        id: Date.now().toString(),
-        userId: 'current-user-id',
-        friendEmail: email,
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-      };
-
-      set({ isLoading: false });
+      const response = await friendsApi.sendRequest(email);
+      const request = response.data;
+
+      set((state) => {
+        const suggestions = state.suggestions.filter(
+          (user) => user.id !== request.friendId && user.email !== email
+        );
+
+        if (request.status !== 'accepted' || !request.friend) {
+          return { suggestions, isLoading: false };
+        }
+
+        return {
+          friends: upsertById(state.friends, request.friend),
+          friendRequests: state.friendRequests.filter((req) => req.id !== request.id),
+          suggestions,
+          isLoading: false,
+        };
+      });
+
       return { success: true, request };
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to send friend request.';
@@ -93,31 +124,16 @@ const useFriendStore = create((set, get) => ({
   acceptFriendRequest: async (requestId) => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when friends API is implemented
-      // const response = await friendsApi.acceptRequest(requestId);
-      // const friend = response.data;
-
-      // Find the request and convert to friend
-      const request = get().friendRequests.find((req) => req.id === requestId);
-      if (request) {
-        const newFriend = {
-          id: requestId,
-          userId: request.userId,
-          friendId: request.friendId,
-          status: 'accepted',
-          createdAt: request.createdAt,
-        };
+      const response = await friendsApi.acceptRequest(requestId);
+      const friend = response.data;
 
-        set((state) => ({
-          friends: [...state.friends, newFriend],
-          friendRequests: state.friendRequests.filter((req) => req.id !== requestId),
-          isLoading: false,
-        }));
-      } else {
-        set({ isLoading: false });
-      }
+      set((state) => ({
+        friends: upsertById(state.friends, friend),
+        friendRequests: state.friendRequests.filter((req) => req.id !== requestId),
+        isLoading: false,
+      }));
 
-      return { success: true };
+      return { success: true, friend };
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to accept friend request.';
       set({ isLoading: false, error: errorMessage });
@@ -132,8 +148,7 @@ const useFriendStore = create((set, get) => ({
   rejectFriendRequest: async (requestId) => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when friends API is implemented
-      // await friendsApi.rejectRequest(requestId);
+      await friendsApi.rejectRequest(requestId);
 
       set((state) => ({
         friendRequests: state.friendRequests.filter((req) => req.id !== requestId),
@@ -155,8 +170,7 @@ const useFriendStore = create((set, get) => ({
   removeFriend: async (friendId) => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when friends API is implemented
-      // await friendsApi.remove(friendId);
+      await friendsApi.remove(friendId);
 
       set((state) => ({
         friends: state.friends.filter((friend) => friend.id !== friendId),
@@ -171,6 +185,86 @@ const useFriendStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Block a user, dropping them from friends, requests and suggestions
+   * @param {string} userId - User ID
+   */
+  blockUser: async (userId) => {
+    set({ error: null });
+    try {
+      const response = await friendsApi.block(userId);
+      const user = response.data;
+
+      set((state) => ({
+        friends: state.friends.filter((friend) => friend.id !== userId),
+        friendRequests: state.friendRequests.filter((req) => req.userId !== userId),
+        suggestions: state.suggestions.filter((suggestion) => suggestion.id !== userId),
+        blockedUsers: upsertById(state.blockedUsers, user),
+      }));
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to block user.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Unblock a user
+   * @param {string} userId - User ID
+   */
+  unblockUser: async (userId) => {
+    set({ error: null });
+    try {
+      await friendsApi.unblock(userId);
+
+      set((state) => ({
+        blockedUsers: state.blockedUsers.filter((user) => user.id !== userId),
+      }));
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to unblock user.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Fetch the users the current user blocked
+   */
+  fetchBlockedUsers: async () => {
+    try {
+      const response = await friendsApi.getBlocked();
+      const blockedUsers = response.data;
+
+      set({ blockedUsers });
+      return { success: true, blockedUsers };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch blocked users.';
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Fetch friend suggestions (friends of friends and people in the same instances)
+   */
+  fetchSuggestions: async () => {
+    set({ isLoadingSuggestions: true });
+    try {
+      const response = await friendsApi.getSuggestions();
+      const suggestions = response.data;
+
+      set({ suggestions, isLoadingSuggestions: false });
+      return { success: true, suggestions };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch suggestions.';
+      set({ isLoadingSuggestions: false });
+      return { success: false, error: errorMessage };
+    }
+  },
+
   /**
    * Update online status for a user
    * @param {string} userId - User ID
@@ -213,7 +307,7 @@ const useFriendStore = create((set, get) => ({
   getOnlineFriends: () => {
     const { friends, onlineStatuses } = get();
     return friends.filter((friend) => {
-      const status = onlineStatuses.get(friend.friendId);
+      const status = onlineStatuses.get(friend.id);
       return status?.status === 'online';
     });
   },
@@ -224,12 +318,35 @@ const useFriendStore = create((set, get) => ({
    */
   handleFriendRequest: (data) => {
     const { request } = data;
+    if (!request) return;
 
     set((state) => ({
-      friendRequests: [...state.friendRequests, request],
+      friendRequests: upsertById(state.friendRequests, request),
     }));
   },
 
+  /**
+   * Handle a friend:added event from WebSocket
+   * Carries either the new friend (their request was accepted), a new incoming request
+   * or just IDs; anything without a full friend or request is reconciled by refetching.
+   * @param {Object} data - Event data
+   */
+  handleFriendAdded: (data) => {
+    const { friend, request } = data || {};
+
+    if (friend) {
+      set((state) => ({
+        friends: upsertById(state.friends, friend),
+        friendRequests: state.friendRequests.filter((req) => req.userId !== friend.id),
+        suggestions: state.suggestions.filter((suggestion) => suggestion.id !== friend.id),
+      }));
+    } else if (request) {
+      get().handleFriendRequest({ request });
+    } else {
+      get().syncFriends();
+    }
+  },
+
   /**
    * Handle user status update from WebSocket
    * @param {Object} data - Status update data
@@ -1,4 +1,6 @@
 import { create } from 'zustand';
+import instancesApi from '../api/instancesApi';
+import containersApi from '../api/containersApi';
 import shareApi from '../api/shareApi';
 
 /**
@@ -21,13 +23,18 @@ const useInstanceStore = create((set, get) => ({
   fetchInstances: async () => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when instances API is implemented
-      // const response = await instancesApi.getAll();
-      // set({ instances: response.data, isLoading: false });
+      const response = await instancesApi.getAll();
+      const instances = response.data;
 
-      // Placeholder for now
-      set({ instances: [], isLoading: false });
-      return { success: true };
+      set((state) => ({
+        instances,
+        // Keep the open instance in step with the list
+        currentInstance: state.currentInstance
+          ? instances.find((instance) => instance.id === state.currentInstance.id) || null
+          : null,
+        isLoading: false,
+      }));
+      return { success: true, instances };
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to fetch instances.';
       set({ isLoading: false, error: errorMessage });
@@ -42,20 +49,8 @@ const useInstanceStore = create((set, get) => ({
   createInstance: async (name) => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when instances API is implemented
-      // const response = await instancesApi.create({ name });
-      // const newInstance = response.data;
-
-      // Placeholder for now
-      const newInstance = {
-        id: Date.now().toString(),
-        name,
-        ownerId: 'current-user-id',
-        members: [],
-        containers: [],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
+      const response = await instancesApi.create({ name });
+      const newInstance = response.data;
 
       set((state) => ({
         instances: [...state.instances, newInstance],
@@ -78,24 +73,18 @@ const useInstanceStore = create((set, get) => ({
   updateInstance: async (id, updates) => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when instances API is implemented
-      // const response = await instancesApi.update(id, updates);
-      // const updatedInstance = response.data;
+      const response = await instancesApi.update(id, updates);
+      // The list carries fields the update response may not (role, member count)
+      const applyUpdate = (instance) =>
+        instance.id === id ? { ...instance, ...updates, ...response.data } : instance;
 
       set((state) => ({
-        instances: state.instances.map((instance) =>
-          instance.id === id
-            ? { ...instance, ...updates, updatedAt: new Date().toISOString() }
-            : instance
-        ),
-        currentInstance:
-          state.currentInstance?.id === id
-            ? { ...state.currentInstance, ...updates }
-            : state.currentInstance,
+        instances: state.instances.map(applyUpdate),
+        currentInstance: state.currentInstance && applyUpdate(state.currentInstance),
         isLoading: false,
       }));
 
-      return { success: true };
+      return { success: true, instance: response.data };
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to update instance.';
       set({ isLoading: false, error: errorMessage });
@@ -110,8 +99,7 @@ const useInstanceStore = create((set, get) => ({
   deleteInstance: async (id) => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when instances API is implemented
-      // await instancesApi.delete(id);
+      await instancesApi.delete(id);
 
       set((state) => ({
         instances: state.instances.filter((instance) => instance.id !== id),
@@ -207,18 +195,16 @@ const useInstanceStore = create((set, get) => ({
 
   /**
    * Fetch containers for a specific instance
-   * @param {string} _instanceId - Instance ID
+   * @param {string} instanceId - Instance ID
    */
-  fetchContainers: async (_instanceId) => {
+  fetchContainers: async (instanceId) => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when containers API is implemented
-      // const response = await containersApi.getByInstance(instanceId);
-      // set({ containers: response.data, isLoading: false });
+      const response = await containersApi.getByInstance(instanceId);
+      const containers = response.data;
 
-      // Placeholder for now
-      set({ containers: [], isLoading: false });
-      return { success: true };
+      set({ containers, isLoading: false });
+      return { success: true, containers };
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to fetch containers.';
       set({ isLoading: false, error: errorMessage });
@@ -234,19 +220,8 @@ const useInstanceStore = create((set, get) => ({
   createContainer: async (instanceId, name) => {
     set({ isLoading: true, error: null });
     try {
-      // TODO: Replace with actual API call when containers API is implemented
-      // const response = await containersApi.create({ instanceId, name });
-      // const newContainer = response.data;
-
-      // Placeholder for now
-      const newContainer = {
-        id: Date.now().toString(),
-        instanceId,
-        name,
-        notes: [],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      };
+      const response = await containersApi.create({ instanceId, name });
+      const newContainer = response.data;
 
       set((state) => ({
         containers: [...state.containers, newContainer],
@@ -261,6 +236,74 @@ const useInstanceStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Fetch the containers of any instance, e.g. to pick where to move a note, without
+   * replacing the loaded containers
+   * @param {string} instanceId - Instance ID
+   */
+  fetchInstanceContainers: async (instanceId) => {
+    try {
+      const response = await containersApi.getByInstance(instanceId);
+      return { success: true, containers: response.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch containers.';
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Rename a container
+   * @param {string} id - Container ID
+   * @param {string} name - New name
+   */
+  renameContainer: async (id, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      return { success: false, error: 'Container name is required.' };
+    }
+
+    set({ error: null });
+    try {
+      const response = await containersApi.update(id, { name: trimmed });
+      const applyRename = (container) =>
+        container.id === id ? { ...container, name: trimmed, ...response.data } : container;
+
+      set((state) => ({
+        containers: state.containers.map(applyRename),
+        currentContainer: state.currentContainer && applyRename(state.currentContainer),
+      }));
+
+      return { success: true, container: response.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to rename container.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Put an instance's containers in a new order
+   * Shown right away and put back if the server refuses it.
+   * @param {string} instanceId - Instance ID
+   * @param {Array<string>} containerIds - Every container ID, in the new order
+   */
+  reorderContainers: async (instanceId, containerIds) => {
+    const previous = get().containers;
+    const reordered = containerIds
+      .map((id) => previous.find((container) => container.id === id))
+      .filter(Boolean);
+
+    set({ containers: reordered, error: null });
+    try {
+      await containersApi.reorder(instanceId, containerIds);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to reorder containers.';
+      set({ containers: previous, error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
   /**
    * Set the current active container
    * @param {string} id - Container ID
@@ -1,6 +1,149 @@
 import { create } from 'zustand';
 import notesApi from '../api/notesApi';
 import shareApi from '../api/shareApi';
+import socketManager from '../utils/socket';
+import { AUTO_SAVE_DELAY } from '../utils/constants';
+import offlineQueue, { isOfflineError, QUEUE_ENTRY_TYPES } from '../utils/offlineQueue';
+import {
+  applyOperation,
+  isNoopOperation,
+  mergeText,
+  operationFromDiff,
+  transformPosition,
+} from '../utils/textOperation';
+import TextSyncClient from '../utils/textSyncClient';
+import { applyObjectOperationsToJSON } from '../utils/whiteboardObjects';
+import {
+  LEGACY_PAGE_ID,
+  getWhiteboardPages,
+  mergePageSummaries,
+  toPageSummaries,
+} from '../utils/whiteboardPages';
+import useAuthStore from './useAuthStore';
+
+/**
+ * Text sync clients keyed by note ID
+ * Kept outside the store state because they are mutated in place
+ */
+const textSyncClients = new Map();
+
+/**
+ * Get (or lazily create) the text sync client for a note
+ * @param {string} noteId - Note ID
+ * @param {number} revision - Server revision to start from
+ * @returns {TextSyncClient} Sync client
+ */
+const getTextSyncClient = (noteId, revision = 0) => {
+  if (!textSyncClients.has(noteId)) {
+    const client = new TextSyncClient(revision, (delta, baseRevision) => {
+      socketManager.emitNoteUpdate(noteId, {
+        delta,
+        revision: baseRevision,
+        clientId: client.clientId,
+        userId: useAuthStore.getState().user?.id,
+      });
+    });
+    textSyncClients.set(noteId, client);
+  }
+  return textSyncClients.get(noteId);
+};
+
+/**
+ * Notes being reloaded from the server after their text diverged from it
+ * Their deltas are neither sent nor applied until the reload is done
+ */
+const resyncingNotes = new Set();
+
+/**
+ * Last known server state of each note, keyed by note ID
+ * Used as the common base when merging edits made offline with the server's copy
+ */
+const serverSnapshots = new Map();
+
+/**
+ * Remember what the server has for a note
+ * @param {string} noteId - Note ID
+ * @param {Object} snapshot - Known server fields ({ content, updatedAt }); missing fields are kept
+ */
+const rememberServerSnapshot = (noteId, { content, updatedAt }) => {
+  const previous = serverSnapshots.get(noteId) || {};
+  serverSnapshots.set(noteId, {
+    content: content ?? previous.content,
+    updatedAt: updatedAt ?? previous.updatedAt,
+  });
+};
+
+/**
+ * Move collaborators' cursors through an edit so they stay on the same text
+ * @param {Object} cursors - Remote cursors of one note keyed by user ID
+ * @param {Array} operation - Text operation applied to the local document
+ * @param {string} authorId - Author of the operation; their cursor is left alone since
+ *   the cursor updates they send already account for their own edits
+ * @returns {Object} Moved cursors
+ */
+const transformCursors = (cursors, operation, authorId = null) =>
+  Object.fromEntries(
+    Object.entries(cursors).map(([userId, cursor]) => [
+      userId,
+      userId === authorId
+        ? cursor
+        : {
+            ...cursor,
+            start: transformPosition(cursor.start, operation),
+            end: transformPosition(cursor.end, operation),
+          },
+    ])
+  );
+
+/**
+ * Find a note in the list or as the current note
+ * @param {Object} state - Store state
+ * @param {string} noteId - Note ID
+ * @returns {Object|undefined} Note
+ */
+const findNote = (state, noteId) =>
+  state.notes.find((n) => n.id === noteId) ||
+  (state.currentNote?.id === noteId ? state.currentNote : undefined);
+
+/**
+ * Change the whiteboard pages of a note, in the list and as the current note
+ * @param {Object} state - Store state
+ * @param {string} noteId - Note ID
+ * @param {Function} update - Gets the note's pages, returns the new pages
+ * @returns {Object} State changes ({ notes, currentNote })
+ */
+const withNotePages = (state, noteId, update) => {
+  const apply = (note) =>
+    note.id === noteId ? { ...note, whiteboardPages: update(getWhiteboardPages(note)) } : note;
+  return {
+    notes: state.notes.map(apply),
+    currentNote: state.currentNote && apply(state.currentNote),
+  };
+};
+
+/**
+ * Whiteboard page saves in flight, keyed by `${noteId}:${pageId}`
+ * Saves of one page are chained so they reach the server in order, and a page is only
+ * fetched or deleted once its saves are done
+ */
+const pageSaves = new Map();
+
+/**
+ * Whiteboard pages we deleted, keyed like pageSaves; later saves of them (e.g. the last
+ * changes flushed when the page is left) are dropped
+ */
+const deletedPages = new Set();
+
+/**
+ * Tell collaborators about a new page list and keep it in the store
+ * @param {Function} set - Store setter
+ * @param {string} noteId - Note ID
+ * @param {Array} pages - Pages in their new order
+ */
+const publishPages = (set, noteId, pages) => {
+  set((state) => withNotePages(state, noteId, () => pages));
+  socketManager.emitWhiteboardPages(noteId, toPageSummaries(pages));
+};
 
 /**
  * Note store for managing notes with auto-save functionality
@@ -14,19 +157,29 @@ const useNoteStore = create((set, get) => ({
   isLoading: false,
   error: null,
   autoSaveTimeout: null,
+  remoteOperation: null,
+  remoteCursors: {},
+  remotePointers: {},
+  followingUserId: null,
+  isFlushingQueue: false,
+  syncConflicts: [],
+  versions: [],
+  isLoadingVersions: false,
 
   // Actions
 
   /**
-   * Fetch notes for a specific container
-   * @param {string} _containerId - Container ID
+   * Fetch notes for a specific container, or every note the user can see
+   * @param {string} containerId - Container ID (optional)
    */
-  fetchNotes: async (_containerId) => {
+  fetchNotes: async (containerId) => {
     set({ isLoading: true, error: null });
     try {
-      const response = await notesApi.getAll();
-      // Filter notes by container if needed
+      const response = containerId
+        ? await notesApi.getByContainer(containerId)
+        : await notesApi.getAll();
       const notes = response.data;
+      notes.forEach((note) => rememberServerSnapshot(note.id, note));
 
       set({ notes, isLoading: false });
       return { success: true, notes };
@@ -38,14 +191,15 @@ const useNoteStore = create((set, get) => ({
   },
 
   /**
-   * Fetch a single note by title
-   * @param {string} title - Note title
+   * Fetch a single note
+   * @param {string} noteId - Note ID
    */
-  fetchNoteByTitle: async (title) => {
+  fetchNote: async (noteId) => {
     set({ isLoading: true, error: null });
     try {
-      const response = await notesApi.getByTitle(title);
+      const response = await notesApi.getById(noteId);
       const note = response.data;
+      rememberServerSnapshot(note.id, note);
 
       set({ currentNote: note, isLoading: false });
       return { success: true, note };
@@ -74,6 +228,7 @@ const useNoteStore = create((set, get) => ({
 
       const response = await notesApi.create(noteData);
       const newNote = response.data;
+      rememberServerSnapshot(newNote.id, newNote);
 
       set((state) => ({
         notes: [...state.notes, newNote],
@@ -84,12 +239,54 @@ const useNoteStore = create((set, get) => ({
 
       return { success: true, note: newNote };
     } catch (error) {
+      if (isOfflineError(error)) {
+        return get().queueNoteCreate(containerId, title, content);
+      }
+
       const errorMessage = error.response?.data?.message || 'Failed to create note.';
       set({ isLoading: false, error: errorMessage });
       return { success: false, error: errorMessage };
     }
   },
 
+  /**
+   * Create a note locally and queue it for the server (used while offline)
+   * The note gets a temporary ID that is swapped for the server's ID when the queue is replayed
+   * @param {string} containerId - Container ID
+   * @param {string} title - Note title
+   * @param {string} content - Note content
+   */
+  queueNoteCreate: async (containerId, title, content = '') => {
+    const now = new Date().toISOString();
+    const localNote = {
+      id: `local-note-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      containerId,
+      title,
+      content,
+      whiteboardData: null,
+      authorId: useAuthStore.getState().user?.id,
+      sharedWith: [],
+      createdAt: now,
+      updatedAt: now,
+      isLocal: true,
+    };
+
+    await offlineQueue.enqueue({
+      type: QUEUE_ENTRY_TYPES.CREATE_NOTE,
+      noteId: localNote.id,
+      title,
+      payload: { containerId, title, content, whiteboardData: null },
+    });
+
+    set((state) => ({
+      notes: [...state.notes, localNote],
+      currentNote: localNote,
+      isLoading: false,
+    }));
+
+    return { success: true, note: localNote, queued: true };
+  },
+
   /**
    * Update a note (with auto-save debouncing)
    * @param {string} noteId - Note ID
@@ -124,6 +321,146 @@ const useNoteStore = create((set, get) => ({
     set({ autoSaveTimeout: timeout });
   },
 
+  /**
+   * Rename a note
+   * Saved right away like any other field, without touching a pending content save
+   * @param {string} noteId - Note ID
+   * @param {string} title - New title
+   */
+  renameNote: async (noteId, title) => {
+    const trimmed = title.trim();
+    if (!trimmed) {
+      return { success: false, error: 'Note title is required.' };
+    }
+
+    const previousTitle = findNote(get(), noteId)?.title;
+    const setTitle = (newTitle) => {
+      const rename = (note) => (note.id === noteId ? { ...note, title: newTitle } : note);
+      set((state) => ({
+        notes: state.notes.map(rename),
+        currentNote: state.currentNote && rename(state.currentNote),
+      }));
+    };
+
+    setTitle(trimmed);
+    const result = await get().saveNote(noteId, { title: trimmed });
+    if (!result.success) {
+      setTitle(previousTitle);
+    }
+    return result;
+  },
+
+  /**
+   * Move a note to another container, which may belong to another instance
+   * The note lands at the top level of the new container.
+   * @param {string} noteId - Note ID
+   * @param {string} containerId - Container to move the note to
+   */
+  moveNote: async (noteId, containerId) => {
+    const previous = findNote(get(), noteId);
+    const setContainer = (id, folderId) => {
+      const move = (note) => (note.id === noteId ? { ...note, containerId: id, folderId } : note);
+      set((state) => ({
+        notes: state.notes.map(move),
+        currentNote: state.currentNote && move(state.currentNote),
+      }));
+    };
+
+    setContainer(containerId, null);
+    const result = await get().saveNote(noteId, { containerId });
+    if (!result.success) {
+      setContainer(previous?.containerId, previous?.folderId ?? null);
+    }
+    return result;
+  },
+
+  /**
+   * Move a note into a folder of its container
+   * @param {string} noteId - Note ID
+   * @param {string|null} folderId - Folder to move the note to (null for the top level)
+   */
+  moveNoteToFolder: async (noteId, folderId) => {
+    const previousFolderId = findNote(get(), noteId)?.folderId ?? null;
+    if (previousFolderId === folderId) {
+      return { success: true };
+    }
+
+    const setFolder = (id) => {
+      const move = (note) => (note.id === noteId ? { ...note, folderId: id } : note);
+      set((state) => ({
+        notes: state.notes.map(move),
+        currentNote: state.currentNote && move(state.currentNote),
+      }));
+    };
+
+    setFolder(folderId);
+    const result = await get().saveNote(noteId, { folderId });
+    if (!result.success) {
+      setFolder(previousFolderId);
+    }
+    return result;
+  },
+
+  /**
+   * Move the notes of a deleted folder up to its parent
+   * @param {string} folderId - Deleted folder ID
+   * @param {string|null} parentId - Folder the notes moved to (null for the top level)
+   */
+  reparentFolderNotes: (folderId, parentId) => {
+    const move = (note) => (note.folderId === folderId ? { ...note, folderId: parentId } : note);
+    set((state) => ({
+      notes: state.notes.map(move),
+      currentNote: state.currentNote && move(state.currentNote),
+    }));
+  },
+
+  /**
+   * Apply a local text edit: sync it to collaborators as a delta and auto-save
+   * The store content is updated right away so later deltas are computed against it
+   * @param {string} noteId - Note ID
+   * @param {string} content - Full note content after the edit
+   */
+  applyLocalEdit: (noteId, content) => {
+    const note = findNote(get(), noteId);
+    if (!note) return;
+
+    const operation = operationFromDiff(note.content || '', content);
+    if (isNoopOperation(operation)) return;
+
+    set((state) => ({
+      notes: state.notes.map((n) => (n.id === noteId ? { ...n, content } : n)),
+      currentNote:
+        state.currentNote?.id === noteId ? { ...state.currentNote, content } : state.currentNote,
+      remoteCursors: state.remoteCursors[noteId]
+        ? {
+            ...state.remoteCursors,
+            [noteId]: transformCursors(state.remoteCursors[noteId], operation),
+          }
+        : state.remoteCursors,
+    }));
+
+    // While the offline queue is replayed the server's revision is still changing; the
+    // edit is saved and synced from the revision the replay ends on
+    if (socketManager.isConnected() && !get().isFlushingQueue && !resyncingNotes.has(noteId)) {
+      getTextSyncClient(noteId, note.revision).applyClient(operation);
+    }
+
+    const { autoSaveTimeout } = get();
+    if (autoSaveTimeout) {
+      clearTimeout(autoSaveTimeout);
+    }
+
+    // Save whatever the content is when the timer fires, so merged remote edits are kept
+    const timeout = setTimeout(() => {
+      const latest = findNote(get(), noteId);
+      if (latest) {
+        get().saveNote(noteId, { content: latest.content });
+      }
+    }, AUTO_SAVE_DELAY);
+
+    set({ autoSaveTimeout: timeout });
+  },
+
   /**
    * Save note to backend (internal method)
    * @param {string} noteId - Note ID
@@ -131,14 +468,25 @@ const useNoteStore = create((set, get) => ({
    */
   saveNote: async (noteId, updates) => {
     set({ isAutoSaving: true, error: null });
+
+    const note = findNote(get(), noteId);
+
     try {
-      // Find the note to get its title
-      const note = get().notes.find((n) => n.id === noteId);
       if (!note) {
         throw new Error('Note not found');
       }
 
-      await notesApi.update(note.title, updates);
+      // Stay behind changes still waiting in the offline queue so they reach the server in order
+      const queued = await offlineQueue.getAll();
+      if (queued.some((e) => e.noteId === noteId && e.type !== QUEUE_ENTRY_TYPES.DRAW_UPDATE)) {
+        return get().queueNoteUpdate(note, updates);
+      }
+
+      const response = await notesApi.update(noteId, updates);
+      rememberServerSnapshot(noteId, {
+        content: updates.content,
+        updatedAt: response.data?.updatedAt,
+      });
 
       set({
         isAutoSaving: false,
@@ -147,12 +495,236 @@ const useNoteStore = create((set, get) => ({
 
       return { success: true };
     } catch (error) {
+      if (note && isOfflineError(error)) {
+        return get().queueNoteUpdate(note, updates);
+      }
+
       const errorMessage = error.response?.data?.message || 'Failed to save note.';
       set({ isAutoSaving: false, error: errorMessage });
       return { success: false, error: errorMessage };
     }
   },
 
+  /**
+   * Keep a note update in the offline queue until the connection is back
+   * @param {Object} note - Note being saved
+   * @param {Object} updates - Updates to save
+   */
+  queueNoteUpdate: async (note, updates) => {
+    await offlineQueue.enqueue({
+      type: QUEUE_ENTRY_TYPES.UPDATE_NOTE,
+      noteId: note.id,
+      title: note.title,
+      payload: updates,
+      base: serverSnapshots.get(note.id) || null,
+    });
+
+    set({ isAutoSaving: false });
+    return { success: true, queued: true };
+  },
+
+  /**
+   * Replay changes queued while offline, oldest first
+   * Stops at the first change that still can't reach the server and keeps it queued.
+   * If a note was changed on the server since we last saw it, our content is merged
+   * with the server's instead of overwriting it, and the note is listed in syncConflicts.
+   */
+  flushOfflineQueue: async () => {
+    if (get().isFlushingQueue) return;
+    set({ isFlushingQueue: true });
+
+    try {
+      for (;;) {
+        // Re-read every time: entries may be added, merged or re-keyed while we replay
+        const [entry] = await offlineQueue.getAll();
+        if (!entry) break;
+        if (entry.type === QUEUE_ENTRY_TYPES.DRAW_UPDATE && !socketManager.isConnected()) break;
+
+        // Later changes to this note queue up behind it instead of merging into it
+        await offlineQueue.put({ ...entry, sending: true });
+
+        try {
+          await get().replayQueueEntry(entry);
+          await offlineQueue.remove(entry.id);
+        } catch (error) {
+          if (isOfflineError(error)) {
+            await offlineQueue.put({ ...entry, sending: false });
+            break;
+          }
+
+          console.error('Dropping queued change rejected by the server:', entry, error);
+          await offlineQueue.remove(entry.id);
+          set({ error: error.response?.data?.message || 'Failed to sync an offline change.' });
+        }
+      }
+    } finally {
+      set({ isFlushingQueue: false });
+    }
+  },
+
+  /**
+   * Send one offline queue entry to the server (internal method)
+   * @param {Object} entry - Queue entry (see utils/offlineQueue.js)
+   */
+  replayQueueEntry: async (entry) => {
+    const { type, noteId, payload } = entry;
+
+    if (type === QUEUE_ENTRY_TYPES.CREATE_NOTE) {
+      const response = await notesApi.create(payload);
+      const note = response.data;
+      rememberServerSnapshot(note.id, note);
+      await offlineQueue.replaceNoteId(noteId, note.id);
+
+      const withServerId = (n) =>
+        n.id === noteId ? { ...n, id: note.id, updatedAt: note.updatedAt, isLocal: false } : n;
+      set((state) => ({
+        notes: state.notes.map(withServerId),
+        currentNote: state.currentNote && withServerId(state.currentNote),
+      }));
+      return;
+    }
+
+    if (type === QUEUE_ENTRY_TYPES.DRAW_UPDATE) {
+      socketManager.emitDrawingUpdate(noteId, payload);
+      return;
+    }
+
+    if (type === QUEUE_ENTRY_TYPES.UPDATE_PAGE) {
+      await notesApi.updateWhiteboardPage(noteId, entry.pageId, payload);
+      set({ lastSaved: new Date() });
+      return;
+    }
+
+    const local = findNote(get(), noteId);
+    const title = local?.title || entry.title;
+    const { data: serverNote } = await notesApi.getById(noteId);
+    let updates = payload;
+
+    if (entry.base?.updatedAt && serverNote.updatedAt !== entry.base.updatedAt) {
+      if (updates.content !== undefined && entry.base.content !== undefined) {
+        updates = {
+          ...updates,
+          content: mergeText(entry.base.content, updates.content, serverNote.content || ''),
+        };
+      }
+      set((state) => ({
+        syncConflicts: [
+          ...state.syncConflicts,
+          { noteId, title, detectedAt: new Date().toISOString() },
+        ],
+      }));
+    }
+
+    const { data: saved = {} } = await notesApi.update(noteId, updates);
+    const content = updates.content ?? serverNote.content;
+    const revision = saved.revision ?? serverNote.revision;
+    rememberServerSnapshot(noteId, { content, updatedAt: saved.updatedAt });
+
+    // Take the server's text and revision so text sync starts again from what the server
+    // has, unless later changes to the note are still queued or it was edited meanwhile
+    const queued = await offlineQueue.getAll();
+    const isLastChange = !queued.some(
+      (e) => e.id !== entry.id && e.noteId === noteId && e.type !== QUEUE_ENTRY_TYPES.DRAW_UPDATE
+    );
+    const sync = (n) => {
+      if (n.id !== noteId) return n;
+      return isLastChange && n.content === local?.content
+        ? { ...n, content, revision }
+        : { ...n, revision };
+    };
+    textSyncClients.delete(noteId);
+    set((state) => ({
+      notes: state.notes.map(sync),
+      currentNote: state.currentNote && sync(state.currentNote),
+      lastSaved: new Date(),
+    }));
+  },
+
+  /**
+   * Forget the notes whose offline changes had to be merged
+   */
+  clearSyncConflicts: () => {
+    set({ syncConflicts: [] });
+  },
+
+  /**
+   * Fetch the version history of a note
+   * @param {string} noteId - Note ID
+   */
+  fetchVersions: async (noteId) => {
+    set({ isLoadingVersions: true, error: null });
+    try {
+      const response = await notesApi.getVersions(noteId);
+      const versions = response.data;
+
+      set({ versions, isLoadingVersions: false });
+      return { success: true, versions };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch version history.';
+      set({ isLoadingVersions: false, error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Fetch a single version, e.g. when the history list was returned without content
+   * @param {string} noteId - Note ID
+   * @param {string} versionId - Version ID
+   */
+  fetchVersion: async (noteId, versionId) => {
+    try {
+      const response = await notesApi.getVersion(noteId, versionId);
+      const version = response.data;
+
+      set((state) => ({
+        versions: state.versions.map((v) => (v.id === versionId ? { ...v, ...version } : v)),
+      }));
+      return { success: true, version };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch version.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Upload a file attached to a note, such as an image placed on its whiteboard
+   * @param {string} noteId - Note ID
+   * @param {File|Blob} file - File to upload
+   */
+  uploadAttachment: async (noteId, file) => {
+    try {
+      const response = await notesApi.uploadAttachment(noteId, file);
+      return { success: true, attachment: response.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to upload file.';
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Restore a note's content from an earlier version
+   * Goes through the same path as typing, so collaborators receive the change as a delta,
+   * and saves right away; the save itself becomes the newest version
+   * @param {string} noteId - Note ID
+   * @param {Object} version - Version to restore (needs content)
+   */
+  restoreVersion: async (noteId, version) => {
+    get().applyLocalEdit(noteId, version.content);
+
+    const { autoSaveTimeout } = get();
+    if (autoSaveTimeout) {
+      clearTimeout(autoSaveTimeout);
+      set({ autoSaveTimeout: null });
+    }
+
+    const result = await get().saveNote(noteId, { content: version.content });
+    if (result.success && !result.queued) {
+      await get().fetchVersions(noteId);
+    }
+    return result;
+  },
+
   /**
    * Delete a note
    * @param {string} noteId - Note ID
@@ -160,13 +732,7 @@ const useNoteStore = create((set, get) => ({
   deleteNote: async (noteId) => {
     set({ isLoading: true, error: null });
     try {
-      // Find the note to get its title
-      const note = get().notes.find((n) => n.id === noteId);
-      if (!note) {
-        throw new Error('Note not found');
-      }
-
-      await notesApi.delete(note.title);
+      await notesApi.delete(noteId);
 
       set((state) => ({
         notes: state.notes.filter((note) => note.id !== noteId),
@@ -197,9 +763,220 @@ const useNoteStore = create((set, get) => ({
    * Update whiteboard data for a note
    * @param {string} noteId - Note ID
    * @param {Object} whiteboardData - Whiteboard data from Fabric.js
+   * @param {string} pageId - Page the data belongs to (default: the first page)
+   */
+  updateWhiteboard: (noteId, whiteboardData, pageId = null) => {
+    const page = pageId || getWhiteboardPages(findNote(get(), noteId))[0].id;
+    return get().saveWhiteboardPage(noteId, page, whiteboardData);
+  },
+
+  /**
+   * Fetch one whiteboard page with its latest drawing
+   * Waits for our own saves of the page first. While offline, or while changes to the
+   * note are still queued, the copy in the store is used instead.
+   * @param {string} noteId - Note ID
+   * @param {string} pageId - Page ID
+   */
+  fetchWhiteboardPage: async (noteId, pageId) => {
+    await pageSaves.get(`${noteId}:${pageId}`);
+
+    const getLocalPage = () =>
+      getWhiteboardPages(findNote(get(), noteId)).find((page) => page.id === pageId);
+
+    try {
+      const queued = await offlineQueue.getAll();
+      if (queued.some((e) => e.noteId === noteId && e.type !== QUEUE_ENTRY_TYPES.DRAW_UPDATE)) {
+        const localPage = getLocalPage();
+        if (localPage) {
+          return { success: true, page: localPage };
+        }
+      }
+
+      const response = await notesApi.getWhiteboardPage(noteId, pageId);
+      const page = response.data;
+
+      set((state) =>
+        withNotePages(state, noteId, (pages) =>
+          pages.map((p) => (p.id === pageId ? { ...p, ...page } : p))
+        )
+      );
+      return { success: true, page };
+    } catch (error) {
+      const localPage = getLocalPage();
+      if (localPage && isOfflineError(error)) {
+        return { success: true, page: localPage };
+      }
+
+      const errorMessage = error.response?.data?.message || 'Failed to load whiteboard page.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Save the drawing of a whiteboard page
+   * The store copy is updated right away; while offline the save waits in the offline queue
+   * @param {string} noteId - Note ID
+   * @param {string} pageId - Page ID
+   * @param {Object} data - Serialized canvas
+   */
+  saveWhiteboardPage: async (noteId, pageId, data) => {
+    const key = `${noteId}:${pageId}`;
+    if (deletedPages.has(key)) {
+      return { success: true };
+    }
+
+    set((state) => ({
+      ...withNotePages(state, noteId, (pages) =>
+        pages.map((page) => (page.id === pageId ? { ...page, data } : page))
+      ),
+      isAutoSaving: true,
+      error: null,
+    }));
+
+    const save = (pageSaves.get(key) || Promise.resolve()).then(async () => {
+      try {
+        // Stay behind changes still waiting in the offline queue so they reach the server in order
+        const queued = await offlineQueue.getAll();
+        if (queued.some((e) => e.noteId === noteId && e.type !== QUEUE_ENTRY_TYPES.DRAW_UPDATE)) {
+          return get().queuePageSave(noteId, pageId, data);
+        }
+
+        await notesApi.updateWhiteboardPage(noteId, pageId, { data });
+
+        set({
+          isAutoSaving: false,
+          lastSaved: new Date(),
+        });
+        return { success: true };
+      } catch (error) {
+        if (isOfflineError(error)) {
+          return get().queuePageSave(noteId, pageId, data);
+        }
+
+        const errorMessage = error.response?.data?.message || 'Failed to save whiteboard.';
+        set({ isAutoSaving: false, error: errorMessage });
+        return { success: false, error: errorMessage };
+      }
+    });
+
+    pageSaves.set(key, save);
+    const result = await save;
+    if (pageSaves.get(key) === save) {
+      pageSaves.delete(key);
+    }
+    return result;
+  },
+
+  /**
+   * Keep a whiteboard page save in the offline queue until the connection is back
+   * @param {string} noteId - Note ID
+   * @param {string} pageId - Page ID
+   * @param {Object} data - Serialized canvas
    */
-  updateWhiteboard: (noteId, whiteboardData) => {
-    get().updateNote(noteId, { whiteboardData }, false);
+  queuePageSave: async (noteId, pageId, data) => {
+    await offlineQueue.enqueue({
+      type: QUEUE_ENTRY_TYPES.UPDATE_PAGE,
+      noteId,
+      pageId,
+      payload: { data },
+    });
+
+    set({ isAutoSaving: false });
+    return { success: true, queued: true };
+  },
+
+  /**
+   * Add a whiteboard page to a note
+   * @param {string} noteId - Note ID
+   * @param {Object} page - New page ({ name, data, index }); data and index are optional
+   */
+  addWhiteboardPage: async (noteId, { name, data = null, index } = {}) => {
+    try {
+      const response = await notesApi.createWhiteboardPage(noteId, { name, data, index });
+      const page = response.data;
+
+      const pages = [...getWhiteboardPages(findNote(get(), noteId))];
+      pages.splice(index ?? pages.length, 0, page);
+      publishPages(set, noteId, pages);
+
+      return { success: true, page };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to add page.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Rename a whiteboard page
+   * @param {string} noteId - Note ID
+   * @param {string} pageId - Page ID
+   * @param {string} name - New name
+   */
+  renameWhiteboardPage: async (noteId, pageId, name) => {
+    try {
+      await notesApi.updateWhiteboardPage(noteId, pageId, { name });
+
+      const pages = getWhiteboardPages(findNote(get(), noteId)).map((page) =>
+        page.id === pageId ? { ...page, name } : page
+      );
+      publishPages(set, noteId, pages);
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to rename page.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Delete a whiteboard page, once our own saves of it are done
+   * @param {string} noteId - Note ID
+   * @param {string} pageId - Page ID
+   */
+  deleteWhiteboardPage: async (noteId, pageId) => {
+    const key = `${noteId}:${pageId}`;
+    deletedPages.add(key);
+    await pageSaves.get(key);
+
+    try {
+      await notesApi.deleteWhiteboardPage(noteId, pageId);
+
+      const pages = getWhiteboardPages(findNote(get(), noteId)).filter(
+        (page) => page.id !== pageId
+      );
+      publishPages(set, noteId, pages);
+
+      return { success: true };
+    } catch (error) {
+      deletedPages.delete(key);
+      const errorMessage = error.response?.data?.message || 'Failed to delete page.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Put a note's whiteboard pages in a new order
+   * @param {string} noteId - Note ID
+   * @param {Array} pageIds - Every page ID, in the new order
+   */
+  reorderWhiteboardPages: async (noteId, pageIds) => {
+    try {
+      await notesApi.reorderWhiteboardPages(noteId, pageIds);
+
+      const current = getWhiteboardPages(findNote(get(), noteId));
+      const pages = pageIds.map((id) => current.find((page) => page.id === id)).filter(Boolean);
+      publishPages(set, noteId, pages);
+
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to reorder pages.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    }
   },
 
   /**
@@ -267,13 +1044,67 @@ const useNoteStore = create((set, get) => ({
 
   /**
    * Handle remote note update from WebSocket
+   * Content changes arrive as deltas and are transformed against unacknowledged local edits
    * @param {Object} data - Update data from socket event
    */
   handleRemoteUpdate: (data) => {
-    const { noteId, updates } = data;
+    const { noteId, updates, delta, revision, clientId, userId } = data;
+
+    if (delta) {
+      const note = findNote(get(), noteId);
+      if (!note || resyncingNotes.has(noteId)) return;
+
+      const client = getTextSyncClient(noteId, note.revision);
+
+      // Our own operation echoed back by the server
+      if (clientId === client.clientId) {
+        client.serverAck(revision);
+        if (!client.hasPendingOperations()) {
+          rememberServerSnapshot(noteId, { content: note.content });
+        }
+        set((state) => ({
+          notes: state.notes.map((n) => (n.id === noteId ? { ...n, revision } : n)),
+          currentNote:
+            state.currentNote?.id === noteId
+              ? { ...state.currentNote, revision }
+              : state.currentNote,
+        }));
+        return;
+      }
+
+      try {
+        const operation = client.applyServer(delta, revision);
+        const content = applyOperation(note.content || '', operation);
+        if (!client.hasPendingOperations()) {
+          // Nothing of ours in flight, so this is exactly what the server has
+          rememberServerSnapshot(noteId, { content });
+        }
+
+        set((state) => ({
+          notes: state.notes.map((n) => (n.id === noteId ? { ...n, content, revision } : n)),
+          currentNote:
+            state.currentNote?.id === noteId
+              ? { ...state.currentNote, content, revision }
+              : state.currentNote,
+          remoteOperation: { noteId, operation, receivedAt: Date.now() },
+          remoteCursors: state.remoteCursors[noteId]
+            ? {
+                ...state.remoteCursors,
+                [noteId]: transformCursors(state.remoteCursors[noteId], operation, userId),
+              }
+            : state.remoteCursors,
+        }));
+      } catch (error) {
+        // Local copy diverged from the server; start again from the server's copy
+        console.error('Failed to apply remote note delta:', error);
+        set({ error: 'This note got out of sync with collaborators and was reloaded.' });
+        get().resyncNote(noteId);
+      }
+      return;
+    }
+
+    if (!updates) return;
 
-    // Don't apply if it's our own update
-    // (This check would need the current user ID)
     set((state) => ({
       notes: state.notes.map((note) => (note.id === noteId ? { ...note, ...updates } : note)),
       currentNote:
@@ -281,22 +1112,179 @@ const useNoteStore = create((set, get) => ({
     }));
   },
 
+  /**
+   * Reload a note's text and revision from the server and start text sync again from them
+   * Edits that weren't acknowledged yet are lost; they were made on text the server
+   * doesn't have.
+   * @param {string} noteId - Note ID
+   */
+  resyncNote: async (noteId) => {
+    if (resyncingNotes.has(noteId)) return { success: true };
+    resyncingNotes.add(noteId);
+    textSyncClients.delete(noteId);
+
+    try {
+      const { data: serverNote } = await notesApi.getById(noteId);
+      const { content, revision } = serverNote;
+      rememberServerSnapshot(noteId, serverNote);
+
+      const reload = (n) => (n.id === noteId ? { ...n, content, revision } : n);
+      set((state) => ({
+        notes: state.notes.map(reload),
+        currentNote: state.currentNote && reload(state.currentNote),
+      }));
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to reload note.';
+      set({ error: errorMessage });
+      return { success: false, error: errorMessage };
+    } finally {
+      textSyncClients.delete(noteId);
+      resyncingNotes.delete(noteId);
+    }
+  },
+
+  /**
+   * Forget all text sync state (e.g. after the socket reconnects)
+   * The next local edit starts again from each note's last known revision
+   */
+  resetTextSync: () => {
+    textSyncClients.clear();
+  },
+
   /**
    * Handle remote whiteboard drawing update from WebSocket
-   * @param {Object} data - Drawing data from socket event
+   * Applies the per-object operations to the stored page data so it stays current
+   * when the page is opened later
+   * @param {Object} data - Drawing operations from socket event
    */
   handleDrawingUpdate: (data) => {
-    const { noteId, whiteboardData } = data;
+    const { noteId, pageId = LEGACY_PAGE_ID, operations } = data;
+    if (!Array.isArray(operations)) return;
+
+    set((state) =>
+      withNotePages(state, noteId, (pages) =>
+        pages.map((page) =>
+          page.id === pageId
+            ? { ...page, data: applyObjectOperationsToJSON(page.data, operations) }
+            : page
+        )
+      )
+    );
+  },
+
+  /**
+   * Handle a collaborator's change to the whiteboard page list from WebSocket
+   * @param {Object} data - Event data ({ noteId, pages }), pages without drawings
+   */
+  handleWhiteboardPagesUpdate: (data) => {
+    const { noteId, pages } = data;
+    if (!noteId || !Array.isArray(pages) || pages.length === 0) return;
+
+    set((state) => withNotePages(state, noteId, (current) => mergePageSummaries(current, pages)));
+  },
+
+  /**
+   * Handle a collaborator's caret/selection from WebSocket
+   * @param {Object} data - Cursor data ({ noteId, userId, userName, start, end })
+   */
+  handleCursorUpdate: (data) => {
+    const { noteId, userId, userName, start, end } = data;
+    if (!noteId || !userId || userId === useAuthStore.getState().user?.id) return;
 
     set((state) => ({
-      notes: state.notes.map((note) => (note.id === noteId ? { ...note, whiteboardData } : note)),
-      currentNote:
-        state.currentNote?.id === noteId
-          ? { ...state.currentNote, whiteboardData }
-          : state.currentNote,
+      remoteCursors: {
+        ...state.remoteCursors,
+        [noteId]: {
+          ...state.remoteCursors[noteId],
+          [userId]: { userId, name: userName, start, end },
+        },
+      },
+    }));
+  },
+
+  /**
+   * Drop the cursor and whiteboard pointer of a collaborator who left a note
+   * @param {Object} data - Event data ({ noteId, userId })
+   */
+  handleUserLeftNote: (data) => {
+    const { noteId, userId } = data;
+    const { remoteCursors, remotePointers, followingUserId } = get();
+    if (
+      !remoteCursors[noteId]?.[userId] &&
+      !remotePointers[noteId]?.[userId] &&
+      followingUserId !== userId
+    ) {
+      return;
+    }
+
+    set((state) => {
+      const cursors = { ...state.remoteCursors[noteId] };
+      delete cursors[userId];
+      const pointers = { ...state.remotePointers[noteId] };
+      delete pointers[userId];
+      return {
+        remoteCursors: { ...state.remoteCursors, [noteId]: cursors },
+        remotePointers: { ...state.remotePointers, [noteId]: pointers },
+        followingUserId: state.followingUserId === userId ? null : state.followingUserId,
+      };
+    });
+  },
+
+  /**
+   * Forget collaborators' cursors for a note (e.g. when leaving its room)
+   * @param {string} noteId - Note ID
+   */
+  clearRemoteCursors: (noteId) => {
+    if (!get().remoteCursors[noteId]) return;
+
+    set((state) => {
+      const remoteCursors = { ...state.remoteCursors };
+      delete remoteCursors[noteId];
+      return { remoteCursors };
+    });
+  },
+
+  /**
+   * Handle a collaborator's whiteboard pointer and viewport from WebSocket
+   * @param {Object} data - Pointer data ({ noteId, pageId, userId, userName, x, y, viewport })
+   */
+  handlePointerUpdate: (data) => {
+    const { noteId, pageId, userId, userName, x, y, viewport } = data;
+    if (!noteId || !userId || userId === useAuthStore.getState().user?.id) return;
+
+    set((state) => ({
+      remotePointers: {
+        ...state.remotePointers,
+        [noteId]: {
+          ...state.remotePointers[noteId],
+          [userId]: { userId, name: userName, pageId, x, y, viewport },
+        },
+      },
     }));
   },
 
+  /**
+   * Forget collaborators' whiteboard pointers for a note and stop following anyone
+   * (e.g. when the whiteboard closes)
+   * @param {string} noteId - Note ID
+   */
+  clearRemotePointers: (noteId) => {
+    set((state) => {
+      const remotePointers = { ...state.remotePointers };
+      delete remotePointers[noteId];
+      return { remotePointers, followingUserId: null };
+    });
+  },
+
+  /**
+   * Lock the whiteboard viewport to a collaborator's pan and zoom
+   * @param {string|null} userId - User to follow, or null to stop following
+   */
+  followUser: (userId) => {
+    set({ followingUserId: userId });
+  },
+
   /**
    * Handle shared note notification from WebSocket
    * @param {Object} data - Shared note data
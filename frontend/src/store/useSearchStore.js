@@ -0,0 +1,74 @@
+import { create } from 'zustand';
+import searchApi from '../api/searchApi';
+import { SEARCH } from '../utils/constants';
+
+// Searches run as the user types; only the latest one's results are kept
+let latestSearch = 0;
+
+/**
+ * Global search store
+ * Results of searching the notes of every instance the user can access, with the
+ * containers and authors the filters can pick from.
+ */
+const useSearchStore = create((set) => ({
+  // State
+  results: [],
+  total: 0,
+  // Ranking the server used, which can differ from the one asked for
+  rankedBy: null,
+  facets: { containers: [], authors: [] },
+  isSearching: false,
+  error: null,
+
+  // Actions
+
+  /**
+   * Search notes
+   * @param {string} query - Search text
+   * @param {Object} options - { mode, instanceId, containerId, authorId, from, to }, see
+   *   searchApi.search
+   */
+  search: async (query, options = {}) => {
+    const searchId = ++latestSearch;
+    if (!query.trim()) {
+      set({ results: [], total: 0, rankedBy: null, isSearching: false, error: null });
+      return { success: true, results: [] };
+    }
+
+    set({ isSearching: true, error: null });
+    try {
+      const response = await searchApi.search(query.trim(), {
+        limit: SEARCH.RESULT_LIMIT,
+        ...options,
+      });
+      const { results, total, mode, facets } = response.data;
+
+      if (searchId === latestSearch) {
+        set({
+          results,
+          total,
+          rankedBy: mode,
+          facets: facets || { containers: [], authors: [] },
+          isSearching: false,
+        });
+      }
+      return { success: true, results };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Search failed.';
+      if (searchId === latestSearch) {
+        set({ isSearching: false, error: errorMessage });
+      }
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  /**
+   * Clear the results
+   */
+  clearResults: () => {
+    latestSearch += 1;
+    set({ results: [], total: 0, rankedBy: null, isSearching: false, error: null });
+  },
+}));
+
+export default useSearchStore;
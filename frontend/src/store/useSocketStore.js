@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import socketManager from '../utils/socket';
+import offlineQueue from '../utils/offlineQueue';
 
 /**
  * Socket store for managing WebSocket connections
@@ -10,6 +11,7 @@ const useSocketStore = create((set, get) => ({
   isConnected: false,
   reconnectAttempts: 0,
   error: null,
+  pendingChanges: 0,
 
   // Actions
 
@@ -102,21 +104,39 @@ const useSocketStore = create((set, get) => ({
   },
 
   /**
-   * Emit note update
+   * Emit note content delta
    * @param {string} noteId - Note ID
-   * @param {Object} updates - Note updates
+   * @param {Object} operation - Delta payload ({ delta, revision, clientId, userId })
    */
-  emitNoteUpdate: (noteId, updates) => {
-    socketManager.emitNoteUpdate(noteId, updates);
+  emitNoteUpdate: (noteId, operation) => {
+    socketManager.emitNoteUpdate(noteId, operation);
   },
 
   /**
-   * Emit whiteboard drawing update
+   * Emit whiteboard object operations
    * @param {string} noteId - Note ID
-   * @param {Object} whiteboardData - Whiteboard data
+   * @param {Object} update - Drawing update ({ operations, clientId })
    */
-  emitDrawingUpdate: (noteId, whiteboardData) => {
-    socketManager.emitDrawingUpdate(noteId, whiteboardData);
+  emitDrawingUpdate: (noteId, update) => {
+    socketManager.emitDrawingUpdate(noteId, update);
+  },
+
+  /**
+   * Emit the local caret and selection in a note
+   * @param {string} noteId - Note ID
+   * @param {Object} cursor - Cursor payload ({ start, end, userId, userName })
+   */
+  emitCursorUpdate: (noteId, cursor) => {
+    socketManager.emitCursorUpdate(noteId, cursor);
+  },
+
+  /**
+   * Emit the local whiteboard pointer and viewport
+   * @param {string} noteId - Note ID
+   * @param {Object} pointer - Pointer payload ({ x, y, viewport, userId, userName })
+   */
+  emitPointerUpdate: (noteId, pointer) => {
+    socketManager.emitPointerUpdate(noteId, pointer);
   },
 
   /**
@@ -202,6 +222,14 @@ const useSocketStore = create((set, get) => ({
     set({ reconnectAttempts: attempts });
   },
 
+  /**
+   * Update the number of changes waiting in the offline queue
+   * @param {number} count - Pending change count
+   */
+  setPendingChanges: (count) => {
+    set({ pendingChanges: count });
+  },
+
   /**
    * Clean up socket connection
    */
@@ -211,4 +239,8 @@ const useSocketStore = create((set, get) => ({
   },
 }));
 
+// Keep the pending change count in sync with the offline queue
+offlineQueue.subscribe((count) => useSocketStore.getState().setPendingChanges(count));
+offlineQueue.notify().catch((error) => console.error('Failed to read offline queue:', error));
+
 export default useSocketStore;
@@ -31,6 +31,9 @@ export const SOCKET_EVENTS = {
   INSTANCE_UPDATED: 'instance:updated',
   USER_JOINED_NOTE: 'user:joined-note',
   USER_LEFT_NOTE: 'user:left-note',
+  CURSOR_UPDATE: 'cursor:update',
+  POINTER_UPDATE: 'pointer:update',
+  WHITEBOARD_PAGES: 'whiteboard:pages',
   ACTIVE_USERS_LIST: 'active:users-list',
   REQUEST_ACTIVE_USERS: 'request:active-users',
   FRIEND_REQUEST: 'friend:request',
@@ -46,6 +49,156 @@ export const SEARCH_DEBOUNCE_DELAY = 300;
 // Drawing update debounce delay (ms)
 export const DRAW_UPDATE_DELAY = 100;
 
+// Cursor broadcast throttle delay (ms)
+export const CURSOR_UPDATE_DELAY = 50;
+
+// Whiteboard pointer broadcast throttle delay (ms)
+export const POINTER_UPDATE_DELAY = 50;
+
+// Whiteboard zoom limits and the factor of one zoom in/out step
+export const WHITEBOARD_ZOOM = {
+  MIN: 0.1,
+  MAX: 8,
+  STEP: 1.25,
+};
+
+// Whiteboard eraser modes: remove whole objects, or cut pieces out of freehand strokes
+export const ERASER_MODES = {
+  STROKE: 'stroke',
+  PARTIAL: 'partial',
+};
+
+// Files that can be put on a whiteboard, and the largest upload accepted (bytes)
+export const ATTACHMENT_LIMITS = {
+  MAX_SIZE: 20 * 1024 * 1024,
+  IMAGE_TYPES: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'],
+  PDF_TYPE: 'application/pdf',
+};
+
+// Uploads can take far longer than the default request timeout (ms)
+export const ATTACHMENT_UPLOAD_TIMEOUT = 60000;
+
+// PDF import: pages are rendered at RENDER_SCALE for sharpness when zoomed in, at most
+// MAX_PAGES per file, and stacked PAGE_GAP apart on the board
+export const PDF_IMPORT = {
+  RENDER_SCALE: 2,
+  MAX_PAGES: 50,
+  PAGE_GAP: 40,
+};
+
+// Longest whiteboard page name (characters)
+export const WHITEBOARD_PAGE_NAME_MAX_LENGTH = 60;
+
+// Whiteboard export: resolutions offered for PNG and image-based PDF pages (dpi), and
+// PDF paper (A4 in points) with its margin. Boards are printed at 100% and shrunk to
+// fit a page down to MIN_PRINT_SCALE; bigger boards are split across pages.
+export const WHITEBOARD_EXPORT = {
+  DPI_OPTIONS: [96, 192, 300],
+  DEFAULT_DPI: 192,
+  PAPER_SIZE: [595.28, 841.89],
+  PAPER_MARGIN: 36,
+  MIN_PRINT_SCALE: 0.5,
+};
+
+// Note export and import: longest file or folder name written (characters), the
+// container that imported notes without a folder go into, the line that starts the
+// whiteboard images in exported Markdown, and the ending of the file holding a note's
+// whiteboard pages in a ZIP bundle
+export const NOTE_TRANSFER = {
+  FILE_NAME_MAX_LENGTH: 80,
+  DEFAULT_CONTAINER_NAME: 'Imported notes',
+  WHITEBOARD_MARKER: '<!-- whiteboard -->',
+  WHITEBOARD_FILE_SUFFIX: '.whiteboard.json',
+};
+
+// Where the import wizard reads notes from
+export const IMPORT_SOURCES = {
+  OBSIDIAN: 'obsidian',
+  NOTION: 'notion',
+  DOCX: 'docx',
+  MARKDOWN: 'markdown',
+};
+
+// What an import does with a note whose title is already taken
+export const IMPORT_CONFLICT_POLICIES = {
+  RENAME: 'rename',
+  SKIP: 'skip',
+};
+
+// AI actions on the text selected in the note editor
+export const AI_TEXT_ACTIONS = {
+  REWRITE: 'rewrite',
+  EXPAND: 'expand',
+  SHORTEN: 'shorten',
+  FIX_GRAMMAR: 'fix-grammar',
+  TRANSLATE: 'translate',
+  EXPLAIN: 'explain',
+};
+
+// Languages the selection can be translated into
+export const AI_TRANSLATE_LANGUAGES = [
+  'English',
+  'Spanish',
+  'French',
+  'German',
+  'Chinese',
+  'Japanese',
+];
+
+// AI actions on a snapshot of the whiteboard
+export const AI_WHITEBOARD_ACTIONS = {
+  TRANSCRIBE: 'transcribe',
+  DESCRIBE: 'describe',
+  CLEAN_UP: 'clean-up',
+};
+
+// Whiteboard snapshots sent to the AI: their resolution (dpi), and the clean shapes
+// rough strokes can be turned into
+export const AI_WHITEBOARD = {
+  SNAPSHOT_DPI: 96,
+  SHAPES: {
+    RECTANGLE: 'rectangle',
+    CIRCLE: 'circle',
+    ARROW: 'arrow',
+  },
+};
+
+// How global search ranks notes: by the words they share with the query, or by meaning
+// (embeddings)
+export const SEARCH_MODES = {
+  KEYWORD: 'keyword',
+  SEMANTIC: 'semantic',
+};
+
+// Global search: most results asked for, and length of the matching snippet shown with
+// each result (characters)
+export const SEARCH = {
+  RESULT_LIMIT: 20,
+  SNIPPET_LENGTH: 160,
+};
+
+// Kinds of cards in a study deck
+export const DECK_CARD_TYPES = {
+  FLASHCARD: 'flashcard',
+  QUIZ: 'quiz',
+};
+
+// What a study deck is generated from
+export const DECK_SOURCES = {
+  NOTE: 'note',
+  CONTAINER: 'container',
+};
+
+// Spaced repetition scheduling (SM-2); intervals are in days
+export const SPACED_REPETITION = {
+  INITIAL_EASE: 2.5,
+  MIN_EASE: 1.3,
+  EASE_STEP: 0.1,
+  EASE_PENALTY: 0.2,
+  FIRST_INTERVAL: 1,
+  SECOND_INTERVAL: 6,
+};
+
 // Animation durations (ms)
 export const ANIMATION_DURATION = {
   FAST: 150,
@@ -0,0 +1,79 @@
+/**
+ * Helpers for the folder tree inside a container
+ * Folders point at their parent with parentId (null for the container's top level) and
+ * notes at their folder with folderId (null or missing for the top level).
+ */
+
+/**
+ * Build the folder tree of a container
+ * @param {Array} folders - Folders of the container
+ * @param {Array} notes - Notes of the container
+ * @returns {{folders: Array, notes: Array}} Top level, where every folder has its own
+ *   folders and notes, sorted by name
+ */
+export function buildFolderTree(folders, notes) {
+  const folderIds = new Set(folders.map((folder) => folder.id));
+  const nodes = new Map(
+    folders.map((folder) => [folder.id, { ...folder, folders: [], notes: [] }])
+  );
+  const root = { folders: [], notes: [] };
+
+  // Folders and notes whose folder is gone end up at the top level
+  const parentOf = (id) => (id && folderIds.has(id) ? nodes.get(id) : root);
+
+  nodes.forEach((node) => parentOf(node.parentId).folders.push(node));
+  notes.forEach((note) => parentOf(note.folderId).notes.push(note));
+
+  const sortNode = (node) => {
+    node.folders.sort((a, b) => a.name.localeCompare(b.name));
+    node.notes.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    node.folders.forEach(sortNode);
+  };
+  sortNode(root);
+
+  return root;
+}
+
+/**
+ * Get the folders from the top level down to a folder
+ * @param {Array} folders - Folders of the container
+ * @param {string|null} folderId - Folder ID
+ * @returns {Array} Folders, outermost first, ending with the folder itself
+ */
+export function getFolderPath(folders, folderId) {
+  const byId = new Map(folders.map((folder) => [folder.id, folder]));
+  const path = [];
+  const seen = new Set();
+
+  let folder = byId.get(folderId);
+  while (folder && !seen.has(folder.id)) {
+    seen.add(folder.id);
+    path.unshift(folder);
+    folder = byId.get(folder.parentId);
+  }
+
+  return path;
+}
+
+/**
+ * Check if a folder is inside another one, at any depth
+ * @param {Array} folders - Folders of the container
+ * @param {string} folderId - Folder that may be inside
+ * @param {string} ancestorId - Folder that may contain it
+ * @returns {boolean} True if folderId is ancestorId or inside it
+ */
+export function isInsideFolder(folders, folderId, ancestorId) {
+  return getFolderPath(folders, folderId).some((folder) => folder.id === ancestorId);
+}
+
+/**
+ * Get the IDs of a folder and every folder inside it
+ * @param {Array} folders - Folders of the container
+ * @param {string} folderId - Folder ID
+ * @returns {Array<string>} Folder IDs
+ */
+export function getFolderWithDescendants(folders, folderId) {
+  return folders
+    .filter((folder) => isInsideFolder(folders, folder.id, folderId))
+    .map((folder) => folder.id);
+}
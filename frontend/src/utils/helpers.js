@@ -24,15 +24,33 @@ export const debounce = (func, wait) => {
  * Throttle function to ensure a function is called at most once in a specified time period
  * @param {Function} func - Function to throttle
  * @param {number} limit - Time limit in milliseconds
+ * @param {Object} options - Throttle options
+ * @param {boolean} options.trailing - Also call with the latest arguments at the end of the
+ *   period, so the last call is never dropped (default: false)
  * @returns {Function} Throttled function
  */
-export const throttle = (func, limit) => {
+export const throttle = (func, limit, { trailing = false } = {}) => {
   let inThrottle;
+  let pendingArgs = null;
+
+  const release = () => {
+    if (pendingArgs) {
+      const args = pendingArgs;
+      pendingArgs = null;
+      func(...args);
+      setTimeout(release, limit);
+    } else {
+      inThrottle = false;
+    }
+  };
+
   return function executedFunction(...args) {
     if (!inThrottle) {
       func(...args);
       inThrottle = true;
-      setTimeout(() => (inThrottle = false), limit);
+      setTimeout(release, limit);
+    } else if (trailing) {
+      pendingArgs = args;
     }
   };
 };
@@ -73,6 +91,14 @@ export const truncateText = (text, maxLength = 100) => {
   return text.substring(0, maxLength) + '...';
 };
 
+/**
+ * Whether a keyboard or clipboard event is meant for a text field
+ * @param {Event} event - DOM event
+ * @returns {boolean}
+ */
+export const isTypingTarget = (event) =>
+  event.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName);
+
 /**
  * Generate a random color for user avatars
  * @param {string} seed - Seed string (e.g., user ID)
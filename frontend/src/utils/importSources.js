@@ -0,0 +1,395 @@
+/**
+ * Import sources
+ *
+ * Reads other tools' exports into notes for noteImport.js. Folders become containers
+ * and files become notes:
+ *
+ * - Obsidian vault (a picked folder): every Markdown file is a note in a container
+ *   named after its folder path ("Folder / Subfolder"), or after the vault for notes
+ *   at its top. [[Wiki links]] and ![[embeds]] become links to the imported notes and
+ *   files.
+ * - Notion export (ZIP of Markdown and CSV, possibly split into several ZIPs inside):
+ *   Notion's IDs are removed from names, a page's subpages go into a container named
+ *   after it, and databases (CSV) become notes with a table.
+ * - Word documents (.docx, e.g. exported from Google Docs): one note each, with their
+ *   images attached. mammoth and turndown are loaded on first use.
+ * - Markdown files and bundles exported by this app (see readImportFiles).
+ *
+ * Links between files (relative Markdown links) are kept when they point at another
+ * imported note or at an imported file.
+ */
+import { strFromU8, unzipSync } from 'fflate';
+import { IMPORT_SOURCES } from './constants';
+import { importReference, isIgnoredPath, readImportFiles } from './noteImport';
+
+const MARKDOWN_EXTENSION = /\.(md|markdown)$/i;
+const ZIP_EXTENSION = /\.zip$/i;
+const DOCX_EXTENSION = /\.docx$/i;
+
+// Notion's ID at the end of a file or folder name ("Page 0f3c...9a.md")
+const NOTION_ID = /\s+[0-9a-f]{32}(?=(\.[^./]+)?$)/i;
+
+// [[Target#Heading|Text]] and ![[Embed|Size]]; groups: "!", target, alias
+const WIKI_LINK = /(!?)\[\[([^\]|#]*)(?:#[^\]|]*)?(?:\|([^\]]*))?\]\]/g;
+
+// Markdown link or image with a relative target; groups: "!", text, target
+const RELATIVE_LINK = /(!?)\[([^\]]*)\]\((?![a-z][a-z\d+.-]*:|#|\/)(<[^>]+>|[^)\s]+)\)/gi;
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+};
+
+/**
+ * Last part of a path
+ * @param {string} path - Path
+ * @returns {string} File or folder name
+ */
+const getBaseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+/**
+ * Folder part of a path
+ * @param {string} path - Path
+ * @returns {string} Folder path, '' at the top
+ */
+const getFolder = (path) => path.slice(0, Math.max(0, path.lastIndexOf('/')));
+
+/**
+ * Resolve a relative path against a folder
+ * @param {string} folder - Folder path
+ * @param {string} target - Relative path ("../images/a.png")
+ * @returns {string} Path from the top
+ */
+const resolvePath = (folder, target) => {
+  const parts = folder ? folder.split('/') : [];
+  target.split('/').forEach((part) => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+};
+
+/**
+ * A file with its type guessed from its name, as picked files have
+ * @param {Uint8Array|ArrayBuffer} bytes - Contents
+ * @param {string} name - File name
+ * @returns {File} File
+ */
+const toFile = (bytes, name) => {
+  const extension = name.slice(name.lastIndexOf('.') + 1).toLowerCase();
+  return new File([bytes], name, { type: MIME_TYPES[extension] || '' });
+};
+
+/**
+ * Turn relative Markdown links to other files into references
+ * @param {string} content - Markdown
+ * @param {string} folder - Folder of the note
+ * @param {Function} findTarget - Returns the reference for a path, or null
+ * @returns {string} Markdown
+ */
+const convertRelativeLinks = (content, folder, findTarget) =>
+  content.replace(RELATIVE_LINK, (match, bang, text, rawTarget) => {
+    let target = rawTarget.replace(/^<|>$/g, '');
+    try {
+      target = decodeURIComponent(target);
+    } catch {
+      // Not encoded
+    }
+
+    const reference = findTarget(resolvePath(folder, target.split('#')[0]));
+    return reference ? `${bang}[${text}](${reference})` : match;
+  });
+
+/**
+ * Read an Obsidian vault
+ * @param {Array<File>} files - Files of the vault folder (with webkitRelativePath)
+ * @returns {Promise<Object>} { name, notes, files } (see readImportSource)
+ */
+const readObsidianVault = async (files) => {
+  const entries = files
+    .map((file) => ({ file, path: file.webkitRelativePath || file.name }))
+    .filter(({ path }) => !isIgnoredPath(path));
+  const vaultName = entries[0]?.path.includes('/') ? entries[0].path.split('/')[0] : null;
+
+  const notePaths = entries.filter(({ path }) => MARKDOWN_EXTENSION.test(path));
+  const attachments = new Map(
+    entries
+      .filter(({ path }) => !MARKDOWN_EXTENSION.test(path))
+      .map(({ path, file }) => [path, file])
+  );
+
+  // Obsidian finds link targets by name, or by path for names used more than once
+  const byName = new Map();
+  const addName = (name, reference) => {
+    const key = name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, reference);
+  };
+  notePaths.forEach(({ path }) => {
+    const reference = importReference('note', path);
+    addName(getBaseName(path).replace(MARKDOWN_EXTENSION, ''), reference);
+    addName(path.replace(MARKDOWN_EXTENSION, ''), reference);
+    addName(path.split('/').slice(1).join('/').replace(MARKDOWN_EXTENSION, ''), reference);
+  });
+  attachments.forEach((file, path) => {
+    const reference = importReference('file', path);
+    addName(getBaseName(path), reference);
+    addName(path.split('/').slice(1).join('/'), reference);
+  });
+
+  const findTarget = (path) => {
+    if (attachments.has(path)) return importReference('file', path);
+    const note = notePaths.find((entry) => entry.path === path || entry.path === `${path}.md`);
+    return note ? importReference('note', note.path) : null;
+  };
+
+  const notes = [];
+  for (const { path, file } of notePaths) {
+    const folder = getFolder(path);
+    const text = await file.text();
+
+    const withWikiLinks = text.replace(WIKI_LINK, (match, bang, target, alias) => {
+      const name = target.trim();
+      const reference = name ? byName.get(name.toLowerCase()) : null;
+      const label = alias?.trim() && !/^\d+(x\d+)?$/.test(alias.trim()) ? alias.trim() : name;
+      if (!reference) return label || match;
+
+      const isFile = reference.startsWith('import-file:');
+      return `${bang && isFile ? '!' : ''}[${label}](${reference})`;
+    });
+
+    const containerPath = folder.split('/').slice(1);
+    notes.push({
+      key: path,
+      containerName: containerPath.length > 0 ? containerPath.join(' / ') : vaultName,
+      title: getBaseName(path).replace(MARKDOWN_EXTENSION, ''),
+      content: convertRelativeLinks(withWikiLinks, folder, findTarget),
+      whiteboardPages: null,
+    });
+  }
+
+  return { name: vaultName, notes, files: attachments };
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Markdown table of a Notion database
+ * @param {string} csv - Database exported as CSV
+ * @returns {string} Markdown
+ */
+const csvToMarkdownTable = (csv) => {
+  const [header = [], ...rows] = parseCSV(csv.replace(/^\uFEFF/, ''));
+  const cell = (value = '') => value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const line = (fields) => `| ${header.map((_, i) => cell(fields[i])).join(' | ')} |`;
+
+  return [line(header), `|${header.map(() => ' --- |').join('')}`, ...rows.map(line)].join('\n');
+};
+
+/**
+ * Read a Notion export
+ * @param {Array<File>} files - Notion's export ZIP (one, or its parts)
+ * @returns {Promise<Object>} { name, notes, files } (see readImportSource)
+ */
+const readNotionExport = async (files) => {
+  const entries = {};
+  const addZip = (bytes) => {
+    const unzipped = unzipSync(bytes, { filter: (entry) => !isIgnoredPath(entry.name) });
+    Object.entries(unzipped).forEach(([path, contents]) => {
+      // Large workspaces are exported as ZIPs inside the ZIP
+      if (ZIP_EXTENSION.test(path)) addZip(contents);
+      else if (!path.endsWith('/')) entries[path] = contents;
+    });
+  };
+  for (const file of files) {
+    if (!ZIP_EXTENSION.test(file.name)) {
+      throw new Error(`"${file.name}" is not a Notion export ZIP.`);
+    }
+    addZip(new Uint8Array(await file.arrayBuffer()));
+  }
+
+  const cleanName = (name) => name.replace(NOTION_ID, '');
+  const paths = Object.keys(entries);
+
+  // Some exports put everything in one folder, which isn't a page
+  const [topFolder] = paths[0]?.split('/') || [];
+  const root = paths.every((path) => path.startsWith(`${topFolder}/`)) ? `${topFolder}/` : '';
+  const folders = new Set(paths.map((path) => getFolder(path.slice(root.length))));
+  const attachments = new Map(
+    paths
+      .filter((path) => !MARKDOWN_EXTENSION.test(path) && !/\.csv$/i.test(path))
+      .map((path) => [path, toFile(entries[path], cleanName(getBaseName(path)))])
+  );
+
+  const findTarget = (path) => {
+    if (attachments.has(path)) return importReference('file', path);
+    return MARKDOWN_EXTENSION.test(path) && entries[path] ? importReference('note', path) : null;
+  };
+
+  // A page's subpages are in a folder named like it; that folder is its container
+  const getContainerName = (fullPath) => {
+    const path = fullPath.slice(root.length);
+    const folder = getFolder(path);
+    const ownFolder = path.replace(/\.[^./]+$/, '');
+    const containerFolder = folder || (folders.has(ownFolder) ? ownFolder : '');
+    return containerFolder ? containerFolder.split('/').map(cleanName).join(' / ') : null;
+  };
+
+  const notes = paths
+    .filter((path) => {
+      if (MARKDOWN_EXTENSION.test(path)) return true;
+      // Newer exports add "Database_all.csv" with every row next to "Database.csv"
+      if (/_all\.csv$/i.test(path)) return !entries[path.replace(/_all\.csv$/i, '.csv')];
+      return /\.csv$/i.test(path);
+    })
+    .map((path) => {
+      const text = strFromU8(entries[path]);
+      const isDatabase = /\.csv$/i.test(path);
+      return {
+        key: path,
+        containerName: getContainerName(path.replace(/_all(\.csv)$/i, '$1')),
+        title: cleanName(getBaseName(path))
+          .replace(/_all\.csv$/i, '')
+          .replace(/\.(md|markdown|csv)$/i, ''),
+        content: isDatabase
+          ? csvToMarkdownTable(text)
+          : convertRelativeLinks(text, getFolder(path), findTarget),
+        whiteboardPages: null,
+      };
+    });
+
+  if (notes.length === 0) {
+    throw new Error('No Notion pages were found. Export from Notion as "Markdown & CSV".');
+  }
+  return { name: null, notes, files: attachments };
+};
+
+/**
+ * Read Word documents
+ * @param {Array<File>} files - .docx files
+ * @returns {Promise<Object>} { name, notes, files } (see readImportSource)
+ */
+const readWordDocuments = async (files) => {
+  const [{ default: mammoth }, { default: TurndownService }] = await Promise.all([
+    import('mammoth'),
+    import('turndown'),
+  ]);
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+  });
+  const images = new Map();
+  const notes = [];
+
+  for (const file of files) {
+    if (!DOCX_EXTENSION.test(file.name)) {
+      throw new Error(`"${file.name}" is not a Word document (.docx).`);
+    }
+
+    // Images are attached to the note instead of being inlined
+    const convertImage = mammoth.images.imgElement(async (image) => {
+      const extension = image.contentType.split('/')[1]?.replace('jpeg', 'jpg') || 'png';
+      const key = `${file.name}/image-${images.size + 1}.${extension}`;
+      images.set(key, toFile(await image.readAsArrayBuffer(), getBaseName(key)));
+      return { src: importReference('file', key) };
+    });
+
+    const result = await mammoth.convertToHtml(
+      { arrayBuffer: await file.arrayBuffer() },
+      { convertImage }
+    );
+    notes.push({
+      key: file.name,
+      containerName: null,
+      title: file.name.replace(DOCX_EXTENSION, ''),
+      content: turndown.turndown(result.value),
+      whiteboardPages: null,
+    });
+  }
+
+  return { name: null, notes, files: images };
+};
+
+/**
+ * Read the notes of an import source
+ * @param {string} source - IMPORT_SOURCES value
+ * @param {Array<File>} files - Picked files (for Obsidian, the vault folder's files)
+ * @returns {Promise<Object>} { name, notes, files }: a name for the import if the source
+ *   has one (e.g. the vault's), the notes ({ key, containerName, title, content,
+ *   whiteboardPages }), and the files they reference by key
+ */
+export const readImportSource = async (source, files) => {
+  if (files.length === 0) {
+    throw new Error('Pick something to import first.');
+  }
+
+  let result;
+  switch (source) {
+    case IMPORT_SOURCES.OBSIDIAN:
+      result = await readObsidianVault(files);
+      break;
+    case IMPORT_SOURCES.NOTION:
+      result = await readNotionExport(files);
+      break;
+    case IMPORT_SOURCES.DOCX:
+      result = await readWordDocuments(files);
+      break;
+    case IMPORT_SOURCES.MARKDOWN:
+      result = { name: null, notes: await readImportFiles(files), files: new Map() };
+      break;
+    default:
+      throw new Error(`Unsupported import source: ${source}`);
+  }
+
+  if (result.notes.length === 0) {
+    throw new Error('No notes were found to import.');
+  }
+  return result;
+};
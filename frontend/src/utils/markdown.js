@@ -0,0 +1,267 @@
+/**
+ * Markdown rendering for note previews
+ *
+ * Raw HTML in notes is not rendered (html: false), so the output is safe to inject.
+ * Fenced code blocks are highlighted with highlight.js and task list items
+ * ("- [ ] todo") become checkboxes that carry the source line they came from,
+ * so the preview can toggle them in the note text (see toggleTaskInSource in
+ * markdownFormatting.js).
+ * LaTeX between $...$ (inline) or $$...$$ (block) is typeset with KaTeX, which is only
+ * loaded once a note has math in it (see loadMath); until then the LaTeX source is shown.
+ */
+import MarkdownIt from 'markdown-it';
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import css from 'highlight.js/lib/languages/css';
+import go from 'highlight.js/lib/languages/go';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import markdown from 'highlight.js/lib/languages/markdown';
+import python from 'highlight.js/lib/languages/python';
+import rust from 'highlight.js/lib/languages/rust';
+import sql from 'highlight.js/lib/languages/sql';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+// Languages most common in study notes; the core build keeps the bundle small
+const LANGUAGES = {
+  bash,
+  c,
+  cpp,
+  csharp,
+  css,
+  go,
+  java,
+  javascript,
+  json,
+  markdown,
+  python,
+  rust,
+  sql,
+  typescript,
+  xml,
+  yaml,
+};
+
+Object.entries(LANGUAGES).forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+// "[ ] ", "[x] " or "[X] " at the start of a list item
+const TASK_PATTERN = /^\[([ xX])\][ \t]/;
+
+/**
+ * Highlight a fenced code block
+ * @param {string} code - Code block content
+ * @param {string} language - Info string language
+ * @returns {string} Highlighted HTML, or '' to let markdown-it escape the code
+ */
+const highlight = (code, language) => {
+  if (!language || !hljs.getLanguage(language)) return '';
+
+  try {
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * markdown-it plugin turning task list items into checkboxes
+ * @param {MarkdownIt} md - markdown-it instance
+ */
+const taskListPlugin = (md) => {
+  md.core.ruler.after('inline', 'task_list', (state) => {
+    const { tokens } = state;
+
+    tokens.forEach((token, index) => {
+      // list_item_open, paragraph_open, inline
+      if (token.type !== 'inline' || tokens[index - 2]?.type !== 'list_item_open') return;
+
+      const listItem = tokens[index - 2];
+      const firstChild = token.children[0];
+      const match = firstChild?.type === 'text' && firstChild.content.match(TASK_PATTERN);
+      if (!match || !listItem.map) return;
+
+      const checkbox = new state.Token('html_inline', '', 0);
+      checkbox.content =
+        `<input type="checkbox" class="task-list-item-checkbox" data-line="${listItem.map[0]}"` +
+        `${match[1] === ' ' ? '' : ' checked'}> `;
+
+      firstChild.content = firstChild.content.slice(match[0].length);
+      token.children.unshift(checkbox);
+      listItem.attrJoin('class', 'task-list-item');
+    });
+  });
+};
+
+// KaTeX once loadMath has loaded it
+let katex = null;
+let katexLoading = null;
+
+/**
+ * Typeset LaTeX, showing errors inline instead of throwing
+ * @param {string} latex - LaTeX source
+ * @param {boolean} displayMode - Block (true) or inline math
+ * @returns {string} HTML, or the escaped source while KaTeX isn't loaded
+ */
+const renderMath = (latex, displayMode) =>
+  katex
+    ? katex.renderToString(latex, { displayMode, throwOnError: false })
+    : `<code class="math-source">${md.utils.escapeHtml(latex)}</code>`;
+
+/**
+ * Inline rule for $...$
+ * The opening $ must be followed and the closing $ preceded by a non-space, and the
+ * closing $ must not be followed by a digit, so prices like "$5 and $10" stay text
+ * @param {Object} state - markdown-it inline state
+ * @param {boolean} silent - Only check for a match
+ * @returns {boolean} Whether math was found
+ */
+const mathInline = (state, silent) => {
+  const { src, pos } = state;
+  if (src[pos] !== '$' || src[pos + 1] === '$' || /\s/.test(src[pos + 1] || ' ')) {
+    return false;
+  }
+
+  let end = pos + 1;
+  while ((end = src.indexOf('$', end)) !== -1) {
+    if (src[end - 1] !== '\\') break;
+    end++;
+  }
+  if (end === -1 || /\s/.test(src[end - 1]) || /\d/.test(src[end + 1] || '')) {
+    return false;
+  }
+
+  if (!silent) {
+    const token = state.push('math_inline', 'math', 0);
+    token.markup = '$';
+    token.content = src.slice(pos + 1, end);
+  }
+  state.pos = end + 1;
+  return true;
+};
+
+/**
+ * Block rule for $$...$$, on one line or spanning several
+ * @param {Object} state - markdown-it block state
+ * @param {number} startLine - First line to check
+ * @param {number} endLine - Last line of the block
+ * @param {boolean} silent - Only check for a match
+ * @returns {boolean} Whether math was found
+ */
+const mathBlock = (state, startLine, endLine, silent) => {
+  const start = state.bMarks[startLine] + state.tShift[startLine];
+  const max = state.eMarks[startLine];
+  const firstLine = state.src.slice(start, max);
+  if (!firstLine.startsWith('$$')) return false;
+  if (silent) return true;
+
+  let content;
+  let lastLine = startLine;
+  const rest = firstLine.slice(2);
+
+  if (rest.trimEnd().endsWith('$$')) {
+    content = rest.trimEnd().slice(0, -2);
+  } else {
+    const lines = [rest];
+    let found = false;
+    for (lastLine = startLine + 1; lastLine < endLine; lastLine++) {
+      const line = state.src.slice(
+        state.bMarks[lastLine] + state.tShift[lastLine],
+        state.eMarks[lastLine]
+      );
+      if (line.trimEnd().endsWith('$$')) {
+        lines.push(line.trimEnd().slice(0, -2));
+        found = true;
+        break;
+      }
+      lines.push(line);
+    }
+    // Unclosed: leave it to the paragraph rule
+    if (!found) return false;
+    content = lines.join('\n');
+  }
+
+  const token = state.push('math_block', 'math', 0);
+  token.block = true;
+  token.markup = '$$';
+  token.content = content.trim();
+  token.map = [startLine, lastLine + 1];
+  state.line = lastLine + 1;
+  return true;
+};
+
+/**
+ * markdown-it plugin for LaTeX math
+ * @param {MarkdownIt} md - markdown-it instance
+ */
+const mathPlugin = (md) => {
+  md.inline.ruler.after('escape', 'math_inline', mathInline);
+  md.block.ruler.before('fence', 'math_block', mathBlock, {
+    alt: ['paragraph', 'reference', 'blockquote', 'list'],
+  });
+  md.renderer.rules.math_inline = (tokens, index) => renderMath(tokens[index].content, false);
+  md.renderer.rules.math_block = (tokens, index) =>
+    `<div class="math-block">${renderMath(tokens[index].content, true)}</div>\n`;
+};
+
+const md = new MarkdownIt({
+  html: false,
+  linkify: true,
+  highlight,
+})
+  .use(taskListPlugin)
+  .use(mathPlugin);
+
+// Open links outside the app
+const defaultLinkOpen =
+  md.renderer.rules.link_open ||
+  ((tokens, index, options, env, self) => self.renderToken(tokens, index, options));
+
+md.renderer.rules.link_open = (tokens, index, options, env, self) => {
+  tokens[index].attrSet('target', '_blank');
+  tokens[index].attrSet('rel', 'noopener noreferrer');
+  return defaultLinkOpen(tokens, index, options, env, self);
+};
+
+/**
+ * Render note Markdown to HTML
+ * @param {string} source - Markdown source
+ * @returns {string} HTML
+ */
+export const renderMarkdown = (source = '') => md.render(source);
+
+/**
+ * Whether Markdown has math that can't be typeset until loadMath is done
+ * @param {string} source - Markdown source
+ * @returns {boolean} True if KaTeX is needed and not loaded yet
+ */
+export const needsMath = (source = '') =>
+  !katex &&
+  md
+    .parse(source, {})
+    .some(
+      (token) =>
+        token.type === 'math_block' || token.children?.some((child) => child.type === 'math_inline')
+    );
+
+/**
+ * Load KaTeX and its styles, once
+ * @returns {Promise} Resolves when renderMarkdown typesets math
+ */
+export const loadMath = () => {
+  katexLoading ||= Promise.all([import('katex'), import('katex/dist/katex.min.css')])
+    .then(([module]) => {
+      katex = module.default;
+    })
+    .catch((error) => {
+      // Try again next time; math stays as source meanwhile
+      katexLoading = null;
+      throw error;
+    });
+  return katexLoading;
+};
@@ -0,0 +1,211 @@
+/**
+ * Markdown formatting commands for the note editor toolbar and shortcuts
+ *
+ * Each command takes the text and the current selection and returns the new text
+ * and selection, so the editor can apply it as a normal edit.
+ */
+
+export const MARKDOWN_FORMATS = {
+  BOLD: 'bold',
+  ITALIC: 'italic',
+  CODE: 'code',
+  LINK: 'link',
+  HEADING: 'heading',
+  QUOTE: 'quote',
+  BULLET_LIST: 'bulletList',
+  NUMBERED_LIST: 'numberedList',
+  TASK_LIST: 'taskList',
+  CODE_BLOCK: 'codeBlock',
+  TABLE: 'table',
+};
+
+// Inline formats: marker placed on both sides of the selection
+const WRAPPERS = {
+  [MARKDOWN_FORMATS.BOLD]: { marker: '**', placeholder: 'bold text' },
+  [MARKDOWN_FORMATS.ITALIC]: { marker: '_', placeholder: 'italic text' },
+  [MARKDOWN_FORMATS.CODE]: { marker: '`', placeholder: 'code' },
+};
+
+// Any list marker, so switching list styles replaces the marker instead of stacking them
+const LIST_MARKER = /^(?:[-*+] \[[ xX]\] |[-*+] |\d+[.)] )/;
+
+// A task marker in a source line, after the list bullet
+const TASK_SOURCE_PATTERN = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\])/;
+
+// Line formats: prefix added to (or removed from) every selected line.
+// `replaces` is stripped before the prefix is added.
+const LINE_PREFIXES = {
+  [MARKDOWN_FORMATS.HEADING]: { prefix: () => '## ', pattern: /^#{1,6} /, replaces: /^#{1,6} / },
+  [MARKDOWN_FORMATS.QUOTE]: { prefix: () => '> ', pattern: /^> ?/ },
+  [MARKDOWN_FORMATS.BULLET_LIST]: {
+    prefix: () => '- ',
+    pattern: /^[-*+] (?!\[[ xX]\] )/,
+    replaces: LIST_MARKER,
+  },
+  [MARKDOWN_FORMATS.NUMBERED_LIST]: {
+    prefix: (index) => `${index + 1}. `,
+    pattern: /^\d+[.)] /,
+    replaces: LIST_MARKER,
+  },
+  [MARKDOWN_FORMATS.TASK_LIST]: {
+    prefix: () => '- [ ] ',
+    pattern: /^[-*+] \[[ xX]\] /,
+    replaces: LIST_MARKER,
+  },
+};
+
+const TABLE_TEMPLATE = '| Column 1 | Column 2 |\n| -------- | -------- |\n| Cell     | Cell     |';
+
+/**
+ * Wrap the selection in an inline marker, or unwrap it if it is already wrapped
+ * @param {string} text - Note content
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {Object} wrapper - Entry of WRAPPERS
+ * @returns {Object} { text, selectionStart, selectionEnd }
+ */
+const toggleWrap = (text, start, end, { marker, placeholder }) => {
+  const before = text.slice(0, start);
+  const after = text.slice(end);
+
+  if (before.endsWith(marker) && after.startsWith(marker)) {
+    return {
+      text: before.slice(0, -marker.length) + text.slice(start, end) + after.slice(marker.length),
+      selectionStart: start - marker.length,
+      selectionEnd: end - marker.length,
+    };
+  }
+
+  const selected = text.slice(start, end) || placeholder;
+  return {
+    text: before + marker + selected + marker + after,
+    selectionStart: start + marker.length,
+    selectionEnd: start + marker.length + selected.length,
+  };
+};
+
+/**
+ * Add a prefix to every line touched by the selection, or remove it if all lines have it
+ * @param {string} text - Note content
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {Object} linePrefix - Entry of LINE_PREFIXES
+ * @returns {Object} { text, selectionStart, selectionEnd }
+ */
+const toggleLinePrefix = (text, start, end, { prefix, pattern, replaces }) => {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const nextBreak = text.indexOf('\n', end > start && text[end - 1] === '\n' ? end - 1 : end);
+  const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+
+  const lines = text.slice(lineStart, lineEnd).split('\n');
+  const remove = lines.every((line) => pattern.test(line));
+  const updated = lines
+    .map((line, i) => {
+      if (remove) return line.replace(pattern, '');
+      return prefix(i) + (replaces ? line.replace(replaces, '') : line);
+    })
+    .join('\n');
+
+  const block = text.slice(lineStart, lineEnd);
+  const delta = updated.length - block.length;
+
+  if (start === end) {
+    const caret = Math.max(lineStart, start + delta);
+    return {
+      text: text.slice(0, lineStart) + updated + text.slice(lineEnd),
+      selectionStart: caret,
+      selectionEnd: caret,
+    };
+  }
+
+  return {
+    text: text.slice(0, lineStart) + updated + text.slice(lineEnd),
+    selectionStart: lineStart,
+    selectionEnd: lineStart + updated.length,
+  };
+};
+
+/**
+ * Insert a block on its own lines, replacing the selection
+ * @param {string} text - Note content
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @param {string} block - Block to insert
+ * @param {number} selectOffset - Start of the selection to place inside the block
+ * @param {number} selectLength - Length of that selection
+ * @returns {Object} { text, selectionStart, selectionEnd }
+ */
+const insertBlock = (text, start, end, block, selectOffset = 0, selectLength = 0) => {
+  const before = text.slice(0, start);
+  const after = text.slice(end);
+  const lead =
+    before === '' || before.endsWith('\n\n') ? '' : before.endsWith('\n') ? '\n' : '\n\n';
+  const trail =
+    after === '' || after.startsWith('\n\n') ? '' : after.startsWith('\n') ? '\n' : '\n\n';
+  const blockStart = before.length + lead.length;
+
+  return {
+    text: before + lead + block + trail + after,
+    selectionStart: blockStart + selectOffset,
+    selectionEnd: blockStart + selectOffset + selectLength,
+  };
+};
+
+/**
+ * Apply a formatting command to the selected text
+ * @param {string} format - One of MARKDOWN_FORMATS
+ * @param {string} text - Current note content
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @returns {Object} { text, selectionStart, selectionEnd }
+ */
+export const applyMarkdownFormat = (format, text, start, end) => {
+  if (WRAPPERS[format]) {
+    return toggleWrap(text, start, end, WRAPPERS[format]);
+  }
+
+  if (LINE_PREFIXES[format]) {
+    return toggleLinePrefix(text, start, end, LINE_PREFIXES[format]);
+  }
+
+  if (format === MARKDOWN_FORMATS.LINK) {
+    const label = text.slice(start, end) || 'link text';
+    const inserted = `[${label}](https://)`;
+    // Select the URL so it can be typed over
+    const urlStart = start + label.length + 3;
+    return {
+      text: text.slice(0, start) + inserted + text.slice(end),
+      selectionStart: urlStart,
+      selectionEnd: urlStart + 'https://'.length,
+    };
+  }
+
+  if (format === MARKDOWN_FORMATS.CODE_BLOCK) {
+    const code = text.slice(start, end) || 'code';
+    return insertBlock(text, start, end, '```\n' + code + '\n```', 4, code.length);
+  }
+
+  if (format === MARKDOWN_FORMATS.TABLE) {
+    return insertBlock(text, start, end, TABLE_TEMPLATE, 2, 'Column 1'.length);
+  }
+
+  return { text, selectionStart: start, selectionEnd: end };
+};
+
+/**
+ * Check or uncheck the task list item on a source line
+ * @param {string} source - Markdown source
+ * @param {number} line - Zero-based line index (data-line of the checkbox)
+ * @returns {string} Updated source, unchanged if the line is not a task item
+ */
+export const toggleTaskInSource = (source, line) => {
+  const lines = source.split('\n');
+  const match = lines[line]?.match(TASK_SOURCE_PATTERN);
+  if (!match) return source;
+
+  lines[line] = lines[line].replace(
+    TASK_SOURCE_PATTERN,
+    (_, open, mark, close) => `${open}${mark === ' ' ? 'x' : ' '}${close}`
+  );
+  return lines.join('\n');
+};
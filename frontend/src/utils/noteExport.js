@@ -0,0 +1,342 @@
+/**
+ * Note export
+ *
+ * A note exports to Markdown, HTML or PDF: its text, followed by a "Whiteboard" section
+ * with an image of every whiteboard page that has something drawn on it. Containers
+ * and whole instances export to a ZIP bundle with a folder per instance and container:
+ *
+ *   Instance/Container/Note.md                  text, linking the images below
+ *   Instance/Container/Note.whiteboard.json     whiteboard pages, so imports restore them
+ *   Instance/Container/assets/Note - Page 1.png
+ *
+ * In Markdown the whiteboard section starts with NOTE_TRANSFER.WHITEBOARD_MARKER, so that
+ * importing the file again (see noteImport.js) keeps the images out of the note text.
+ */
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+import codeStyles from 'highlight.js/styles/github.css?inline';
+import notesApi from '../api/notesApi';
+import { NOTE_TRANSFER, WHITEBOARD_EXPORT } from './constants';
+import { renderMarkdown, loadMath } from './markdown';
+import { getWhiteboardPages } from './whiteboardPages';
+import { renderBoardImage } from './whiteboardExport';
+
+// Folder of the whiteboard images, next to the notes in a bundle
+const ASSETS_FOLDER = 'assets';
+
+// Width the note is laid out at before it is scaled onto a PDF page (px)
+const PDF_LAYOUT_WIDTH = 720;
+
+// Styles of exported notes; scoped, since PDFs are rendered inside the app
+const NOTE_STYLES = `
+.note-export { color: #1f2937; font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; font-size: 15px; line-height: 1.6; }
+.note-export h1, .note-export h2, .note-export h3 { line-height: 1.25; margin: 1.2em 0 0.5em; }
+.note-export img { max-width: 100%; }
+.note-export pre { background: #f6f8fa; border-radius: 6px; overflow-x: auto; padding: 12px; }
+.note-export code { font-family: ui-monospace, 'SFMono-Regular', Menlo, monospace; font-size: 0.9em; }
+.note-export blockquote { border-left: 4px solid #d1d5db; color: #4b5563; margin: 0; padding-left: 1em; }
+.note-export table { border-collapse: collapse; }
+.note-export th, .note-export td { border: 1px solid #d1d5db; padding: 4px 8px; }
+.note-export .math-block { margin: 1em 0; overflow-x: auto; text-align: center; }
+.note-export figure { margin: 1em 0; }
+.note-export figcaption { color: #6b7280; font-size: 0.85em; }
+`;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeHTML = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+/**
+ * Turn a note, container or instance name into a file or folder name
+ * @param {string} name - Name
+ * @returns {string} Name without characters file systems reject
+ */
+const toFileName = (name) => {
+  const cleaned = (name || '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+    .trim()
+    .slice(0, NOTE_TRANSFER.FILE_NAME_MAX_LENGTH)
+    .replace(/[. ]+$/, '');
+  return cleaned || 'Untitled';
+};
+
+/**
+ * A file name not used yet in a folder, numbering repeats ("Note (2)")
+ * @param {string} name - Wanted name
+ * @param {Set} used - Names used so far, lower case (updated)
+ * @returns {string} Unique name
+ */
+const claimFileName = (name, used) => {
+  let candidate = name;
+  for (let count = 2; used.has(candidate.toLowerCase()); count++) {
+    candidate = `${name} (${count})`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Download a file
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Filename
+ */
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Bytes of a data URL
+ * @param {string} dataURL - Base64 data URL
+ * @returns {Uint8Array} Decoded bytes
+ */
+const dataURLToBytes = (dataURL) =>
+  Uint8Array.from(atob(dataURL.slice(dataURL.indexOf(',') + 1)), (char) => char.charCodeAt(0));
+
+/**
+ * Whether a whiteboard page has anything on it
+ * @param {Object} page - Page ({ data })
+ * @returns {boolean}
+ */
+const hasDrawing = (page) => page.data?.objects?.length > 0;
+
+/**
+ * A note's whiteboard pages with their latest drawings
+ * @param {Object} note - Note
+ * @returns {Promise<Array>} Pages ({ id, name, data })
+ */
+const loadNotePages = (note) =>
+  Promise.all(
+    getWhiteboardPages(note).map(async (page) => {
+      const response = await notesApi.getWhiteboardPage(note.id, page.id);
+      return { ...page, ...response.data };
+    })
+  );
+
+/**
+ * Images of the drawn whiteboard pages
+ * @param {Array} pages - Pages with their drawings
+ * @returns {Promise<Array>} Images ({ name, src }) with PNG data URLs
+ */
+const renderWhiteboardImages = async (pages) => {
+  const images = [];
+  // One page at a time, so only one off-screen canvas exists at once
+  for (const page of pages.filter(hasDrawing)) {
+    images.push({
+      name: page.name,
+      src: await renderBoardImage(page.data, { dpi: WHITEBOARD_EXPORT.DEFAULT_DPI }),
+    });
+  }
+  return images;
+};
+
+/**
+ * Markdown of a note
+ * @param {Object} note - Note
+ * @param {Array} images - Whiteboard images ({ name, src })
+ * @returns {string} Markdown
+ */
+const buildMarkdown = (note, images) => {
+  const text = (note.content || '').trimEnd();
+  if (images.length === 0) return `${text}\n`;
+
+  const whiteboard = images.map(({ name, src }) => `### ${name}\n\n![${name}](${src})`);
+  return (
+    [text, NOTE_TRANSFER.WHITEBOARD_MARKER, '## Whiteboard', ...whiteboard].join('\n\n') + '\n'
+  );
+};
+
+/**
+ * HTML of a note, without the surrounding document
+ * @param {Object} note - Note
+ * @param {Array} images - Whiteboard images ({ name, src })
+ * @returns {string} HTML
+ */
+const buildNoteHTML = (note, images) => {
+  const whiteboard =
+    images.length > 0
+      ? `<section class="whiteboard"><h2>Whiteboard</h2>${images
+          .map(
+            ({ name, src }) =>
+              `<figure><img src="${src}" alt="${escapeHTML(name)}"><figcaption>${escapeHTML(name)}</figcaption></figure>`
+          )
+          .join('')}</section>`
+      : '';
+  return `<article class="note-export">${renderMarkdown(note.content || '')}${whiteboard}</article>`;
+};
+
+/**
+ * Standalone HTML document of a note
+ * KaTeX's stylesheet is linked rather than embedded, since it needs KaTeX's fonts.
+ * @param {Object} note - Note
+ * @param {Array} images - Whiteboard images ({ name, src })
+ * @returns {string} HTML document
+ */
+const buildHTMLDocument = (note, images) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(note.title || 'Untitled')}</title>
+<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css">
+<style>
+body { margin: 2rem auto; max-width: 800px; padding: 0 1rem; }
+${NOTE_STYLES}
+${codeStyles}
+</style>
+</head>
+<body>
+${buildNoteHTML(note, images)}
+</body>
+</html>
+`;
+
+/**
+ * Download a note as PDF
+ * The note is laid out as HTML and rendered page by page, so text stays selectable.
+ * jsPDF is loaded on first use.
+ * @param {Object} note - Note
+ * @param {Array} images - Whiteboard images ({ name, src })
+ * @param {string} filename - Filename
+ */
+const downloadPDF = async (note, images, filename) => {
+  const { jsPDF } = await import('jspdf');
+  const { PAPER_SIZE, PAPER_MARGIN } = WHITEBOARD_EXPORT;
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+
+  await doc.html(`<style>${NOTE_STYLES}${codeStyles}</style>${buildNoteHTML(note, images)}`, {
+    margin: PAPER_MARGIN,
+    autoPaging: 'text',
+    width: PAPER_SIZE[0] - PAPER_MARGIN * 2,
+    windowWidth: PDF_LAYOUT_WIDTH,
+  });
+  doc.save(filename);
+};
+
+/**
+ * Export a note as Markdown, HTML or PDF, with images of its whiteboard pages
+ * Markdown and HTML embed the images, so the file stands on its own.
+ * @param {Object} note - Note
+ * @param {string} format - Export format ('markdown', 'html' or 'pdf')
+ */
+export const exportNote = async (note, format) => {
+  // HTML and PDF exports typeset the note's math
+  await loadMath();
+  const images = await renderWhiteboardImages(await loadNotePages(note));
+  const name = toFileName(note.title);
+
+  switch (format) {
+    case 'markdown':
+      downloadBlob(
+        new Blob([buildMarkdown(note, images)], { type: 'text/markdown' }),
+        `${name}.md`
+      );
+      break;
+    case 'html':
+      downloadBlob(
+        new Blob([buildHTMLDocument(note, images)], { type: 'text/html' }),
+        `${name}.html`
+      );
+      break;
+    case 'pdf':
+      await downloadPDF(note, images, `${name}.pdf`);
+      break;
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+};
+
+/**
+ * Add a container's notes to a bundle
+ * @param {Object} files - Bundle files by path (updated)
+ * @param {string} folder - Container folder path
+ * @param {Array} notes - The container's notes
+ */
+const addNotesToBundle = async (files, folder, notes) => {
+  const { strToU8 } = await import('fflate');
+  const usedNames = new Set();
+  const usedImageNames = new Set();
+
+  for (const note of notes) {
+    const name = claimFileName(toFileName(note.title), usedNames);
+    const pages = await loadNotePages(note);
+    const images = [];
+
+    for (const page of pages.filter(hasDrawing)) {
+      const imageName = claimFileName(toFileName(`${name} - ${page.name}`), usedImageNames);
+      const imagePath = `${ASSETS_FOLDER}/${imageName}.png`;
+      files[`${folder}/${imagePath}`] = dataURLToBytes(
+        await renderBoardImage(page.data, { dpi: WHITEBOARD_EXPORT.DEFAULT_DPI })
+      );
+      images.push({ name: page.name, src: encodeURI(imagePath) });
+    }
+
+    files[`${folder}/${name}.md`] = strToU8(buildMarkdown(note, images));
+    if (images.length > 0) {
+      const whiteboard = { pages: pages.map((page) => ({ name: page.name, data: page.data })) };
+      files[`${folder}/${name}${NOTE_TRANSFER.WHITEBOARD_FILE_SUFFIX}`] = strToU8(
+        JSON.stringify(whiteboard, null, 2)
+      );
+    }
+  }
+};
+
+/**
+ * Download containers as a ZIP bundle with a folder per container
+ * fflate is loaded on first use.
+ * @param {Object} instance - Instance the containers belong to
+ * @param {Array} containers - Containers to export
+ * @param {string} filename - Filename
+ */
+const downloadBundle = async (instance, containers, filename) => {
+  const instanceFolder = toFileName(instance?.name);
+  const usedFolders = new Set();
+  const files = {};
+
+  for (const container of containers) {
+    const response = await notesApi.getByContainer(container.id);
+    const folder = claimFileName(toFileName(container.name), usedFolders);
+    await addNotesToBundle(files, `${instanceFolder}/${folder}`, response.data || []);
+  }
+
+  if (Object.keys(files).length === 0) {
+    throw new Error('There are no notes to export.');
+  }
+  const { zipSync } = await import('fflate');
+  downloadBlob(new Blob([zipSync(files)], { type: 'application/zip' }), filename);
+};
+
+/**
+ * Export every note of a container as a ZIP bundle
+ * @param {Object} instance - Instance the container belongs to
+ * @param {Object} container - Container
+ */
+export const exportContainer = (instance, container) =>
+  downloadBundle(
+    instance,
+    [container],
+    `${toFileName(instance?.name)} - ${toFileName(container.name)}.zip`
+  );
+
+/**
+ * Export every note of an instance as a ZIP bundle
+ * @param {Object} instance - Instance
+ * @param {Array} containers - The instance's containers
+ */
+export const exportInstance = (instance, containers) =>
+  downloadBundle(instance, containers, `${toFileName(instance?.name)}.zip`);
@@ -0,0 +1,344 @@
+/**
+ * Note import
+ *
+ * Reads Markdown files and ZIP bundles into notes and creates them. In a bundle, each
+ * note goes into a container named after the folder it is in, so bundles exported by
+ * noteExport.js come back with the same containers; notes outside any folder, and
+ * loose Markdown files, go into the container chosen by the caller. A note's
+ * "Note.whiteboard.json" in a bundle restores its whiteboard pages, and the whiteboard
+ * images exports add to the text are left out of it. Other tools' exports are read by
+ * importSources.js into the same note shape.
+ *
+ * Links to other imported notes and to imported files only get their address once
+ * those exist, so readers write them as references (see importReference): created
+ * notes with references get them replaced by app links and uploaded attachments.
+ */
+import { strFromU8, unzipSync } from 'fflate';
+import notesApi from '../api/notesApi';
+import { ATTACHMENT_LIMITS, IMPORT_CONFLICT_POLICIES, NOTE_TRANSFER } from './constants';
+import { getWhiteboardPages } from './whiteboardPages';
+
+const MARKDOWN_EXTENSION = /\.(md|markdown)$/i;
+const ZIP_EXTENSION = /\.zip$/i;
+
+// Markdown link or image whose target is a reference; groups: "!", text, kind, key
+const REFERENCE_LINK = /(!?)\[([^\]]*)\]\(import-(note|file):([^)\s]+)\)/g;
+
+/**
+ * Whether a path is operating system or app clutter (e.g. "__MACOSX/", ".DS_Store",
+ * ".obsidian/")
+ * @param {string} path - Path of a file in a bundle or folder
+ * @returns {boolean}
+ */
+export const isIgnoredPath = (path) =>
+  path.split('/').some((part) => part.startsWith('.') || part === '__MACOSX');
+
+/**
+ * Link target standing for an imported note or file until it exists
+ * @param {string} kind - 'note' (key of an imported note) or 'file' (key in the
+ *   import's files)
+ * @param {string} key - Note or file key
+ * @returns {string} Reference, usable as a Markdown link target
+ */
+export const importReference = (kind, key) =>
+  `import-${kind}:${encodeURIComponent(key).replace(/\(/g, '%28').replace(/\)/g, '%29')}`;
+
+/**
+ * Note text without the whiteboard images added by exports
+ * @param {string} content - Markdown
+ * @returns {string} Markdown
+ */
+const stripWhiteboardSection = (content) => {
+  const index = content.indexOf(NOTE_TRANSFER.WHITEBOARD_MARKER);
+  return index === -1 ? content : `${content.slice(0, index).trimEnd()}\n`;
+};
+
+/**
+ * Whiteboard pages saved next to a note in a bundle
+ * @param {Uint8Array} bytes - Contents of the whiteboard file
+ * @returns {Array|null} Pages ({ name, data }), null if the file can't be read
+ */
+const parseWhiteboardFile = (bytes) => {
+  try {
+    const { pages } = JSON.parse(strFromU8(bytes));
+    if (!Array.isArray(pages)) return null;
+    return pages
+      .filter((page) => typeof page?.name === 'string')
+      .map(({ name, data }) => ({ name, data: data || null }));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Notes in a ZIP bundle
+ * @param {File} file - ZIP file
+ * @returns {Promise<Array>} Notes (see readImportFiles)
+ */
+const readBundle = async (file) => {
+  const entries = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+    filter: (entry) => !isIgnoredPath(entry.name),
+  });
+
+  return Object.keys(entries)
+    .filter((path) => MARKDOWN_EXTENSION.test(path))
+    .map((path) => {
+      const parts = path.split('/');
+      const whiteboardFile =
+        entries[path.replace(MARKDOWN_EXTENSION, NOTE_TRANSFER.WHITEBOARD_FILE_SUFFIX)];
+
+      return {
+        key: `${file.name}/${path}`,
+        containerName: parts.length > 1 ? parts[parts.length - 2] : null,
+        title: parts[parts.length - 1].replace(MARKDOWN_EXTENSION, ''),
+        content: stripWhiteboardSection(strFromU8(entries[path])),
+        whiteboardPages: whiteboardFile ? parseWhiteboardFile(whiteboardFile) : null,
+      };
+    });
+};
+
+/**
+ * Read the notes in files picked for import
+ * @param {Array<File>} files - Markdown files and ZIP bundles
+ * @returns {Promise<Array>} Notes to create ({ key, containerName, title, content,
+ *   whiteboardPages }); key identifies the note within the import, and containerName
+ *   is null for notes outside any folder
+ */
+export const readImportFiles = async (files) => {
+  const notes = [];
+
+  for (const file of files) {
+    if (ZIP_EXTENSION.test(file.name)) {
+      notes.push(...(await readBundle(file)));
+    } else if (MARKDOWN_EXTENSION.test(file.name)) {
+      notes.push({
+        key: file.name,
+        containerName: null,
+        title: file.name.replace(MARKDOWN_EXTENSION, ''),
+        content: stripWhiteboardSection(await file.text()),
+        whiteboardPages: null,
+      });
+    } else {
+      throw new Error(`"${file.name}" is not a Markdown file or ZIP bundle.`);
+    }
+  }
+
+  if (notes.length === 0) {
+    throw new Error('No Markdown notes were found to import.');
+  }
+  return notes;
+};
+
+/**
+ * Decide what happens to each note, without creating anything (a dry run)
+ * Titles are compared without case, against existing notes and earlier notes of the
+ * import.
+ * @param {Array} notes - Notes to import
+ * @param {Array} existingNotes - Notes that already exist
+ * @param {string} policy - IMPORT_CONFLICT_POLICIES value for taken titles
+ * @returns {Array} The notes with a `status` ('new', 'renamed' or 'skipped') and
+ *   `originalTitle`; renamed notes get a free title ("Title (2)"), and skipped ones the
+ *   `existingNote` with their title, which links to them lead to instead
+ */
+export const planImport = (notes, existingNotes, policy) => {
+  const existingByTitle = new Map(existingNotes.map((note) => [note.title.toLowerCase(), note]));
+  const taken = new Set(existingByTitle.keys());
+
+  return notes.map((note) => {
+    const key = note.title.toLowerCase();
+    if (!taken.has(key)) {
+      taken.add(key);
+      return { ...note, originalTitle: note.title, status: 'new' };
+    }
+
+    if (policy === IMPORT_CONFLICT_POLICIES.SKIP) {
+      return {
+        ...note,
+        originalTitle: note.title,
+        status: 'skipped',
+        existingNote: existingByTitle.get(key) || null,
+      };
+    }
+
+    let count = 2;
+    while (taken.has(`${key} (${count})`)) count++;
+    taken.add(`${key} (${count})`);
+    return {
+      ...note,
+      originalTitle: note.title,
+      title: `${note.title} (${count})`,
+      status: 'renamed',
+    };
+  });
+};
+
+/**
+ * Whether a file can be attached to a note
+ * @param {File} file - File
+ * @returns {boolean}
+ */
+const isAttachable = (file) =>
+  (ATTACHMENT_LIMITS.IMAGE_TYPES.includes(file.type) || file.type === ATTACHMENT_LIMITS.PDF_TYPE) &&
+  file.size <= ATTACHMENT_LIMITS.MAX_SIZE;
+
+/**
+ * Give a new note the whiteboard pages it was exported with
+ * @param {Object} note - Created note
+ * @param {Array} pages - Pages ({ name, data })
+ */
+const restoreWhiteboard = async (note, pages) => {
+  const [firstPage, ...otherPages] = pages;
+
+  // A new note already has one empty page
+  await notesApi.updateWhiteboardPage(note.id, getWhiteboardPages(note)[0].id, firstPage);
+  for (const page of otherPages) {
+    await notesApi.createWhiteboardPage(note.id, page);
+  }
+};
+
+/**
+ * Replace the references in a created note's text
+ * Links to notes that weren't imported keep only their text, and files that can't be
+ * attached are left out.
+ * @param {Object} note - Created note
+ * @param {Object} context - { instanceId, notesByKey, files }
+ * @returns {Promise<string>} Text with app links and attachment URLs
+ */
+const resolveReferences = async (note, { instanceId, notesByKey, files }) => {
+  const uploads = new Map();
+  for (const [, , , kind, encodedKey] of note.content.matchAll(REFERENCE_LINK)) {
+    const key = decodeURIComponent(encodedKey);
+    const file = files.get(key);
+    if (kind === 'file' && file && isAttachable(file) && !uploads.has(key)) {
+      const response = await notesApi.uploadAttachment(note.id, file);
+      uploads.set(key, response.data.url);
+    }
+  }
+
+  return note.content.replace(REFERENCE_LINK, (match, bang, text, kind, encodedKey) => {
+    const key = decodeURIComponent(encodedKey);
+    if (kind === 'file') {
+      return uploads.has(key) ? `${bang}[${text}](${uploads.get(key)})` : text;
+    }
+
+    const target = notesByKey.get(key);
+    return target
+      ? `[${text}](/instance/${instanceId}/container/${target.containerId}/note/${target.id})`
+      : text;
+  });
+};
+
+/**
+ * Create imported notes
+ * Containers are matched by name, and created when the instance has none by that name.
+ * Links between the notes and files they use are restored once all notes exist. One
+ * note failing doesn't stop the others.
+ * @param {Array} notes - Notes from readImportFiles or importSources, optionally
+ *   planned (planImport); skipped notes aren't created
+ * @param {Object} options - Where the notes go
+ * @param {string} options.instanceId - Instance to import into
+ * @param {Array} options.containers - The instance's containers
+ * @param {string} options.containerId - Container for notes outside any folder (optional)
+ * @param {string} options.defaultContainerName - Name of the container created for
+ *   notes outside any folder when no containerId is given (defaults to
+ *   NOTE_TRANSFER.DEFAULT_CONTAINER_NAME)
+ * @param {Function} options.createContainer - Creates a container, as
+ *   useInstanceStore.createContainer (instanceId, name)
+ * @param {Map} options.files - Files referenced by the notes, by key
+ * @param {Function} options.onProgress - Called with the number of notes done and the
+ *   number to create
+ * @returns {Promise<Object>} { imported, skipped, failed } with the created notes, the
+ *   skipped notes and the notes that failed ({ title, error })
+ */
+export const importNotes = async (
+  notes,
+  {
+    instanceId,
+    containers = [],
+    containerId = null,
+    defaultContainerName = NOTE_TRANSFER.DEFAULT_CONTAINER_NAME,
+    createContainer,
+    files = new Map(),
+    onProgress,
+  }
+) => {
+  const containerIds = new Map(
+    containers.map((container) => [container.name.toLowerCase(), container.id])
+  );
+
+  const getContainerId = async (name) => {
+    if (!name && containerId) return containerId;
+
+    const containerName = name || defaultContainerName;
+    const key = containerName.toLowerCase();
+    if (!containerIds.has(key)) {
+      const result = await createContainer(instanceId, containerName);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      containerIds.set(key, result.container.id);
+    }
+    return containerIds.get(key);
+  };
+
+  const skipped = notes.filter((note) => note.status === 'skipped');
+  const toCreate = notes.filter((note) => note.status !== 'skipped');
+  // Where links to each imported note lead: the created note, or the existing one
+  const notesByKey = new Map(
+    skipped.filter((note) => note.existingNote).map((note) => [note.key, note.existingNote])
+  );
+  const created = [];
+  const failed = [];
+
+  for (const [
+    index,
+    { key, containerName, title, content, whiteboardPages },
+  ] of toCreate.entries()) {
+    try {
+      const response = await notesApi.create({
+        containerId: await getContainerId(containerName),
+        title,
+        content,
+        whiteboardData: null,
+      });
+      const note = response.data;
+
+      if (whiteboardPages?.length > 0) {
+        await restoreWhiteboard(note, whiteboardPages);
+      }
+      created.push(note);
+      notesByKey.set(key, note);
+    } catch (error) {
+      failed.push({
+        title,
+        error: error.response?.data?.message || error.message || 'Failed to import note.',
+      });
+    }
+    onProgress?.(index + 1, toCreate.length);
+  }
+
+  // Now every imported note has an address
+  const imported = [];
+  for (const note of created) {
+    if (!note.content.includes('](import-')) {
+      imported.push(note);
+      continue;
+    }
+
+    try {
+      const content = await resolveReferences(note, { instanceId, notesByKey, files });
+      const response = await notesApi.update(note.id, { content });
+      imported.push(response.data || { ...note, content });
+    } catch (error) {
+      imported.push(note);
+      failed.push({
+        title: note.title,
+        error: `Imported, but its links and images couldn't be restored (${
+          error.response?.data?.message || error.message
+        }).`,
+      });
+    }
+  }
+
+  return { imported, skipped, failed };
+};
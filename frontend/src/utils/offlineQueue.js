@@ -0,0 +1,231 @@
+/**
+ * Persistent outbound queue for changes made while offline
+ *
+ * Entries are stored in IndexedDB so they survive a reload and are replayed in the
+ * order they were queued (see useNoteStore.flushOfflineQueue). Falls back to an
+ * in-memory queue when IndexedDB is unavailable (e.g. private browsing in some browsers).
+ *
+ * Entry shapes:
+ * - { type: 'createNote', noteId, payload }           noteId is a temporary local ID
+ * - { type: 'updateNote', noteId, payload, base }     base = { content, updatedAt } last seen on the server
+ * - { type: 'drawUpdate', noteId, payload }           payload = { pageId, operations, clientId }
+ * - { type: 'updatePage', noteId, pageId, payload }   payload = { data } of a whiteboard page
+ */
+import { queueObjectOperations } from './whiteboardObjects';
+
+const DB_NAME = 'colabnotes-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbound';
+
+export const QUEUE_ENTRY_TYPES = {
+  CREATE_NOTE: 'createNote',
+  UPDATE_NOTE: 'updateNote',
+  DRAW_UPDATE: 'drawUpdate',
+  UPDATE_PAGE: 'updatePage',
+};
+
+/**
+ * Check whether a failed request failed because we could not reach the server
+ * @param {Object} error - Axios error
+ * @returns {boolean} True for network errors and timeouts
+ */
+export const isOfflineError = (error) =>
+  (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+  (Boolean(error?.isAxiosError) && !error.response);
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise} Request result
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+class OfflineQueue {
+  constructor() {
+    this.dbPromise = null;
+    this.memoryEntries = [];
+    this.nextMemoryId = 1;
+    this.listeners = new Set();
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Open (once) the IndexedDB database
+   * @returns {Promise<IDBDatabase|null>} Database, or null to use the in-memory queue
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      if (typeof indexedDB === 'undefined') {
+        this.dbPromise = Promise.resolve(null);
+      } else {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        this.dbPromise = promisify(request).catch((error) => {
+          console.warn('Offline queue: IndexedDB unavailable, keeping changes in memory', error);
+          return null;
+        });
+      }
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the object store and returns a request
+   * @returns {Promise} Request result, or undefined when IndexedDB is unavailable
+   */
+  async withStore(mode, callback) {
+    const db = await this.openDatabase();
+    if (!db) return undefined;
+    return promisify(callback(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  }
+
+  /**
+   * Get all queued entries, oldest first
+   * @returns {Promise<Array>} Queue entries
+   */
+  async getAll() {
+    const entries = await this.withStore('readonly', (store) => store.getAll());
+    return entries ?? [...this.memoryEntries];
+  }
+
+  /**
+   * Write an entry (insert when it has no id yet)
+   * @param {Object} entry - Queue entry
+   */
+  async put(entry) {
+    const db = await this.openDatabase();
+    if (db) {
+      await this.withStore('readwrite', (store) => store.put(entry));
+      return;
+    }
+
+    if (entry.id === undefined) {
+      this.memoryEntries.push({ ...entry, id: this.nextMemoryId++ });
+    } else {
+      this.memoryEntries = this.memoryEntries.map((e) => (e.id === entry.id ? entry : e));
+    }
+  }
+
+  /**
+   * Queue a change, folding it into an earlier entry for the same note when possible
+   * - updates to a note that is still waiting to be created extend the create
+   * - consecutive updates to the same note are merged, keeping the oldest base version
+   * - drawing operations for the same whiteboard page are merged per object
+   * - saves of the same whiteboard page are replaced by the newest one
+   * @param {Object} entry - Entry without id (see shapes above)
+   * @returns {Promise} Resolves once the entry is stored
+   */
+  enqueue(entry) {
+    // Serialize enqueues so two quick changes can't both miss each other's entry
+    const task = this.writeChain.then(() => this.addOrMerge(entry));
+    this.writeChain = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Store an entry or fold it into a matching one (see enqueue)
+   * @param {Object} entry - Entry without id
+   */
+  async addOrMerge(entry) {
+    const entries = await this.getAll();
+    // Entries being replayed right now are left alone; the new change queues up behind them
+    const sameNote = entries.filter((e) => e.noteId === entry.noteId && !e.sending);
+
+    const pendingCreate = sameNote.find((e) => e.type === QUEUE_ENTRY_TYPES.CREATE_NOTE);
+    const pendingUpdate = sameNote.find((e) => e.type === QUEUE_ENTRY_TYPES.UPDATE_NOTE);
+    const pendingDraw = sameNote.find(
+      (e) => e.type === QUEUE_ENTRY_TYPES.DRAW_UPDATE && e.payload.pageId === entry.payload.pageId
+    );
+    const pendingPageSave = sameNote.find(
+      (e) => e.type === QUEUE_ENTRY_TYPES.UPDATE_PAGE && e.pageId === entry.pageId
+    );
+
+    if (entry.type === QUEUE_ENTRY_TYPES.UPDATE_NOTE && (pendingCreate || pendingUpdate)) {
+      const target = pendingCreate || pendingUpdate;
+      await this.put({ ...target, payload: { ...target.payload, ...entry.payload } });
+    } else if (entry.type === QUEUE_ENTRY_TYPES.DRAW_UPDATE && pendingDraw) {
+      await this.put({
+        ...pendingDraw,
+        payload: {
+          ...entry.payload,
+          operations: queueObjectOperations(
+            pendingDraw.payload.operations,
+            entry.payload.operations
+          ),
+        },
+      });
+    } else if (entry.type === QUEUE_ENTRY_TYPES.UPDATE_PAGE && pendingPageSave) {
+      await this.put({ ...pendingPageSave, payload: entry.payload });
+    } else {
+      await this.put({ ...entry, queuedAt: new Date().toISOString() });
+    }
+
+    await this.notify();
+  }
+
+  /**
+   * Remove a replayed entry
+   * @param {number} id - Entry ID
+   */
+  async remove(id) {
+    const db = await this.openDatabase();
+    if (db) {
+      await this.withStore('readwrite', (store) => store.delete(id));
+    } else {
+      this.memoryEntries = this.memoryEntries.filter((e) => e.id !== id);
+    }
+    await this.notify();
+  }
+
+  /**
+   * Point queued entries for a locally created note at its server ID
+   * @param {string} localId - Temporary note ID
+   * @param {string} noteId - ID assigned by the server
+   */
+  async replaceNoteId(localId, noteId) {
+    const entries = await this.getAll();
+    await Promise.all(
+      entries.filter((e) => e.noteId === localId).map((e) => this.put({ ...e, noteId }))
+    );
+  }
+
+  /**
+   * Number of queued entries
+   * @returns {Promise<number>} Pending change count
+   */
+  async count() {
+    const count = await this.withStore('readonly', (store) => store.count());
+    return count ?? this.memoryEntries.length;
+  }
+
+  /**
+   * Subscribe to pending count changes
+   * @param {Function} listener - Called with the new count
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell subscribers the current count
+   */
+  async notify() {
+    const count = await this.count();
+    this.listeners.forEach((listener) => listener(count));
+  }
+}
+
+// Create singleton instance
+const offlineQueue = new OfflineQueue();
+
+export default offlineQueue;
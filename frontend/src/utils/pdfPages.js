@@ -0,0 +1,65 @@
+/**
+ * PDF page rendering with pdf.js
+ *
+ * Turns each page of a PDF into a PNG, so pages can be put on the whiteboard as
+ * images. Loaded on demand by whiteboardMedia.js; the worker is a separate asset.
+ */
+import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist';
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+GlobalWorkerOptions.workerSrc = workerUrl;
+
+/**
+ * Encode a canvas as a PNG blob
+ * @param {HTMLCanvasElement} canvas - Rendered page
+ * @returns {Promise<Blob>} PNG image
+ */
+const canvasToBlob = (canvas) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode PDF page'))),
+      'image/png'
+    );
+  });
+
+/**
+ * Render the pages of a PDF one at a time
+ * @param {File|Blob} file - PDF file
+ * @param {Object} options
+ * @param {number} options.scale - Pixels per PDF point
+ * @param {number} options.maxPages - Pages after this one are skipped
+ * @param {Function} options.onPage - Awaited with each page
+ *   ({ blob, width, height, pageNumber, pageCount }); width and height are in PDF points
+ * @returns {Promise<number>} Number of pages in the document
+ */
+export const renderPdfPages = async (file, { scale, maxPages, onPage }) => {
+  const pdf = await getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+
+  try {
+    const pageCount = Math.min(pdf.numPages, maxPages);
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+
+      await page.render({ canvas, viewport }).promise;
+      const blob = await canvasToBlob(canvas);
+      page.cleanup();
+
+      await onPage({
+        blob,
+        width: viewport.width / scale,
+        height: viewport.height / scale,
+        pageNumber,
+        pageCount,
+      });
+    }
+
+    return pdf.numPages;
+  } finally {
+    pdf.destroy();
+  }
+};
@@ -127,3 +127,44 @@ export function hasAccess(resource, userId, requiredRole = ROLES.VIEWER) {
   if (!userRole) return false;
   return hasPermission(userRole, requiredRole);
 }
+
+/**
+ * Get a user's role in a folder of a container
+ * Folders can set roles for members in `permissions`; the nearest folder that sets one
+ * wins, otherwise the role comes from the instance. Instance owners are always owners.
+ * @param {Object} instance - Instance the folder is in
+ * @param {Array} folders - Folders of the container
+ * @param {string|null} folderId - Folder ID (null for the container's top level)
+ * @param {string} userId - The user's ID
+ * @returns {string|null} - The user's role or null if not a member
+ */
+export function getFolderRole(instance, folders, folderId, userId) {
+  const instanceRole =
+    instance?.ownerId && instance.ownerId === userId ? ROLES.OWNER : getUserRole(instance, userId);
+  if (!instanceRole || instanceRole === ROLES.OWNER) return instanceRole;
+
+  const byId = new Map((folders || []).map((folder) => [folder.id, folder]));
+  const seen = new Set();
+
+  let folder = byId.get(folderId);
+  while (folder && !seen.has(folder.id)) {
+    seen.add(folder.id);
+    const permission = folder.permissions?.find((p) => p.userId === userId);
+    if (permission) return permission.role;
+    folder = byId.get(folder.parentId);
+  }
+
+  return instanceRole;
+}
+
+/**
+ * Get a user's role for a study deck
+ * The deck's owner is always its owner; others get the role the deck was shared with.
+ * @param {Object} deck - Study deck
+ * @param {string} userId - The user's ID
+ * @returns {string|null} - The user's role or null if the deck isn't shared with them
+ */
+export function getDeckRole(deck, userId) {
+  if (deck?.ownerId && deck.ownerId === userId) return ROLES.OWNER;
+  return getUserRole(deck, userId);
+}
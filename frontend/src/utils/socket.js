@@ -3,8 +3,8 @@
  * Handles real-time communication with the backend server
  */
 import { io } from 'socket.io-client';
-import { SOCKET_EVENTS, DRAW_UPDATE_DELAY } from './constants';
-import { debounce } from './helpers';
+import { SOCKET_EVENTS } from './constants';
+import offlineQueue, { QUEUE_ENTRY_TYPES } from './offlineQueue';
 
 class SocketManager {
   constructor() {
@@ -16,7 +16,6 @@ class SocketManager {
     this.maxReconnectDelay = 30000; // Max delay in ms
     this.isConnecting = false;
     this.stores = null;
-    this.debouncedDrawUpdate = null;
   }
 
   /**
@@ -57,7 +56,6 @@ class SocketManager {
 
     this.setupConnectionHandlers();
     this.setupEventHandlers();
-    this.setupDebouncedHandlers();
   }
 
   /**
@@ -74,6 +72,16 @@ class SocketManager {
         this.stores.socketStore.getState().setConnected?.(true);
       }
 
+      // Unacknowledged note deltas are lost with the old connection; start text sync fresh
+      if (this.stores?.noteStore) {
+        this.stores.noteStore.getState().resetTextSync?.();
+      }
+
+      // Send everything that was queued while we were offline
+      if (this.stores?.noteStore) {
+        this.stores.noteStore.getState().flushOfflineQueue?.();
+      }
+
       // Emit user online status
       this.emitUserStatus('online');
     });
@@ -165,11 +173,40 @@ class SocketManager {
       }
     });
 
-    // Friend request events
+    // A collaborator added, renamed, deleted or reordered whiteboard pages
+    this.socket.on(SOCKET_EVENTS.WHITEBOARD_PAGES, (data) => {
+      console.log('Received whiteboard pages:', data);
+      if (this.stores?.noteStore) {
+        this.stores.noteStore.getState().handleWhiteboardPagesUpdate(data);
+      }
+    });
+
+    // Collaborator caret/selection events (frequent, so not logged)
+    this.socket.on(SOCKET_EVENTS.CURSOR_UPDATE, (data) => {
+      if (this.stores?.noteStore) {
+        this.stores.noteStore.getState().handleCursorUpdate(data);
+      }
+    });
+
+    // Collaborator whiteboard pointer and viewport events (frequent, so not logged)
+    this.socket.on(SOCKET_EVENTS.POINTER_UPDATE, (data) => {
+      if (this.stores?.noteStore) {
+        this.stores.noteStore.getState().handlePointerUpdate(data);
+      }
+    });
+
+    // A collaborator left a note; drop their cursor and pointer
+    this.socket.on(SOCKET_EVENTS.USER_LEFT_NOTE, (data) => {
+      if (this.stores?.noteStore) {
+        this.stores.noteStore.getState().handleUserLeftNote(data);
+      }
+    });
+
+    // Friend added events (new friend, new incoming request, or IDs to refetch)
     this.socket.on(SOCKET_EVENTS.FRIEND_ADDED, (data) => {
-      console.log('Received friend request:', data);
+      console.log('Received friend added:', data);
       if (this.stores?.friendStore) {
-        this.stores.friendStore.getState().handleFriendRequest(data);
+        this.stores.friendStore.getState().handleFriendAdded(data);
       }
     });
 
@@ -226,16 +263,6 @@ class SocketManager {
     });
   }
 
-  /**
-   * Set up debounced event handlers
-   */
-  setupDebouncedHandlers() {
-    // Debounce drawing updates to reduce network traffic
-    this.debouncedDrawUpdate = debounce((noteId, whiteboardData) => {
-      this.emit(SOCKET_EVENTS.DRAW_UPDATE, { noteId, whiteboardData });
-    }, DRAW_UPDATE_DELAY);
-  }
-
   /**
    * Disconnect from WebSocket server
    */
@@ -361,28 +388,91 @@ class SocketManager {
   }
 
   /**
-   * Emit note update
+   * Emit note content delta
    * @param {string} noteId - Note ID
-   * @param {Object} updates - Note updates (should include userId to prevent echo)
+   * @param {Object} operation - Delta payload (see textSyncClient.js for the protocol)
+   * @param {Array} operation.delta - Text operation
+   * @param {number} operation.revision - Server revision the delta was made against
+   * @param {string} operation.clientId - Sending client, used to recognise the acknowledgement
+   * @param {string} operation.userId - Author of the change
    */
-  emitNoteUpdate(noteId, updates) {
+  emitNoteUpdate(noteId, operation) {
     this.emit(SOCKET_EVENTS.NOTE_UPDATE, {
       noteId,
-      updates,
-      userId: updates.userId,
+      ...operation,
       timestamp: new Date().toISOString(),
     });
   }
 
   /**
-   * Emit whiteboard drawing update (debounced)
+   * Emit whiteboard object operations
+   * Callers batch operations themselves (see useWhiteboardSync), so this is not debounced;
+   * debouncing would drop earlier batches. While disconnected the operations go to the
+   * offline queue and are sent after reconnecting.
+   * The server relays them to the page's room, `whiteboard:{noteId}:{pageId}`.
    * @param {string} noteId - Note ID
-   * @param {Object} whiteboardData - Whiteboard data
+   * @param {Object} update - Drawing update
+   * @param {string} update.pageId - Whiteboard page the operations apply to
+   * @param {Array} update.operations - Per-object add/modify/remove operations
+   * @param {string} update.clientId - Sending client, used to ignore our own echoes
    */
-  emitDrawingUpdate(noteId, whiteboardData) {
-    if (this.debouncedDrawUpdate) {
-      this.debouncedDrawUpdate(noteId, whiteboardData);
+  emitDrawingUpdate(noteId, update) {
+    if (!this.isConnected()) {
+      offlineQueue.enqueue({ type: QUEUE_ENTRY_TYPES.DRAW_UPDATE, noteId, payload: update });
+      return;
     }
+
+    this.emit(SOCKET_EVENTS.DRAW_UPDATE, {
+      noteId,
+      ...update,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Emit the local caret and selection in a note
+   * Cursors only matter live, so nothing is sent or queued while disconnected
+   * @param {string} noteId - Note ID
+   * @param {Object} cursor - Cursor payload
+   * @param {number} cursor.start - Selection start in the note content
+   * @param {number} cursor.end - Selection end (equal to start for a caret)
+   * @param {string} cursor.userId - User the cursor belongs to
+   * @param {string} cursor.userName - Name shown on the cursor flag
+   */
+  emitCursorUpdate(noteId, cursor) {
+    if (!this.isConnected()) return;
+
+    this.emit(SOCKET_EVENTS.CURSOR_UPDATE, { noteId, ...cursor });
+  }
+
+  /**
+   * Emit the local pointer position and viewport on a whiteboard
+   * Like cursors, pointers only matter live and are dropped while disconnected
+   * @param {string} noteId - Note ID
+   * @param {Object} pointer - Pointer payload
+   * @param {number|null} pointer.x - Pointer x in canvas (scene) coordinates, null when off the canvas
+   * @param {number|null} pointer.y - Pointer y in canvas (scene) coordinates
+   * @param {Object} pointer.viewport - { transform, width, height } of the sender's canvas
+   * @param {string} pointer.pageId - Whiteboard page the sender is on
+   * @param {string} pointer.userId - User the pointer belongs to
+   * @param {string} pointer.userName - Name shown on the pointer label
+   */
+  emitPointerUpdate(noteId, pointer) {
+    if (!this.isConnected()) return;
+
+    this.emit(SOCKET_EVENTS.POINTER_UPDATE, { noteId, ...pointer });
+  }
+
+  /**
+   * Emit the new page list of a note's whiteboard after adding, renaming, deleting or
+   * reordering pages; the change itself is already saved through the notes API
+   * @param {string} noteId - Note ID
+   * @param {Array} pages - Pages in order, without their drawings ({ id, name })
+   */
+  emitWhiteboardPages(noteId, pages) {
+    if (!this.isConnected()) return;
+
+    this.emit(SOCKET_EVENTS.WHITEBOARD_PAGES, { noteId, pages });
   }
 
   /**
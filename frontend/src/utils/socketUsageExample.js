@@ -46,16 +46,18 @@ function NoteEditor({ noteId }) {
 
 import { useSocketEvent } from '../hooks/useSocket';
 import { useState } from 'react';
+import { applyOperation } from './textOperation';
 
 function CollaborativeEditor({ noteId }) {
   const [content, setContent] = useState('');
 
-  // Listen for note updates from other users
+  // Listen for note deltas from other users
+  // (NoteEditor lets useNoteStore merge these with operational transformation instead)
   useSocketEvent(
     'note:update',
     (data) => {
-      if (data.noteId === noteId) {
-        setContent(data.updates.content);
+      if (data.noteId === noteId && data.delta) {
+        setContent((prev) => applyOperation(prev, data.delta));
       }
     },
     [noteId]
@@ -73,12 +75,12 @@ import useSocketStore from '../store/useSocketStore';
 function NoteComponent({ noteId }) {
   const { emitNoteUpdate } = useSocketStore();
 
-  const handleSave = (content) => {
-    // Emit note update to other users
-    emitNoteUpdate(noteId, { content });
+  const handleSave = (delta, revision) => {
+    // Emit a content delta to other users
+    emitNoteUpdate(noteId, { delta, revision });
   };
 
-  return <button onClick={() => handleSave('New content')}>Save</button>;
+  return <button onClick={() => handleSave(['New content'], 0)}>Save</button>;
 }
 
 // ============================================================================
@@ -90,12 +92,15 @@ import useSocketStore from '../store/useSocketStore';
 function WhiteboardCanvas({ noteId }) {
   const { emitDrawingUpdate } = useSocketStore();
 
-  const handleDrawing = (canvasData) => {
-    // This is automatically debounced (100ms) by the socket manager
-    emitDrawingUpdate(noteId, canvasData);
+  const handleObjectAdded = (object) => {
+    // Send per-object operations; useWhiteboardSync batches these (100ms) for you
+    emitDrawingUpdate(noteId, {
+      operations: [{ type: 'add', id: object.id, object: object.toObject() }],
+      clientId: 'my-client-id',
+    });
   };
 
-  return <canvas onMouseMove={(e) => handleDrawing(e)} />;
+  return <canvas onMouseUp={(e) => handleObjectAdded(e.target)} />;
 }
 
 // ============================================================================
@@ -204,7 +209,7 @@ function LogoutButton() {
 Available Socket Events:
 
 Incoming Events (from server):
-- 'note:update' - Note content updated by another user
+- 'note:update' - Note content delta from another user (or the ack of our own)
 - 'draw:update' - Whiteboard drawing updated by another user
 - 'friend:added' - Friend request received
 - 'user:status' - User online/offline status changed
@@ -213,7 +218,7 @@ Incoming Events (from server):
 - 'instance:updated' - Instance details updated
 
 Outgoing Events (to server):
-- 'note:update' - Send note updates to other users
+- 'note:update' - Send note content deltas to other users
 - 'draw:update' - Send drawing updates to other users
 - 'friend:added' - Send friend request
 - 'user:status' - Update your online status
@@ -231,8 +236,8 @@ Store Methods:
 - joinRoom(room) - Join a room
 - leaveRoom(room) - Leave a room
 - updateStatus(status) - Update user status
-- emitNoteUpdate(noteId, updates) - Emit note update
-- emitDrawingUpdate(noteId, data) - Emit drawing update (debounced)
+- emitNoteUpdate(noteId, operation) - Emit note content delta
+- emitDrawingUpdate(noteId, update) - Emit per-object drawing operations
 - emitNoteShare(noteId, userId, role) - Share note
 - emitFriendRequest(friendId) - Send friend request
 - reconnect() - Manually reconnect
@@ -0,0 +1,101 @@
+/**
+ * Spaced repetition for study decks, after SM-2
+ * Each card has review progress per user: cards answered correctly come back after a
+ * growing interval, and missed cards start over and come back the next day.
+ */
+import { SPACED_REPETITION } from './constants';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Progress of a card that has never been reviewed; it's due right away
+ * @returns {Object} { repetitions, interval, ease, dueAt, correctCount, incorrectCount, lastReviewedAt }
+ */
+export function createProgress() {
+  return {
+    repetitions: 0,
+    interval: 0,
+    ease: SPACED_REPETITION.INITIAL_EASE,
+    dueAt: null,
+    correctCount: 0,
+    incorrectCount: 0,
+    lastReviewedAt: null,
+  };
+}
+
+/**
+ * Schedule a card's next review after an answer
+ * @param {Object|null} progress - Card progress (null for a new card)
+ * @param {boolean} correct - Whether the answer was correct
+ * @param {Date} [now] - When the card was reviewed
+ * @returns {Object} New progress
+ */
+export function scheduleReview(progress, correct, now = new Date()) {
+  const current = { ...createProgress(), ...progress };
+
+  let { repetitions, interval, ease } = current;
+  if (correct) {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = SPACED_REPETITION.FIRST_INTERVAL;
+    } else if (repetitions === 2) {
+      interval = SPACED_REPETITION.SECOND_INTERVAL;
+    } else {
+      interval = Math.round(interval * ease);
+    }
+    ease += SPACED_REPETITION.EASE_STEP;
+  } else {
+    repetitions = 0;
+    interval = SPACED_REPETITION.FIRST_INTERVAL;
+    ease = Math.max(SPACED_REPETITION.MIN_EASE, ease - SPACED_REPETITION.EASE_PENALTY);
+  }
+
+  return {
+    repetitions,
+    interval,
+    ease: Math.round(ease * 100) / 100,
+    dueAt: new Date(now.getTime() + interval * DAY).toISOString(),
+    correctCount: current.correctCount + (correct ? 1 : 0),
+    incorrectCount: current.incorrectCount + (correct ? 0 : 1),
+    lastReviewedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Check if a card is due for review
+ * @param {Object|null} progress - Card progress (null for a new card)
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True for new cards and cards whose review date has come
+ */
+export function isDue(progress, now = new Date()) {
+  return !progress?.dueAt || new Date(progress.dueAt) <= now;
+}
+
+/**
+ * Get the cards of a deck that are due, the longest overdue first and new cards last
+ * @param {Array} cards - Cards, each with its progress
+ * @param {Date} [now] - Current time
+ * @returns {Array} Due cards
+ */
+export function getDueCards(cards, now = new Date()) {
+  // New cards have no due date; they keep their order after the reviewed ones
+  const dueTime = (card) =>
+    card.progress?.dueAt ? new Date(card.progress.dueAt).getTime() : Number.MAX_SAFE_INTEGER;
+
+  return cards.filter((card) => isDue(card.progress, now)).sort((a, b) => dueTime(a) - dueTime(b));
+}
+
+/**
+ * Count the answers given across a deck
+ * @param {Array} cards - Cards, each with its progress
+ * @returns {{correct: number, incorrect: number}} Totals
+ */
+export function getReviewTotals(cards) {
+  return cards.reduce(
+    (totals, card) => ({
+      correct: totals.correct + (card.progress?.correctCount || 0),
+      incorrect: totals.incorrect + (card.progress?.incorrectCount || 0),
+    }),
+    { correct: 0, incorrect: 0 }
+  );
+}
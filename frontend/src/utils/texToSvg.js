@@ -0,0 +1,57 @@
+/**
+ * LaTeX to SVG conversion with MathJax
+ *
+ * The output is self-contained SVG paths (no web fonts), so it can be drawn onto a
+ * canvas as an image without tainting it. Loaded on demand by whiteboardFormula.js.
+ */
+import { mathjax } from 'mathjax-full/js/mathjax.js';
+import { TeX } from 'mathjax-full/js/input/tex.js';
+import { SVG } from 'mathjax-full/js/output/svg.js';
+import { liteAdaptor } from 'mathjax-full/js/adaptors/liteAdaptor.js';
+import { RegisterHTMLHandler } from 'mathjax-full/js/handlers/html.js';
+import { AllPackages } from 'mathjax-full/js/input/tex/AllPackages.js';
+
+// MathJax sizes are in thousandths of an em
+const UNITS_PER_EM = 1000;
+
+const adaptor = liteAdaptor();
+RegisterHTMLHandler(adaptor);
+
+const mathDocument = mathjax.document('', {
+  InputJax: new TeX({ packages: AllPackages }),
+  OutputJax: new SVG({ fontCache: 'none' }),
+});
+
+/**
+ * Typeset LaTeX as SVG
+ * Syntax errors are typeset as the error message rather than thrown
+ * @param {string} latex - LaTeX source
+ * @param {Object} options
+ * @param {string} options.color - Color of the formula (default: '#000000')
+ * @param {number} options.fontSize - Font size in pixels (default: 16)
+ * @param {boolean} options.display - Display (block) style (default: true)
+ * @returns {Object} { svg, width, height } with the size in pixels
+ */
+export const texToSvg = (latex, { color = '#000000', fontSize = 16, display = true } = {}) => {
+  const node = mathDocument.convert(latex, { display });
+  const svgNode = adaptor.firstChild(node);
+  const [, , viewWidth, viewHeight] = adaptor
+    .getAttribute(svgNode, 'viewBox')
+    .split(' ')
+    .map(Number);
+
+  // Size the image in pixels so it is not tied to the page's ex unit
+  const width = (viewWidth / UNITS_PER_EM) * fontSize;
+  const height = (viewHeight / UNITS_PER_EM) * fontSize;
+  adaptor.setAttribute(svgNode, 'width', `${width}px`);
+  adaptor.setAttribute(svgNode, 'height', `${height}px`);
+  adaptor.removeAttribute(svgNode, 'style');
+
+  // Give the image a concrete color instead of inheriting one
+  const safeColor = String(color).replace(/[^#\w\s(),.%-]/g, '');
+  const svg = adaptor.outerHTML(svgNode).replace(/currentColor/g, safeColor);
+
+  return { svg, width, height };
+};
+
+export default texToSvg;
@@ -0,0 +1,146 @@
+/**
+ * Line-based text diff (Myers' O(ND) algorithm)
+ *
+ * Produces runs of equal, deleted and inserted lines. Line terminators are kept on
+ * each line so joining the lines of a side gives back its text exactly.
+ */
+
+// Beyond this many changed lines the texts are treated as completely different
+const MAX_EDIT_DISTANCE = 2000;
+
+export const DIFF_TYPES = {
+  EQUAL: 'equal',
+  INSERT: 'insert',
+  DELETE: 'delete',
+};
+
+/**
+ * Split text into lines, keeping the trailing newline on each line
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines
+ */
+export const splitLines = (text) => (text ? text.match(/[^\n]*\n|[^\n]+$/g) : []);
+
+/**
+ * Append a line to the run list, extending the last run when it has the same type
+ * @param {Array} runs - Runs being built (mutated)
+ * @param {string} type - Run type
+ * @param {string} line - Line to append
+ */
+const pushLine = (runs, type, line) => {
+  const last = runs[runs.length - 1];
+  if (last?.type === type) {
+    last.lines.push(line);
+  } else {
+    runs.push({ type, lines: [line] });
+  }
+};
+
+/**
+ * Walk the recorded Myers frontiers back from the end to recover the edit script
+ * @param {Array} trace - Frontier of each edit distance, indexed by diagonal + d
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array} Runs in document order
+ */
+const backtrack = (trace, a, b) => {
+  const steps = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const frontier = trace[d];
+    const k = x - y;
+    const down = k === -d || (k !== d && frontier[k - 1 + d] < frontier[k + 1 + d]);
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = frontier[prevK + d];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      steps.push([DIFF_TYPES.EQUAL, a[--x]]);
+      y--;
+    }
+
+    if (down) {
+      steps.push([DIFF_TYPES.INSERT, b[--y]]);
+    } else {
+      steps.push([DIFF_TYPES.DELETE, a[--x]]);
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    steps.push([DIFF_TYPES.EQUAL, a[--x]]);
+    y--;
+  }
+
+  // Group each block of changes as one delete run followed by one insert run
+  const runs = [];
+  let changed = [];
+  const flushChanged = () => {
+    changed
+      .filter(([type]) => type === DIFF_TYPES.DELETE)
+      .forEach(([type, line]) => pushLine(runs, type, line));
+    changed
+      .filter(([type]) => type === DIFF_TYPES.INSERT)
+      .forEach(([type, line]) => pushLine(runs, type, line));
+    changed = [];
+  };
+
+  steps.reverse().forEach((step) => {
+    if (step[0] === DIFF_TYPES.EQUAL) {
+      flushChanged();
+      pushLine(runs, step[0], step[1]);
+    } else {
+      changed.push(step);
+    }
+  });
+  flushChanged();
+
+  return runs;
+};
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<{type: string, lines: string[]}>} Runs of equal/delete/insert lines;
+ *   a delete run is always listed before the insert run that replaces it
+ */
+export const diffLines = (oldText = '', newText = '') => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d..d can be reached at this distance
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  // Too different to diff cheaply: replace everything
+  const runs = [];
+  if (a.length) runs.push({ type: DIFF_TYPES.DELETE, lines: a });
+  if (b.length) runs.push({ type: DIFF_TYPES.INSERT, lines: b });
+  return runs;
+};
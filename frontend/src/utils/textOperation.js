@@ -0,0 +1,369 @@
+/**
+ * Character-level operational transformation for plain text
+ *
+ * An operation is an array of components that walk the whole document:
+ * - a positive number retains that many characters
+ * - a string inserts that text
+ * - a negative number deletes that many characters
+ *
+ * e.g. [5, 'abc', -2, 10] keeps 5 chars, inserts "abc", deletes 2 chars and keeps 10 more.
+ * Operations are plain JSON so they can be sent over the socket as-is.
+ */
+import { diffLines, DIFF_TYPES } from './textDiff';
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isInsert = (component) => typeof component === 'string';
+const isDelete = (component) => typeof component === 'number' && component < 0;
+
+/**
+ * Append a retain component, merging with a trailing retain
+ * @param {Array} operation - Operation being built (mutated)
+ * @param {number} count - Number of characters to retain
+ */
+const pushRetain = (operation, count) => {
+  if (count <= 0) return;
+  const last = operation.length - 1;
+  if (isRetain(operation[last])) {
+    operation[last] += count;
+  } else {
+    operation.push(count);
+  }
+};
+
+/**
+ * Append an insert component, keeping inserts ahead of deletes so
+ * equivalent operations always have the same shape
+ * @param {Array} operation - Operation being built (mutated)
+ * @param {string} text - Text to insert
+ */
+const pushInsert = (operation, text) => {
+  if (!text) return;
+  const last = operation.length - 1;
+  if (isInsert(operation[last])) {
+    operation[last] += text;
+  } else if (isDelete(operation[last])) {
+    if (isInsert(operation[last - 1])) {
+      operation[last - 1] += text;
+    } else {
+      operation.splice(last, 0, text);
+    }
+  } else {
+    operation.push(text);
+  }
+};
+
+/**
+ * Append a delete component, merging with a trailing delete
+ * @param {Array} operation - Operation being built (mutated)
+ * @param {number} count - Number of characters to delete (positive)
+ */
+const pushDelete = (operation, count) => {
+  if (count <= 0) return;
+  const last = operation.length - 1;
+  if (isDelete(operation[last])) {
+    operation[last] -= count;
+  } else {
+    operation.push(-count);
+  }
+};
+
+/**
+ * Length of the document an operation can be applied to
+ * @param {Array} operation - Text operation
+ * @returns {number} Base length
+ */
+export const getBaseLength = (operation) =>
+  operation.reduce(
+    (length, component) => (isInsert(component) ? length : length + Math.abs(component)),
+    0
+  );
+
+/**
+ * Length of the document after the operation is applied
+ * @param {Array} operation - Text operation
+ * @returns {number} Target length
+ */
+export const getTargetLength = (operation) =>
+  operation.reduce((length, component) => {
+    if (isInsert(component)) return length + component.length;
+    if (isRetain(component)) return length + component;
+    return length;
+  }, 0);
+
+/**
+ * Check whether an operation leaves the document unchanged
+ * @param {Array} operation - Text operation
+ * @returns {boolean} True if the operation only retains
+ */
+export const isNoopOperation = (operation) =>
+  !operation || operation.every((component) => isRetain(component));
+
+/**
+ * Build an operation that turns one text into another
+ * Uses the common prefix and suffix, which matches how a textarea changes
+ * between two input events (a single contiguous replacement)
+ * @param {string} oldText - Text before the change
+ * @param {string} newText - Text after the change
+ * @returns {Array} Text operation
+ */
+export const operationFromDiff = (oldText, newText) => {
+  const operation = [];
+  if (oldText === newText) {
+    pushRetain(operation, oldText.length);
+    return operation;
+  }
+
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  pushRetain(operation, prefix);
+  pushInsert(operation, newText.slice(prefix, newText.length - suffix));
+  pushDelete(operation, oldText.length - prefix - suffix);
+  pushRetain(operation, suffix);
+
+  return operation;
+};
+
+/**
+ * Build an operation that turns one text into another using a line diff
+ * Unlike operationFromDiff this keeps separate changes separate, which matters when
+ * the operation is transformed against edits made elsewhere in the document
+ * (e.g. merging a note edited offline)
+ * @param {string} oldText - Text before the change
+ * @param {string} newText - Text after the change
+ * @returns {Array} Text operation
+ */
+export const operationFromLineDiff = (oldText, newText) => {
+  const operation = [];
+  let deleted = '';
+
+  diffLines(oldText, newText).forEach(({ type, lines }) => {
+    const text = lines.join('');
+
+    if (type === DIFF_TYPES.EQUAL) {
+      pushDelete(operation, deleted.length);
+      deleted = '';
+      pushRetain(operation, text.length);
+    } else if (type === DIFF_TYPES.DELETE) {
+      deleted = text;
+    } else {
+      // Replaced lines usually differ by a few characters; keep what they share
+      operationFromDiff(deleted, text).forEach((component) => {
+        if (isRetain(component)) pushRetain(operation, component);
+        else if (isInsert(component)) pushInsert(operation, component);
+        else pushDelete(operation, -component);
+      });
+      deleted = '';
+    }
+  });
+  pushDelete(operation, deleted.length);
+
+  return operation;
+};
+
+/**
+ * Apply an operation to a text
+ * @param {string} text - Document text
+ * @param {Array} operation - Text operation
+ * @returns {string} Resulting text
+ * @throws {Error} If the operation was not built for a text of this length
+ */
+export const applyOperation = (text, operation) => {
+  if (getBaseLength(operation) !== text.length) {
+    throw new Error('Operation base length does not match the document length');
+  }
+
+  const parts = [];
+  let index = 0;
+
+  operation.forEach((component) => {
+    if (isRetain(component)) {
+      parts.push(text.slice(index, index + component));
+      index += component;
+    } else if (isInsert(component)) {
+      parts.push(component);
+    } else {
+      index -= component;
+    }
+  });
+
+  return parts.join('');
+};
+
+/**
+ * Compose two consecutive operations into one
+ * applyOperation(applyOperation(t, a), b) === applyOperation(t, composeOperations(a, b))
+ * @param {Array} a - First operation
+ * @param {Array} b - Operation applied after `a`
+ * @returns {Array} Composed operation
+ */
+export const composeOperations = (a, b) => {
+  if (getTargetLength(a) !== getBaseLength(b)) {
+    throw new Error('Cannot compose operations: lengths do not line up');
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  let componentA = a[i++];
+  let componentB = b[j++];
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isDelete(componentA)) {
+      pushDelete(result, -componentA);
+      componentA = a[i++];
+      continue;
+    }
+    if (isInsert(componentB)) {
+      pushInsert(result, componentB);
+      componentB = b[j++];
+      continue;
+    }
+
+    if (isRetain(componentA) && isRetain(componentB)) {
+      const count = Math.min(componentA, componentB);
+      pushRetain(result, count);
+      componentA = componentA > count ? componentA - count : a[i++];
+      componentB = componentB > count ? componentB - count : b[j++];
+    } else if (isInsert(componentA) && isDelete(componentB)) {
+      const count = Math.min(componentA.length, -componentB);
+      componentA = componentA.length > count ? componentA.slice(count) : a[i++];
+      componentB = -componentB > count ? componentB + count : b[j++];
+    } else if (isInsert(componentA) && isRetain(componentB)) {
+      const count = Math.min(componentA.length, componentB);
+      pushInsert(result, componentA.slice(0, count));
+      componentA = componentA.length > count ? componentA.slice(count) : a[i++];
+      componentB = componentB > count ? componentB - count : b[j++];
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      const count = Math.min(componentA, -componentB);
+      pushDelete(result, count);
+      componentA = componentA > count ? componentA - count : a[i++];
+      componentB = -componentB > count ? componentB + count : b[j++];
+    } else {
+      throw new Error('Cannot compose operations: unexpected component');
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Transform two concurrent operations made against the same document
+ * Returns [aPrime, bPrime] such that applying a then bPrime gives the same
+ * text as applying b then aPrime. When both insert at the same position,
+ * the insert from `a` is placed first.
+ * @param {Array} a - Operation (conventionally the one the server has not seen)
+ * @param {Array} b - Concurrent operation (conventionally from the server)
+ * @returns {Array[]} Transformed pair [aPrime, bPrime]
+ */
+export const transformOperations = (a, b) => {
+  if (getBaseLength(a) !== getBaseLength(b)) {
+    throw new Error('Cannot transform operations: base lengths differ');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let componentA = a[i++];
+  let componentB = b[j++];
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isInsert(componentA)) {
+      pushInsert(aPrime, componentA);
+      pushRetain(bPrime, componentA.length);
+      componentA = a[i++];
+      continue;
+    }
+    if (isInsert(componentB)) {
+      pushRetain(aPrime, componentB.length);
+      pushInsert(bPrime, componentB);
+      componentB = b[j++];
+      continue;
+    }
+
+    if (isRetain(componentA) && isRetain(componentB)) {
+      const count = Math.min(componentA, componentB);
+      pushRetain(aPrime, count);
+      pushRetain(bPrime, count);
+      componentA = componentA > count ? componentA - count : a[i++];
+      componentB = componentB > count ? componentB - count : b[j++];
+    } else if (isDelete(componentA) && isDelete(componentB)) {
+      // Both deleted the same characters; nothing left to do for this span
+      const count = Math.min(-componentA, -componentB);
+      componentA = -componentA > count ? componentA + count : a[i++];
+      componentB = -componentB > count ? componentB + count : b[j++];
+    } else if (isDelete(componentA) && isRetain(componentB)) {
+      const count = Math.min(-componentA, componentB);
+      pushDelete(aPrime, count);
+      componentA = -componentA > count ? componentA + count : a[i++];
+      componentB = componentB > count ? componentB - count : b[j++];
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      const count = Math.min(componentA, -componentB);
+      pushDelete(bPrime, count);
+      componentA = componentA > count ? componentA - count : a[i++];
+      componentB = -componentB > count ? componentB + count : b[j++];
+    } else {
+      throw new Error('Cannot transform operations: unexpected component');
+    }
+  }
+
+  return [aPrime, bPrime];
+};
+
+/**
+ * Move a caret position through an operation
+ * @param {number} position - Caret index in the document before the operation
+ * @param {Array} operation - Text operation
+ * @param {boolean} isOwnOperation - Whether the caret belongs to the author of the
+ *   operation; their caret moves past text inserted exactly at it
+ * @returns {number} Caret index in the resulting document
+ */
+export const transformPosition = (position, operation, isOwnOperation = false) => {
+  let newPosition = position;
+  let index = 0;
+
+  for (const component of operation) {
+    if (index > position) break;
+
+    if (isRetain(component)) {
+      index += component;
+    } else if (isInsert(component)) {
+      if (index < position || isOwnOperation) {
+        newPosition += component.length;
+      }
+    } else {
+      newPosition -= Math.min(position - index, -component);
+      index -= component;
+    }
+  }
+
+  return newPosition;
+};
+
+/**
+ * Three-way merge of two texts edited independently from a common base
+ * @param {string} base - Text both sides started from
+ * @param {string} mine - Our edited text
+ * @param {string} theirs - Their edited text
+ * @returns {string} Text containing both sides' changes
+ */
+export const mergeText = (base, mine, theirs) => {
+  const [minePrime] = transformOperations(
+    operationFromLineDiff(base, mine),
+    operationFromLineDiff(base, theirs)
+  );
+  return applyOperation(theirs, minePrime);
+};
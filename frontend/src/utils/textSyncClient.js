@@ -0,0 +1,127 @@
+/**
+ * Client side of the note text synchronization protocol
+ *
+ * The server owns the revision counter for each note. A client sends at most one
+ * operation at a time and waits for the server to echo it back (the acknowledgement)
+ * before sending the next one; edits made in the meantime are composed into a buffer.
+ * Operations received from other clients are transformed against whatever is still
+ * unacknowledged so every participant converges on the same text.
+ *
+ * Protocol over `note:update`:
+ * - client -> server: { noteId, delta, revision, clientId, userId }
+ *   `revision` is the server revision the delta was made against
+ * - server -> room (sender included): { noteId, delta, revision, clientId, userId }
+ *   `delta` is transformed to apply on top of `revision - 1`
+ */
+import { composeOperations, transformOperations } from './textOperation';
+
+const STATES = {
+  SYNCHRONIZED: 'synchronized',
+  AWAITING_CONFIRM: 'awaitingConfirm',
+  AWAITING_WITH_BUFFER: 'awaitingWithBuffer',
+};
+
+class TextSyncClient {
+  /**
+   * @param {number} revision - Last server revision this client has seen
+   * @param {Function} sendOperation - Called with (delta, revision) to send an operation
+   */
+  constructor(revision, sendOperation) {
+    this.revision = revision;
+    this.sendOperation = sendOperation;
+    this.clientId = `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    this.state = STATES.SYNCHRONIZED;
+    this.outstanding = null;
+    this.buffer = null;
+  }
+
+  /**
+   * Register an operation made locally
+   * @param {Array} operation - Text operation already applied to the local document
+   */
+  applyClient(operation) {
+    switch (this.state) {
+      case STATES.SYNCHRONIZED:
+        this.outstanding = operation;
+        this.state = STATES.AWAITING_CONFIRM;
+        this.sendOperation(operation, this.revision);
+        break;
+
+      case STATES.AWAITING_CONFIRM:
+        this.buffer = operation;
+        this.state = STATES.AWAITING_WITH_BUFFER;
+        break;
+
+      case STATES.AWAITING_WITH_BUFFER:
+        this.buffer = composeOperations(this.buffer, operation);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Register an operation from another client
+   * @param {Array} operation - Operation as broadcast by the server
+   * @param {number} revision - Server revision after the operation
+   * @returns {Array} Operation transformed to apply to the local document
+   */
+  applyServer(operation, revision) {
+    this.revision = revision ?? this.revision + 1;
+
+    switch (this.state) {
+      case STATES.AWAITING_CONFIRM: {
+        const [outstanding, transformed] = transformOperations(this.outstanding, operation);
+        this.outstanding = outstanding;
+        return transformed;
+      }
+
+      case STATES.AWAITING_WITH_BUFFER: {
+        const [outstanding, pending] = transformOperations(this.outstanding, operation);
+        const [buffer, transformed] = transformOperations(this.buffer, pending);
+        this.outstanding = outstanding;
+        this.buffer = buffer;
+        return transformed;
+      }
+
+      default:
+        return operation;
+    }
+  }
+
+  /**
+   * Handle the server echoing back our own operation
+   * @param {number} revision - Server revision after the operation
+   */
+  serverAck(revision) {
+    this.revision = revision ?? this.revision + 1;
+
+    switch (this.state) {
+      case STATES.AWAITING_CONFIRM:
+        this.outstanding = null;
+        this.state = STATES.SYNCHRONIZED;
+        break;
+
+      case STATES.AWAITING_WITH_BUFFER:
+        this.outstanding = this.buffer;
+        this.buffer = null;
+        this.state = STATES.AWAITING_CONFIRM;
+        this.sendOperation(this.outstanding, this.revision);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Check whether local edits are still waiting for the server
+   * @returns {boolean} True if an operation is unacknowledged
+   */
+  hasPendingOperations() {
+    return this.state !== STATES.SYNCHRONIZED;
+  }
+}
+
+export default TextSyncClient;
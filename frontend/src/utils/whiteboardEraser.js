@@ -0,0 +1,212 @@
+/**
+ * Geometry for the whiteboard eraser
+ *
+ * The eraser works on the objects themselves instead of painting over them:
+ * - stroke mode removes every object the eraser touches
+ * - partial mode cuts the touched part out of freehand paths, splitting them into
+ *   new paths; other objects are removed whole
+ * The eraser trail is a list of scene points swept by a circle of `radius`.
+ */
+import { Path, Point, util } from 'fabric';
+
+// Curve segments are flattened into this many straight pieces
+const CURVE_STEPS = 6;
+
+/**
+ * Distance from a point to a line segment
+ * @param {Object} p - Point { x, y }
+ * @param {Object} a - Segment start
+ * @param {Object} b - Segment end
+ * @returns {number} Distance
+ */
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * Whether a point is within the eraser's reach anywhere along its trail
+ * @param {Object} point - Scene point
+ * @param {Array} trail - Eraser trail (scene points)
+ * @param {number} radius - Eraser radius in scene units
+ * @returns {boolean}
+ */
+const isErased = (point, trail, radius) => {
+  if (trail.length === 1) {
+    return Math.hypot(point.x - trail[0].x, point.y - trail[0].y) <= radius;
+  }
+  for (let i = 1; i < trail.length; i++) {
+    if (distanceToSegment(point, trail[i - 1], trail[i]) <= radius) return true;
+  }
+  return false;
+};
+
+/**
+ * Add points along each polyline so no two neighbours are further apart than `step`
+ * @param {Array} points - Polyline
+ * @param {number} step - Maximum spacing
+ * @returns {Array} Denser polyline
+ */
+const densify = (points, step) =>
+  points.flatMap((point, i) => {
+    if (i === 0) return [point];
+
+    const previous = points[i - 1];
+    const pieces = Math.ceil(Math.hypot(point.x - previous.x, point.y - previous.y) / step);
+    return Array.from({ length: Math.max(pieces, 1) }, (_, j) => {
+      const t = (j + 1) / Math.max(pieces, 1);
+      return new Point(
+        previous.x + (point.x - previous.x) * t,
+        previous.y + (point.y - previous.y) * t
+      );
+    });
+  });
+
+/**
+ * Flatten a Fabric path into polylines in scene coordinates, one per sub-path
+ * @param {Object} path - Fabric Path (simplified commands: M, L, Q, C, Z)
+ * @returns {Array} Polylines
+ */
+export const getPathPolylines = (path) => {
+  const matrix = path.calcTransformMatrix();
+  const toScene = (x, y) =>
+    util.transformPoint(new Point(x - path.pathOffset.x, y - path.pathOffset.y), matrix);
+
+  const polylines = [];
+  let current = null;
+  let cursor = null;
+  let start = null;
+
+  path.path.forEach(([command, ...args]) => {
+    switch (command) {
+      case 'M':
+        current = [];
+        polylines.push(current);
+        cursor = { x: args[0], y: args[1] };
+        start = cursor;
+        current.push(toScene(cursor.x, cursor.y));
+        break;
+
+      case 'L':
+        cursor = { x: args[0], y: args[1] };
+        current?.push(toScene(cursor.x, cursor.y));
+        break;
+
+      case 'Q':
+      case 'C': {
+        const controls = [cursor];
+        for (let i = 0; i < args.length; i += 2) {
+          controls.push({ x: args[i], y: args[i + 1] });
+        }
+        for (let step = 1; step <= CURVE_STEPS; step++) {
+          const t = step / CURVE_STEPS;
+          // De Casteljau: reduce the control polygon down to one point
+          let level = controls;
+          while (level.length > 1) {
+            level = level.slice(1).map((point, i) => ({
+              x: level[i].x + (point.x - level[i].x) * t,
+              y: level[i].y + (point.y - level[i].y) * t,
+            }));
+          }
+          current?.push(toScene(level[0].x, level[0].y));
+        }
+        cursor = controls[controls.length - 1];
+        break;
+      }
+
+      case 'Z':
+        if (start) {
+          current?.push(toScene(start.x, start.y));
+          cursor = start;
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return polylines.filter((polyline) => polyline.length > 0);
+};
+
+/**
+ * Whether the eraser trail touches an object
+ * Paths are tested along their stroke, other objects by their area
+ * @param {Object} object - Fabric object
+ * @param {Array} trail - Eraser trail (scene points)
+ * @param {number} radius - Eraser radius in scene units
+ * @returns {boolean}
+ */
+export const isTouchedByEraser = (object, trail, radius) => {
+  const reach = radius + (object.strokeWidth || 0) / 2;
+
+  if (object instanceof Path) {
+    return getPathPolylines(object).some((polyline) =>
+      densify(polyline, Math.max(reach / 2, 1)).some((point) => isErased(point, trail, reach))
+    );
+  }
+
+  // Cheap rejection before the precise test
+  const bounds = object.getBoundingRect();
+  const nearBounds = trail.some(
+    (point) =>
+      point.x >= bounds.left - reach &&
+      point.x <= bounds.left + bounds.width + reach &&
+      point.y >= bounds.top - reach &&
+      point.y <= bounds.top + bounds.height + reach
+  );
+  if (!nearBounds) return false;
+
+  return trail.some((point) => object.containsPoint(new Point(point.x, point.y)));
+};
+
+/**
+ * Cut the part of a path covered by the eraser trail
+ * @param {Object} path - Fabric Path
+ * @param {Array} trail - Eraser trail (scene points)
+ * @param {number} radius - Eraser radius in scene units
+ * @returns {Array|null} New paths for the remaining pieces (possibly empty), or null
+ *   when the eraser didn't touch the path
+ */
+export const splitErasedPath = (path, trail, radius) => {
+  const reach = radius + (path.strokeWidth || 0) / 2;
+  const pieces = [];
+  let touched = false;
+
+  getPathPolylines(path).forEach((polyline) => {
+    let piece = [];
+    densify(polyline, Math.max(reach / 2, 1)).forEach((point) => {
+      if (isErased(point, trail, reach)) {
+        touched = true;
+        if (piece.length > 1) pieces.push(piece);
+        piece = [];
+      } else {
+        piece.push(point);
+      }
+    });
+    if (piece.length > 1) pieces.push(piece);
+  });
+
+  if (!touched) return null;
+
+  // The pieces are already in scene coordinates, so the path's own scale moves into
+  // the stroke width
+  const scale = Math.sqrt(Math.abs(path.scaleX * path.scaleY)) || 1;
+  const style = {
+    stroke: path.stroke,
+    strokeWidth: path.strokeWidth * scale,
+    strokeLineCap: path.strokeLineCap,
+    strokeLineJoin: path.strokeLineJoin,
+    strokeDashArray: path.strokeDashArray,
+    opacity: path.opacity,
+    fill: null,
+  };
+
+  return pieces.map((points) => new Path(util.getSmoothPathFromPoints(points), style));
+};
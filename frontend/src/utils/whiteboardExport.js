@@ -1,36 +1,326 @@
 /**
  * Utility functions for exporting whiteboard canvas
- * Supports PNG and PDF export formats
+ * Supports PNG, SVG and PDF export formats; a PDF can hold several whiteboard pages
+ *
+ * Every export draws a copy of the board on an off-screen canvas, so it covers the
+ * whole drawing at 100% zoom whatever part of the board is on screen, and can leave
+ * out everything but the selection or the background. Formulas are typeset before the
+ * copy is captured so exports include the rendered math.
+ *
+ * PDFs are vector where possible: the board is converted to SVG (Fabric's toSVG) and
+ * drawn into the PDF with svg2pdf.js, falling back to images at the chosen resolution
+ * if that fails. Boards are printed on A4 at 100%, shrunk to fit a page down to
+ * WHITEBOARD_EXPORT.MIN_PRINT_SCALE; bigger boards are split across several pages.
  */
+import { Rect, StaticCanvas } from 'fabric';
+import { WHITEBOARD_EXPORT } from './constants';
+import { waitForFormulas } from './whiteboardFormula';
+import { getContentBounds, getVisibleBounds } from './whiteboardViewport';
+import { EMPTY_PAGE_DATA } from './whiteboardPages';
+
+// Margin around the drawing in exports (px)
+const EXPORT_PADDING = 20;
+
+// PDF points per CSS pixel (72 / 96)
+const PX_TO_PT = 0.75;
+
+// Resolution of the board at 100% zoom
+const SCREEN_DPI = 96;
+
+/**
+ * Serialize a board for export
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {boolean} selectionOnly - Keep only the selected objects
+ * @returns {Object} Serialized canvas
+ */
+const getBoardData = (fabricCanvas, selectionOnly = false) => {
+  // Objects in a selection are serialized where they are on the board
+  const data = fabricCanvas.toJSON();
+  if (!selectionOnly) return data;
+
+  const selectedIds = new Set(fabricCanvas.getActiveObjects().map((object) => object.id));
+  if (selectedIds.size === 0) {
+    throw new Error('Select something on the board to export it.');
+  }
+  return { ...data, objects: data.objects.filter((object) => selectedIds.has(object.id)) };
+};
+
+/**
+ * Draw a serialized board on an off-screen canvas, ready to capture
+ * Dispose the canvas when done.
+ * @param {Object} data - Serialized canvas (null for an empty board)
+ * @param {boolean} transparent - Leave out the background
+ * @returns {Promise<Object>} { canvas, area } with the area to capture, in board pixels
+ */
+const createExportCanvas = async (data, transparent = false) => {
+  const canvas = new StaticCanvas(document.createElement('canvas'), {
+    backgroundColor: '#ffffff',
+  });
+
+  try {
+    await canvas.loadFromJSON(data || EMPTY_PAGE_DATA);
+    if (transparent) {
+      canvas.backgroundColor = '';
+    }
+    await waitForFormulas(canvas);
+  } catch (error) {
+    canvas.dispose();
+    throw error;
+  }
+
+  const bounds = getContentBounds(canvas) || getVisibleBounds(canvas);
+  const area = {
+    left: bounds.left - EXPORT_PADDING,
+    top: bounds.top - EXPORT_PADDING,
+    width: bounds.width + EXPORT_PADDING * 2,
+    height: bounds.height + EXPORT_PADDING * 2,
+  };
+  return { canvas, area };
+};
+
+/**
+ * Capture part of an export canvas as a PNG
+ * @param {Object} canvas - Export canvas
+ * @param {Object} area - Board area to capture ({ left, top, width, height })
+ * @param {number} dpi - Resolution
+ * @returns {string} PNG data URL
+ */
+const captureArea = (canvas, area, dpi) => {
+  canvas.viewportTransform = [1, 0, 0, 1, -area.left, -area.top];
+
+  return canvas.toDataURL({
+    format: 'png',
+    quality: 1.0,
+    multiplier: dpi / SCREEN_DPI,
+    left: 0,
+    top: 0,
+    width: area.width,
+    height: area.height,
+  });
+};
+
+/**
+ * SVG markup of an export canvas, cropped to an area
+ * The background becomes a rectangle behind the drawing, since Fabric only fills the
+ * canvas size with it.
+ * @param {Object} canvas - Export canvas; its objects are changed
+ * @param {Object} area - Board area ({ left, top, width, height })
+ * @returns {string} SVG markup
+ */
+const toSVGMarkup = (canvas, area) => {
+  if (canvas.backgroundColor) {
+    canvas.insertAt(
+      0,
+      new Rect({
+        ...area,
+        originX: 'left',
+        originY: 'top',
+        fill: canvas.backgroundColor,
+        strokeWidth: 0,
+      })
+    );
+    canvas.backgroundColor = '';
+  }
+
+  return canvas.toSVG({
+    width: `${area.width}`,
+    height: `${area.height}`,
+    viewBox: { x: area.left, y: area.top, width: area.width, height: area.height },
+  });
+};
+
+/**
+ * Download a file
+ * @param {string} url - Data or object URL of the file
+ * @param {string} filename - Filename
+ */
+const downloadURL = (url, filename) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+/**
+ * How a board is printed: its scale and the board area on each PDF page
+ * @param {Object} area - Board area ({ left, top, width, height })
+ * @returns {Object} { orientation, scale, tiles } with scale in points per board pixel
+ *   and tiles in reading order
+ */
+const getPrintLayout = (area) => {
+  const { PAPER_SIZE, PAPER_MARGIN, MIN_PRINT_SCALE } = WHITEBOARD_EXPORT;
+  const orientation = area.width > area.height ? 'landscape' : 'portrait';
+  const [paperWidth, paperHeight] =
+    orientation === 'landscape' ? [PAPER_SIZE[1], PAPER_SIZE[0]] : PAPER_SIZE;
+  const printWidth = paperWidth - PAPER_MARGIN * 2;
+  const printHeight = paperHeight - PAPER_MARGIN * 2;
+
+  const fitScale = Math.min(
+    1,
+    printWidth / (area.width * PX_TO_PT),
+    printHeight / (area.height * PX_TO_PT)
+  );
+  const scale = Math.max(fitScale, MIN_PRINT_SCALE) * PX_TO_PT;
+
+  // Board pixels per page; a tiny overlap is not worth an extra page
+  const tileWidth = printWidth / scale;
+  const tileHeight = printHeight / scale;
+  const columns = Math.max(1, Math.ceil(area.width / tileWidth - 0.01));
+  const rows = Math.max(1, Math.ceil(area.height / tileHeight - 0.01));
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const left = column * tileWidth;
+      const top = row * tileHeight;
+      tiles.push({
+        left: area.left + left,
+        top: area.top + top,
+        width: Math.min(tileWidth, area.width - left),
+        height: Math.min(tileHeight, area.height - top),
+      });
+    }
+  }
+
+  return { orientation, scale, tiles };
+};
+
+/**
+ * Builds a PDF from boards, adding A4 pages as needed
+ * jsPDF and svg2pdf.js are loaded on first use.
+ */
+const createPDFBuilder = async () => {
+  const [{ jsPDF }, { svg2pdf }] = await Promise.all([import('jspdf'), import('svg2pdf.js')]);
+  const margin = WHITEBOARD_EXPORT.PAPER_MARGIN;
+  let doc = null;
+
+  const addPage = (orientation) => {
+    if (doc) {
+      doc.addPage('a4', orientation);
+    } else {
+      doc = new jsPDF({ unit: 'pt', format: 'a4', orientation });
+    }
+  };
+
+  /**
+   * Print a board as vector graphics
+   * @param {Object} canvas - Export canvas
+   * @param {Object} area - Board area
+   * @param {Object} layout - Print layout
+   */
+  const addVectorBoard = async (canvas, area, layout) => {
+    const svg = new DOMParser().parseFromString(toSVGMarkup(canvas, area), 'image/svg+xml');
+    const svgElement = svg.documentElement;
+    if (svgElement.nodeName !== 'svg') {
+      throw new Error('Could not convert the board to SVG');
+    }
+
+    for (const tile of layout.tiles) {
+      addPage(layout.orientation);
+
+      // Draw the whole board shifted onto the page, clipped to this tile
+      doc.saveGraphicsState();
+      doc.rect(margin, margin, tile.width * layout.scale, tile.height * layout.scale, null);
+      doc.clip();
+      doc.discardPath();
+      await svg2pdf(svgElement, doc, {
+        x: margin - (tile.left - area.left) * layout.scale,
+        y: margin - (tile.top - area.top) * layout.scale,
+        width: area.width * layout.scale,
+        height: area.height * layout.scale,
+      });
+      doc.restoreGraphicsState();
+    }
+  };
+
+  /**
+   * Print a board as images
+   * @param {Object} canvas - Export canvas
+   * @param {Object} layout - Print layout
+   * @param {number} dpi - Image resolution
+   */
+  const addImageBoard = (canvas, layout, dpi) => {
+    layout.tiles.forEach((tile) => {
+      addPage(layout.orientation);
+      doc.addImage(
+        captureArea(canvas, tile, dpi),
+        'PNG',
+        margin,
+        margin,
+        tile.width * layout.scale,
+        tile.height * layout.scale
+      );
+    });
+  };
+
+  return {
+    /**
+     * Print a board on as many pages as it needs
+     * @param {Object} canvas - Export canvas
+     * @param {Object} area - Board area
+     * @param {Object} options - { name, dpi }; a name becomes a bookmark to the board
+     */
+    async addBoard(canvas, area, { name, dpi }) {
+      const layout = getPrintLayout(area);
+      const firstPage = (doc?.getNumberOfPages() || 0) + 1;
+
+      try {
+        await addVectorBoard(canvas, area, layout);
+      } catch (error) {
+        console.warn('Vector PDF export failed, using images instead:', error);
+        while (doc && doc.getNumberOfPages() >= firstPage) {
+          doc.deletePage(doc.getNumberOfPages());
+        }
+        addImageBoard(canvas, layout, dpi);
+      }
+
+      // Page names become bookmarks, so readers can jump between whiteboard pages
+      if (name) {
+        doc.outline.add(null, name, { pageNumber: firstPage });
+      }
+    },
+
+    /**
+     * Download the PDF
+     * @param {string} filename - Filename
+     */
+    save(filename) {
+      doc.save(filename);
+    },
+  };
+};
 
 /**
  * Export canvas as PNG image
  * @param {Object} fabricCanvas - Fabric.js canvas instance
  * @param {string} filename - Filename for the exported image (default: 'whiteboard.png')
+ * @param {Object} options - { selectionOnly, transparent, dpi }
  */
-export const exportAsPNG = (fabricCanvas, filename = 'whiteboard.png') => {
+export const exportAsPNG = async (fabricCanvas, filename = 'whiteboard.png', options = {}) => {
   if (!fabricCanvas) {
     console.error('Canvas not available for export');
     return;
   }
 
-  try {
-    // Convert canvas to data URL
-    const dataURL = fabricCanvas.toDataURL({
-      format: 'png',
-      quality: 1.0,
-      multiplier: 2, // Higher resolution
-    });
-
-    // Create download link
-    const link = document.createElement('a');
-    link.href = dataURL;
-    link.download = filename;
+  const {
+    selectionOnly = false,
+    transparent = false,
+    dpi = WHITEBOARD_EXPORT.DEFAULT_DPI,
+  } = options;
 
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  try {
+    const { canvas, area } = await createExportCanvas(
+      getBoardData(fabricCanvas, selectionOnly),
+      transparent
+    );
+    try {
+      downloadURL(captureArea(canvas, area, dpi), filename);
+    } finally {
+      canvas.dispose();
+    }
   } catch (error) {
     console.error('Failed to export as PNG:', error);
     throw error;
@@ -38,78 +328,139 @@ export const exportAsPNG = (fabricCanvas, filename = 'whiteboard.png') => {
 };
 
 /**
- * Export canvas as PDF document
+ * Export canvas as SVG image
+ * Images on the board are linked by URL, as on the board.
  * @param {Object} fabricCanvas - Fabric.js canvas instance
- * @param {string} filename - Filename for the exported PDF (default: 'whiteboard.pdf')
+ * @param {string} filename - Filename for the exported image (default: 'whiteboard.svg')
+ * @param {Object} options - { selectionOnly, transparent }
  */
-export const exportAsPDF = async (fabricCanvas, filename = 'whiteboard.pdf') => {
+export const exportAsSVG = async (fabricCanvas, filename = 'whiteboard.svg', options = {}) => {
   if (!fabricCanvas) {
     console.error('Canvas not available for export');
     return;
   }
 
+  const { selectionOnly = false, transparent = false } = options;
+
   try {
-    // Convert canvas to data URL
-    const dataURL = fabricCanvas.toDataURL({
-      format: 'png',
-      quality: 1.0,
-      multiplier: 2,
-    });
+    const { canvas, area } = await createExportCanvas(
+      getBoardData(fabricCanvas, selectionOnly),
+      transparent
+    );
+    try {
+      const blob = new Blob([toSVGMarkup(canvas, area)], { type: 'image/svg+xml' });
+      const url = URL.createObjectURL(blob);
+      downloadURL(url, filename);
+      URL.revokeObjectURL(url);
+    } finally {
+      canvas.dispose();
+    }
+  } catch (error) {
+    console.error('Failed to export as SVG:', error);
+    throw error;
+  }
+};
 
-    // Create a simple PDF using canvas image
-    // For a more robust solution, consider using jsPDF library
-    // For now, we'll create a basic PDF-like structure
+/**
+ * Render a saved whiteboard page as a PNG, e.g. to put it in a note export
+ * @param {Object} data - Serialized canvas
+ * @param {Object} options - { transparent, dpi }
+ * @returns {Promise<string>} PNG data URL
+ */
+export const renderBoardImage = async (data, options = {}) => {
+  const { transparent = false, dpi = WHITEBOARD_EXPORT.DEFAULT_DPI } = options;
 
-    // Get canvas dimensions
-    const width = fabricCanvas.width;
-    const height = fabricCanvas.height;
+  const { canvas, area } = await createExportCanvas(data, transparent);
+  try {
+    return captureArea(canvas, area, dpi);
+  } finally {
+    canvas.dispose();
+  }
+};
 
-    // Create an image element
-    const img = new Image();
-    img.src = dataURL;
+/**
+ * Capture the board as a PNG, e.g. to send it to the AI
+ * Also tells where the image lies on the board, so a point in it maps back to the
+ * board at (area.left + x / scale, area.top + y / scale).
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {Object} options - { selectionOnly, dpi }
+ * @returns {Promise<Object>} { image, area, scale }: PNG data URL, board area it shows
+ *   and image pixels per board pixel
+ */
+export const captureBoardImage = async (fabricCanvas, options = {}) => {
+  const { selectionOnly = false, dpi = WHITEBOARD_EXPORT.DEFAULT_DPI } = options;
 
-    await new Promise((resolve, reject) => {
-      img.onload = resolve;
-      img.onerror = reject;
-    });
+  const { canvas, area } = await createExportCanvas(getBoardData(fabricCanvas, selectionOnly));
+  try {
+    return { image: captureArea(canvas, area, dpi), area, scale: dpi / SCREEN_DPI };
+  } finally {
+    canvas.dispose();
+  }
+};
 
-    // Create a new canvas for PDF generation
-    const pdfCanvas = document.createElement('canvas');
-    const ctx = pdfCanvas.getContext('2d');
+/**
+ * Export several whiteboard pages into one PDF, each starting on a new PDF page
+ * @param {Array} pages - Pages in order ({ name, data }); a page may pass its live
+ *   `canvas` instead of `data`, e.g. the page currently open
+ * @param {string} filename - Filename for the exported PDF (default: 'whiteboard.pdf')
+ * @param {Object} options - { transparent, dpi }; dpi is used for pages that can't be
+ *   drawn as vector graphics
+ */
+export const exportPagesAsPDF = async (pages, filename = 'whiteboard.pdf', options = {}) => {
+  const { transparent = false, dpi = WHITEBOARD_EXPORT.DEFAULT_DPI } = options;
 
-    // Set PDF page size (A4 proportions)
-    const pdfWidth = 1240;
-    const pdfHeight = 1754;
-    pdfCanvas.width = pdfWidth;
-    pdfCanvas.height = pdfHeight;
+  try {
+    const pdf = await createPDFBuilder();
 
-    // Fill white background
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, pdfWidth, pdfHeight);
+    // One page at a time, so only one off-screen canvas exists at once
+    for (const page of pages) {
+      const data = page.canvas ? getBoardData(page.canvas) : page.data;
+      const { canvas, area } = await createExportCanvas(data, transparent);
+      try {
+        await pdf.addBoard(canvas, area, { name: page.name, dpi });
+      } finally {
+        canvas.dispose();
+      }
+    }
 
-    // Calculate scaling to fit image on page
-    const scale = Math.min((pdfWidth - 40) / width, (pdfHeight - 40) / height);
-    const scaledWidth = width * scale;
-    const scaledHeight = height * scale;
-    const x = (pdfWidth - scaledWidth) / 2;
-    const y = (pdfHeight - scaledHeight) / 2;
+    pdf.save(filename);
+  } catch (error) {
+    console.error('Failed to export pages as PDF:', error);
+    throw error;
+  }
+};
 
-    // Draw image on PDF canvas
-    ctx.drawImage(img, x, y, scaledWidth, scaledHeight);
+/**
+ * Export canvas as PDF document
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {string} filename - Filename for the exported PDF (default: 'whiteboard.pdf')
+ * @param {Object} options - { selectionOnly, transparent, dpi }
+ */
+export const exportAsPDF = async (fabricCanvas, filename = 'whiteboard.pdf', options = {}) => {
+  if (!fabricCanvas) {
+    console.error('Canvas not available for export');
+    return;
+  }
 
-    // Convert to blob and download
-    pdfCanvas.toBlob((blob) => {
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
+  const {
+    selectionOnly = false,
+    transparent = false,
+    dpi = WHITEBOARD_EXPORT.DEFAULT_DPI,
+  } = options;
 
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+  try {
+    const pdf = await createPDFBuilder();
+    const { canvas, area } = await createExportCanvas(
+      getBoardData(fabricCanvas, selectionOnly),
+      transparent
+    );
+    try {
+      await pdf.addBoard(canvas, area, { dpi });
+    } finally {
+      canvas.dispose();
+    }
 
-      URL.revokeObjectURL(url);
-    }, 'image/png');
+    pdf.save(filename);
   } catch (error) {
     console.error('Failed to export as PDF:', error);
     throw error;
@@ -119,19 +470,37 @@ export const exportAsPDF = async (fabricCanvas, filename = 'whiteboard.pdf') =>
 /**
  * Export canvas in specified format
  * @param {Object} fabricCanvas - Fabric.js canvas instance
- * @param {string} format - Export format ('png' or 'pdf')
+ * @param {string} format - Export format ('png', 'svg' or 'pdf')
  * @param {string} filename - Filename for the exported file
+ * @param {Object} options - Export options
+ * @param {Array} options.pages - Whiteboard pages to put in a PDF instead of just the
+ *   canvas (see exportPagesAsPDF)
+ * @param {boolean} options.selectionOnly - Export only the selected objects
+ * @param {boolean} options.transparent - Leave out the background
+ * @param {number} options.dpi - Resolution of PNGs and image-based PDF pages
  */
-export const exportWhiteboard = async (fabricCanvas, format = 'png', filename = null) => {
+export const exportWhiteboard = async (
+  fabricCanvas,
+  format = 'png',
+  filename = null,
+  options = {}
+) => {
   const defaultFilename = `whiteboard-${Date.now()}.${format}`;
   const exportFilename = filename || defaultFilename;
 
   switch (format.toLowerCase()) {
     case 'png':
-      exportAsPNG(fabricCanvas, exportFilename);
+      await exportAsPNG(fabricCanvas, exportFilename, options);
+      break;
+    case 'svg':
+      await exportAsSVG(fabricCanvas, exportFilename, options);
       break;
     case 'pdf':
-      await exportAsPDF(fabricCanvas, exportFilename);
+      if (options.pages) {
+        await exportPagesAsPDF(options.pages, exportFilename, options);
+      } else {
+        await exportAsPDF(fabricCanvas, exportFilename, options);
+      }
       break;
     default:
       console.error(`Unsupported export format: ${format}`);
@@ -0,0 +1,186 @@
+/**
+ * Typeset math objects for the whiteboard
+ *
+ * FormulaText is an IText whose text is LaTeX. While it is being edited it shows the
+ * source like any text object; otherwise it draws the typeset formula (MathJax SVG)
+ * in its place, so canvas exports include the rendered math; SVG exports embed the
+ * typeset SVG itself. The typeset image is derived from text, fill and fontSize and is
+ * never serialized, so formulas sync and save as ordinary text objects of type
+ * 'FormulaText'.
+ */
+import { IText, classRegistry } from 'fabric';
+
+// Default LaTeX for a new formula
+export const DEFAULT_FORMULA = 'E = mc^2';
+
+// MathJax (and its fonts) are only loaded once a formula is on a board
+let texToSvgPromise = null;
+
+/**
+ * Load the MathJax converter on first use
+ * @returns {Promise<Function>} texToSvg
+ */
+const loadTexToSvg = () => {
+  if (!texToSvgPromise) {
+    texToSvgPromise = import('./texToSvg').then((module) => module.texToSvg);
+  }
+  return texToSvgPromise;
+};
+
+/**
+ * Load an SVG string as an image element
+ * @param {string} svg - SVG markup
+ * @returns {Promise<HTMLImageElement>} Decoded image
+ */
+const loadSvgImage = async (svg) => {
+  const image = new Image();
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await image.decode();
+  return image;
+};
+
+export class FormulaText extends IText {
+  static type = 'FormulaText';
+
+  /**
+   * @param {string} text - LaTeX source
+   * @param {Object} options - IText options
+   */
+  constructor(text = DEFAULT_FORMULA, options = {}) {
+    super(text, { fontFamily: 'Courier New', ...options });
+    this.formulaImage = null;
+    this.formulaSvg = null;
+    this.formulaSize = null;
+    this.typesetKey = null;
+    this.typesetPromise = Promise.resolve();
+  }
+
+  /**
+   * Inputs that change the typeset output
+   * @returns {string} Cache key
+   */
+  getTypesetKey() {
+    return JSON.stringify([this.text, this.fill, this.fontSize]);
+  }
+
+  /**
+   * Typeset the current LaTeX if it changed since the last run
+   * @returns {Promise} Resolves once the formula image is ready
+   */
+  typeset() {
+    const key = this.getTypesetKey();
+    if (key === this.typesetKey) return this.typesetPromise;
+
+    this.typesetKey = key;
+    const color = typeof this.fill === 'string' ? this.fill : '#000000';
+    const { text, fontSize } = this;
+
+    this.typesetPromise = loadTexToSvg()
+      .then((texToSvg) => {
+        const { svg, width, height } = texToSvg(text, { color, fontSize });
+        return loadSvgImage(svg).then((image) => ({ image, svg, width, height }));
+      })
+      .then(({ image, svg, width, height }) => {
+        // A newer edit started typesetting in the meantime
+        if (this.typesetKey !== key) return;
+
+        this.formulaImage = image;
+        this.formulaSvg = svg;
+        this.formulaSize = { width, height };
+        this.initDimensions();
+        this.setCoords();
+        this.canvas?.requestRenderAll();
+      })
+      .catch((error) => {
+        console.error('Failed to typeset formula:', error);
+      });
+
+    return this.typesetPromise;
+  }
+
+  /**
+   * Whether the typeset formula is shown (rather than the LaTeX source)
+   * @returns {boolean} False while editing or before the first typeset
+   */
+  showsFormula() {
+    return !this.isEditing && Boolean(this.formulaImage);
+  }
+
+  /**
+   * Size the object to the typeset formula when it is shown
+   */
+  initDimensions() {
+    super.initDimensions();
+    if (this.showsFormula() && this.formulaSize) {
+      this.width = this.formulaSize.width;
+      this.height = this.formulaSize.height;
+    }
+  }
+
+  /**
+   * Switch to the LaTeX source (and its size) for editing
+   */
+  enterEditingImpl() {
+    super.enterEditingImpl();
+    this.initDimensions();
+    this.setCoords();
+  }
+
+  /**
+   * Switch back to the typeset formula
+   */
+  exitEditingImpl() {
+    super.exitEditingImpl();
+    this.initDimensions();
+    this.setCoords();
+  }
+
+  /**
+   * Draw the typeset formula, or the source text while editing or typesetting
+   * @param {CanvasRenderingContext2D} ctx - Context to render on
+   */
+  _render(ctx) {
+    if (!this.isEditing) {
+      this.typeset();
+    }
+
+    if (!this.showsFormula()) {
+      super._render(ctx);
+      return;
+    }
+
+    ctx.drawImage(this.formulaImage, -this.width / 2, -this.height / 2, this.width, this.height);
+  }
+
+  /**
+   * SVG markup of the typeset formula, or of the source text while it isn't shown
+   * The formula's own SVG is nested in place, so the math stays vector in SVG exports
+   * @param {Function} reviver - Markup reviver
+   * @returns {Array} Markup strings in object coordinates
+   */
+  _toSVG(reviver) {
+    if (!this.showsFormula() || !this.formulaSvg) {
+      return super._toSVG(reviver);
+    }
+
+    return [
+      this.formulaSvg.replace(/^<svg\b/, `<svg x="${-this.width / 2}" y="${-this.height / 2}"`),
+      '\n',
+    ];
+  }
+}
+
+classRegistry.setClass(FormulaText);
+
+/**
+ * Wait until every formula on the canvas has been typeset
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @returns {Promise} Resolves when the canvas can be exported
+ */
+export const waitForFormulas = (fabricCanvas) =>
+  Promise.all(
+    fabricCanvas
+      .getObjects()
+      .filter((object) => object instanceof FormulaText)
+      .map((formula) => formula.typeset())
+  );
@@ -0,0 +1,133 @@
+/**
+ * Images and PDF pages on the whiteboard
+ *
+ * Files are uploaded as note attachments first. The canvas object is an image whose
+ * `src` is the attachment URL and which remembers the `attachmentId`, so whiteboard
+ * data holds links to the files rather than their contents. PDF pages are rendered to
+ * PNGs in the browser (pdfPages.js, loaded on first use), uploaded one by one and
+ * placed below everything else as locked images, ready to be annotated.
+ */
+import { FabricImage } from 'fabric';
+import { ATTACHMENT_LIMITS, PDF_IMPORT } from './constants';
+import { setObjectLocked } from './whiteboardObjects';
+import { getVisibleBounds } from './whiteboardViewport';
+
+// Images larger than this share of the visible area are scaled down to it
+const MAX_IMAGE_SHARE = 0.6;
+
+/**
+ * Whether a file can be put on the whiteboard as an image
+ * @param {File} file - File
+ * @returns {boolean}
+ */
+export const isImageFile = (file) => ATTACHMENT_LIMITS.IMAGE_TYPES.includes(file.type);
+
+/**
+ * Whether a file can be imported as PDF pages
+ * @param {File} file - File
+ * @returns {boolean}
+ */
+export const isPdfFile = (file) => file.type === ATTACHMENT_LIMITS.PDF_TYPE;
+
+/**
+ * Why a file can't be put on the whiteboard
+ * @param {File} file - File
+ * @returns {string|null} Error message, or null if the file is fine
+ */
+export const getFileError = (file) => {
+  if (!isImageFile(file) && !isPdfFile(file)) {
+    return `${file.name} is not an image or PDF.`;
+  }
+  if (file.size > ATTACHMENT_LIMITS.MAX_SIZE) {
+    const maxMb = Math.round(ATTACHMENT_LIMITS.MAX_SIZE / (1024 * 1024));
+    return `${file.name} is larger than ${maxMb} MB.`;
+  }
+  return null;
+};
+
+/**
+ * Load an uploaded attachment as a canvas image
+ * Loaded with CORS so the canvas can still be exported
+ * @param {Object} attachment - Attachment from the notes API ({ id, url })
+ * @param {Object} options - Image options
+ * @returns {Promise<FabricImage>} Image
+ */
+export const createAttachmentImage = (attachment, options = {}) =>
+  FabricImage.fromURL(
+    attachment.url,
+    { crossOrigin: 'anonymous' },
+    { ...options, attachmentId: attachment.id }
+  );
+
+/**
+ * Put an uploaded image on the board, centered on a point and scaled to fit the view
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {Object} attachment - Uploaded image attachment
+ * @param {Object} point - Scene point for the image center
+ * @returns {Promise<FabricImage>} The added image
+ */
+export const addAttachmentImage = async (fabricCanvas, attachment, point) => {
+  const image = await createAttachmentImage(attachment);
+
+  const visible = getVisibleBounds(fabricCanvas);
+  const scale = Math.min(
+    1,
+    (visible.width * MAX_IMAGE_SHARE) / image.width,
+    (visible.height * MAX_IMAGE_SHARE) / image.height
+  );
+  image.set({
+    scaleX: scale,
+    scaleY: scale,
+    left: point.x - (image.width * scale) / 2,
+    top: point.y - (image.height * scale) / 2,
+  });
+
+  fabricCanvas.add(image);
+  return image;
+};
+
+/**
+ * Render, upload and place the pages of a PDF
+ * Pages are stacked top to bottom, the first one centered horizontally on the point
+ * with its top edge there, at 1 canvas unit per PDF point. They go below all other
+ * objects, in page order, and are locked.
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {File} file - PDF file
+ * @param {Object} point - Scene point where the first page starts
+ * @param {Function} upload - Uploads a page image, resolving to its attachment
+ * @param {Function} onProgress - Called with (pageNumber, pageCount) before each page
+ * @returns {Promise<Object>} { placed, total } - pages placed, and pages in the PDF
+ */
+export const addPdfPages = async (fabricCanvas, file, point, upload, onProgress) => {
+  const { renderPdfPages } = await import('./pdfPages');
+  const baseName = file.name.replace(/\.pdf$/i, '');
+  let top = point.y;
+  let placed = 0;
+
+  const total = await renderPdfPages(file, {
+    scale: PDF_IMPORT.RENDER_SCALE,
+    maxPages: PDF_IMPORT.MAX_PAGES,
+    onPage: async ({ blob, width, height, pageNumber, pageCount }) => {
+      onProgress?.(pageNumber, pageCount);
+
+      const pageFile = new File([blob], `${baseName}-page-${pageNumber}.png`, {
+        type: 'image/png',
+      });
+      const attachment = await upload(pageFile);
+      const page = await createAttachmentImage(attachment, {
+        left: point.x - width / 2,
+        top,
+        scaleX: 1 / PDF_IMPORT.RENDER_SCALE,
+        scaleY: 1 / PDF_IMPORT.RENDER_SCALE,
+      });
+
+      setObjectLocked(page, true);
+      fabricCanvas.insertAt(placed, page);
+      placed++;
+      top += height + PDF_IMPORT.PAGE_GAP;
+    },
+  });
+
+  fabricCanvas.requestRenderAll();
+  return { placed, total };
+};
@@ -0,0 +1,294 @@
+/**
+ * Object-level helpers for whiteboard synchronization
+ *
+ * Every Fabric object on a whiteboard carries a stable `id` so that changes can be
+ * exchanged as per-object operations instead of whole-canvas JSON:
+ * - { type: 'add', id, object, index }
+ * - { type: 'modify', id, object }
+ * - { type: 'remove', id }
+ * `object` is the object's `toObject()` serialization (including `id`).
+ */
+import { FabricObject, util } from 'fabric';
+// Register the custom object classes so saved and remote objects can be revived
+import './whiteboardFormula';
+import './whiteboardShapes';
+
+// Serialize with every object (canvas.toJSON / object.toObject): the id, whether it is
+// locked in place, and for images the note attachment they show
+['id', 'locked', 'attachmentId'].forEach((property) => {
+  if (!FabricObject.customProperties.includes(property)) {
+    FabricObject.customProperties = [...FabricObject.customProperties, property];
+  }
+});
+
+/**
+ * Generate a unique whiteboard object ID
+ * @returns {string} Object ID
+ */
+export const generateObjectId = () =>
+  `obj-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Make sure an object has a stable ID
+ * @param {Object} object - Fabric object
+ * @returns {string} The object's ID
+ */
+export const ensureObjectId = (object) => {
+  if (!object.id) {
+    object.id = generateObjectId();
+  }
+  return object.id;
+};
+
+/**
+ * Keep a locked object out of reach of selection and pointer events
+ * Locked objects (such as imported PDF pages) can't be selected, moved or erased, so
+ * drawing over them never disturbs them. Call it whenever an object arrives on the
+ * canvas, since `selectable` and `evented` aren't serialized.
+ * @param {Object} object - Fabric object
+ */
+export const applyObjectLock = (object) => {
+  if (object.locked) {
+    object.selectable = false;
+    object.evented = false;
+  }
+};
+
+/**
+ * Lock or unlock an object
+ * @param {Object} object - Fabric object
+ * @param {boolean} locked - Whether the object should be locked
+ */
+export const setObjectLocked = (object, locked) => {
+  object.locked = locked;
+  if (locked) {
+    applyObjectLock(object);
+  } else {
+    object.selectable = true;
+    object.evented = true;
+  }
+};
+
+/**
+ * Give IDs to objects loaded from data saved before IDs existed
+ * IDs are derived from the stacking order so every client that loads the same
+ * data ends up with the same IDs
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ */
+export const assignLegacyObjectIds = (fabricCanvas) => {
+  fabricCanvas.getObjects().forEach((object, index) => {
+    if (!object.id) {
+      object.id = `obj-legacy-${index}`;
+    }
+  });
+};
+
+/**
+ * Find an object on the canvas by ID
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {string} id - Object ID
+ * @returns {Object|undefined} Fabric object
+ */
+export const findObjectById = (fabricCanvas, id) =>
+  fabricCanvas.getObjects().find((object) => object.id === id);
+
+/**
+ * Work out the combined change when an object changes again before being sent
+ * @param {string} queuedType - Type of the change already queued
+ * @param {string} type - Type of the new change
+ * @returns {string|null} Combined type, or null when the changes cancel out
+ */
+const combineChangeTypes = (queuedType, type) => {
+  if (type === 'remove') {
+    // Added and removed before anyone saw it
+    return queuedType === 'add' ? null : 'remove';
+  }
+
+  if (queuedType === 'remove') {
+    // Removed and re-added (e.g. by undo) is a replacement
+    return 'modify';
+  }
+
+  return queuedType === 'add' ? 'add' : type;
+};
+
+/**
+ * Queue a local change, merging it with a change already queued for the same object
+ * @param {Map} pending - Pending changes keyed by object ID (mutated)
+ * @param {string} type - 'add', 'modify' or 'remove'
+ * @param {Object} object - Fabric object that changed
+ */
+export const queueObjectChange = (pending, type, object) => {
+  const id = ensureObjectId(object);
+  const queued = pending.get(id);
+
+  if (!queued) {
+    pending.set(id, { type, object });
+    return;
+  }
+
+  const combinedType = combineChangeTypes(queued.type, type);
+  if (combinedType) {
+    pending.set(id, { type: combinedType, object });
+  } else {
+    pending.delete(id);
+  }
+};
+
+/**
+ * Merge serialized operations into an earlier batch that has not been sent yet
+ * @param {Array} queued - Operations already waiting
+ * @param {Array} operations - Newer operations
+ * @returns {Array} Merged operations, one per object
+ */
+export const queueObjectOperations = (queued, operations) => {
+  const merged = new Map(queued.map((operation) => [operation.id, operation]));
+
+  operations.forEach((operation) => {
+    const previous = merged.get(operation.id);
+    if (!previous) {
+      merged.set(operation.id, operation);
+      return;
+    }
+
+    const type = combineChangeTypes(previous.type, operation.type);
+    if (!type) {
+      merged.delete(operation.id);
+    } else if (type === 'add') {
+      merged.set(operation.id, { ...operation, type, index: previous.index });
+    } else {
+      merged.set(operation.id, { ...operation, type });
+    }
+  });
+
+  return Array.from(merged.values());
+};
+
+/**
+ * Turn queued changes into serializable operations
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {Map} pending - Pending changes keyed by object ID
+ * @returns {Array} Operations ready to send
+ */
+export const serializeObjectChanges = (fabricCanvas, pending) =>
+  Array.from(pending.entries()).map(([id, { type, object }]) => {
+    if (type === 'remove') {
+      return { type, id };
+    }
+
+    const operation = { type, id, object: object.toObject() };
+    if (type === 'add') {
+      operation.index = fabricCanvas.getObjects().indexOf(object);
+    }
+    return operation;
+  });
+
+/**
+ * Apply remote operations to a live canvas without reloading it
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {Array} operations - Operations received from another client
+ * @param {Function} withoutEvents - Runs a callback with local change tracking paused
+ */
+export const applyObjectOperations = async (fabricCanvas, operations, withoutEvents) => {
+  const serialized = operations.filter((operation) => operation.object);
+  const enlivened = await util.enlivenObjects(serialized.map((operation) => operation.object));
+  const objectsById = new Map(serialized.map((operation, i) => [operation.id, enlivened[i]]));
+
+  withoutEvents(() => {
+    operations.forEach((operation) => {
+      const existing = findObjectById(fabricCanvas, operation.id);
+
+      switch (operation.type) {
+        case 'add': {
+          if (existing) break;
+          const object = objectsById.get(operation.id);
+          const count = fabricCanvas.getObjects().length;
+          if (operation.index >= 0 && operation.index < count) {
+            fabricCanvas.insertAt(operation.index, object);
+          } else {
+            fabricCanvas.add(object);
+          }
+          break;
+        }
+
+        case 'modify': {
+          const object = objectsById.get(operation.id);
+          if (!existing) {
+            fabricCanvas.add(object);
+          } else if (existing.constructor === object.constructor && existing.type !== 'path') {
+            // Update in place so a local selection on the object survives
+            const { left, top, ...props } = operation.object;
+            delete props.type;
+            delete props.version;
+            existing.set(props);
+            // Position last: a line's end points (relative to its center) would move it
+            existing.set({ left, top });
+            existing.setCoords();
+            applyObjectLock(existing);
+          } else {
+            const index = fabricCanvas.getObjects().indexOf(existing);
+            fabricCanvas.remove(existing);
+            fabricCanvas.insertAt(index, object);
+          }
+          break;
+        }
+
+        case 'remove':
+          if (existing) {
+            fabricCanvas.remove(existing);
+          }
+          break;
+
+        default:
+          break;
+      }
+    });
+  });
+
+  fabricCanvas.requestRenderAll();
+};
+
+/**
+ * Apply operations to serialized whiteboard data (canvas.toJSON() output)
+ * Keeps stored whiteboard data current while the canvas is not mounted
+ * @param {Object|null} whiteboardData - Serialized canvas
+ * @param {Array} operations - Object operations
+ * @returns {Object} Updated whiteboard data
+ */
+export const applyObjectOperationsToJSON = (whiteboardData, operations) => {
+  const objects = [...(whiteboardData?.objects || [])];
+
+  operations.forEach((operation) => {
+    const index = objects.findIndex((object) => object.id === operation.id);
+
+    switch (operation.type) {
+      case 'add':
+        if (index !== -1) break;
+        if (operation.index >= 0 && operation.index < objects.length) {
+          objects.splice(operation.index, 0, operation.object);
+        } else {
+          objects.push(operation.object);
+        }
+        break;
+
+      case 'modify':
+        if (index === -1) {
+          objects.push(operation.object);
+        } else {
+          objects[index] = operation.object;
+        }
+        break;
+
+      case 'remove':
+        if (index !== -1) {
+          objects.splice(index, 1);
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return { ...whiteboardData, objects };
+};
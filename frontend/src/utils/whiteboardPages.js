@@ -0,0 +1,82 @@
+/**
+ * Whiteboard pages
+ *
+ * A note's whiteboard is a list of named pages, `note.whiteboardPages`, each
+ * `{ id, name, data }` where `data` is the serialized Fabric canvas (null while empty).
+ * Notes saved before pages existed only have `whiteboardData`; they are read as a
+ * single page with the fixed ID LEGACY_PAGE_ID, which is also the ID the server gives
+ * that page when it migrates the note.
+ */
+import { WHITEBOARD_PAGE_NAME_MAX_LENGTH } from './constants';
+
+export const LEGACY_PAGE_ID = 'page-1';
+
+// What a page without data is loaded as
+export const EMPTY_PAGE_DATA = { objects: [], background: '#ffffff' };
+
+/**
+ * A note's whiteboard pages, in order
+ * @param {Object} note - Note
+ * @returns {Array} Pages ({ id, name, data })
+ */
+export const getWhiteboardPages = (note) => {
+  if (note?.whiteboardPages?.length > 0) {
+    return note.whiteboardPages;
+  }
+  return [{ id: LEGACY_PAGE_ID, name: 'Page 1', data: note?.whiteboardData || null }];
+};
+
+/**
+ * Name for a new page: one past the highest "Page N" in use
+ * @param {Array} pages - Existing pages
+ * @returns {string} Page name
+ */
+export const getNextPageName = (pages) => {
+  const numbers = pages.map((page) => Number(/^Page (\d+)$/.exec(page.name)?.[1]) || 0);
+  return `Page ${Math.max(pages.length, ...numbers) + 1}`;
+};
+
+/**
+ * Clean up a page name typed by the user
+ * @param {string} name - Entered name
+ * @returns {string} Trimmed name, empty if nothing usable was entered
+ */
+export const normalizePageName = (name) =>
+  (name || '').trim().slice(0, WHITEBOARD_PAGE_NAME_MAX_LENGTH);
+
+/**
+ * Pages without their drawings, as broadcast to collaborators
+ * @param {Array} pages - Pages
+ * @returns {Array} Page summaries ({ id, name })
+ */
+export const toPageSummaries = (pages) => pages.map(({ id, name }) => ({ id, name }));
+
+/**
+ * Take over a page list received from a collaborator, keeping the drawings we already
+ * have for pages that still exist
+ * @param {Array} pages - Current pages
+ * @param {Array} summaries - New page list ({ id, name })
+ * @returns {Array} Pages in the new order
+ */
+export const mergePageSummaries = (pages, summaries) =>
+  summaries.map((summary) => ({
+    data: null,
+    ...pages.find((page) => page.id === summary.id),
+    ...summary,
+  }));
+
+/**
+ * Move a page to another position
+ * @param {Array} pages - Pages
+ * @param {string} pageId - Page to move
+ * @param {number} index - New position
+ * @returns {Array} Reordered pages
+ */
+export const movePage = (pages, pageId, index) => {
+  const page = pages.find((p) => p.id === pageId);
+  if (!page) return pages;
+
+  const rest = pages.filter((p) => p.id !== pageId);
+  const target = Math.max(0, Math.min(index, rest.length));
+  return [...rest.slice(0, target), page, ...rest.slice(target)];
+};
@@ -0,0 +1,261 @@
+/**
+ * Diagram shapes for the whiteboard
+ *
+ * - Arrow: a Line with an arrowhead at its end
+ * - Connector: an Arrow whose ends are attached to shapes by ID (`startId`, `endId`).
+ *   It is laid out between the facing sides of those shapes, and re-laid out when they
+ *   move; an end whose shape is gone stays where it was
+ * - StickyNote: a Textbox on a colored square
+ * - Diamonds are plain Polygons (see createDiamond)
+ * All of them serialize with their type, so they save, sync and undo like any object.
+ */
+import { Line, Polygon, Textbox, Point, ActiveSelection, classRegistry, util } from 'fabric';
+
+// Side length of the diamond's unit polygon; drawn diamonds are scaled from it
+const DIAMOND_SIZE = 100;
+
+// Space between a sticky note's edge and its text
+const STICKY_NOTE_PADDING = 12;
+
+const STICKY_NOTE_COLOR = '#fef08a';
+
+export class Arrow extends Line {
+  static type = 'Arrow';
+
+  /**
+   * @param {Array} points - [x1, y1, x2, y2]
+   * @param {Object} options - Line options
+   */
+  constructor(points, options = {}) {
+    // The head reaches outside the line's bounding box, which a cache canvas would cut off
+    super(points, { objectCaching: false, ...options });
+  }
+
+  /**
+   * Draw the line, then the arrowhead at its end
+   * @param {CanvasRenderingContext2D} ctx - Context to render on
+   */
+  _render(ctx) {
+    super._render(ctx);
+
+    const { x1, y1, x2, y2 } = this.calcLinePoints();
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const size = Math.max(this.strokeWidth * 3, 10);
+
+    ctx.save();
+    ctx.fillStyle = typeof this.stroke === 'string' ? this.stroke : '#000000';
+    ctx.beginPath();
+    ctx.moveTo(x2, y2);
+    ctx.lineTo(
+      x2 - size * Math.cos(angle - Math.PI / 6),
+      y2 - size * Math.sin(angle - Math.PI / 6)
+    );
+    ctx.lineTo(
+      x2 - size * Math.cos(angle + Math.PI / 6),
+      y2 - size * Math.sin(angle + Math.PI / 6)
+    );
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  }
+}
+
+export class Connector extends Arrow {
+  static type = 'Connector';
+
+  static customProperties = ['startId', 'endId'];
+
+  /**
+   * @param {Array} points - [x1, y1, x2, y2]
+   * @param {Object} options - Line options plus startId / endId
+   */
+  constructor(points, options = {}) {
+    super(points, { startId: null, endId: null, ...options });
+  }
+}
+
+export class StickyNote extends Textbox {
+  static type = 'StickyNote';
+
+  /**
+   * @param {string} text - Note text
+   * @param {Object} options - Textbox options
+   */
+  constructor(text = '', options = {}) {
+    super(text, {
+      width: 160,
+      fontSize: 16,
+      fontFamily: 'Arial',
+      fill: '#1f2937',
+      backgroundColor: STICKY_NOTE_COLOR,
+      ...options,
+    });
+  }
+
+  /**
+   * Keep the note roughly square however little text it holds
+   */
+  initDimensions() {
+    super.initDimensions();
+    this.height = Math.max(this.height, this.width * 0.75);
+  }
+
+  /**
+   * The colored square (and so the selection box) extends past the text
+   * @returns {Point} Dimensions
+   */
+  _getNonTransformedDimensions() {
+    return super._getNonTransformedDimensions().scalarAdd(STICKY_NOTE_PADDING * 2);
+  }
+}
+
+classRegistry.setClass(Arrow);
+classRegistry.setClass(Connector);
+classRegistry.setClass(StickyNote);
+
+/**
+ * Create a diamond (rhombus) filling a DIAMOND_SIZE square
+ * It is drawn and resized through scaleX / scaleY, with the stroke kept uniform
+ * @param {Object} options - Polygon options
+ * @returns {Polygon} Diamond
+ */
+export const createDiamond = (options = {}) =>
+  new Polygon(
+    [
+      { x: DIAMOND_SIZE / 2, y: 0 },
+      { x: DIAMOND_SIZE, y: DIAMOND_SIZE / 2 },
+      { x: DIAMOND_SIZE / 2, y: DIAMOND_SIZE },
+      { x: 0, y: DIAMOND_SIZE / 2 },
+    ],
+    { strokeUniform: true, ...options }
+  );
+
+/**
+ * Scale for a diamond drawn across a box of the given size
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {Object} { scaleX, scaleY }
+ */
+export const getDiamondScale = (width, height) => ({
+  scaleX: Math.max(width, 1) / DIAMOND_SIZE,
+  scaleY: Math.max(height, 1) / DIAMOND_SIZE,
+});
+
+/**
+ * Whether connectors can attach to an object (anything but lines, arrows and locked
+ * backgrounds)
+ * @param {Object} object - Fabric object
+ * @returns {boolean}
+ */
+export const isConnectable = (object) =>
+  !(object instanceof Line) && !object.locked && object.visible !== false;
+
+/**
+ * Topmost object a connector end at this point would attach to
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {Object} point - Scene point
+ * @param {number} margin - How far outside an object still counts, in scene units
+ * @returns {Object|undefined} Fabric object
+ */
+export const findConnectableAt = (fabricCanvas, point, margin = 0) =>
+  [...fabricCanvas.getObjects()].reverse().find((object) => {
+    if (!isConnectable(object)) return false;
+
+    const bounds = object.getBoundingRect();
+    return (
+      point.x >= bounds.left - margin &&
+      point.x <= bounds.left + bounds.width + margin &&
+      point.y >= bounds.top - margin &&
+      point.y <= bounds.top + bounds.height + margin
+    );
+  });
+
+/**
+ * Center of an object's bounding box
+ * @param {Object} object - Fabric object
+ * @returns {Point} Scene point
+ */
+const getBoundsCenter = (object) => {
+  const { left, top, width, height } = object.getBoundingRect();
+  return new Point(left + width / 2, top + height / 2);
+};
+
+/**
+ * Middle of the side of an object's bounding box that faces a point
+ * @param {Object} object - Fabric object
+ * @param {Object} toward - Scene point
+ * @returns {Point} Anchor in scene coordinates
+ */
+export const getAnchorPoint = (object, toward) => {
+  const { left, top, width, height } = object.getBoundingRect();
+  const center = getBoundsCenter(object);
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+
+  // Compare the direction against the box's own proportions, so a wide box
+  // isn't connected from its top when the point is off to the side
+  if (Math.abs(dx) * height >= Math.abs(dy) * width) {
+    return new Point(dx >= 0 ? left + width : left, center.y);
+  }
+  return new Point(center.x, dy >= 0 ? top + height : top);
+};
+
+/**
+ * A connector's current end points in scene coordinates
+ * @param {Object} connector - Connector
+ * @returns {Array} [start, end]
+ */
+const getConnectorEnds = (connector) => {
+  const { x1, y1, x2, y2 } = connector.calcLinePoints();
+  const matrix = connector.calcTransformMatrix();
+  return [
+    util.transformPoint(new Point(x1, y1), matrix),
+    util.transformPoint(new Point(x2, y2), matrix),
+  ];
+};
+
+/**
+ * Lay a connector out between the shapes it is attached to
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {Object} connector - Connector
+ */
+export const layoutConnector = (fabricCanvas, connector) => {
+  const findShape = (id) =>
+    id ? fabricCanvas.getObjects().find((object) => object.id === id) : null;
+  const start = findShape(connector.startId);
+  const end = findShape(connector.endId);
+  const [from, to] = getConnectorEnds(connector);
+
+  const startPoint = start ? getAnchorPoint(start, end ? getBoundsCenter(end) : to) : from;
+  const endPoint = end ? getAnchorPoint(end, start ? getBoundsCenter(start) : from) : to;
+
+  // The end points are absolute, so any transform from dragging or scaling goes
+  connector.set({ angle: 0, scaleX: 1, scaleY: 1, skewX: 0, skewY: 0, flipX: false, flipY: false });
+  connector.set({ x1: startPoint.x, y1: startPoint.y, x2: endPoint.x, y2: endPoint.y });
+  connector.setCoords();
+};
+
+/**
+ * Re-lay out the connectors attached to objects that moved or changed size
+ * Connectors that are themselves part of a selection being moved are left alone
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @param {Object} target - Changed object, or an active selection of objects
+ * @returns {Array} Connectors that were laid out
+ */
+export const layoutAttachedConnectors = (fabricCanvas, target) => {
+  const changed = target instanceof ActiveSelection ? target.getObjects() : [target];
+  const ids = new Set(changed.map((object) => object.id).filter(Boolean));
+  if (ids.size === 0) return [];
+
+  const connectors = fabricCanvas
+    .getObjects()
+    .filter(
+      (object) =>
+        object instanceof Connector &&
+        !object.group &&
+        (ids.has(object.startId) || ids.has(object.endId))
+    );
+
+  connectors.forEach((connector) => layoutConnector(fabricCanvas, connector));
+  return connectors;
+};
@@ -0,0 +1,140 @@
+/**
+ * Viewport helpers for the infinite whiteboard
+ *
+ * The Fabric canvas only covers the visible area; pan and zoom live in its viewport
+ * transform [zoom, 0, 0, zoom, panX, panY], which maps canvas (scene) coordinates to
+ * screen pixels. Everything here works in scene coordinates unless stated otherwise.
+ */
+import { WHITEBOARD_ZOOM } from './constants';
+
+/**
+ * Keep a zoom level within WHITEBOARD_ZOOM limits
+ * @param {number} zoom - Zoom level (1 = 100%)
+ * @returns {number} Clamped zoom
+ */
+export const clampZoom = (zoom) =>
+  Math.min(WHITEBOARD_ZOOM.MAX, Math.max(WHITEBOARD_ZOOM.MIN, zoom));
+
+/**
+ * Area covered by all objects on the board
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @returns {Object|null} { left, top, width, height }, or null for an empty board
+ */
+export const getContentBounds = (fabricCanvas) => {
+  const objects = fabricCanvas.getObjects();
+  if (objects.length === 0) return null;
+
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+
+  objects.forEach((object) => {
+    const rect = object.getBoundingRect();
+    left = Math.min(left, rect.left);
+    top = Math.min(top, rect.top);
+    right = Math.max(right, rect.left + rect.width);
+    bottom = Math.max(bottom, rect.top + rect.height);
+  });
+
+  return { left, top, width: right - left, height: bottom - top };
+};
+
+/**
+ * Area of the board currently on screen
+ * @param {Object} fabricCanvas - Fabric.js canvas instance
+ * @returns {Object} { left, top, width, height }
+ */
+export const getVisibleBounds = (fabricCanvas) => {
+  const [zoom, , , , panX, panY] = fabricCanvas.viewportTransform;
+
+  return {
+    left: -panX / zoom,
+    top: -panY / zoom,
+    width: fabricCanvas.getWidth() / zoom,
+    height: fabricCanvas.getHeight() / zoom,
+  };
+};
+
+/**
+ * Smallest rectangle containing both rectangles
+ * @param {Object} a - { left, top, width, height }
+ * @param {Object|null} b - { left, top, width, height }, ignored when null
+ * @returns {Object} { left, top, width, height }
+ */
+export const unionBounds = (a, b) => {
+  if (!b) return a;
+
+  const left = Math.min(a.left, b.left);
+  const top = Math.min(a.top, b.top);
+  return {
+    left,
+    top,
+    width: Math.max(a.left + a.width, b.left + b.width) - left,
+    height: Math.max(a.top + a.height, b.top + b.height) - top,
+  };
+};
+
+/**
+ * Viewport transform that centers an area in the canvas and scales it to fit
+ * @param {Object} bounds - Area to show ({ left, top, width, height })
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {number} padding - Margin kept around the area, in pixels
+ * @returns {Array} Fabric viewport transform
+ */
+export const fitBoundsTransform = (bounds, width, height, padding = 0) => {
+  const zoom = clampZoom(
+    Math.min(
+      (width - padding * 2) / Math.max(bounds.width, 1),
+      (height - padding * 2) / Math.max(bounds.height, 1)
+    )
+  );
+  const centerX = bounds.left + bounds.width / 2;
+  const centerY = bounds.top + bounds.height / 2;
+
+  return [zoom, 0, 0, zoom, width / 2 - centerX * zoom, height / 2 - centerY * zoom];
+};
+
+/**
+ * localStorage key of a user's viewport on a whiteboard page
+ * @param {string} userId - User ID
+ * @param {string} noteId - Note ID
+ * @param {string} pageId - Whiteboard page ID
+ * @returns {string} Storage key
+ */
+const viewportKey = (userId, noteId, pageId) =>
+  `whiteboard_viewport_${userId}_${noteId}${pageId ? `_${pageId}` : ''}`;
+
+/**
+ * Read the viewport a user last had on a whiteboard page
+ * @param {string} userId - User ID
+ * @param {string} noteId - Note ID
+ * @param {string} pageId - Whiteboard page ID
+ * @returns {Array|null} Fabric viewport transform, or null if none was saved
+ */
+export const loadSavedViewport = (userId, noteId, pageId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(viewportKey(userId, noteId, pageId)));
+    const isValid =
+      Array.isArray(saved) && saved.length === 6 && saved.every((n) => Number.isFinite(n));
+    return isValid ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Remember a user's viewport on a whiteboard page
+ * @param {string} userId - User ID
+ * @param {string} noteId - Note ID
+ * @param {string} pageId - Whiteboard page ID
+ * @param {Array} transform - Fabric viewport transform
+ */
+export const saveViewport = (userId, noteId, pageId, transform) => {
+  try {
+    localStorage.setItem(viewportKey(userId, noteId, pageId), JSON.stringify(transform));
+  } catch {
+    // Storage full or unavailable; the viewport just won't be restored
+  }
+};
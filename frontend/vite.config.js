@@ -5,6 +5,12 @@ import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Package a node_modules file belongs to, e.g. 'jspdf' or '@babel/runtime'
+const packageName = (id) => {
+  const [scope, name] = id.split('node_modules/').pop().split('/');
+  return scope.startsWith('@') ? `${scope}/${name}` : scope;
+};
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
@@ -83,6 +89,12 @@ export default defineConfig({
     rollupOptions: {
       output: {
         manualChunks: (id) => {
+          // Helpers shared by every CommonJS package; left alone, they join the first
+          // chunk that needs them, which can be one of the lazily loaded ones below
+          if (id.includes('commonjsHelpers')) {
+            return 'vendor-misc';
+          }
+
           // Vendor chunks for core libraries
           if (id.includes('node_modules')) {
             if (id.includes('react') || id.includes('react-dom') || id.includes('react-router')) {
@@ -100,6 +112,79 @@ export default defineConfig({
             if (id.includes('axios')) {
               return 'vendor-http';
             }
+            // Only loaded once a note preview opens
+            if (
+              id.includes('markdown-it') ||
+              id.includes('highlight.js') ||
+              ['entities', 'linkify-it', 'mdurl', 'punycode.js', 'uc.micro'].includes(
+                packageName(id)
+              )
+            ) {
+              return 'vendor-markdown';
+            }
+            // Only loaded once a previewed or exported note has math
+            if (id.includes('katex')) {
+              return 'vendor-katex';
+            }
+            // Only loaded once a whiteboard has a formula
+            if (id.includes('mathjax-full') || id.includes('mhchemparser')) {
+              return 'vendor-mathjax';
+            }
+            // Only loaded when a PDF is put on a whiteboard
+            if (id.includes('pdfjs-dist')) {
+              return 'vendor-pdfjs';
+            }
+            // Only loaded when a whiteboard or a note is exported to PDF
+            if (
+              [
+                'jspdf',
+                'svg2pdf.js',
+                '@babel/runtime',
+                'fast-png',
+                'iobuffer',
+                'pako',
+                'cssesc',
+                'font-family-papandreou',
+                'specificity',
+                'svgpath',
+              ].includes(packageName(id))
+            ) {
+              return 'vendor-pdf';
+            }
+            // Loaded by jsPDF itself when it draws SVG as an image
+            if (
+              [
+                'canvg',
+                'core-js',
+                'raf',
+                'performance-now',
+                'rgbcolor',
+                'stackblur-canvas',
+                'svg-pathdata',
+              ].includes(packageName(id))
+            ) {
+              return 'vendor-canvg';
+            }
+            // Loaded by jsPDF itself when it lays out a note's HTML
+            if (['html2canvas', 'dompurify'].includes(packageName(id))) {
+              return 'vendor-html2canvas';
+            }
+            // Only loaded when a Word document is imported
+            if (
+              [
+                'mammoth',
+                '@xmldom/xmldom',
+                'base64-js',
+                'dingbat-to-unicode',
+                'jszip',
+                'lop',
+                'option',
+                'underscore',
+                'xmlbuilder',
+              ].includes(packageName(id))
+            ) {
+              return 'vendor-docx';
+            }
             // Other node_modules go into vendor-misc
             return 'vendor-misc';
           }
@@ -110,6 +195,12 @@ export default defineConfig({
             return `page-${pageName.toLowerCase()}`;
           }
           
+          // Loaded with React.lazy when a note preview opens; its own chunk keeps
+          // markdown-it and highlight.js out of the page load
+          if (id.includes('/src/components/Notes/MarkdownPreview')) {
+            return 'components-markdown-preview';
+          }
+
           // Split components by feature
           if (id.includes('/src/components/Dashboard/')) {
             return 'components-dashboard';